@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+const AUTH_COOKIE = 'token';
+const TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Without a configured secret, sessions only last until the server restarts
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.JWT_SECRET) {
+  console.warn('JWT_SECRET is not set; using a random secret for this run');
+}
+
+const setAuthCookie = (res, user) => {
+  const token = jwt.sign({ sub: user._id.toString(), role: user.role }, JWT_SECRET, {
+    expiresIn: TOKEN_TTL_SECONDS
+  });
+  res.cookie(AUTH_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: TOKEN_TTL_SECONDS * 1000
+  });
+};
+
+const clearAuthCookie = (res) => {
+  res.clearCookie(AUTH_COOKIE);
+};
+
+// Attaches `req.user` when a valid session cookie is present
+const authenticate = async (req, res, next) => {
+  const token = req.cookies && req.cookies[AUTH_COOKIE];
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    req.user = await User.findById(payload.sub);
+  } catch (error) {
+    clearAuthCookie(res);
+  }
+  next();
+};
+
+const requireAuth = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+};
+
+const requireRole = (role) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  if (req.user.role !== role) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  next();
+};
+
+const requireAdmin = requireRole('admin');
+
+module.exports = {
+  setAuthCookie,
+  clearAuthCookie,
+  authenticate,
+  requireAuth,
+  requireRole,
+  requireAdmin
+};
@@ -0,0 +1,182 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Product = require('./models/Product');
+const Order = require('./models/Order');
+const Cart = require('./models/Cart');
+const Promotion = require('./models/Promotion');
+const CoffeeMenu = require('./models/CoffeeMenu');
+const { DEFAULT_COFFEE_MENU, DEFAULT_COFFEE_PRODUCT, findCoffeeProduct } = require('./services/coffeeMenu');
+const { DEFAULT_CURRENCY } = require('./utils/money');
+
+// Stock count given to products that were only flagged as in stock
+const DEFAULT_STOCK = 20;
+
+// Converts a dollar amount field to cents, leaving missing fields unset
+const toCents = (field) => ({
+  $cond: [{ $isNumber: field }, { $round: [{ $multiply: [field, 100] }, 0] }, '$$REMOVE']
+});
+
+// Applies `fields` to an embedded document, leaving it unset when missing
+const convertSubdocument = (path, fields) => ({
+  $cond: [{ $eq: [{ $type: path }, 'object'] }, { $mergeObjects: [path, fields] }, '$$REMOVE']
+});
+
+// Documents saved before amounts were stored in cents have no currency
+const DOLLAR_AMOUNTS = { currency: { $exists: false } };
+
+// How most migrations describe their result; others bring their own `report`
+const reportUpdates = (result) => `${result.modifiedCount} document(s) updated`;
+
+// Data migrations for databases seeded before a schema change.
+// Each one must be safe to run more than once.
+const migrations = [
+  {
+    name: 'Replace boolean inStock with stock quantities',
+    run: () => Product.collection.updateMany(
+      { stock: { $exists: false } },
+      [
+        { $set: { stock: { $cond: [{ $eq: ['$inStock', false] }, 0, DEFAULT_STOCK] } } },
+        { $unset: 'inStock' }
+      ]
+    )
+  },
+  {
+    // Custom coffees are lines of the Custom Coffee product, which keep their options
+    name: 'Remove default custom coffee options from product order lines',
+    run: async () => {
+      const configurableIds = await Product.find({ configurator: { $exists: true } }).distinct('_id');
+      return Order.collection.updateMany(
+        { 'items.productId': { $exists: true } },
+        { $unset: { 'items.$[line].customCoffee': '' } },
+        {
+          arrayFilters: [{
+            'line.productId': { $exists: true, $nin: configurableIds },
+            'line.customCoffee': { $exists: true }
+          }]
+        }
+      );
+    }
+  },
+  {
+    name: 'Store product prices in cents',
+    run: () => Product.collection.updateMany(DOLLAR_AMOUNTS, [
+      { $set: { price: toCents('$price'), currency: DEFAULT_CURRENCY } }
+    ])
+  },
+  {
+    name: 'Store order amounts in cents',
+    run: () => Order.collection.updateMany(DOLLAR_AMOUNTS, [
+      {
+        $set: {
+          currency: DEFAULT_CURRENCY,
+          items: {
+            $map: {
+              input: { $ifNull: ['$items', []] },
+              as: 'item',
+              in: { $mergeObjects: ['$$item', { price: toCents('$$item.price') }] }
+            }
+          },
+          subtotal: toCents('$subtotal'),
+          discounts: {
+            $map: {
+              input: { $ifNull: ['$discounts', []] },
+              as: 'discount',
+              in: { $mergeObjects: ['$$discount', { amount: toCents('$$discount.amount') }] }
+            }
+          },
+          discountTotal: toCents('$discountTotal'),
+          shipping: convertSubdocument('$shipping', { cost: toCents('$shipping.cost') }),
+          tax: convertSubdocument('$tax', {
+            total: toCents('$tax.total'),
+            lines: {
+              $map: {
+                input: { $ifNull: ['$tax.lines', []] },
+                as: 'line',
+                in: {
+                  $mergeObjects: ['$$line', {
+                    taxableAmount: toCents('$$line.taxableAmount'),
+                    amount: toCents('$$line.amount')
+                  }]
+                }
+              }
+            }
+          }),
+          payment: convertSubdocument('$payment', { amount: toCents('$payment.amount') }),
+          totalAmount: toCents('$totalAmount')
+        }
+      }
+    ])
+  },
+  {
+    name: 'Store fixed promotion amounts in cents',
+    run: () => Promotion.collection.updateMany(DOLLAR_AMOUNTS, [
+      {
+        $set: {
+          value: { $cond: [{ $eq: ['$type', 'fixed'] }, toCents('$value'), '$value'] },
+          currency: DEFAULT_CURRENCY
+        }
+      }
+    ])
+  },
+  {
+    // A collection can only have one text index, so the old name/description
+    // one has to be dropped before the one covering translations is built
+    name: 'Search translated product names and descriptions',
+    run: () => Product.syncIndexes(),
+    report: (droppedIndexes) => `${droppedIndexes.length} outdated index(es) replaced`
+  },
+  {
+    // Coffee options and prices used to be hardcoded in the builder and the order schema
+    name: 'Store the coffee builder menu',
+    run: async () => {
+      if (await CoffeeMenu.exists({})) return false;
+      await CoffeeMenu.create(DEFAULT_COFFEE_MENU);
+      return true;
+    },
+    report: (created) => created ? 'default menu created' : 'menu already stored'
+  },
+  {
+    // Custom coffees used to be sold without a product, so orders of them failed
+    name: 'Add the Custom Coffee catalogue product',
+    run: async () => {
+      if (await findCoffeeProduct()) return false;
+      await Product.create(DEFAULT_COFFEE_PRODUCT);
+      return true;
+    },
+    report: (created) => created ? 'product created' : 'product already in the catalogue'
+  },
+  {
+    name: 'Link custom coffee order lines and cart items to the Custom Coffee product',
+    run: async () => {
+      const coffeeProduct = await findCoffeeProduct();
+      const update = (Model) => Model.collection.updateMany(
+        { items: { $elemMatch: { productId: { $exists: false }, customCoffee: { $exists: true } } } },
+        { $set: { 'items.$[line].productId': coffeeProduct._id } },
+        { arrayFilters: [{ 'line.productId': { $exists: false }, 'line.customCoffee': { $exists: true } }] }
+      );
+      const results = await Promise.all([update(Order), update(Cart)]);
+      return { modifiedCount: results.reduce((total, result) => total + result.modifiedCount, 0) };
+    }
+  }
+];
+
+async function migrateDatabase() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    for (const migration of migrations) {
+      const result = await migration.run();
+      const report = migration.report || reportUpdates;
+      console.log(`${migration.name}: ${report(result)}`);
+    }
+
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+  } catch (error) {
+    console.error('Error migrating database:', error);
+    process.exit(1);
+  }
+}
+
+migrateDatabase();
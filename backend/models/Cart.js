@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { CURRENCIES, DEFAULT_CURRENCY } = require('../utils/money');
+
+// Most units of one line a cart can hold.
+// Mirrors MAX_LINE_QUANTITY in frontend/src/context/cartReducer.js - keep the two in sync.
+const MAX_LINE_QUANTITY = 99;
+
+// A product, or the Custom Coffee product with its options. Prices aren't stored:
+// they are looked up from the catalogue and the coffee menu whenever the cart is read.
+const cartItemSchema = new mongoose.Schema({
+  // The storefront's id for the line, kept so it can keep addressing the line
+  // after saving; generated for lines saved without one
+  _id: {
+    type: String,
+    default: () => new mongoose.Types.ObjectId().toString(),
+    match: [/^[A-Za-z0-9_-]{1,64}$/, 'Line ID must be 1-64 letters, digits, dashes or underscores']
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  // `{ base, <option id>: value }` as on order lines
+  customCoffee: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1'],
+    max: [MAX_LINE_QUANTITY, `Quantity must be at most ${MAX_LINE_QUANTITY}`],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Quantity must be a whole number'
+    }
+  }
+});
+
+// A shopper's cart, kept so it follows them across devices. Logged-in
+// customers have one cart each; visitors' carts are keyed by the random token
+// in their cart cookie. `updatedAt` shows when a cart was last touched.
+const cartSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    unique: true,
+    sparse: true
+  },
+  token: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  currency: {
+    type: String,
+    default: DEFAULT_CURRENCY,
+    enum: Object.keys(CURRENCIES)
+  },
+  items: {
+    type: [cartItemSchema],
+    validate: {
+      validator: (items) => new Set(items.map(item => item._id)).size === items.length,
+      message: 'Line IDs must be unique'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+cartSchema.statics.MAX_LINE_QUANTITY = MAX_LINE_QUANTITY;
+
+module.exports = mongoose.model('Cart', cartSchema);
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const { isMinorUnits } = require('../utils/money');
+
+const OPTION_TYPES = ['quantity', 'choice'];
+
+// Option ids are used as keys of an order line's `customCoffee`, next to `base`
+const RESERVED_OPTION_IDS = ['base'];
+
+const idField = {
+  type: String,
+  required: [true, 'ID is required'],
+  trim: true,
+  match: [/^[a-z][a-zA-Z0-9]*$/, 'ID must start with a lowercase letter and contain only letters and digits']
+};
+
+const labelField = {
+  type: String,
+  required: [true, 'Label is required'],
+  trim: true,
+  maxlength: [50, 'Label must be at most 50 characters']
+};
+
+// In cents, like product prices
+const priceField = {
+  type: Number,
+  default: 0,
+  min: [0, 'Price must be a positive number'],
+  validate: {
+    validator: isMinorUnits,
+    message: 'Price must be a whole number of cents'
+  }
+};
+
+const hasUniqueIds = (entries) => new Set(entries.map(entry => entry.id)).size === entries.length;
+
+const baseDrinkSchema = new mongoose.Schema({
+  id: idField,
+  name: labelField,
+  price: { ...priceField, required: [true, 'Price is required'] }
+}, { _id: false, id: false });
+
+const choiceSchema = new mongoose.Schema({
+  id: idField,
+  label: labelField,
+  price: priceField
+}, { _id: false, id: false });
+
+// A quantity (e.g. sugar, 0-5 teaspoons) charges `unitPrice` for every unit
+// above `min`; a choice (e.g. milk) charges the price of the chosen entry.
+const optionSchema = new mongoose.Schema({
+  id: {
+    ...idField,
+    validate: {
+      validator: (id) => !RESERVED_OPTION_IDS.includes(id),
+      message: 'ID cannot be one of: ' + RESERVED_OPTION_IDS.join(', ')
+    }
+  },
+  label: labelField,
+  type: {
+    type: String,
+    required: [true, 'Type is required'],
+    enum: {
+      values: OPTION_TYPES,
+      message: 'Type must be one of: ' + OPTION_TYPES.join(', ')
+    }
+  },
+  min: Number,
+  max: Number,
+  unitPrice: priceField,
+  choices: {
+    type: [choiceSchema],
+    default: undefined,
+    validate: {
+      validator: hasUniqueIds,
+      message: 'Choice IDs must be unique'
+    }
+  },
+  // Starting value: a number for quantities, a choice id for choices
+  default: mongoose.Schema.Types.Mixed
+}, { _id: false, id: false });
+
+optionSchema.pre('validate', function (next) {
+  if (this.type === 'quantity') {
+    if (!Number.isInteger(this.min) || this.min < 0) {
+      this.invalidate('min', 'Minimum must be a whole number of 0 or more');
+    }
+    if (!Number.isInteger(this.max) || this.max < this.min) {
+      this.invalidate('max', 'Maximum must be a whole number of at least the minimum');
+    }
+    if (this.default === undefined) {
+      this.default = this.min;
+    } else if (!Number.isInteger(this.default) || this.default < this.min || this.default > this.max) {
+      this.invalidate('default', 'Default must be between the minimum and the maximum');
+    }
+  } else if (this.type === 'choice') {
+    if (!this.choices || this.choices.length === 0) {
+      this.invalidate('choices', 'Choices are required');
+    } else if (this.default === undefined) {
+      this.default = this.choices[0].id;
+    } else if (!this.choices.some(choice => choice.id === this.default)) {
+      this.invalidate('default', 'Default must be one of the choices');
+    }
+  }
+  next();
+});
+
+// The Coffee Builder's menu. The shop has a single menu document.
+const coffeeMenuSchema = new mongoose.Schema({
+  // The first base drink is the default
+  baseDrinks: {
+    type: [baseDrinkSchema],
+    validate: [
+      {
+        validator: (baseDrinks) => baseDrinks.length > 0,
+        message: 'At least one base drink is required'
+      },
+      {
+        validator: hasUniqueIds,
+        message: 'Base drink IDs must be unique'
+      }
+    ]
+  },
+  options: {
+    type: [optionSchema],
+    validate: {
+      validator: hasUniqueIds,
+      message: 'Option IDs must be unique'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+coffeeMenuSchema.statics.OPTION_TYPES = OPTION_TYPES;
+
+module.exports = mongoose.model('CoffeeMenu', coffeeMenuSchema);
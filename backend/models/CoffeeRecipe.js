@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// A custom coffee a customer saved under a name, to add to the cart again later
+const coffeeRecipeSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [50, 'Name must be at most 50 characters']
+  },
+  // `{ base, <option id>: value }` as on order lines, checked against the coffee menu when saved.
+  // The price isn't stored: it follows the current menu.
+  customCoffee: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Coffee options are required']
+  }
+}, {
+  timestamps: true
+});
+
+coffeeRecipeSchema.index({ customer: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('CoffeeRecipe', coffeeRecipeSchema);
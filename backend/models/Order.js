@@ -1,32 +1,256 @@
 const mongoose = require('mongoose');
+const { CURRENCIES, DEFAULT_CURRENCY } = require('../utils/money');
+
+// Countries we ship to (ISO 3166-1 alpha-2)
+const SHIPPING_COUNTRIES = ['US', 'CA', 'GB', 'DE', 'FR', 'PL'];
+
+function isNewOrder() {
+  return this.isNew;
+}
+
+// In-store pickup orders don't need an address
+function requiresShippingAddress() {
+  return this.isNew && this.shipping?.method !== 'pickup';
+}
+
+const contactSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name must be at most 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Email must be a valid email address']
+  },
+  phone: {
+    type: String,
+    trim: true,
+    match: [/^\+?[0-9 ()-]{7,20}$/, 'Phone must be a valid phone number']
+  }
+}, { _id: false });
+
+const shippingAddressSchema = new mongoose.Schema({
+  line1: {
+    type: String,
+    required: [true, 'Address is required'],
+    trim: true,
+    maxlength: [200, 'Address must be at most 200 characters']
+  },
+  line2: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Address must be at most 200 characters']
+  },
+  city: {
+    type: String,
+    required: [true, 'City is required'],
+    trim: true,
+    maxlength: [100, 'City must be at most 100 characters']
+  },
+  region: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Region must be at most 100 characters']
+  },
+  postalCode: {
+    type: String,
+    required: [true, 'Postal code is required'],
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9][A-Z0-9 -]{1,8}[A-Z0-9]$/i, 'Postal code must be a valid postal code']
+  },
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    uppercase: true,
+    enum: {
+      values: SHIPPING_COUNTRIES,
+      message: 'Country must be one of: ' + SHIPPING_COUNTRIES.join(', ')
+    }
+  }
+}, { _id: false });
+
+// Card details are never stored; only the gateway reference and the last digits
+const paymentSchema = new mongoose.Schema({
+  provider: { type: String, required: true },
+  reference: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ['authorized', 'captured', 'refunded'],
+    required: true
+  },
+  amount: { type: Number, required: true },
+  cardLast4: String,
+  authorizedAt: Date,
+  capturedAt: Date,
+  refundedAt: Date
+}, { _id: false });
+
+// Tax charged on the items, one line per rate applied
+const taxSchema = new mongoose.Schema({
+  country: String,
+  region: String,
+  lines: [{
+    _id: false,
+    type: { type: String, enum: ['standard', 'reduced'] },
+    name: String,
+    label: String,
+    rate: Number,
+    taxableAmount: Number,
+    amount: Number
+  }],
+  total: Number
+}, { _id: false });
 
 const orderSchema = new mongoose.Schema({
+  // Set when the order is placed by a logged-in user; guest orders have none
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
   items: [{
     productId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Product'
     },
     name: String,
+    category: String,
     price: Number,
     quantity: Number,
+    // Only custom coffee lines carry options; product lines leave this unset.
+    // `{ base, <option id>: value }`, checked against the coffee menu when pricing.
     customCoffee: {
-      sugar: { type: Number, default: 0 },
-      milk: { type: String, enum: ['none', 'regular', 'oat'], default: 'none' },
-      coffee: { type: Number, default: 1 },
-      chocolate: { type: Number, default: 0 }
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined
+    }
+  }],
+  // All amounts are in minor units (cents) of the order currency
+  currency: {
+    type: String,
+    default: DEFAULT_CURRENCY,
+    enum: Object.keys(CURRENCIES)
+  },
+  // Currency the customer saw prices in at checkout, and its rate from `currency` at the time
+  displayCurrency: {
+    type: String,
+    default: DEFAULT_CURRENCY,
+    enum: {
+      values: Object.keys(CURRENCIES),
+      message: 'Currency must be one of: ' + Object.keys(CURRENCIES).join(', ')
     }
+  },
+  exchangeRate: {
+    type: Number,
+    default: 1
+  },
+  // Items only; totalAmount = subtotal - discountTotal + shipping.cost + tax.total
+  subtotal: Number,
+  // Promotions applied when the order was placed, copied so later edits don't change them
+  discounts: [{
+    _id: false,
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion'
+    },
+    code: String,
+    name: String,
+    amount: Number
   }],
+  discountTotal: {
+    type: Number,
+    default: 0
+  },
+  shipping: {
+    method: String,
+    label: String,
+    cost: Number
+  },
+  tax: taxSchema,
   totalAmount: {
     type: Number,
     required: true
   },
+  // Required for new orders only, so orders placed before checkout collected them can still change status
+  contact: {
+    type: contactSchema,
+    required: [isNewOrder, 'Contact details are required']
+  },
+  shippingAddress: {
+    type: shippingAddressSchema,
+    required: [requiresShippingAddress, 'Shipping address is required']
+  },
+  payment: paymentSchema,
   status: {
     type: String,
     enum: ['pending', 'completed', 'cancelled'],
     default: 'pending'
-  }
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'cancelled'],
+      required: true
+    },
+    // 'customer', 'system' or the email of the admin who made the change
+    changedBy: {
+      type: String,
+      default: 'system'
+    },
+    // The admin who made the change, when one did
+    changedByUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
 
+orderSchema.statics.SHIPPING_COUNTRIES = SHIPPING_COUNTRIES;
+
+// Allowed status changes: only pending orders can be completed or cancelled
+orderSchema.statics.STATUS_TRANSITIONS = {
+  pending: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+orderSchema.methods.canTransitionTo = function (status) {
+  const allowed = this.constructor.STATUS_TRANSITIONS[this.status] || [];
+  return allowed.includes(status);
+};
+
+// Changes the status in one atomic update, provided no other request has
+// changed it since this order was read. Resolves to the updated order, or to
+// null when the status had changed meanwhile.
+orderSchema.methods.transitionTo = function (status, { changedBy, changedByUser, reason } = {}) {
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, status: this.status },
+    {
+      $set: { status },
+      $push: { statusHistory: { status, changedBy, changedByUser, reason } }
+    },
+    { new: true, runValidators: true }
+  );
+};
+
+// Undoes a transition whose payment step failed
+orderSchema.methods.revertTransition = function (previousStatus) {
+  return this.constructor.updateOne(
+    { _id: this._id, status: this.status },
+    { $set: { status: previousStatus }, $pop: { statusHistory: 1 } }
+  );
+};
+
 module.exports = mongoose.model('Order', orderSchema);
@@ -1,33 +1,140 @@
 const mongoose = require('mongoose');
+const { CURRENCIES, DEFAULT_CURRENCY, isMinorUnits } = require('../utils/money');
+const { TRANSLATED_LANGUAGES } = require('../utils/i18n');
+
+const CATEGORIES = ['Electronics', 'Clothing', 'Books', 'Coffee'];
+
+// Builder pages that configure a product before it goes in the cart
+const CONFIGURATORS = ['coffee'];
+
+// Fields left out of a translation fall back to the default language
+const translationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name must be at most 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description must be at most 500 characters']
+  }
+}, { _id: false });
 
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
-    required: true
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name must be at most 100 characters']
   },
   category: {
     type: String,
-    required: true,
-    enum: ['Electronics', 'Clothing', 'Books', 'Coffee']
+    required: [true, 'Category is required'],
+    enum: {
+      values: CATEGORIES,
+      message: 'Category must be one of: ' + CATEGORIES.join(', ')
+    }
   },
+  // In minor units of `currency` (cents), e.g. 1999 for $19.99
   price: {
     type: Number,
-    required: true
+    required: [true, 'Price is required'],
+    min: [0, 'Price must be a positive number'],
+    validate: {
+      validator: isMinorUnits,
+      message: 'Price must be a whole number of cents'
+    }
+  },
+  currency: {
+    type: String,
+    default: DEFAULT_CURRENCY,
+    enum: {
+      values: Object.keys(CURRENCIES),
+      message: 'Currency must be one of: ' + Object.keys(CURRENCIES).join(', ')
+    }
   },
   description: {
     type: String,
-    required: true
+    required: [true, 'Description is required'],
+    trim: true,
+    maxlength: [500, 'Description must be at most 500 characters']
   },
   image: {
     type: String,
     default: 'data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHdpZHRoPSIzMDAiIGhlaWdodD0iMjAwIj48cmVjdCB3aWR0aD0iMzAwIiBoZWlnaHQ9IjIwMCIgZmlsbD0iI2NjYyIvPjx0ZXh0IHg9IjUwJSIgeT0iNTAlIiBmb250LWZhbWlseT0iQXJpYWwiIGZvbnQtc2l6ZT0iMjAiIGZpbGw9IndoaXRlIiB0ZXh0LWFuY2hvcj0ibWlkZGxlIiBkb21pbmFudC1iYXNlbGluZT0ibWlkZGxlIj5Qcm9kdWN0PC90ZXh0Pjwvc3ZnPg=='
   },
-  inStock: {
+  stock: {
+    type: Number,
+    default: 0,
+    min: [0, 'Stock cannot be negative'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Stock must be a whole number'
+    }
+  },
+  lowStockThreshold: {
+    type: Number,
+    default: 5,
+    min: [0, 'Low stock threshold cannot be negative']
+  },
+  archived: {
     type: Boolean,
-    default: true
+    default: false
+  },
+  // Set on products configured in a builder (e.g. 'coffee' for Custom Coffee,
+  // whose cart and order lines carry `customCoffee`). They are made to order,
+  // so their stock isn't tracked.
+  configurator: {
+    type: String,
+    default: undefined,
+    enum: {
+      values: CONFIGURATORS,
+      message: 'Configurator must be one of: ' + CONFIGURATORS.join(', ')
+    }
+  },
+  // Name and description by language code, e.g. { de: { name, description } }
+  translations: {
+    type: Map,
+    of: translationSchema,
+    default: undefined,
+    validate: {
+      validator: (translations) => !translations
+        || [...translations.keys()].every(language => TRANSLATED_LANGUAGES.includes(language)),
+      message: 'Translations must be keyed by one of: ' + TRANSLATED_LANGUAGES.join(', ')
+    }
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
+// Indexes backing the catalogue filters, sorting and text search. Search
+// matches translated names and descriptions too.
+productSchema.index(Object.fromEntries([
+  ['name', 'text'],
+  ['description', 'text'],
+  ...TRANSLATED_LANGUAGES.flatMap(language => [
+    [`translations.${language}.name`, 'text'],
+    [`translations.${language}.description`, 'text']
+  ])
+]), { name: 'product_text_search' });
+productSchema.index({ archived: 1, category: 1, price: 1 });
+productSchema.index({ archived: 1, name: 1 });
+productSchema.index({ archived: 1, createdAt: -1 });
+
+// Availability is derived from the stock count; made-to-order products are always available
+productSchema.virtual('inStock').get(function () {
+  return Boolean(this.configurator) || this.stock > 0;
+});
+
+productSchema.virtual('lowStock').get(function () {
+  return !this.configurator && this.stock > 0 && this.stock <= this.lowStockThreshold;
+});
+
+productSchema.statics.CATEGORIES = CATEGORIES;
+productSchema.statics.CONFIGURATORS = CONFIGURATORS;
+
 module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const Product = require('./Product');
+const { CURRENCIES, DEFAULT_CURRENCY, isMinorUnits } = require('../utils/money');
+
+const PROMOTION_TYPES = ['percentage', 'fixed', 'buyXGetY'];
+
+function isBuyXGetY() {
+  return this.type === 'buyXGetY';
+}
+
+function hasValue() {
+  return this.type !== 'buyXGetY';
+}
+
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name must be at most 100 characters']
+  },
+  // Promotions without a code apply automatically to every eligible cart
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{3,20}$/i, 'Code must be 3-20 letters, digits, dashes or underscores']
+  },
+  type: {
+    type: String,
+    required: [true, 'Type is required'],
+    enum: {
+      values: PROMOTION_TYPES,
+      message: 'Type must be one of: ' + PROMOTION_TYPES.join(', ')
+    }
+  },
+  // Percentage off (0-100) or a fixed amount off in cents, depending on the type
+  value: {
+    type: Number,
+    required: [hasValue, 'Value is required'],
+    min: [0, 'Value must be a positive number'],
+    validate: [
+      {
+        validator: function (value) {
+          return this.type !== 'percentage' || value <= 100;
+        },
+        message: 'Percentage must be at most 100'
+      },
+      {
+        validator: function (value) {
+          return this.type !== 'fixed' || isMinorUnits(value);
+        },
+        message: 'Amount must be a whole number of cents'
+      }
+    ]
+  },
+  // Currency of fixed amounts
+  currency: {
+    type: String,
+    default: DEFAULT_CURRENCY,
+    enum: Object.keys(CURRENCIES)
+  },
+  // "Buy X get Y free": every buyQuantity + freeQuantity units, the cheapest freeQuantity are free
+  buyQuantity: {
+    type: Number,
+    required: [isBuyXGetY, 'Buy quantity is required'],
+    min: [1, 'Buy quantity must be at least 1'],
+    validate: { validator: Number.isInteger, message: 'Buy quantity must be a whole number' }
+  },
+  freeQuantity: {
+    type: Number,
+    required: [isBuyXGetY, 'Free quantity is required'],
+    min: [1, 'Free quantity must be at least 1'],
+    validate: { validator: Number.isInteger, message: 'Free quantity must be a whole number' }
+  },
+  // Limits the promotion to one category; unset means the whole cart
+  category: {
+    type: String,
+    enum: {
+      values: Product.CATEGORIES,
+      message: 'Category must be one of: ' + Product.CATEGORIES.join(', ')
+    }
+  },
+  expiresAt: Date,
+  // Maximum number of orders that may use the promotion; unset means unlimited
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1'],
+    validate: { validator: Number.isInteger, message: 'Usage limit must be a whole number' }
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+promotionSchema.index({ code: 1 }, { unique: true, sparse: true });
+promotionSchema.index({ active: 1, code: 1 });
+
+promotionSchema.methods.isExpired = function (now = new Date()) {
+  return !!this.expiresAt && this.expiresAt <= now;
+};
+
+promotionSchema.methods.isUsedUp = function () {
+  return this.usageLimit != null && this.usageCount >= this.usageLimit;
+};
+
+promotionSchema.statics.TYPES = PROMOTION_TYPES;
+
+module.exports = mongoose.model('Promotion', promotionSchema);
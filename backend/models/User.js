@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const PASSWORD_MIN_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+const userSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name must be at most 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Email must be a valid email address']
+  },
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['customer', 'admin'],
+    default: 'customer'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.passwordHash;
+      return ret;
+    }
+  }
+});
+
+userSchema.statics.PASSWORD_MIN_LENGTH = PASSWORD_MIN_LENGTH;
+
+// Passwords are stored as `salt:hash` using scrypt
+userSchema.methods.setPassword = function (password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex');
+  this.passwordHash = `${salt}:${hash}`;
+};
+
+userSchema.methods.verifyPassword = function (password) {
+  const [salt, hash] = (this.passwordHash || '').split(':');
+  if (!salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, KEY_LENGTH);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { MAX_LINE_QUANTITY } = require('./Cart');
+
+// A product, or the Custom Coffee product with its options, kept to buy later.
+// Like cart lines, prices are looked up whenever the wishlist is read.
+const wishlistItemSchema = new mongoose.Schema({
+  // The storefront's id for the line; generated for lines saved without one
+  _id: {
+    type: String,
+    default: () => new mongoose.Types.ObjectId().toString(),
+    match: [/^[A-Za-z0-9_-]{1,64}$/, 'Line ID must be 1-64 letters, digits, dashes or underscores']
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  // `{ base, <option id>: value }` as on cart and order lines
+  customCoffee: {
+    type: mongoose.Schema.Types.Mixed,
+    default: undefined
+  },
+  // Lines saved for later from the cart keep their quantity
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Quantity must be at least 1'],
+    max: [MAX_LINE_QUANTITY, `Quantity must be at most ${MAX_LINE_QUANTITY}`],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Quantity must be a whole number'
+    }
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A logged-in customer's wishlist. Visitors keep theirs in the browser until
+// they log in, when the storefront adds it to their account's wishlist.
+const wishlistSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  items: {
+    type: [wishlistItemSchema],
+    validate: {
+      validator: (items) => new Set(items.map(item => item._id)).size === items.length,
+      message: 'Line IDs must be unique'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { setAuthCookie, clearAuthCookie, requireAuth } = require('../middleware/auth');
+const { formatValidationError, isValidationError } = require('../utils/validation');
+
+// Register a new customer account
+router.post('/register', async (req, res) => {
+  try {
+    const { name, email, password } = req.body;
+
+    if (typeof password !== 'string' || password.length < User.PASSWORD_MIN_LENGTH) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: { password: `Password must be at least ${User.PASSWORD_MIN_LENGTH} characters` }
+      });
+    }
+
+    if (await User.exists({ email: String(email).toLowerCase().trim() })) {
+      return res.status(409).json({
+        error: 'Validation failed',
+        details: { email: 'An account with this email already exists' }
+      });
+    }
+
+    const user = new User({ name, email, role: 'customer' });
+    user.setPassword(password);
+    const savedUser = await user.save();
+
+    setAuthCookie(res, savedUser);
+    res.status(201).json(savedUser);
+  } catch (error) {
+    if (isValidationError(error)) {
+      return res.status(400).json(formatValidationError(error));
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Log in with email and password
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    const user = email && await User.findOne({ email: String(email).toLowerCase().trim() });
+
+    if (!user || typeof password !== 'string' || !user.verifyPassword(password)) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    setAuthCookie(res, user);
+    res.json(user);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Log out (clears the session cookie)
+router.post('/logout', (req, res) => {
+  clearAuthCookie(res);
+  res.status(204).end();
+});
+
+// Get the logged in user
+router.get('/me', requireAuth, (req, res) => {
+  res.json(req.user);
+});
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const Cart = require('../models/Cart');
+const { describeItems, itemsErrors, keepSellableItems, toStoredItems } = require('../services/cartItems');
+const { parseLanguage, LANGUAGE_ERROR } = require('../services/catalog');
+const { DEFAULT_CURRENCY } = require('../utils/money');
+const { formatValidationError, isValidationError } = require('../utils/validation');
+
+// Visitors' carts are found by the random token in this cookie
+const CART_COOKIE = 'cartToken';
+const CART_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const setCartCookie = (res, token) => {
+  res.cookie(CART_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: CART_TOKEN_TTL_SECONDS * 1000
+  });
+};
+
+const cartToken = (req) => req.cookies && req.cookies[CART_COOKIE];
+
+// The logged-in customer's cart, or the visitor's cart from the cookie
+const findCart = (req) => {
+  if (req.user) {
+    return Cart.findOne({ customer: req.user._id });
+  }
+  const token = cartToken(req);
+  return token ? Cart.findOne({ token }) : null;
+};
+
+const cartJson = (cart, items) => ({
+  _id: cart._id,
+  currency: cart.currency,
+  items: items.filter(Boolean),
+  updatedAt: cart.updatedAt
+});
+
+// Get the current cart. Shoppers without one get an empty cart with no `_id`.
+router.get('/', async (req, res) => {
+  try {
+    const language = parseLanguage(req.query.lang);
+    if (language === null) {
+      return res.status(400).json({ error: 'Validation failed', details: { lang: LANGUAGE_ERROR } });
+    }
+
+    const cart = await findCart(req);
+    if (!cart) {
+      return res.json({ currency: DEFAULT_CURRENCY, items: [] });
+    }
+
+    res.json(cartJson(cart, await describeItems(cart.items, language)));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Replace the cart's items ({ items: [{ _id, productId, quantity, customCoffee }] }).
+// `_id` is optional and becomes the line's id; custom coffees may leave out the
+// Custom Coffee `productId`. Lines the shop can no longer sell are dropped.
+// Saving a logged-in customer's cart also deletes the visitor cart they had before logging
+// in, which the storefront merges into it.
+router.put('/', async (req, res) => {
+  try {
+    const { items } = req.body;
+    const language = parseLanguage(req.query.lang);
+    const details = itemsErrors(items);
+    if (language === null) details.lang = LANGUAGE_ERROR;
+    if (Object.keys(details).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    const token = cartToken(req);
+    const cart = await findCart(req) || new Cart(
+      req.user ? { customer: req.user._id } : { token: token || crypto.randomBytes(24).toString('hex') }
+    );
+
+    cart.items = await toStoredItems(items);
+    await cart.validate();
+
+    const described = await describeItems(cart.items, language);
+    keepSellableItems(cart, described);
+    await cart.save();
+
+    if (!req.user) {
+      setCartCookie(res, cart.token);
+    } else if (token) {
+      await Cart.deleteOne({ token });
+      res.clearCookie(CART_COOKIE);
+    }
+
+    res.json(cartJson(cart, described));
+  } catch (error) {
+    if (isValidationError(error)) {
+      return res.status(400).json(formatValidationError(error));
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const { findCoffeeProduct, getCoffeeMenu } = require('../services/coffeeMenu');
+const { requireAdmin } = require('../middleware/auth');
+const { formatValidationError, isValidationError } = require('../utils/validation');
+
+// The Coffee Builder's base drinks and options, with their limits and prices, and
+// the Custom Coffee catalogue `product` the coffees are added to the cart as
+router.get('/', async (req, res) => {
+  try {
+    const [menu, product] = await Promise.all([getCoffeeMenu(), findCoffeeProduct()]);
+    res.json({ ...menu.toJSON(), product });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Replace the menu (admin only). Orders already placed keep the options and prices they were placed with.
+router.put('/', requireAdmin, async (req, res) => {
+  try {
+    const { baseDrinks, options } = req.body;
+    const details = {};
+    if (!Array.isArray(baseDrinks)) details.baseDrinks = 'Base drinks must be a list';
+    if (!Array.isArray(options)) details.options = 'Options must be a list';
+    if (Object.keys(details).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    const menu = await getCoffeeMenu();
+
+    menu.set({ baseDrinks, options });
+
+    res.json(await menu.save());
+  } catch (error) {
+    if (isValidationError(error)) {
+      return res.status(400).json(formatValidationError(error));
+    }
+    res.status(400).json({ message: error.message });
+  }
+});
+
+module.exports = router;
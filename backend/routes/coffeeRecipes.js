@@ -0,0 +1,115 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const CoffeeRecipe = require('../models/CoffeeRecipe');
+const { getCoffeeMenu, resolveCustomCoffee } = require('../services/coffeeMenu');
+const { requireAuth } = require('../middleware/auth');
+const { formatValidationError, isValidationError } = require('../utils/validation');
+
+const isDuplicateName = (error) => error.code === 11000 && error.keyPattern?.name;
+
+const sendSaveError = (res, error) => {
+  if (isValidationError(error)) {
+    return res.status(400).json(formatValidationError(error));
+  }
+  if (isDuplicateName(error)) {
+    return res.status(409).json({
+      error: 'Validation failed',
+      details: { name: 'You already have a recipe with this name' }
+    });
+  }
+  res.status(400).json({ message: error.message });
+};
+
+// Checks the options against the coffee menu; returns the complete options, or errors keyed by field
+const checkCustomCoffee = async (customCoffee) => {
+  const coffee = resolveCustomCoffee(await getCoffeeMenu(), customCoffee);
+  const details = {};
+  for (const [key, message] of Object.entries(coffee.errors)) {
+    details[`customCoffee.${key}`] = message;
+  }
+  return { options: coffee.options, details };
+};
+
+// Other customers' recipes and malformed ids are both reported as not found
+const ownRecipeFilter = (req) => (
+  mongoose.isValidObjectId(req.params.id) ? { _id: req.params.id, customer: req.user._id } : null
+);
+
+// Get the logged-in customer's recipes (newest first)
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const recipes = await CoffeeRecipe.find({ customer: req.user._id }).sort({ createdAt: -1 });
+    res.json(recipes);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Save a recipe ({ name, customCoffee })
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const { name, customCoffee } = req.body;
+    const recipe = new CoffeeRecipe({ customer: req.user._id, name });
+
+    if (customCoffee !== undefined) {
+      const { options, details } = await checkCustomCoffee(customCoffee);
+      if (Object.keys(details).length > 0) {
+        return res.status(400).json({ error: 'Validation failed', details });
+      }
+      recipe.customCoffee = options;
+    }
+
+    const savedRecipe = await recipe.save();
+    res.status(201).json(savedRecipe);
+  } catch (error) {
+    sendSaveError(res, error);
+  }
+});
+
+// Rename a recipe and/or change its options
+router.put('/:id', requireAuth, async (req, res) => {
+  try {
+    const { name, customCoffee } = req.body;
+    const filter = ownRecipeFilter(req);
+    const recipe = filter && await CoffeeRecipe.findOne(filter);
+
+    if (!recipe) {
+      return res.status(404).json({ message: 'Recipe not found' });
+    }
+
+    if (name !== undefined) {
+      recipe.name = name;
+    }
+    if (customCoffee !== undefined) {
+      const { options, details } = await checkCustomCoffee(customCoffee);
+      if (Object.keys(details).length > 0) {
+        return res.status(400).json({ error: 'Validation failed', details });
+      }
+      recipe.customCoffee = options;
+    }
+
+    const updatedRecipe = await recipe.save();
+    res.json(updatedRecipe);
+  } catch (error) {
+    sendSaveError(res, error);
+  }
+});
+
+// Delete a recipe
+router.delete('/:id', requireAuth, async (req, res) => {
+  try {
+    const filter = ownRecipeFilter(req);
+    const recipe = filter && await CoffeeRecipe.findOneAndDelete(filter);
+
+    if (!recipe) {
+      return res.status(404).json({ message: 'Recipe not found' });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { listCurrencies } = require('../services/currency');
+
+// Currencies prices can be shown in, with their exchange rates from the store currency
+router.get('/', (req, res) => {
+  res.json(listCurrencies());
+});
+
+module.exports = router;
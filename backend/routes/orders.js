@@ -1,22 +1,176 @@
 const express = require('express');
 const router = express.Router();
 const Order = require('../models/Order');
+const { priceOrderItems } = require('../services/pricing');
+const { DEFAULT_SHIPPING_METHOD, quoteShipping } = require('../services/shipping');
+const { STORE_LOCATION, calculateTax } = require('../services/tax');
+const { applyPromotions, redeemPromotions, releasePromotions } = require('../services/promotions');
+const { reserveStock, releaseStock } = require('../services/inventory');
+const { getExchangeRate } = require('../services/currency');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { formatValidationError, isValidationError } = require('../utils/validation');
+const { DEFAULT_CURRENCY } = require('../utils/money');
+const {
+  PaymentError,
+  parseCard,
+  authorizePayment,
+  capturePayment,
+  refundPayment
+} = require('../services/payments');
 
-// Create new order
+const sendPaymentError = (res, error) => res.status(402).json({
+  error: 'Payment processing failed',
+  reason: error.code,
+  message: error.message
+});
+
+// Create new order (prices and totals are recomputed from the catalogue)
 router.post('/', async (req, res) => {
   try {
-    const order = new Order(req.body);
-    const savedOrder = await order.save();
+    const { items, contact, shippingAddress, payment, promoCode } = req.body;
+    const shippingMethod = req.body.shippingMethod || DEFAULT_SHIPPING_METHOD;
+    const displayCurrency = req.body.displayCurrency || DEFAULT_CURRENCY;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Cart is empty - cannot create order' });
+    }
+
+    const invalidQuantity = items.some(
+      item => !Number.isInteger(item.quantity) || item.quantity < 1
+    );
+    if (invalidQuantity) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: { items: 'Each item must have a quantity of at least 1' }
+      });
+    }
+
+    const priced = await priceOrderItems(items);
+
+    if (Object.keys(priced.errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: priced.errors });
+    }
+
+    if (priced.outOfStockItems.length > 0) {
+      return res.status(409).json({
+        error: 'One or more items are out of stock',
+        outOfStockItems: priced.outOfStockItems
+      });
+    }
+
+    const shipping = quoteShipping(priced.items, priced.totalAmount)
+      .find(quote => quote.method === shippingMethod);
+    const deliveryAddress = shipping && !shipping.requiresAddress ? undefined : shippingAddress;
+    const promotions = await applyPromotions(priced.items, promoCode);
+    const discountedItems = priced.items.map((item, index) => ({
+      ...item,
+      discount: promotions.itemDiscounts[index]
+    }));
+    // Pickup orders are taxed where they are collected
+    const tax = calculateTax(discountedItems, deliveryAddress || STORE_LOCATION);
+
+    const order = new Order({
+      customer: req.user ? req.user._id : undefined,
+      items: priced.items,
+      subtotal: priced.totalAmount,
+      shipping: shipping && { method: shipping.method, label: shipping.label, cost: shipping.cost },
+      discounts: promotions.discounts,
+      discountTotal: promotions.discountTotal,
+      tax,
+      totalAmount: priced.totalAmount - promotions.discountTotal + (shipping ? shipping.cost : 0) + tax.total,
+      contact,
+      shippingAddress: deliveryAddress,
+      displayCurrency,
+      exchangeRate: getExchangeRate(displayCurrency),
+      statusHistory: [{ status: 'pending', changedBy: 'customer' }]
+    });
+
+    // Report contact/address/card problems per field before touching stock
+    const { card, errors: cardErrors } = parseCard(payment);
+    let details = { ...cardErrors, ...promotions.errors };
+    if (!getExchangeRate(displayCurrency)) {
+      details.displayCurrency = `Prices cannot be shown in "${displayCurrency}"`;
+    }
+    if (!shipping) {
+      details.shippingMethod = `Shipping method "${shippingMethod}" is not available for this order`;
+    }
+    try {
+      await order.validate();
+    } catch (error) {
+      if (!isValidationError(error)) {
+        throw error;
+      }
+      details = { ...formatValidationError(error).details, ...details };
+    }
+    if (Object.keys(details).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    const usedUpPromotions = await redeemPromotions(order.discounts);
+    if (usedUpPromotions.length > 0) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: { promoCode: `Promotion has reached its usage limit: ${usedUpPromotions.join(', ')}` }
+      });
+    }
+
+    const outOfStockItems = await reserveStock(priced.items);
+    if (outOfStockItems.length > 0) {
+      await releasePromotions(order.discounts);
+      return res.status(409).json({
+        error: 'One or more items are out of stock',
+        outOfStockItems
+      });
+    }
+
+    try {
+      order.payment = await authorizePayment({ amount: order.totalAmount, currency: order.currency, card });
+    } catch (error) {
+      await releaseStock(priced.items);
+      await releasePromotions(order.discounts);
+      if (error instanceof PaymentError) {
+        return sendPaymentError(res, error);
+      }
+      throw error;
+    }
+
+    let savedOrder;
+    try {
+      savedOrder = await order.save();
+    } catch (error) {
+      await refundPayment(order.payment).catch(() => {});
+      await releaseStock(priced.items);
+      await releasePromotions(order.discounts);
+      throw error;
+    }
     res.status(201).json(savedOrder);
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
 });
 
+// Customers may only see their own orders; admins see all of them
+const canViewOrder = (user, order) =>
+  user.role === 'admin' || (order.customer && order.customer.equals(user._id));
+
 // Get all orders
-router.get('/', async (req, res) => {
+router.get('/', requireAdmin, async (req, res) => {
   try {
-    const orders = await Order.find().populate('items.productId');
+    const orders = await Order.find()
+      .populate('items.productId')
+      .populate('customer', 'name email');
+    res.json(orders);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get the logged in customer's orders, newest first
+router.get('/mine', requireAuth, async (req, res) => {
+  try {
+    const orders = await Order.find({ customer: req.user._id })
+      .sort({ createdAt: -1 })
+      .populate('items.productId');
     res.json(orders);
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -24,10 +178,10 @@ router.get('/', async (req, res) => {
 });
 
 // Get single order
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireAuth, async (req, res) => {
   try {
     const order = await Order.findById(req.params.id).populate('items.productId');
-    if (!order) {
+    if (!order || !canViewOrder(req.user, order)) {
       return res.status(404).json({ message: 'Order not found' });
     }
     res.json(order);
@@ -36,4 +190,87 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Get status history of an order
+router.get('/:id/history', requireAuth, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order || !canViewOrder(req.user, order)) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    res.json(order.statusHistory);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+const changeStatus = async (req, res, status) => {
+  try {
+    // The history records the logged-in admin, whatever the request says
+    const { reason } = req.body;
+
+    if (typeof status !== 'string' || !Object.hasOwn(Order.STATUS_TRANSITIONS, status)) {
+      return res.status(400).json({ message: `Invalid status: ${status}` });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (!order.canTransitionTo(status)) {
+      return res.status(409).json({
+        message: `Cannot change order status from ${order.status} to ${status}`
+      });
+    }
+
+    // Claim the transition first, so of two concurrent requests only one
+    // moves money, stock and promotion uses
+    const updatedOrder = await order.transitionTo(status, {
+      changedBy: req.user.email,
+      changedByUser: req.user._id,
+      reason
+    });
+    if (!updatedOrder) {
+      return res.status(409).json({
+        message: 'The order status was changed by another request, please reload the order'
+      });
+    }
+
+    // Money moves with fulfilment: capture on completion, refund on cancellation
+    if (updatedOrder.payment) {
+      try {
+        if (status === 'completed' && updatedOrder.payment.status === 'authorized') {
+          await capturePayment(updatedOrder.payment);
+        } else if (status === 'cancelled' && updatedOrder.payment.status !== 'refunded') {
+          await refundPayment(updatedOrder.payment);
+        }
+      } catch (error) {
+        await updatedOrder.revertTransition(order.status);
+        if (error instanceof PaymentError) {
+          return sendPaymentError(res, error);
+        }
+        throw error;
+      }
+      await updatedOrder.save();
+    }
+
+    // A cancelled order gives back its stock and the promotion uses it counted.
+    // Only the request whose transition matched gets here, so this happens once.
+    if (status === 'cancelled') {
+      await releaseStock(updatedOrder.items);
+      await releasePromotions(updatedOrder.discounts);
+    }
+
+    res.json(updatedOrder);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Update order status (pending -> completed | cancelled)
+router.patch('/:id/status', requireAdmin, (req, res) => changeStatus(req, res, req.body.status));
+
+// Cancel a pending order
+router.post('/:id/cancel', requireAdmin, (req, res) => changeStatus(req, res, 'cancelled'));
+
 module.exports = router;
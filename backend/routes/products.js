@@ -1,27 +1,77 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Product = require('../models/Product');
+const { formatValidationError, isValidationError } = require('../utils/validation');
+const { LANGUAGE_ERROR, buildProductQuery, localizeProduct, parseLanguage } = require('../services/catalog');
+const { requireAdmin } = require('../middleware/auth');
 
-// Get all products
+const EDITABLE_FIELDS = [
+  'name', 'description', 'category', 'price', 'image', 'stock', 'lowStockThreshold', 'archived', 'translations'
+];
+
+const pickEditableFields = (body) => {
+  const fields = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+  return fields;
+};
+
+const sendSaveError = (res, error) => {
+  if (isValidationError(error)) {
+    return res.status(400).json(formatValidationError(error));
+  }
+  res.status(400).json({ message: error.message });
+};
+
+// Get products (filtered, sorted and paginated)
 router.get('/', async (req, res) => {
   try {
-    const { category } = req.query;
-    const filter = category ? { category } : {};
-    const products = await Product.find(filter);
-    res.json(products);
+    // Archived products are only listed for admins
+    const query = req.user && req.user.role === 'admin'
+      ? req.query
+      : { ...req.query, includeArchived: undefined };
+    const { filter, sort, page, limit, language, errors } = buildProductQuery(query);
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    const [products, total] = await Promise.all([
+      Product.find(filter).sort(sort).skip((page - 1) * limit).limit(limit),
+      Product.countDocuments(filter)
+    ]);
+
+    res.json({
+      products: products.map(product => localizeProduct(product, language)),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-// Get single product
+// Get single product (`lang` picks the language of its name and description)
 router.get('/:id', async (req, res) => {
   try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid product ID format' });
+    }
+    const language = parseLanguage(req.query.lang);
+    if (language === null) {
+      return res.status(400).json({ error: 'Validation failed', details: { lang: LANGUAGE_ERROR } });
+    }
     const product = await Product.findById(req.params.id);
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
-    res.json(product);
+    res.json(localizeProduct(product, language));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -30,34 +80,108 @@ router.get('/:id', async (req, res) => {
 // Get all categories
 router.get('/categories/all', async (req, res) => {
   try {
-    const categories = await Product.distinct('category');
+    const categories = await Product.distinct('category', { archived: { $ne: true } });
     res.json(categories);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-// Update product (price and stock status)
-router.put('/:id', async (req, res) => {
+// Get products at or below their low-stock threshold
+router.get('/inventory/low-stock', requireAdmin, async (req, res) => {
+  try {
+    const products = await Product.find({
+      archived: { $ne: true },
+      configurator: { $exists: false },
+      $expr: { $lte: ['$stock', '$lowStockThreshold'] }
+    }).sort({ stock: 1 });
+    res.json(products);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Create product
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const product = new Product(pickEditableFields(req.body));
+    const savedProduct = await product.save();
+    res.status(201).json(savedProduct);
+  } catch (error) {
+    sendSaveError(res, error);
+  }
+});
+
+// Update product (any editable field; `archived: false` restores an archived product)
+router.put('/:id', requireAdmin, async (req, res) => {
   try {
-    const { price, inStock } = req.body;
     const product = await Product.findById(req.params.id);
-    
+
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
 
-    if (price !== undefined) {
-      product.price = price;
-    }
-    if (inStock !== undefined) {
-      product.inStock = inStock;
-    }
+    product.set(pickEditableFields(req.body));
 
     const updatedProduct = await product.save();
     res.json(updatedProduct);
   } catch (error) {
-    res.status(400).json({ message: error.message });
+    sendSaveError(res, error);
+  }
+});
+
+// Restock product (adds to the current stock count)
+router.post('/:id/restock', requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid product ID format' });
+    }
+    const { quantity } = req.body;
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: { quantity: 'Quantity must be a whole number of at least 1' }
+      });
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    // Configurator products (Custom Coffee) are made to order and keep no stock
+    if (product.configurator) {
+      return res.status(400).json({ message: 'This product is made to order and cannot be restocked' });
+    }
+
+    const restockedProduct = await Product.findByIdAndUpdate(
+      req.params.id,
+      { $inc: { stock: quantity } },
+      { new: true }
+    );
+    res.json(restockedProduct);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Archive product (soft delete, keeps it available for existing orders)
+router.delete('/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid product ID format' });
+    }
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    product.archived = true;
+    const archivedProduct = await product.save();
+    res.json(archivedProduct);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
   }
 });
 
@@ -0,0 +1,120 @@
+const express = require('express');
+const router = express.Router();
+const Promotion = require('../models/Promotion');
+const { priceOrderItems } = require('../services/pricing');
+const { applyPromotions } = require('../services/promotions');
+const { requireAdmin } = require('../middleware/auth');
+const { formatValidationError, isValidationError } = require('../utils/validation');
+
+const EDITABLE_FIELDS = [
+  'name', 'code', 'type', 'value', 'buyQuantity', 'freeQuantity', 'category', 'expiresAt', 'usageLimit', 'active'
+];
+
+// Empty strings and null clear optional fields such as the code or expiry date
+const pickEditableFields = (body) => {
+  const fields = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field] === '' || body[field] === null ? undefined : body[field];
+    }
+  }
+  return fields;
+};
+
+const isDuplicateCode = (error) => error.code === 11000 && error.keyPattern?.code;
+
+const sendSaveError = (res, error) => {
+  if (isValidationError(error)) {
+    return res.status(400).json(formatValidationError(error));
+  }
+  if (isDuplicateCode(error)) {
+    return res.status(409).json({
+      error: 'Validation failed',
+      details: { code: 'A promotion with this code already exists' }
+    });
+  }
+  res.status(400).json({ message: error.message });
+};
+
+// Preview the discounts for a cart ({ items, promoCode } as sent to POST /api/orders)
+router.post('/apply', async (req, res) => {
+  try {
+    const { items, promoCode } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Cart is empty - cannot apply promotions' });
+    }
+
+    const priced = await priceOrderItems(items);
+
+    if (Object.keys(priced.errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: priced.errors });
+    }
+
+    const { discounts, discountTotal, errors } = await applyPromotions(priced.items, promoCode);
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    res.json({ subtotal: priced.totalAmount, discounts, discountTotal });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get all promotions (newest first)
+router.get('/', requireAdmin, async (req, res) => {
+  try {
+    const promotions = await Promotion.find().sort({ createdAt: -1 });
+    res.json(promotions);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Create promotion
+router.post('/', requireAdmin, async (req, res) => {
+  try {
+    const promotion = new Promotion(pickEditableFields(req.body));
+    const savedPromotion = await promotion.save();
+    res.status(201).json(savedPromotion);
+  } catch (error) {
+    sendSaveError(res, error);
+  }
+});
+
+// Update promotion (`active: false` pauses it without losing its usage count)
+router.put('/:id', requireAdmin, async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    promotion.set(pickEditableFields(req.body));
+
+    const updatedPromotion = await promotion.save();
+    res.json(updatedPromotion);
+  } catch (error) {
+    sendSaveError(res, error);
+  }
+});
+
+// Delete promotion (orders keep their own copy of the discounts applied)
+router.delete('/:id', requireAdmin, async (req, res) => {
+  try {
+    const promotion = await Promotion.findByIdAndDelete(req.params.id);
+
+    if (!promotion) {
+      return res.status(404).json({ message: 'Promotion not found' });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
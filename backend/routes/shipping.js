@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const { priceOrderItems } = require('../services/pricing');
+const { FREE_SHIPPING_THRESHOLD, quoteShipping } = require('../services/shipping');
+
+// Quote shipping methods and costs for a cart ({ items } as sent to POST /api/orders)
+router.post('/quote', async (req, res) => {
+  try {
+    const { items } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Cart is empty - cannot quote shipping' });
+    }
+
+    const priced = await priceOrderItems(items);
+
+    if (Object.keys(priced.errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: priced.errors });
+    }
+
+    res.json({
+      subtotal: priced.totalAmount,
+      freeShippingThreshold: FREE_SHIPPING_THRESHOLD,
+      methods: quoteShipping(priced.items, priced.totalAmount)
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
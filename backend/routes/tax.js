@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const { priceOrderItems } = require('../services/pricing');
+const { applyPromotions } = require('../services/promotions');
+const { STORE_LOCATION, calculateTax, getTaxRules } = require('../services/tax');
+
+// Quote tax for a cart ({ items, shippingAddress, promoCode } as sent to POST /api/orders).
+// Without an address the tax is estimated at the store location.
+// Discounts reduce the taxable amount; an unusable promo code is ignored here.
+router.post('/quote', async (req, res) => {
+  try {
+    const { items, shippingAddress, promoCode } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'Cart is empty - cannot quote tax' });
+    }
+
+    if (shippingAddress && !getTaxRules(shippingAddress)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: { 'shippingAddress.country': 'We do not ship to this country' }
+      });
+    }
+
+    const priced = await priceOrderItems(items);
+
+    if (Object.keys(priced.errors).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: priced.errors });
+    }
+
+    const { itemDiscounts } = await applyPromotions(priced.items, promoCode);
+    const discountedItems = priced.items.map((item, index) => ({ ...item, discount: itemDiscounts[index] }));
+
+    res.json({
+      subtotal: priced.totalAmount,
+      estimated: !shippingAddress,
+      tax: calculateTax(discountedItems, shippingAddress || STORE_LOCATION)
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const Wishlist = require('../models/Wishlist');
+const { requireAuth } = require('../middleware/auth');
+const { describeItems, itemsErrors, keepSellableItems, toStoredItems } = require('../services/cartItems');
+const { parseLanguage, LANGUAGE_ERROR } = require('../services/catalog');
+const { formatValidationError, isValidationError } = require('../utils/validation');
+
+// The lines as the storefront shows them (see describeItems), with when they were added
+const describeWishlist = async (items, language) => {
+  const described = await describeItems(items, language);
+  return described.map((line, index) => line && { ...line, addedAt: items[index].addedAt });
+};
+
+const wishlistJson = (wishlist, items) => ({
+  _id: wishlist._id,
+  items: items.filter(Boolean),
+  updatedAt: wishlist.updatedAt
+});
+
+// Get the logged-in customer's wishlist. Customers without one get an empty wishlist with no `_id`.
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const language = parseLanguage(req.query.lang);
+    if (language === null) {
+      return res.status(400).json({ error: 'Validation failed', details: { lang: LANGUAGE_ERROR } });
+    }
+
+    const wishlist = await Wishlist.findOne({ customer: req.user._id });
+    if (!wishlist) {
+      return res.json({ items: [] });
+    }
+
+    res.json(wishlistJson(wishlist, await describeWishlist(wishlist.items, language)));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Replace the wishlist's items ({ items: [{ _id, productId, quantity, customCoffee, addedAt }] }),
+// taking the same lines as the cart plus an optional `addedAt`. Lines the shop can no longer sell are dropped.
+router.put('/', requireAuth, async (req, res) => {
+  try {
+    const { items } = req.body;
+    const language = parseLanguage(req.query.lang);
+    const details = itemsErrors(items);
+    if (language === null) details.lang = LANGUAGE_ERROR;
+    if (Object.keys(details).length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    const wishlist = await Wishlist.findOne({ customer: req.user._id }) || new Wishlist({ customer: req.user._id });
+
+    const storedItems = await toStoredItems(items);
+    wishlist.items = storedItems.map((item, index) => (
+      items[index].addedAt === undefined ? item : { ...item, addedAt: items[index].addedAt }
+    ));
+    await wishlist.validate();
+
+    const described = await describeWishlist(wishlist.items, language);
+    keepSellableItems(wishlist, described);
+    await wishlist.save();
+
+    res.json(wishlistJson(wishlist, described));
+  } catch (error) {
+    if (isValidationError(error)) {
+      return res.status(400).json(formatValidationError(error));
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,13 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
 const Product = require('./models/Product');
+const User = require('./models/User');
+const Promotion = require('./models/Promotion');
+const CoffeeMenu = require('./models/CoffeeMenu');
+const { DEFAULT_COFFEE_MENU, DEFAULT_COFFEE_PRODUCT } = require('./services/coffeeMenu');
+
+const ADMIN_EMAIL = process.env.ADMIN_EMAIL || 'admin@demoshop.com';
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'admin1234';
 
 // Helper function to create SVG data URI
 const createSVG = (text, bgColor) => {
@@ -8,205 +15,302 @@ const createSVG = (text, bgColor) => {
   return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
 };
 
+// Prices are in cents; names and descriptions are translated into German
 const products = [
   // Electronics - 6 items
   {
     name: 'Wireless Headphones',
     category: 'Electronics',
-    price: 79.99,
+    price: 7999,
     description: 'Premium wireless headphones with noise cancellation',
+    translations: {
+      de: { name: 'Kabellose Kopfhörer', description: 'Hochwertige kabellose Kopfhörer mit Geräuschunterdrückung' }
+    },
     image: createSVG('🎧 Headphones', '#0066ff'),
-    inStock: true
+    stock: 20
   },
   {
     name: 'Smart Watch',
     category: 'Electronics',
-    price: 249.99,
+    price: 24999,
     description: 'Feature-rich smartwatch with fitness tracking',
+    translations: {
+      de: { name: 'Smartwatch', description: 'Vielseitige Smartwatch mit Fitness-Tracking' }
+    },
     image: createSVG('⌚ Smart Watch', '#0066ff'),
-    inStock: true
+    stock: 20
   },
   {
     name: 'Bluetooth Speaker',
     category: 'Electronics',
-    price: 49.99,
+    price: 4999,
     description: 'Portable Bluetooth speaker with amazing sound',
+    translations: {
+      de: { name: 'Bluetooth-Lautsprecher', description: 'Tragbarer Bluetooth-Lautsprecher mit großartigem Klang' }
+    },
     image: createSVG('🔊 Speaker', '#0066ff'),
-    inStock: true
+    stock: 20
   },
   {
     name: 'USB-C Hub',
     category: 'Electronics',
-    price: 39.99,
+    price: 3999,
     description: 'Multi-port USB-C hub for all your devices',
+    translations: {
+      de: { name: 'USB-C-Hub', description: 'USB-C-Hub mit vielen Anschlüssen für all Ihre Geräte' }
+    },
     image: createSVG('🔌 USB Hub', '#0066ff'),
-    inStock: true
+    stock: 20
   },
   {
     name: 'Wireless Mouse',
     category: 'Electronics',
-    price: 29.99,
+    price: 2999,
     description: 'Ergonomic wireless mouse with precision tracking',
+    translations: {
+      de: { name: 'Kabellose Maus', description: 'Ergonomische kabellose Maus mit präziser Abtastung' }
+    },
     image: createSVG('🖱️ Mouse', '#0066ff'),
-    inStock: true
+    stock: 20
   },
   {
     name: 'Phone Case',
     category: 'Electronics',
-    price: 19.99,
+    price: 1999,
     description: 'Protective phone case with sleek design',
+    translations: {
+      de: { name: 'Handyhülle', description: 'Schützende Handyhülle in schlankem Design' }
+    },
     image: createSVG('📱 Phone Case', '#0066ff'),
-    inStock: true
+    stock: 20
   },
 
   // Clothing - 6 items
   {
     name: 'Cotton T-Shirt',
     category: 'Clothing',
-    price: 24.99,
+    price: 2499,
     description: 'Comfortable 100% cotton t-shirt',
+    translations: {
+      de: { name: 'Baumwoll-T-Shirt', description: 'Bequemes T-Shirt aus 100 % Baumwolle' }
+    },
     image: createSVG('👕 T-Shirt', '#ff4444'),
-    inStock: true
+    stock: 20
   },
   {
     name: 'Denim Jeans',
     category: 'Clothing',
-    price: 59.99,
+    price: 5999,
     description: 'Classic fit denim jeans',
+    translations: {
+      de: { name: 'Jeans', description: 'Jeans in klassischer Passform' }
+    },
     image: createSVG('👖 Jeans', '#ff4444'),
-    inStock: true
+    stock: 20
   },
   {
     name: 'Hoodie',
     category: 'Clothing',
-    price: 44.99,
+    price: 4499,
     description: 'Warm and cozy pullover hoodie',
+    translations: {
+      de: { name: 'Kapuzenpullover', description: 'Warmer, kuscheliger Kapuzenpullover' }
+    },
     image: createSVG('🧥 Hoodie', '#ff4444'),
-    inStock: true
+    stock: 20
   },
   {
     name: 'Running Shoes',
     category: 'Clothing',
-    price: 89.99,
+    price: 8999,
     description: 'Lightweight running shoes with great support',
+    translations: {
+      de: { name: 'Laufschuhe', description: 'Leichte Laufschuhe mit gutem Halt' }
+    },
     image: createSVG('👟 Shoes', '#ff4444'),
-    inStock: true
+    stock: 20
   },
   {
     name: 'Baseball Cap',
     category: 'Clothing',
-    price: 19.99,
+    price: 1999,
     description: 'Adjustable baseball cap with embroidered logo',
+    translations: {
+      de: { name: 'Baseballkappe', description: 'Verstellbare Baseballkappe mit gesticktem Logo' }
+    },
     image: createSVG('🧢 Cap', '#ff4444'),
-    inStock: true
+    stock: 20
   },
   {
     name: 'Winter Jacket',
     category: 'Clothing',
-    price: 129.99,
+    price: 12999,
     description: 'Insulated winter jacket for cold weather',
+    translations: {
+      de: { name: 'Winterjacke', description: 'Gefütterte Winterjacke für kaltes Wetter' }
+    },
     image: createSVG('🧥 Jacket', '#ff4444'),
-    inStock: true
+    stock: 20
   },
 
   // Books - 6 items
   {
     name: 'JavaScript Guide',
     category: 'Books',
-    price: 34.99,
+    price: 3499,
     description: 'Complete guide to modern JavaScript',
+    translations: {
+      de: { name: 'JavaScript-Handbuch', description: 'Umfassendes Handbuch zu modernem JavaScript' }
+    },
     image: createSVG('📘 JS Book', '#44aa44'),
-    inStock: true
+    stock: 20
   },
   {
     name: 'React Mastery',
     category: 'Books',
-    price: 39.99,
+    price: 3999,
     description: 'Master React with this comprehensive book',
+    translations: {
+      de: { name: 'React meistern', description: 'Meistern Sie React mit diesem umfassenden Buch' }
+    },
     image: createSVG('📗 React Book', '#44aa44'),
-    inStock: true
+    stock: 20
   },
   {
     name: 'Node.js Cookbook',
     category: 'Books',
-    price: 29.99,
+    price: 2999,
     description: 'Practical recipes for Node.js development',
+    translations: {
+      de: { name: 'Node.js-Kochbuch', description: 'Praktische Rezepte für die Node.js-Entwicklung' }
+    },
     image: createSVG('📕 Node Book', '#44aa44'),
-    inStock: true
+    stock: 20
   },
   {
     name: 'Clean Code',
     category: 'Books',
-    price: 44.99,
+    price: 4499,
     description: 'A handbook of agile software craftsmanship',
+    translations: {
+      de: { name: 'Clean Code', description: 'Ein Handbuch agiler Softwarehandwerkskunst' }
+    },
     image: createSVG('📙 Clean Code', '#44aa44'),
-    inStock: true
+    stock: 20
   },
   {
     name: 'Design Patterns',
     category: 'Books',
-    price: 49.99,
+    price: 4999,
     description: 'Elements of reusable object-oriented software',
+    translations: {
+      de: { name: 'Entwurfsmuster', description: 'Elemente wiederverwendbarer objektorientierter Software' }
+    },
     image: createSVG('📚 Patterns', '#44aa44'),
-    inStock: true
+    stock: 20
   },
   {
     name: 'Database Systems',
     category: 'Books',
-    price: 54.99,
+    price: 5499,
     description: 'Introduction to database management systems',
+    translations: {
+      de: { name: 'Datenbanksysteme', description: 'Einführung in Datenbankmanagementsysteme' }
+    },
     image: createSVG('📖 Database', '#44aa44'),
-    inStock: true
+    stock: 20
   },
 
   // Coffee - 6 items
   {
     name: 'Espresso Blend',
     category: 'Coffee',
-    price: 14.99,
+    price: 1499,
     description: 'Rich and bold espresso coffee beans',
+    translations: {
+      de: { name: 'Espresso-Mischung', description: 'Kräftige, vollmundige Espressobohnen' }
+    },
     image: createSVG('☕ Espresso', '#8B4513'),
-    inStock: true
+    stock: 20
   },
   {
     name: 'Colombian Coffee',
     category: 'Coffee',
-    price: 12.99,
+    price: 1299,
     description: 'Smooth Colombian arabica coffee',
+    translations: {
+      de: { name: 'Kolumbianischer Kaffee', description: 'Milder kolumbianischer Arabica-Kaffee' }
+    },
     image: createSVG('☕ Colombian', '#8B4513'),
-    inStock: true
+    stock: 20
   },
   {
     name: 'French Roast',
     category: 'Coffee',
-    price: 13.99,
+    price: 1399,
     description: 'Dark roasted French coffee beans',
+    translations: {
+      de: { name: 'French Roast', description: 'Dunkel geröstete Kaffeebohnen nach französischer Art' }
+    },
     image: createSVG('☕ French', '#8B4513'),
-    inStock: true
+    stock: 20
   },
   {
     name: 'Decaf Blend',
     category: 'Coffee',
-    price: 11.99,
+    price: 1199,
     description: 'Decaffeinated coffee without compromise',
+    translations: {
+      de: { name: 'Entkoffeinierte Mischung', description: 'Entkoffeinierter Kaffee ohne Kompromisse' }
+    },
     image: createSVG('☕ Decaf', '#8B4513'),
-    inStock: true
+    stock: 20
   },
   {
     name: 'Vanilla Latte',
     category: 'Coffee',
-    price: 4.99,
+    price: 499,
     description: 'Creamy vanilla flavored latte',
+    translations: {
+      de: { name: 'Vanille-Latte', description: 'Cremiger Latte mit Vanillegeschmack' }
+    },
     image: createSVG('☕ Latte', '#8B4513'),
-    inStock: true
+    stock: 20
   },
   {
     name: 'Cappuccino',
     category: 'Coffee',
-    price: 4.49,
+    price: 449,
     description: 'Classic cappuccino with foam',
+    translations: {
+      de: { name: 'Cappuccino', description: 'Klassischer Cappuccino mit Milchschaum' }
+    },
     image: createSVG('☕ Cappuccino', '#8B4513'),
-    inStock: true
+    stock: 20
+  }
+];
+
+const promotions = [
+  {
+    name: 'Buy 2 coffees, get 1 free',
+    type: 'buyXGetY',
+    buyQuantity: 2,
+    freeQuantity: 1,
+    category: 'Coffee'
+  },
+  {
+    name: '10% off Books',
+    code: 'BOOKWORM',
+    type: 'percentage',
+    value: 10,
+    category: 'Books'
+  },
+  {
+    name: 'Welcome discount',
+    code: 'WELCOME5',
+    type: 'fixed',
+    value: 500,
+    usageLimit: 100
   }
 ];
 
@@ -225,6 +329,25 @@ async function seedDatabase() {
     console.log('Successfully seeded database with 24 products');
     console.log('4 categories: Electronics, Clothing, Books, Coffee');
     console.log('6 items per category');
+    await Product.create(DEFAULT_COFFEE_PRODUCT);
+    console.log(`Coffee Builder product: ${DEFAULT_COFFEE_PRODUCT.name}`);
+
+    // Replace the promotions
+    await Promotion.deleteMany({});
+    await Promotion.insertMany(promotions);
+    console.log(`Seeded ${promotions.length} promotions: ${promotions.map(p => p.code || p.name).join(', ')}`);
+
+    // Reset the Coffee Builder menu
+    await CoffeeMenu.deleteMany({});
+    await CoffeeMenu.create(DEFAULT_COFFEE_MENU);
+    console.log(`Coffee menu: ${DEFAULT_COFFEE_MENU.baseDrinks.length} base drinks, ${DEFAULT_COFFEE_MENU.options.length} options`);
+
+    // Create (or reset) the admin account
+    await User.deleteOne({ email: ADMIN_EMAIL });
+    const admin = new User({ name: 'Shop Admin', email: ADMIN_EMAIL, role: 'admin' });
+    admin.setPassword(ADMIN_PASSWORD);
+    await admin.save();
+    console.log(`Admin account: ${ADMIN_EMAIL}`);
 
     // Close connection
     await mongoose.connection.close();
@@ -2,9 +2,20 @@ require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 
 const productRoutes = require('./routes/products');
 const orderRoutes = require('./routes/orders');
+const authRoutes = require('./routes/auth');
+const shippingRoutes = require('./routes/shipping');
+const taxRoutes = require('./routes/tax');
+const promotionRoutes = require('./routes/promotions');
+const currencyRoutes = require('./routes/currencies');
+const coffeeMenuRoutes = require('./routes/coffeeMenu');
+const coffeeRecipeRoutes = require('./routes/coffeeRecipes');
+const cartRoutes = require('./routes/cart');
+const wishlistRoutes = require('./routes/wishlist');
+const { authenticate } = require('./middleware/auth');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -12,6 +23,8 @@ const PORT = process.env.PORT || 5000;
 // Middleware
 app.use(cors());
 app.use(express.json());
+app.use(cookieParser());
+app.use(authenticate);
 
 // Database connection
 mongoose.connect(process.env.MONGODB_URI)
@@ -21,6 +34,15 @@ mongoose.connect(process.env.MONGODB_URI)
 // Routes
 app.use('/api/products', productRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/tax', taxRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/currencies', currencyRoutes);
+app.use('/api/coffee-menu', coffeeMenuRoutes);
+app.use('/api/coffee-recipes', coffeeRecipeRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/wishlist', wishlistRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
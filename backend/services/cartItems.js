@@ -0,0 +1,88 @@
+const Product = require('../models/Product');
+const { findCoffeeProduct, getCoffeeMenu, resolveCustomCoffee, calculateCoffeePrice } = require('./coffeeMenu');
+const { localizeProduct } = require('./catalog');
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Problems with the shape of the `items` sent for a cart or wishlist, as
+// validation `details`. What each line holds is checked by the model.
+const itemsErrors = (items) => {
+  if (!Array.isArray(items)) return { items: 'Items must be a list' };
+  const errors = {};
+  items.forEach((item, index) => {
+    if (!isObject(item)) errors[`items.${index}`] = 'Item must be an object';
+  });
+  return errors;
+};
+
+// Lines of a cart or wishlist as the storefront saves them
+// ({ _id, productId, customCoffee, quantity }), ready to store. `_id` is the
+// storefront's line id and may be left out, as may the Custom Coffee
+// `productId` of custom coffees.
+const toStoredItems = async (items) => {
+  const coffeeProduct = items.some(item => item && item.customCoffee && item.productId === undefined)
+    ? await findCoffeeProduct()
+    : null;
+  return items.map(({ _id, productId, customCoffee, quantity }) => {
+    const item = {
+      productId: customCoffee && productId === undefined ? coffeeProduct?._id : productId,
+      customCoffee,
+      quantity
+    };
+    return _id === undefined ? item : { _id, ...item };
+  });
+};
+
+/**
+ * The lines as the storefront shows them: every line carries the current
+ * product (in `language`); custom coffee lines also their name, options and
+ * price from the coffee menu. Lines the shop can no longer sell (deleted or
+ * archived products, options taken off the menu) are null.
+ */
+const describeItems = async (items, language) => {
+  const products = await Product.find({ _id: { $in: items.map(item => item.productId).filter(Boolean) } });
+  const productsById = new Map(products.map(p => [p._id.toString(), p]));
+  const coffeeMenu = items.some(item => item.customCoffee) ? await getCoffeeMenu() : null;
+
+  return items.map(item => {
+    const product = productsById.get(item.productId.toString());
+    if (!product || product.archived) return null;
+
+    if (item.customCoffee) {
+      if (product.configurator !== 'coffee') return null;
+      const coffee = resolveCustomCoffee(coffeeMenu, item.customCoffee);
+      if (Object.keys(coffee.errors).length > 0) return null;
+      return {
+        _id: item._id,
+        product: localizeProduct(product, language),
+        name: coffee.base.name,
+        price: calculateCoffeePrice(coffeeMenu, coffee.options),
+        quantity: item.quantity,
+        customCoffee: coffee.options
+      };
+    }
+
+    if (product.configurator) return null;
+    return { _id: item._id, product: localizeProduct(product, language), quantity: item.quantity };
+  });
+};
+
+// Drops the lines of `doc` (a cart or wishlist) that describeItems found the
+// shop can no longer sell, and stores the complete options of custom coffees
+const keepSellableItems = (doc, described) => {
+  const sellableItems = [];
+  doc.items.forEach((item, index) => {
+    const line = described[index];
+    if (!line) return;
+    if (line.customCoffee) item.customCoffee = line.customCoffee;
+    sellableItems.push(item);
+  });
+  doc.items = sellableItems;
+};
+
+module.exports = {
+  describeItems,
+  itemsErrors,
+  keepSellableItems,
+  toStoredItems
+};
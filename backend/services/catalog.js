@@ -0,0 +1,127 @@
+const { toMinorUnits } = require('../utils/money');
+const { DEFAULT_LANGUAGE, LANGUAGES } = require('../utils/i18n');
+
+const DEFAULT_LIMIT = 24;
+const MAX_LIMIT = 100;
+
+// Allowed `sort` values; prefix with `-` for descending order
+const SORT_FIELDS = ['price', 'name', 'createdAt'];
+
+const parsePositiveInteger = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+// Price filters are given in dollars and compared against prices in cents
+const parsePrice = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? toMinorUnits(number) : null;
+};
+
+// The `lang` query parameter; null when it isn't a supported language
+const parseLanguage = (value) => {
+  if (value === undefined || value === '') return DEFAULT_LANGUAGE;
+  return LANGUAGES.includes(value) ? value : null;
+};
+
+const LANGUAGE_ERROR = `lang must be one of: ${LANGUAGES.join(', ')}`;
+
+/**
+ * A product as JSON with its name and description in `language`, falling back
+ * to the default language for anything that hasn't been translated.
+ */
+const localizeProduct = (product, language = DEFAULT_LANGUAGE) => {
+  const json = product.toJSON();
+  const translation = product.translations && product.translations.get(language);
+  if (translation) {
+    json.name = translation.name || json.name;
+    json.description = translation.description || json.description;
+  }
+  return json;
+};
+
+// Repeated parameters (`?sort=a&sort=b`) and bracketed ones (`?q[]=a`,
+// `?category[$ne]=x`) are parsed into arrays and objects. Only plain strings
+// are used; anything else is reported in `errors` and left out.
+const singleValues = (query, errors) => {
+  const values = {};
+  Object.entries(query).forEach(([name, value]) => {
+    if (value === undefined) return;
+    if (typeof value === 'string') {
+      values[name] = value;
+    } else {
+      errors[name] = `${name} must be given once, as plain text`;
+    }
+  });
+  return values;
+};
+
+/**
+ * Translates the GET /api/products query string into a Mongo filter, sort and
+ * page window. Invalid parameters are reported in `errors`, keyed by name.
+ */
+const buildProductQuery = (rawQuery) => {
+  const errors = {};
+  const query = singleValues(rawQuery, errors);
+  const { category, q, sort, inStock, includeArchived } = query;
+
+  const language = parseLanguage(query.lang);
+  if (language === null) errors.lang = LANGUAGE_ERROR;
+  const filter = includeArchived === 'true' ? {} : { archived: { $ne: true } };
+
+  if (category) {
+    filter.category = category;
+  }
+
+  if (q && q.trim()) {
+    filter.$text = { $search: q.trim() };
+  }
+
+  const minPrice = parsePrice(query.minPrice);
+  const maxPrice = parsePrice(query.maxPrice);
+  if (minPrice === null) errors.minPrice = 'minPrice must be a positive number';
+  if (maxPrice === null) errors.maxPrice = 'maxPrice must be a positive number';
+  if (minPrice != null || maxPrice != null) {
+    filter.price = {};
+    if (minPrice != null) filter.price.$gte = minPrice;
+    if (maxPrice != null) filter.price.$lte = maxPrice;
+  }
+
+  // Made-to-order products (see Product.configurator) are always in stock
+  if (inStock === 'true') {
+    filter.$or = [{ stock: { $gt: 0 } }, { configurator: { $exists: true } }];
+  } else if (inStock === 'false') {
+    filter.stock = { $lte: 0 };
+    filter.configurator = { $exists: false };
+  } else if (inStock !== undefined) {
+    errors.inStock = 'inStock must be true or false';
+  }
+
+  let sortBy = { _id: 1 };
+  if (sort) {
+    const field = sort.replace(/^-/, '');
+    if (SORT_FIELDS.includes(field)) {
+      sortBy = { [field]: sort.startsWith('-') ? -1 : 1, _id: 1 };
+    } else {
+      errors.sort = `sort must be one of: ${SORT_FIELDS.join(', ')} (prefix with - for descending)`;
+    }
+  }
+
+  const page = parsePositiveInteger(query.page, 1);
+  const limit = parsePositiveInteger(query.limit, DEFAULT_LIMIT);
+  if (page === null) errors.page = 'page must be a whole number of at least 1';
+  if (limit === null || limit > MAX_LIMIT) errors.limit = `limit must be between 1 and ${MAX_LIMIT}`;
+
+  return { filter, sort: sortBy, page, limit, language, errors };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  LANGUAGE_ERROR,
+  buildProductQuery,
+  localizeProduct,
+  parseLanguage
+};
@@ -0,0 +1,125 @@
+const CoffeeMenu = require('../models/CoffeeMenu');
+const Product = require('../models/Product');
+
+// The menu the shop starts with (prices in cents). Seeded by seed.js and
+// created by migrate.js for databases that predate the stored menu.
+const DEFAULT_COFFEE_MENU = {
+  baseDrinks: [
+    { id: 'hot', name: 'Custom Coffee', price: 350 },
+    { id: 'iced', name: 'Custom Iced Coffee', price: 400 }
+  ],
+  options: [
+    { id: 'sugar', label: 'Sugar', type: 'quantity', min: 0, max: 5, default: 0, unitPrice: 25 },
+    {
+      id: 'milk',
+      label: 'Milk',
+      type: 'choice',
+      default: 'none',
+      choices: [
+        { id: 'none', label: 'No Milk', price: 0 },
+        { id: 'regular', label: 'Regular Milk', price: 50 },
+        { id: 'oat', label: 'Oat Milk', price: 75 }
+      ]
+    },
+    { id: 'coffee', label: 'Coffee Shots', type: 'quantity', min: 1, max: 4, default: 1, unitPrice: 75 },
+    { id: 'chocolate', label: 'Chocolate', type: 'quantity', min: 0, max: 5, default: 0, unitPrice: 50 }
+  ]
+};
+
+// The catalogue product custom coffees are sold as. Its price is what the Shop
+// shows; the price of each coffee comes from the menu. Seeded by seed.js and
+// created by migrate.js.
+const DEFAULT_COFFEE_PRODUCT = {
+  name: 'Custom Coffee',
+  category: 'Coffee',
+  price: 350,
+  description: 'Build your own coffee: pick the drink, milk, sugar, shots and more',
+  translations: {
+    de: {
+      name: 'Individueller Kaffee',
+      description: 'Stellen Sie Ihren eigenen Kaffee zusammen: Getränk, Milch, Zucker, Shots und mehr'
+    }
+  },
+  image: 'data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHdpZHRoPSIzMDAiIGhlaWdodD0iMjAwIj48cmVjdCB3aWR0aD0iMzAwIiBoZWlnaHQ9IjIwMCIgZmlsbD0iIzhCNDUxMyIvPjx0ZXh0IHg9IjUwJSIgeT0iNTAlIiBmb250LWZhbWlseT0iQXJpYWwiIGZvbnQtc2l6ZT0iMzAiIGZpbGw9IndoaXRlIiB0ZXh0LWFuY2hvcj0ibWlkZGxlIiBkb21pbmFudC1iYXNlbGluZT0ibWlkZGxlIj7imJUgQ3VzdG9tPC90ZXh0Pjwvc3ZnPg==',
+  configurator: 'coffee'
+};
+
+// The Custom Coffee product, or null when the catalogue has none (run migrate.js)
+const findCoffeeProduct = () => Product.findOne({ configurator: 'coffee' });
+
+// The stored menu, or the default one (unsaved) when none has been stored yet
+const getCoffeeMenu = async () => {
+  const menu = await CoffeeMenu.findOne();
+  return menu || new CoffeeMenu(DEFAULT_COFFEE_MENU);
+};
+
+/**
+ * Checks a custom coffee's options (`{ base, sugar, milk, ... }` as sent by the
+ * Coffee Builder) against the menu. Missing options take their default and a
+ * missing base takes the first base drink. Returns the complete options, the
+ * base drink and any errors keyed by option id.
+ */
+const resolveCustomCoffee = (menu, customCoffee) => {
+  if (typeof customCoffee !== 'object' || customCoffee === null || Array.isArray(customCoffee)) {
+    return { errors: { base: 'Coffee options must be an object' } };
+  }
+
+  const errors = {};
+  const baseId = customCoffee.base === undefined ? menu.baseDrinks[0].id : customCoffee.base;
+  const base = menu.baseDrinks.find(drink => drink.id === baseId);
+  if (!base) {
+    errors.base = 'Base drink must be one of: ' + menu.baseDrinks.map(drink => drink.id).join(', ');
+  }
+
+  const options = { base: baseId };
+  for (const option of menu.options) {
+    const value = customCoffee[option.id] === undefined ? option.default : customCoffee[option.id];
+    options[option.id] = value;
+
+    if (option.type === 'quantity') {
+      if (!Number.isInteger(value) || value < option.min || value > option.max) {
+        errors[option.id] = `${option.label} must be a whole number from ${option.min} to ${option.max}`;
+      }
+    } else if (!option.choices.some(choice => choice.id === value)) {
+      errors[option.id] = `${option.label} must be one of: ` + option.choices.map(choice => choice.id).join(', ');
+    }
+  }
+
+  for (const key of Object.keys(customCoffee)) {
+    if (!(key in options)) {
+      errors[key] = 'Not an option on the coffee menu';
+    }
+  }
+
+  return { base, options, errors };
+};
+
+/**
+ * Price in cents of a custom coffee whose options have been resolved: the base
+ * drink, plus `unitPrice` for each unit of a quantity above its minimum, plus
+ * the price of each choice.
+ * Mirrors calculateCoffeePrice in frontend/src/utils/coffeeMenu.js - keep the two in sync.
+ */
+const calculateCoffeePrice = (menu, options) => {
+  const base = menu.baseDrinks.find(drink => drink.id === options.base) || menu.baseDrinks[0];
+  let price = base.price;
+  for (const option of menu.options) {
+    const value = options[option.id];
+    if (option.type === 'quantity') {
+      price += (value - option.min) * option.unitPrice;
+    } else {
+      const choice = option.choices.find(c => c.id === value);
+      price += choice ? choice.price : 0;
+    }
+  }
+  return price;
+};
+
+module.exports = {
+  DEFAULT_COFFEE_MENU,
+  DEFAULT_COFFEE_PRODUCT,
+  findCoffeeProduct,
+  getCoffeeMenu,
+  resolveCustomCoffee,
+  calculateCoffeePrice
+};
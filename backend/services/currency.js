@@ -0,0 +1,31 @@
+const { DEFAULT_CURRENCY } = require('../utils/money');
+
+/**
+ * Exchange rates from the store currency (units of each currency per
+ * 1 USD), used to show prices in the customer's currency. Orders are still
+ * charged in the store currency. Demo rates only - update them here.
+ */
+const EXCHANGE_RATES = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  PLN: 3.98
+};
+
+// When EXCHANGE_RATES were last updated, returned with the rates
+const RATES_UPDATED_AT = '2026-10-01';
+
+// Returns the rate for a currency, or undefined when we don't show prices in it
+const getExchangeRate = (currency) => EXCHANGE_RATES[currency];
+
+const listCurrencies = () => ({
+  base: DEFAULT_CURRENCY,
+  updatedAt: RATES_UPDATED_AT,
+  currencies: Object.entries(EXCHANGE_RATES).map(([code, rate]) => ({ code, rate }))
+});
+
+module.exports = {
+  EXCHANGE_RATES,
+  getExchangeRate,
+  listCurrencies
+};
@@ -0,0 +1,55 @@
+const Product = require('../models/Product');
+
+// Sums quantities per catalogue product (custom coffees are made to order, without stock)
+const quantitiesByProduct = (items) => {
+  const quantities = new Map();
+  for (const item of items) {
+    if (!item.productId || item.customCoffee) continue;
+    const id = item.productId.toString();
+    quantities.set(id, (quantities.get(id) || 0) + item.quantity);
+  }
+  return quantities;
+};
+
+/**
+ * Atomically decrements stock for every product in the order. Each product is
+ * only decremented if enough stock is left; if any product falls short the
+ * decrements already made are rolled back. Returns the ids that could not be
+ * reserved (empty when the reservation succeeded).
+ */
+const reserveStock = async (items) => {
+  const reserved = [];
+  const outOfStockItems = [];
+
+  for (const [id, quantity] of quantitiesByProduct(items)) {
+    const product = await Product.findOneAndUpdate(
+      { _id: id, archived: { $ne: true }, stock: { $gte: quantity } },
+      { $inc: { stock: -quantity } }
+    );
+    if (product) {
+      reserved.push([id, quantity]);
+    } else {
+      outOfStockItems.push(id);
+    }
+  }
+
+  if (outOfStockItems.length > 0) {
+    await Promise.all(reserved.map(([id, quantity]) =>
+      Product.updateOne({ _id: id }, { $inc: { stock: quantity } })
+    ));
+  }
+
+  return outOfStockItems;
+};
+
+// Puts the stock of an order's items back (e.g. when it is cancelled)
+const releaseStock = async (items) => {
+  await Promise.all([...quantitiesByProduct(items)].map(([id, quantity]) =>
+    Product.updateOne({ _id: id }, { $inc: { stock: quantity } })
+  ));
+};
+
+module.exports = {
+  reserveStock,
+  releaseStock
+};
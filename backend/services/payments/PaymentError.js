@@ -0,0 +1,10 @@
+// Raised by payment providers; `code` is one of `declined`, `timeout` or `error`
+class PaymentError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'PaymentError';
+    this.code = code;
+  }
+}
+
+module.exports = PaymentError;
@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const PaymentError = require('./PaymentError');
+
+/**
+ * Deterministic in-process gateway for development and tests. The outcome of
+ * an authorization depends only on the card number, so failures can be
+ * triggered end to end without any network access. It keeps no state, so
+ * captures and refunds keep working across server restarts.
+ */
+const MAGIC_CARDS = {
+  '4000000000000002': 'declined',
+  '4000000000000119': 'timeout'
+};
+
+const REFERENCE_PREFIX = 'fake_';
+
+const authorize = async ({ card }) => {
+  const outcome = MAGIC_CARDS[card.number];
+
+  if (outcome === 'declined') {
+    throw new PaymentError('declined', 'Your card was declined');
+  }
+  if (outcome === 'timeout') {
+    // Never settles; the payment service gives up after its timeout
+    return new Promise(() => {});
+  }
+
+  return { reference: REFERENCE_PREFIX + crypto.randomBytes(8).toString('hex') };
+};
+
+const checkReference = (reference) => {
+  if (!String(reference).startsWith(REFERENCE_PREFIX)) {
+    throw new PaymentError('error', `Unknown payment: ${reference}`);
+  }
+};
+
+const capture = async (reference) => {
+  checkReference(reference);
+  return { reference };
+};
+
+const refund = async (reference) => {
+  checkReference(reference);
+  return { reference };
+};
+
+module.exports = {
+  name: 'fake',
+  MAGIC_CARDS,
+  authorize,
+  capture,
+  refund
+};
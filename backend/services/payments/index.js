@@ -0,0 +1,117 @@
+const PaymentError = require('./PaymentError');
+const fakeProvider = require('./fakeProvider');
+const { DEFAULT_CURRENCY } = require('../../utils/money');
+
+/**
+ * Payment providers implement:
+ *   authorize({ amount, currency, card }) -> { reference }
+ *   capture(reference, amount)            -> { reference }
+ *   refund(reference, amount)             -> { reference }
+ * with amounts in minor units (cents) of the currency, and throw a PaymentError
+ * when the gateway rejects the request.
+ * Register new gateways here and select one with PAYMENT_PROVIDER.
+ */
+const PROVIDERS = {
+  fake: fakeProvider
+};
+
+const PAYMENT_TIMEOUT_MS = Number(process.env.PAYMENT_TIMEOUT_MS) || 5000;
+
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'fake') => {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+};
+
+const withTimeout = (promise) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new PaymentError('timeout', 'The payment provider did not respond in time')),
+      PAYMENT_TIMEOUT_MS
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Luhn checksum, so typos are caught before reaching the gateway
+const isValidCardNumber = (number) => {
+  let sum = 0;
+  for (let i = 0; i < number.length; i++) {
+    let digit = Number(number[number.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+/**
+ * Normalises card details from a checkout request. Problems are reported in
+ * `errors`, keyed like Mongoose validation paths (e.g. `payment.cardNumber`).
+ */
+const parseCard = (payment = {}, now = new Date()) => {
+  const errors = {};
+  const number = String(payment.cardNumber || '').replace(/[\s-]/g, '');
+  const expiry = String(payment.expiry || '').trim();
+  const cvc = String(payment.cvc || '').trim();
+
+  if (!number) {
+    errors['payment.cardNumber'] = 'Card number is required';
+  } else if (!/^\d{12,19}$/.test(number) || !isValidCardNumber(number)) {
+    errors['payment.cardNumber'] = 'Card number is invalid';
+  }
+
+  const [, month, year] = expiry.match(/^(\d{2})\s*\/\s*(\d{2})$/) || [];
+  if (!month || Number(month) < 1 || Number(month) > 12) {
+    errors['payment.expiry'] = 'Expiry date must be in MM/YY format';
+  } else if (new Date(2000 + Number(year), Number(month)) <= now) {
+    errors['payment.expiry'] = 'Card has expired';
+  }
+
+  if (!/^\d{3,4}$/.test(cvc)) {
+    errors['payment.cvc'] = 'CVC must be 3 or 4 digits';
+  }
+
+  return { card: { number, expiry, cvc }, errors };
+};
+
+const authorizePayment = async ({ amount, currency = DEFAULT_CURRENCY, card }) => {
+  const provider = getPaymentProvider();
+  const { reference } = await withTimeout(provider.authorize({ amount, currency, card }));
+  return {
+    provider: provider.name,
+    reference,
+    status: 'authorized',
+    amount,
+    cardLast4: card.number.slice(-4),
+    authorizedAt: new Date()
+  };
+};
+
+const capturePayment = async (payment) => {
+  const provider = getPaymentProvider(payment.provider);
+  await withTimeout(provider.capture(payment.reference, payment.amount));
+  payment.status = 'captured';
+  payment.capturedAt = new Date();
+};
+
+const refundPayment = async (payment) => {
+  const provider = getPaymentProvider(payment.provider);
+  await withTimeout(provider.refund(payment.reference, payment.amount));
+  payment.status = 'refunded';
+  payment.refundedAt = new Date();
+};
+
+module.exports = {
+  PaymentError,
+  getPaymentProvider,
+  parseCard,
+  authorizePayment,
+  capturePayment,
+  refundPayment
+};
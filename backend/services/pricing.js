@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { sum } = require('../utils/money');
+const { findCoffeeProduct, getCoffeeMenu, resolveCustomCoffee, calculateCoffeePrice } = require('./coffeeMenu');
+
+/**
+ * Rebuilds order line items from the catalogue and the coffee menu, ignoring
+ * any client-supplied prices. Custom coffees are lines of the Custom Coffee
+ * product with `customCoffee` options; their `productId` may be left out.
+ * Returns the priced items, the recomputed total in cents, the ids of
+ * products that are out of stock or unknown, and `errors` (keyed by field, as
+ * in a validation error) for unknown products and custom coffee options the
+ * menu doesn't offer.
+ */
+const priceOrderItems = async (items) => {
+  const productIds = items
+    .map(item => item.productId)
+    .filter(id => mongoose.isValidObjectId(id));
+  const products = await Product.find({ _id: { $in: productIds } });
+  const productsById = new Map(products.map(p => [p._id.toString(), p]));
+  const hasCoffee = items.some(item => item.customCoffee);
+  const [coffeeMenu, coffeeProduct] = hasCoffee
+    ? await Promise.all([getCoffeeMenu(), findCoffeeProduct()])
+    : [null, null];
+
+  const pricedItems = [];
+  const outOfStockItems = [];
+  const unknownItems = [];
+  const errors = {};
+
+  items.forEach((item, index) => {
+    const { quantity } = item;
+
+    if (item.customCoffee) {
+      if (!coffeeProduct) {
+        errors[`items.${index}.productId`] = 'Custom coffee is not in the catalogue';
+        return;
+      }
+      if (item.productId !== undefined && String(item.productId) !== coffeeProduct._id.toString()) {
+        errors[`items.${index}.productId`] = `Coffee options can only be chosen for ${coffeeProduct.name}`;
+        return;
+      }
+      if (coffeeProduct.archived) {
+        outOfStockItems.push(coffeeProduct._id.toString());
+        return;
+      }
+
+      const coffee = resolveCustomCoffee(coffeeMenu, item.customCoffee);
+      if (Object.keys(coffee.errors).length > 0) {
+        for (const [key, message] of Object.entries(coffee.errors)) {
+          errors[`items.${index}.customCoffee.${key}`] = message;
+        }
+        return;
+      }
+      pricedItems.push({
+        productId: coffeeProduct._id,
+        name: coffee.base.name,
+        category: coffeeProduct.category,
+        price: calculateCoffeePrice(coffeeMenu, coffee.options),
+        quantity,
+        customCoffee: coffee.options
+      });
+      return;
+    }
+
+    const product = productsById.get(String(item.productId));
+    if (!product) {
+      unknownItems.push(item.productId);
+      return;
+    }
+    if (product.configurator) {
+      errors[`items.${index}.customCoffee`] = `${product.name} needs its options`;
+      return;
+    }
+    if (product.archived || product.stock < quantity) {
+      outOfStockItems.push(product._id.toString());
+      return;
+    }
+
+    pricedItems.push({
+      productId: product._id,
+      name: product.name,
+      category: product.category,
+      price: product.price,
+      quantity
+    });
+  });
+
+  if (unknownItems.length > 0) {
+    errors.items = `Unknown product(s): ${unknownItems.join(', ')}`;
+  }
+
+  const totalAmount = sum(pricedItems.map(item => item.price * item.quantity));
+
+  return { items: pricedItems, totalAmount, outOfStockItems, unknownItems, errors };
+};
+
+module.exports = {
+  priceOrderItems
+};
@@ -0,0 +1,153 @@
+const Promotion = require('../models/Promotion');
+const { allocate, multiply, sum } = require('../utils/money');
+
+const lineTotal = (item) => item.price * item.quantity;
+
+const isEligible = (promotion, item) => !promotion.category || item.category === promotion.category;
+
+/**
+ * Works out how much a promotion takes off each priced order line. Returns
+ * one amount in cents per item (0 for lines the promotion doesn't touch).
+ */
+const allocateDiscount = (promotion, items) => {
+  const discounts = items.map(() => 0);
+  const eligible = items
+    .map((item, index) => ({ item, index }))
+    .filter(({ item }) => isEligible(promotion, item));
+  const eligibleTotal = sum(eligible.map(({ item }) => lineTotal(item)));
+
+  if (eligibleTotal === 0) {
+    return discounts;
+  }
+
+  if (promotion.type === 'buyXGetY') {
+    // Every group of buy + free units gets its cheapest `freeQuantity` units free
+    const groupSize = promotion.buyQuantity + promotion.freeQuantity;
+    const units = eligible
+      .flatMap(({ item, index }) => Array.from({ length: item.quantity }, () => ({ index, price: item.price })))
+      .sort((a, b) => a.price - b.price);
+    const freeUnits = Math.floor(units.length / groupSize) * promotion.freeQuantity;
+    for (const unit of units.slice(0, freeUnits)) {
+      discounts[unit.index] += unit.price;
+    }
+    return discounts;
+  }
+
+  const amount = promotion.type === 'percentage'
+    ? multiply(eligibleTotal, promotion.value / 100)
+    : Math.min(promotion.value, eligibleTotal);
+
+  // Spread the discount over the eligible lines in proportion to their totals
+  const parts = allocate(amount, eligible.map(({ item }) => lineTotal(item)));
+  eligible.forEach(({ index }, position) => {
+    discounts[index] = parts[position];
+  });
+  return discounts;
+};
+
+/**
+ * Applies the automatic promotions and the customer's promo code (if any) to
+ * priced order items. Each line's discount is capped so it never goes below
+ * zero. Returns the applied promotions, the discount per line and in total,
+ * and a `promoCode` error when the code can't be used.
+ */
+const applyPromotions = async (items, promoCode, now = new Date()) => {
+  const code = promoCode ? String(promoCode).trim().toUpperCase() : '';
+  const promotions = await Promotion.find({
+    active: true,
+    $or: [{ code: null }, ...(code ? [{ code }] : [])]
+  }).sort({ createdAt: 1 });
+
+  const errors = {};
+  const codePromotion = code && promotions.find(promotion => promotion.code === code);
+  if (code && !codePromotion) {
+    errors.promoCode = `Code "${code}" is not valid`;
+  } else if (codePromotion && codePromotion.isExpired(now)) {
+    errors.promoCode = `Code "${code}" has expired`;
+  } else if (codePromotion && codePromotion.isUsedUp()) {
+    errors.promoCode = `Code "${code}" has reached its usage limit`;
+  }
+
+  const itemDiscounts = items.map(() => 0);
+  const applied = [];
+
+  for (const promotion of promotions) {
+    if (promotion.isExpired(now) || promotion.isUsedUp()) {
+      continue;
+    }
+    const lineDiscounts = allocateDiscount(promotion, items).map((discount, index) => {
+      const remaining = lineTotal(items[index]) - itemDiscounts[index];
+      return Math.min(discount, remaining);
+    });
+    const amount = sum(lineDiscounts);
+
+    if (amount > 0) {
+      lineDiscounts.forEach((discount, index) => {
+        itemDiscounts[index] += discount;
+      });
+      applied.push({
+        promotion: promotion._id,
+        code: promotion.code,
+        name: promotion.name,
+        amount
+      });
+    } else if (promotion === codePromotion) {
+      errors.promoCode = `Code "${code}" doesn't apply to the items in your cart`;
+    }
+  }
+
+  return {
+    discounts: applied,
+    itemDiscounts,
+    discountTotal: sum(applied.map(discount => discount.amount)),
+    errors
+  };
+};
+
+/**
+ * Counts one use of each applied promotion, only while it is under its usage
+ * limit. If any promotion has run out the uses already counted are rolled
+ * back. Returns the codes that could not be redeemed (empty on success).
+ */
+const redeemPromotions = async (discounts) => {
+  const redeemed = [];
+  const usedUp = [];
+
+  for (const discount of discounts) {
+    const promotion = await Promotion.findOneAndUpdate(
+      {
+        _id: discount.promotion,
+        $or: [
+          { usageLimit: null },
+          { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+        ]
+      },
+      { $inc: { usageCount: 1 } }
+    );
+    if (promotion) {
+      redeemed.push(discount);
+    } else {
+      usedUp.push(discount.code || discount.name);
+    }
+  }
+
+  if (usedUp.length > 0) {
+    await releasePromotions(redeemed);
+  }
+
+  return usedUp;
+};
+
+// Gives back the uses counted by redeemPromotions (e.g. when checkout fails)
+const releasePromotions = async (discounts) => {
+  await Promise.all(discounts.map(discount =>
+    Promotion.updateOne({ _id: discount.promotion }, { $inc: { usageCount: -1 } })
+  ));
+};
+
+module.exports = {
+  allocateDiscount,
+  applyPromotions,
+  redeemPromotions,
+  releasePromotions
+};
@@ -0,0 +1,85 @@
+const { multiply } = require('../utils/money');
+
+// Estimated parcel weight per item, by catalogue category (kg)
+const CATEGORY_WEIGHTS = {
+  Electronics: 1.2,
+  Clothing: 0.5,
+  Books: 0.7,
+  Coffee: 0.4
+};
+const DEFAULT_ITEM_WEIGHT = 0.5;
+
+// Orders at or above this subtotal (in cents) ship free with the standard method
+const FREE_SHIPPING_THRESHOLD = 5000;
+
+/**
+ * Available shipping methods. Cost is `baseRate + perKg * weight` in cents;
+ * methods with `coffeeOnly` are only offered when every line is a coffee
+ * product.
+ */
+const SHIPPING_METHODS = {
+  standard: {
+    label: 'Standard shipping',
+    estimatedDays: '3-5 business days',
+    baseRate: 499,
+    perKg: 100,
+    freeOverThreshold: true
+  },
+  express: {
+    label: 'Express shipping',
+    estimatedDays: '1-2 business days',
+    baseRate: 1299,
+    perKg: 250,
+    freeOverThreshold: false
+  },
+  pickup: {
+    label: 'In-store pickup',
+    estimatedDays: 'Ready in 1 hour',
+    baseRate: 0,
+    perKg: 0,
+    freeOverThreshold: false,
+    coffeeOnly: true,
+    requiresAddress: false
+  }
+};
+
+const DEFAULT_SHIPPING_METHOD = 'standard';
+
+const itemWeight = (item) => CATEGORY_WEIGHTS[item.category] ?? DEFAULT_ITEM_WEIGHT;
+
+// Total weight in kg, to the nearest gram
+const calculateWeight = (items) => Math.round(
+  items.reduce((total, item) => total + itemWeight(item) * item.quantity, 0) * 1000
+) / 1000;
+
+/**
+ * Lists the shipping methods available for priced order items, cheapest
+ * first, each with its cost for this order.
+ */
+const quoteShipping = (items, subtotal) => {
+  const weight = calculateWeight(items);
+  const coffeeOnly = items.length > 0 && items.every(item => item.category === 'Coffee');
+
+  return Object.entries(SHIPPING_METHODS)
+    .filter(([, method]) => !method.coffeeOnly || coffeeOnly)
+    .map(([id, method]) => {
+      const freeShipping = method.freeOverThreshold && subtotal >= FREE_SHIPPING_THRESHOLD;
+      return {
+        method: id,
+        label: method.label,
+        estimatedDays: method.estimatedDays,
+        requiresAddress: method.requiresAddress !== false,
+        cost: freeShipping ? 0 : method.baseRate + multiply(method.perKg, weight)
+      };
+    })
+    .sort((a, b) => a.cost - b.cost);
+};
+
+module.exports = {
+  CATEGORY_WEIGHTS,
+  FREE_SHIPPING_THRESHOLD,
+  SHIPPING_METHODS,
+  DEFAULT_SHIPPING_METHOD,
+  calculateWeight,
+  quoteShipping
+};
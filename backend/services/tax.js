@@ -0,0 +1,119 @@
+const { multiply, sum } = require('../utils/money');
+
+// Categories taxed at the reduced rate; everything else uses the standard rate
+const REDUCED_RATE_CATEGORIES = ['Books', 'Coffee'];
+
+// Names of the taxes by id; clients show their own translation of the id
+const TAX_NAMES = {
+  salesTax: 'Sales tax',
+  gst: 'GST',
+  hst: 'HST',
+  vat: 'VAT'
+};
+
+/**
+ * Tax rates by shipping country, with the id of the tax's name. `regions`
+ * override the country rates for a state/province, matched against the
+ * address `region` (e.g. "CA", "ON").
+ * Demo rates only - prices in the catalogue are net of tax.
+ */
+const TAX_RULES = {
+  US: {
+    name: 'salesTax',
+    standard: 0.06,
+    reduced: 0.02,
+    regions: {
+      CA: { standard: 0.0725, reduced: 0 },
+      IL: { standard: 0.0625, reduced: 0.01 },
+      NY: { standard: 0.04, reduced: 0 },
+      OR: { standard: 0, reduced: 0 }
+    }
+  },
+  CA: {
+    name: 'gst',
+    standard: 0.05,
+    reduced: 0,
+    regions: {
+      ON: { name: 'hst', standard: 0.13, reduced: 0.05 },
+      NS: { name: 'hst', standard: 0.15, reduced: 0.05 }
+    }
+  },
+  GB: { name: 'vat', standard: 0.20, reduced: 0 },
+  DE: { name: 'vat', standard: 0.19, reduced: 0.07 },
+  FR: { name: 'vat', standard: 0.20, reduced: 0.055 },
+  PL: { name: 'vat', standard: 0.23, reduced: 0.05 }
+};
+
+// Where in-store pickup orders are taxed, and the estimate before an address is known
+const STORE_LOCATION = { country: 'US', region: 'IL' };
+
+const rateClass = (item) => REDUCED_RATE_CATEGORIES.includes(item.category) ? 'reduced' : 'standard';
+
+// 0.0725 -> "7.25%"
+const formatRate = (rate) => `${Math.round(rate * 10000) / 100}%`;
+
+/**
+ * Finds the rules for an address: the country rates, overridden by the
+ * region's when there are any. Returns null for countries we don't ship to.
+ */
+const getTaxRules = (address = STORE_LOCATION) => {
+  const country = String(address.country || '').trim().toUpperCase();
+  const region = String(address.region || '').trim().toUpperCase();
+  const countryRules = TAX_RULES[country];
+  if (!countryRules) {
+    return null;
+  }
+  const { regions = {}, ...rates } = countryRules;
+  const regionRules = regions[region];
+  return {
+    country,
+    region: regionRules ? region : undefined,
+    ...rates,
+    ...regionRules
+  };
+};
+
+/**
+ * Calculates tax in cents on priced order items, after any `discount` on each
+ * line (shipping is not taxed). Returns the address the rates came from, one
+ * breakdown line per rate class in use and the total tax.
+ */
+const calculateTax = (items, address = STORE_LOCATION) => {
+  const rules = getTaxRules(address);
+  if (!rules) {
+    return { country: address.country, lines: [], total: 0 };
+  }
+
+  const lines = ['standard', 'reduced']
+    .map(type => {
+      const taxableAmount = sum(items
+        .filter(item => rateClass(item) === type)
+        .map(item => item.price * item.quantity - (item.discount || 0)));
+      const rate = rules[type];
+      return {
+        type,
+        name: rules.name,
+        label: `${TAX_NAMES[rules.name]} ${formatRate(rate)}`,
+        rate,
+        taxableAmount,
+        amount: multiply(taxableAmount, rate)
+      };
+    })
+    .filter(line => line.taxableAmount > 0);
+
+  return {
+    country: rules.country,
+    region: rules.region,
+    lines,
+    total: sum(lines.map(line => line.amount))
+  };
+};
+
+module.exports = {
+  REDUCED_RATE_CATEGORIES,
+  TAX_NAMES,
+  TAX_RULES,
+  STORE_LOCATION,
+  getTaxRules,
+  calculateTax
+};
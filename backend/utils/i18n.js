@@ -0,0 +1,15 @@
+// Languages the storefront is translated into. Product names and descriptions
+// are stored in the default language, with optional translations for the rest.
+// Mirrored by frontend/src/i18n/index.js - keep the two in sync.
+
+const DEFAULT_LANGUAGE = 'en';
+
+const LANGUAGES = ['en', 'de'];
+
+const TRANSLATED_LANGUAGES = LANGUAGES.filter(language => language !== DEFAULT_LANGUAGE);
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  TRANSLATED_LANGUAGES
+};
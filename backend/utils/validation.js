@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+/**
+ * Turns a Mongoose ValidationError into the `{ error, details }` shape used by
+ * the API mocks, with one message per invalid field.
+ */
+const formatValidationError = (error) => {
+  const details = {};
+  for (const [field, fieldError] of Object.entries(error.errors)) {
+    details[field] = fieldError.message;
+  }
+  return { error: 'Validation failed', details };
+};
+
+const isValidationError = (error) => error instanceof mongoose.Error.ValidationError;
+
+module.exports = {
+  formatValidationError,
+  isValidationError
+};
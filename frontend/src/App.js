@@ -2,14 +2,30 @@ import React from 'react';
 import { BrowserRouter as Router, Routes, Route, Link } from 'react-router-dom';
 import Home from './pages/Home';
 import Shop from './pages/Shop';
+import ProductDetail from './pages/ProductDetail';
 import Cart from './pages/Cart';
 import CoffeeBuilder from './pages/CoffeeBuilder';
 import Admin from './pages/Admin';
+import AdminOrders from './pages/AdminOrders';
+import AdminPromotions from './pages/AdminPromotions';
+import Login from './pages/Login';
+import MyOrders from './pages/MyOrders';
+import Wishlist from './pages/Wishlist';
+import RequireAuth from './components/RequireAuth';
 import { CartProvider, useCart } from './context/CartContext';
+import { WishlistProvider, useWishlist } from './context/WishlistContext';
+import { AuthProvider, useAuth } from './context/AuthContext';
+import { CurrencyProvider, useCurrency } from './context/CurrencyContext';
+import { LanguageProvider, useTranslation } from './context/LanguageContext';
+import { LANGUAGES } from './i18n';
 import './App.css';
 
 function NavBar() {
   const { getCartCount } = useCart();
+  const { wishlist } = useWishlist();
+  const { user, isAdmin, logout } = useAuth();
+  const { currency, currencies, setCurrency } = useCurrency();
+  const { t, language, setLanguage } = useTranslation();
   const cartCount = getCartCount();
 
   return (
@@ -20,21 +36,68 @@ function NavBar() {
         </Link>
         <ul className="nav-menu">
           <li className="nav-item">
-            <Link to="/" className="nav-link">Home</Link>
+            <Link to="/" className="nav-link">{t('nav.home')}</Link>
           </li>
           <li className="nav-item">
-            <Link to="/shop" className="nav-link">Shop</Link>
+            <Link to="/shop" className="nav-link">{t('nav.shop')}</Link>
           </li>
           <li className="nav-item">
-            <Link to="/coffee-builder" className="nav-link">Build Coffee</Link>
+            <Link to="/coffee-builder" className="nav-link">{t('nav.buildCoffee')}</Link>
+          </li>
+          <li className="nav-item">
+            <Link to="/wishlist" className="nav-link">
+              {t('nav.wishlist')} {wishlist.length > 0 && <span className="cart-badge">{wishlist.length}</span>}
+            </Link>
           </li>
           <li className="nav-item">
             <Link to="/cart" className="nav-link">
-              Cart {cartCount > 0 && <span className="cart-badge">{cartCount}</span>}
+              {t('nav.cart')} {cartCount > 0 && <span className="cart-badge">{cartCount}</span>}
             </Link>
           </li>
+          {user && (
+            <li className="nav-item">
+              <Link to="/orders" className="nav-link">{t('nav.myOrders')}</Link>
+            </li>
+          )}
+          {isAdmin && (
+            <li className="nav-item">
+              <Link to="/admin" className="nav-link">{t('nav.admin')}</Link>
+            </li>
+          )}
+          {currencies.length > 1 && (
+            <li className="nav-item">
+              <select
+                className="currency-select"
+                aria-label={t('nav.currency')}
+                value={currency}
+                onChange={(e) => setCurrency(e.target.value)}
+              >
+                {currencies.map(({ code }) => (
+                  <option key={code} value={code}>{code}</option>
+                ))}
+              </select>
+            </li>
+          )}
+          <li className="nav-item">
+            <select
+              className="language-select"
+              aria-label={t('nav.language')}
+              value={language}
+              onChange={(e) => setLanguage(e.target.value)}
+            >
+              {Object.entries(LANGUAGES).map(([code, { name }]) => (
+                <option key={code} value={code}>{name}</option>
+              ))}
+            </select>
+          </li>
           <li className="nav-item">
-            <Link to="/admin" className="nav-link">Admin</Link>
+            {user ? (
+              <button className="nav-link nav-button" onClick={logout}>
+                {t('nav.logOut', { name: user.name })}
+              </button>
+            ) : (
+              <Link to="/login" className="nav-link">{t('nav.logIn')}</Link>
+            )}
           </li>
         </ul>
       </div>
@@ -44,21 +107,35 @@ function NavBar() {
 
 function App() {
   return (
-    <CartProvider>
-      <Router>
-        <div className="App">
-          <NavBar />
+    <AuthProvider>
+      <LanguageProvider>
+        <CurrencyProvider>
+          <CartProvider>
+            <WishlistProvider>
+              <Router>
+                <div className="App">
+                  <NavBar />
 
-          <Routes>
-            <Route path="/" element={<Home />} />
-            <Route path="/shop" element={<Shop />} />
-            <Route path="/cart" element={<Cart />} />
-            <Route path="/coffee-builder" element={<CoffeeBuilder />} />
-            <Route path="/admin" element={<Admin />} />
-          </Routes>
-        </div>
-      </Router>
-    </CartProvider>
+                  <Routes>
+                    <Route path="/" element={<Home />} />
+                    <Route path="/shop" element={<Shop />} />
+                    <Route path="/product/:id" element={<ProductDetail />} />
+                    <Route path="/cart" element={<Cart />} />
+                    <Route path="/wishlist" element={<Wishlist />} />
+                    <Route path="/coffee-builder" element={<CoffeeBuilder />} />
+                    <Route path="/login" element={<Login />} />
+                    <Route path="/orders" element={<RequireAuth><MyOrders /></RequireAuth>} />
+                    <Route path="/admin" element={<RequireAuth role="admin"><Admin /></RequireAuth>} />
+                    <Route path="/admin/orders" element={<RequireAuth role="admin"><AdminOrders /></RequireAuth>} />
+                    <Route path="/admin/promotions" element={<RequireAuth role="admin"><AdminPromotions /></RequireAuth>} />
+                  </Routes>
+                </div>
+              </Router>
+            </WishlistProvider>
+          </CartProvider>
+        </CurrencyProvider>
+      </LanguageProvider>
+    </AuthProvider>
   );
 }
 
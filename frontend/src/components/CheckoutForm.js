@@ -0,0 +1,360 @@
+import React, { useState, useEffect } from 'react';
+import { useCurrency } from '../context/CurrencyContext';
+import { useTranslation } from '../context/LanguageContext';
+import { translateDefault } from '../i18n';
+import { describeTaxLine } from '../utils/tax';
+import './CheckoutForm.css';
+
+// Mirrors the backend Order contact/shippingAddress schemas and card checks.
+// Country names live in the message catalogs under `countries`.
+export const SHIPPING_COUNTRIES = ['US', 'CA', 'GB', 'DE', 'FR', 'PL'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9 ()-]{7,20}$/;
+const POSTAL_CODE_PATTERN = /^[A-Z0-9][A-Z0-9 -]{1,8}[A-Z0-9]$/i;
+const EXPIRY_PATTERN = /^(\d{2})\s*\/\s*(\d{2})$/;
+
+// Messages for the fields the API rejects, which it describes in English.
+// Fields without one keep the server's text.
+const SERVER_ERROR_MESSAGES = {
+  'contact.name': 'checkout.errors.nameRequired',
+  'contact.email': 'checkout.errors.emailInvalid',
+  'contact.phone': 'checkout.errors.phoneInvalid',
+  'shippingAddress.line1': 'checkout.errors.addressRequired',
+  'shippingAddress.city': 'checkout.errors.cityRequired',
+  'shippingAddress.postalCode': 'checkout.errors.postalCodeInvalid',
+  'shippingAddress.country': 'checkout.errors.countryUnsupported',
+  'payment.cardNumber': 'checkout.errors.cardNumberInvalid',
+  'payment.expiry': 'checkout.errors.expiryInvalid',
+  'payment.cvc': 'checkout.errors.cvcInvalid'
+};
+
+const NO_ERRORS = {};
+const NO_DISCOUNTS = [];
+const noop = () => {};
+
+const STEPS = [
+  { id: 'contact', title: 'checkout.steps.contact' },
+  { id: 'shippingAddress', title: 'checkout.steps.shippingAddress' },
+  { id: 'payment', title: 'checkout.steps.payment' },
+  { id: 'review', title: 'checkout.steps.review' }
+];
+// In-store pickup skips the shipping address step
+const PICKUP_STEPS = STEPS.filter(({ id }) => id !== 'shippingAddress');
+
+const EMPTY_DETAILS = {
+  contact: { name: '', email: '', phone: '' },
+  shippingAddress: { line1: '', line2: '', city: '', region: '', postalCode: '', country: 'US' },
+  payment: { cardNumber: '', expiry: '', cvc: '' }
+};
+
+// Errors are keyed by the same dotted paths the API uses in `details`, and
+// worded by `t` so they follow the shopper's language
+export const validateContact = (contact, t = translateDefault) => {
+  const errors = {};
+
+  if (!contact.name.trim()) {
+    errors['contact.name'] = t('checkout.errors.nameRequired');
+  }
+  if (!contact.email.trim()) {
+    errors['contact.email'] = t('checkout.errors.emailRequired');
+  } else if (!EMAIL_PATTERN.test(contact.email.trim())) {
+    errors['contact.email'] = t('checkout.errors.emailInvalid');
+  }
+  if (contact.phone.trim() && !PHONE_PATTERN.test(contact.phone.trim())) {
+    errors['contact.phone'] = t('checkout.errors.phoneInvalid');
+  }
+
+  return errors;
+};
+
+export const validateShippingAddress = (address, t = translateDefault) => {
+  const errors = {};
+
+  if (!address.line1.trim()) {
+    errors['shippingAddress.line1'] = t('checkout.errors.addressRequired');
+  }
+  if (!address.city.trim()) {
+    errors['shippingAddress.city'] = t('checkout.errors.cityRequired');
+  }
+  if (!address.postalCode.trim()) {
+    errors['shippingAddress.postalCode'] = t('checkout.errors.postalCodeRequired');
+  } else if (!POSTAL_CODE_PATTERN.test(address.postalCode.trim())) {
+    errors['shippingAddress.postalCode'] = t('checkout.errors.postalCodeInvalid');
+  }
+  if (!SHIPPING_COUNTRIES.includes(address.country)) {
+    errors['shippingAddress.country'] = t('checkout.errors.countryRequired');
+  }
+
+  return errors;
+};
+
+// Luhn checksum, as checked by the payment service
+const isValidCardNumber = (number) => {
+  let sum = 0;
+  for (let i = 0; i < number.length; i++) {
+    let digit = Number(number[number.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+export const validatePayment = (payment, t = translateDefault, now = new Date()) => {
+  const errors = {};
+  const number = payment.cardNumber.replace(/[\s-]/g, '');
+
+  if (!number) {
+    errors['payment.cardNumber'] = t('checkout.errors.cardNumberRequired');
+  } else if (!/^\d{12,19}$/.test(number) || !isValidCardNumber(number)) {
+    errors['payment.cardNumber'] = t('checkout.errors.cardNumberInvalid');
+  }
+
+  const [, month, year] = payment.expiry.trim().match(EXPIRY_PATTERN) || [];
+  if (!month || Number(month) < 1 || Number(month) > 12) {
+    errors['payment.expiry'] = t('checkout.errors.expiryInvalid');
+  } else if (new Date(2000 + Number(year), Number(month)) <= now) {
+    errors['payment.expiry'] = t('checkout.errors.cardExpired');
+  }
+
+  if (!/^\d{3,4}$/.test(payment.cvc.trim())) {
+    errors['payment.cvc'] = t('checkout.errors.cvcInvalid');
+  }
+
+  return errors;
+};
+
+// The field `details` of a rejected order, in the messages of the active language
+export const translateServerErrors = (details, t = translateDefault) => Object.fromEntries(
+  Object.entries(details).map(([field, message]) => [
+    field,
+    SERVER_ERROR_MESSAGES[field] ? t(SERVER_ERROR_MESSAGES[field]) : message
+  ])
+);
+
+const STEP_VALIDATORS = {
+  contact: validateContact,
+  shippingAddress: validateShippingAddress,
+  payment: validatePayment
+};
+
+const trimFields = (fields) => Object.fromEntries(
+  Object.entries(fields)
+    .map(([field, value]) => [field, value.trim()])
+    .filter(([, value]) => value !== '')
+);
+
+function CheckoutForm({
+  itemCount,
+  total,
+  shipping,
+  tax,
+  discounts = NO_DISCOUNTS,
+  onShippingAddressChange = noop,
+  onSubmit,
+  onCancel,
+  serverErrors = NO_ERRORS
+}) {
+  const { formatPrice } = useCurrency();
+  const { t, locale } = useTranslation();
+  const requiresAddress = shipping?.requiresAddress !== false;
+  const steps = requiresAddress ? STEPS : PICKUP_STEPS;
+  const [step, setStep] = useState(0);
+  const [details, setDetails] = useState(EMPTY_DETAILS);
+  const [errors, setErrors] = useState({});
+  const [rejectedFields, setRejectedFields] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+
+  // Show the server's field errors and jump back to the first step it complained about
+  useEffect(() => {
+    const fields = Object.keys(serverErrors);
+    setRejectedFields(serverErrors);
+    if (fields.length === 0) return;
+    const stepIndex = steps.findIndex(({ id }) => fields.some(field => field.split('.')[0] === id));
+    if (stepIndex > -1) {
+      setStep(stepIndex);
+    }
+  }, [serverErrors, steps]);
+
+  const fieldErrors = { ...rejectedFields, ...errors };
+  const currentStep = steps[step];
+
+  const handleChange = (section, field, value) => {
+    setDetails({ ...details, [section]: { ...details[section], [field]: value } });
+    const { [`${section}.${field}`]: _edited, ...stillRejected } = rejectedFields;
+    setRejectedFields(stillRejected);
+  };
+
+  const handleNext = (e) => {
+    e.preventDefault();
+    const validationErrors = STEP_VALIDATORS[currentStep.id](details[currentStep.id], t);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length === 0) {
+      // Tax depends on where the order ships to
+      if (currentStep.id === 'shippingAddress') {
+        onShippingAddressChange(trimFields(details.shippingAddress));
+      }
+      setStep(step + 1);
+    }
+  };
+
+  const handleBack = () => {
+    setErrors({});
+    if (step === 0) {
+      onCancel();
+    } else {
+      setStep(step - 1);
+    }
+  };
+
+  const handlePlaceOrder = async () => {
+    setSubmitting(true);
+    try {
+      await onSubmit({
+        contact: trimFields(details.contact),
+        shippingAddress: requiresAddress ? trimFields(details.shippingAddress) : undefined,
+        payment: trimFields(details.payment)
+      });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const renderField = (section, field, label, props = {}) => {
+    const path = `${section}.${field}`;
+    const id = `checkout-${section}-${field}`;
+    return (
+      <>
+        <label htmlFor={id}>{label}</label>
+        <input
+          id={id}
+          type="text"
+          value={details[section][field]}
+          onChange={(e) => handleChange(section, field, e.target.value)}
+          aria-invalid={!!fieldErrors[path]}
+          {...props}
+        />
+        {fieldErrors[path] && <span className="field-error">{fieldErrors[path]}</span>}
+      </>
+    );
+  };
+
+  const { contact, shippingAddress, payment } = details;
+
+  return (
+    <div className="checkout-confirmation checkout-form">
+      <h3>{t('checkout.title')}</h3>
+      <ol className="checkout-steps">
+        {steps.map((s, index) => (
+          <li key={s.id} className={index === step ? 'active' : ''} aria-current={index === step ? 'step' : undefined}>
+            {t(s.title)}
+          </li>
+        ))}
+      </ol>
+
+      {currentStep.id === 'contact' && (
+        <form onSubmit={handleNext} noValidate aria-label={t('checkout.steps.contact')}>
+          {renderField('contact', 'name', t('checkout.fields.name'), { autoComplete: 'name' })}
+          {renderField('contact', 'email', t('checkout.fields.email'), { type: 'email', autoComplete: 'email' })}
+          {renderField('contact', 'phone', t('checkout.fields.phone'), { type: 'tel', autoComplete: 'tel' })}
+          <button type="submit" className="btn btn-primary">{t('common.continue')}</button>
+          <button type="button" className="btn btn-secondary" onClick={handleBack}>{t('common.cancel')}</button>
+        </form>
+      )}
+
+      {currentStep.id === 'shippingAddress' && (
+        <form onSubmit={handleNext} noValidate aria-label={t('checkout.steps.shippingAddress')}>
+          {renderField('shippingAddress', 'line1', t('checkout.fields.line1'), { autoComplete: 'address-line1' })}
+          {renderField('shippingAddress', 'line2', t('checkout.fields.line2'), { autoComplete: 'address-line2' })}
+          {renderField('shippingAddress', 'city', t('checkout.fields.city'), { autoComplete: 'address-level2' })}
+          {renderField('shippingAddress', 'region', t('checkout.fields.region'), { autoComplete: 'address-level1' })}
+          {renderField('shippingAddress', 'postalCode', t('checkout.fields.postalCode'), { autoComplete: 'postal-code' })}
+          <label htmlFor="checkout-shippingAddress-country">{t('checkout.fields.country')}</label>
+          <select
+            id="checkout-shippingAddress-country"
+            value={shippingAddress.country}
+            onChange={(e) => handleChange('shippingAddress', 'country', e.target.value)}
+            aria-invalid={!!fieldErrors['shippingAddress.country']}
+          >
+            {SHIPPING_COUNTRIES.map(code => (
+              <option key={code} value={code}>{t(`countries.${code}`)}</option>
+            ))}
+          </select>
+          {fieldErrors['shippingAddress.country'] && (
+            <span className="field-error">{fieldErrors['shippingAddress.country']}</span>
+          )}
+          <button type="submit" className="btn btn-primary">{t('common.continue')}</button>
+          <button type="button" className="btn btn-secondary" onClick={handleBack}>{t('common.back')}</button>
+        </form>
+      )}
+
+      {currentStep.id === 'payment' && (
+        <form onSubmit={handleNext} noValidate aria-label={t('checkout.steps.payment')}>
+          {renderField('payment', 'cardNumber', t('checkout.fields.cardNumber'), { inputMode: 'numeric', autoComplete: 'cc-number' })}
+          {renderField('payment', 'expiry', t('checkout.fields.expiry'), { autoComplete: 'cc-exp', placeholder: 'MM/YY' })}
+          {renderField('payment', 'cvc', t('checkout.fields.cvc'), { inputMode: 'numeric', autoComplete: 'cc-csc' })}
+          <button type="submit" className="btn btn-primary">{t('common.continue')}</button>
+          <button type="button" className="btn btn-secondary" onClick={handleBack}>{t('common.back')}</button>
+        </form>
+      )}
+
+      {currentStep.id === 'review' && (
+        <div className="checkout-review">
+          <p>{t('checkout.review.intro', { count: itemCount })}</p>
+          <div className="checkout-review-section">
+            <h4>{t('checkout.review.contact')}</h4>
+            <p>{contact.name}</p>
+            <p>{contact.email}</p>
+            {contact.phone && <p>{contact.phone}</p>}
+          </div>
+          {shipping && (
+            <div className="checkout-review-section">
+              <h4>{t('checkout.review.delivery')}</h4>
+              <p>{t(`shipping.methods.${shipping.method}.label`, { defaultValue: shipping.label })} ({shipping.cost === 0 ? t('common.free') : formatPrice(shipping.cost)})</p>
+            </div>
+          )}
+          {requiresAddress && (
+            <div className="checkout-review-section">
+              <h4>{t('checkout.review.shipTo')}</h4>
+              <p>{shippingAddress.line1}</p>
+              {shippingAddress.line2 && <p>{shippingAddress.line2}</p>}
+              <p>
+                {shippingAddress.city}{shippingAddress.region && `, ${shippingAddress.region}`} {shippingAddress.postalCode}
+              </p>
+              <p>{t(`countries.${shippingAddress.country}`)}</p>
+            </div>
+          )}
+          <div className="checkout-review-section">
+            <h4>{t('checkout.review.payment')}</h4>
+            <p>{t('checkout.review.cardEnding', { last4: payment.cardNumber.replace(/\D/g, '').slice(-4) })}</p>
+          </div>
+          {discounts.length > 0 && (
+            <div className="checkout-review-section">
+              <h4>{t('checkout.review.discounts')}</h4>
+              {discounts.map(discount => (
+                <p key={discount.promotion}>{discount.name}: {formatPrice(-discount.amount)}</p>
+              ))}
+            </div>
+          )}
+          {tax && tax.lines.length > 0 && (
+            <div className="checkout-review-section">
+              <h4>{t('checkout.review.tax')}</h4>
+              {tax.lines.map(line => (
+                <p key={line.type}>{describeTaxLine(line, t, locale)}: {formatPrice(line.amount)}</p>
+              ))}
+            </div>
+          )}
+          <p className="checkout-total">{t('checkout.review.total', { amount: formatPrice(total) })}</p>
+          <button className="btn btn-primary" onClick={handlePlaceOrder} disabled={submitting}>
+            {t('checkout.placeOrder')}
+          </button>
+          <button className="btn btn-secondary" onClick={handleBack}>{t('common.back')}</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CheckoutForm;
@@ -0,0 +1,66 @@
+import React from 'react';
+import { useCurrency } from '../context/CurrencyContext';
+import { useTranslation } from '../context/LanguageContext';
+import { calculateCoffeePrice, resolveSelections } from '../utils/coffeeMenu';
+import CustomCoffeeDetails from './CustomCoffeeDetails';
+import './CoffeeRecipes.css';
+
+// Saved recipes on the Coffee Builder, priced from the current menu
+function CoffeeRecipes({ recipes, status, menu, editingId, onAddToCart, onEdit, onDelete }) {
+  const { formatPrice } = useCurrency();
+  const { t } = useTranslation();
+
+  const renderList = () => {
+    if (status === 'loading') {
+      return <p>{t('coffee.recipes.loading')}</p>;
+    }
+    if (status === 'error') {
+      return <p>{t('coffee.recipes.loadError')}</p>;
+    }
+    if (recipes.length === 0) {
+      return <p className="recipes-empty">{t('coffee.recipes.empty')}</p>;
+    }
+
+    return (
+      <ul className="recipe-list">
+        {recipes.map(recipe => {
+          const { selections, valid } = resolveSelections(menu, recipe.customCoffee);
+          return (
+            <li
+              key={recipe._id}
+              className={`recipe-card${recipe._id === editingId ? ' editing' : ''}`}
+              data-testid={`recipe-${recipe._id}`}
+            >
+              <div className="recipe-header">
+                <h3>{recipe.name}</h3>
+                <span className="recipe-price">{formatPrice(calculateCoffeePrice(menu, selections))}</span>
+              </div>
+              <CustomCoffeeDetails options={selections} />
+              {!valid && <p className="recipe-warning">{t('coffee.recipes.changed')}</p>}
+              <div className="recipe-actions">
+                <button className="btn btn-primary" onClick={() => onAddToCart(recipe, selections)} disabled={!valid}>
+                  {t('common.addToCart')}
+                </button>
+                <button className="btn recipe-edit" onClick={() => onEdit(recipe, selections)}>
+                  {t('coffee.recipes.edit')}
+                </button>
+                <button className="btn btn-secondary" onClick={() => onDelete(recipe)}>
+                  {t('coffee.recipes.delete')}
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    );
+  };
+
+  return (
+    <section className="coffee-recipes">
+      <h2>{t('coffee.recipes.title')}</h2>
+      {renderList()}
+    </section>
+  );
+}
+
+export default CoffeeRecipes;
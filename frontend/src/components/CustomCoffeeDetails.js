@@ -0,0 +1,28 @@
+import React from 'react';
+import { useTranslation } from '../context/LanguageContext';
+
+// The options a custom coffee was built with, as shown in the cart and on orders.
+// The base drink is already the line's name; options without a message of their
+// own (added to the coffee menu later) are shown by id.
+function CustomCoffeeDetails({ options, showTitle = false }) {
+  const { t } = useTranslation();
+
+  const describe = (id, value) => {
+    const shown = typeof value === 'number'
+      ? value
+      : t(`coffee.values.${id}.${value}`, { defaultValue: value });
+    const fallback = t('coffee.details.option', { label: id, value: shown });
+    return t(`coffee.details.${id}`, { count: value, value: shown, defaultValue: fallback });
+  };
+
+  return (
+    <div className="custom-coffee-details">
+      {showTitle && <p><strong>{t('coffee.details.title')}</strong></p>}
+      {Object.entries(options)
+        .filter(([id]) => id !== 'base')
+        .map(([id, value]) => <p key={id}>{describe(id, value)}</p>)}
+    </div>
+  );
+}
+
+export default CustomCoffeeDetails;
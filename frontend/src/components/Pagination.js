@@ -0,0 +1,33 @@
+import React from 'react';
+import { useTranslation } from '../context/LanguageContext';
+import './Pagination.css';
+
+function Pagination({ page, totalPages, onPageChange }) {
+  const { t } = useTranslation();
+
+  if (totalPages <= 1) {
+    return null;
+  }
+
+  return (
+    <nav className="pagination" aria-label={t('pagination.label')}>
+      <button
+        className="btn pagination-btn"
+        onClick={() => onPageChange(page - 1)}
+        disabled={page <= 1}
+      >
+        {t('pagination.previous')}
+      </button>
+      <span className="pagination-status">{t('pagination.status', { page, totalPages })}</span>
+      <button
+        className="btn pagination-btn"
+        onClick={() => onPageChange(page + 1)}
+        disabled={page >= totalPages}
+      >
+        {t('pagination.next')}
+      </button>
+    </nav>
+  );
+}
+
+export default Pagination;
@@ -0,0 +1,271 @@
+import React, { useState } from 'react';
+import { fromMinorUnits, toMinorUnits } from '../utils/money';
+import { useTranslation } from '../context/LanguageContext';
+import { DEFAULT_LANGUAGE, LANGUAGES, translateDefault } from '../i18n';
+import './ProductForm.css';
+
+// Mirrors the validation rules of the backend Product schema
+export const CATEGORIES = ['Electronics', 'Clothing', 'Books', 'Coffee'];
+const NAME_MAX_LENGTH = 100;
+const DESCRIPTION_MAX_LENGTH = 500;
+// Product names and descriptions can be translated into every other UI language
+const TRANSLATION_LANGUAGES = Object.keys(LANGUAGES).filter(language => language !== DEFAULT_LANGUAGE);
+
+const EMPTY_PRODUCT = {
+  name: '',
+  category: '',
+  price: '',
+  description: '',
+  image: '',
+  stock: 0,
+  lowStockThreshold: 5,
+  translations: {}
+};
+
+// Drops blank translations so only the languages that were filled in are saved
+const trimTranslations = (translations) => Object.fromEntries(
+  TRANSLATION_LANGUAGES
+    .map(language => [language, {
+      name: (translations[language]?.name || '').trim(),
+      description: (translations[language]?.description || '').trim()
+    }])
+    .filter(([, { name, description }]) => name || description)
+    .map(([language, fields]) => [
+      language,
+      Object.fromEntries(Object.entries(fields).filter(([, value]) => value))
+    ])
+);
+
+export const validateProduct = (product, t = translateDefault) => {
+  const errors = {};
+  const name = (product.name || '').trim();
+  const description = (product.description || '').trim();
+  const price = Number(product.price);
+
+  if (!name) {
+    errors.name = t('productForm.errors.nameRequired');
+  } else if (name.length > NAME_MAX_LENGTH) {
+    errors.name = t('productForm.errors.nameTooLong', { max: NAME_MAX_LENGTH });
+  }
+
+  if (!CATEGORIES.includes(product.category)) {
+    errors.category = t('productForm.errors.categoryInvalid', { categories: CATEGORIES.join(', ') });
+  }
+
+  if (product.price === '' || product.price === null || product.price === undefined || Number.isNaN(price)) {
+    errors.price = t('productForm.errors.priceRequired');
+  } else if (price < 0) {
+    errors.price = t('productForm.errors.priceNegative');
+  }
+
+  ['stock', 'lowStockThreshold'].forEach(field => {
+    const value = Number(product[field]);
+    if (product[field] === '' || !Number.isInteger(value) || value < 0) {
+      errors[field] = t('productForm.errors.wholeNumber');
+    }
+  });
+
+  if (!description) {
+    errors.description = t('productForm.errors.descriptionRequired');
+  } else if (description.length > DESCRIPTION_MAX_LENGTH) {
+    errors.description = t('productForm.errors.descriptionTooLong', { max: DESCRIPTION_MAX_LENGTH });
+  }
+
+  // Keyed like the API's errors for the translations map, e.g. "translations.de.name"
+  Object.entries(trimTranslations(product.translations || {})).forEach(([language, translation]) => {
+    if ((translation.name || '').length > NAME_MAX_LENGTH) {
+      errors[`translations.${language}.name`] = t('productForm.errors.nameTooLong', { max: NAME_MAX_LENGTH });
+    }
+    if ((translation.description || '').length > DESCRIPTION_MAX_LENGTH) {
+      errors[`translations.${language}.description`] =
+        t('productForm.errors.descriptionTooLong', { max: DESCRIPTION_MAX_LENGTH });
+    }
+  });
+
+  return errors;
+};
+
+// The field `details` of a rejected product. The API describes them in English,
+// so each field gets this form's own message instead.
+export const translateServerErrors = (details, t = translateDefault) => Object.fromEntries(
+  Object.keys(details).map(field => [field, t('productForm.errors.invalid')])
+);
+
+function ProductForm({ product, onSubmit, onCancel, serverErrors = {} }) {
+  // The price is entered in dollars and saved in cents
+  const [values, setValues] = useState({
+    ...EMPTY_PRODUCT,
+    ...product,
+    price: product.price === undefined ? EMPTY_PRODUCT.price : fromMinorUnits(product.price),
+    translations: product.translations || EMPTY_PRODUCT.translations
+  });
+  const [errors, setErrors] = useState({});
+  const { t } = useTranslation();
+  const isNew = !product?._id;
+
+  const handleChange = (field, value) => {
+    setValues({ ...values, [field]: value });
+  };
+
+  const handleTranslationChange = (language, field, value) => {
+    const translations = values.translations;
+    setValues({
+      ...values,
+      translations: { ...translations, [language]: { ...translations[language], [field]: value } }
+    });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const validationErrors = validateProduct(values, t);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) {
+      return;
+    }
+
+    onSubmit({
+      name: values.name.trim(),
+      category: values.category,
+      price: toMinorUnits(values.price),
+      description: values.description.trim(),
+      image: values.image || undefined,
+      stock: Number(values.stock),
+      lowStockThreshold: Number(values.lowStockThreshold),
+      translations: trimTranslations(values.translations)
+    });
+  };
+
+  const fieldErrors = { ...serverErrors, ...errors };
+
+  const renderError = (field) => fieldErrors[field] && (
+    <span className="field-error" id={`product-${field}-error`}>{fieldErrors[field]}</span>
+  );
+
+  return (
+    <form className="product-form" onSubmit={handleSubmit} noValidate>
+      <h2>{isNew ? t('productForm.newTitle') : t('productForm.editTitle', { name: product.name })}</h2>
+
+      <label htmlFor="product-name">{t('productForm.name')}</label>
+      <input
+        id="product-name"
+        type="text"
+        value={values.name}
+        onChange={(e) => handleChange('name', e.target.value)}
+        aria-invalid={!!fieldErrors.name}
+      />
+      {renderError('name')}
+
+      <label htmlFor="product-category">{t('productForm.category')}</label>
+      <select
+        id="product-category"
+        value={values.category}
+        onChange={(e) => handleChange('category', e.target.value)}
+        aria-invalid={!!fieldErrors.category}
+      >
+        <option value="">{t('productForm.selectCategory')}</option>
+        {CATEGORIES.map(category => (
+          <option key={category} value={category}>{t(`categories.${category}`)}</option>
+        ))}
+      </select>
+      {renderError('category')}
+
+      <label htmlFor="product-price">{t('productForm.price')}</label>
+      <input
+        id="product-price"
+        type="number"
+        step="0.01"
+        min="0"
+        value={values.price}
+        onChange={(e) => handleChange('price', e.target.value)}
+        aria-invalid={!!fieldErrors.price}
+      />
+      {renderError('price')}
+
+      <label htmlFor="product-description">{t('productForm.description')}</label>
+      <textarea
+        id="product-description"
+        rows="3"
+        value={values.description}
+        onChange={(e) => handleChange('description', e.target.value)}
+        aria-invalid={!!fieldErrors.description}
+      />
+      {renderError('description')}
+
+      <label htmlFor="product-image">{t('productForm.image')}</label>
+      <input
+        id="product-image"
+        type="text"
+        value={values.image}
+        onChange={(e) => handleChange('image', e.target.value)}
+      />
+
+      <label htmlFor="product-stock">{t('productForm.stock')}</label>
+      <input
+        id="product-stock"
+        type="number"
+        step="1"
+        min="0"
+        value={values.stock}
+        onChange={(e) => handleChange('stock', e.target.value)}
+        aria-invalid={!!fieldErrors.stock}
+      />
+      {renderError('stock')}
+
+      <label htmlFor="product-low-stock">{t('productForm.lowStockThreshold')}</label>
+      <input
+        id="product-low-stock"
+        type="number"
+        step="1"
+        min="0"
+        value={values.lowStockThreshold}
+        onChange={(e) => handleChange('lowStockThreshold', e.target.value)}
+        aria-invalid={!!fieldErrors.lowStockThreshold}
+      />
+      {renderError('lowStockThreshold')}
+
+      <fieldset className="product-translations">
+        <legend>{t('productForm.translations')}</legend>
+        {TRANSLATION_LANGUAGES.map(language => (
+          <React.Fragment key={language}>
+            <label htmlFor={`product-name-${language}`}>
+              {t('productForm.translatedName', { language: LANGUAGES[language].name })}
+            </label>
+            <input
+              id={`product-name-${language}`}
+              type="text"
+              lang={language}
+              value={values.translations[language]?.name || ''}
+              onChange={(e) => handleTranslationChange(language, 'name', e.target.value)}
+              aria-invalid={!!fieldErrors[`translations.${language}.name`]}
+            />
+            {renderError(`translations.${language}.name`)}
+
+            <label htmlFor={`product-description-${language}`}>
+              {t('productForm.translatedDescription', { language: LANGUAGES[language].name })}
+            </label>
+            <textarea
+              id={`product-description-${language}`}
+              rows="3"
+              lang={language}
+              value={values.translations[language]?.description || ''}
+              onChange={(e) => handleTranslationChange(language, 'description', e.target.value)}
+              aria-invalid={!!fieldErrors[`translations.${language}.description`]}
+            />
+            {renderError(`translations.${language}.description`)}
+          </React.Fragment>
+        ))}
+      </fieldset>
+
+      <div className="action-buttons">
+        <button type="submit" className="btn btn-primary btn-sm">
+          {isNew ? t('productForm.create') : t('common.saveChanges')}
+        </button>
+        <button type="button" className="btn btn-secondary btn-sm" onClick={onCancel}>
+          {t('common.close')}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default ProductForm;
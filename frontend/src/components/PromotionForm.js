@@ -0,0 +1,251 @@
+import React, { useState } from 'react';
+import { CATEGORIES } from './ProductForm';
+import { fromMinorUnits, toMinorUnits } from '../utils/money';
+import { useTranslation } from '../context/LanguageContext';
+import { translateDefault } from '../i18n';
+import './ProductForm.css';
+import './PromotionForm.css';
+
+// Mirrors the validation rules of the backend Promotion schema
+export const PROMOTION_TYPES = ['percentage', 'fixed', 'buyXGetY'];
+const NAME_MAX_LENGTH = 100;
+const CODE_PATTERN = /^[A-Z0-9_-]{3,20}$/i;
+
+const EMPTY_PROMOTION = {
+  name: '',
+  code: '',
+  type: 'percentage',
+  value: '',
+  buyQuantity: 2,
+  freeQuantity: 1,
+  category: '',
+  expiresAt: '',
+  usageLimit: '',
+  active: true
+};
+
+// <input type="date"> works with local YYYY-MM-DD dates
+const toDateInput = (date) => {
+  if (!date) return '';
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+// Fixed amounts are entered in dollars and saved in cents
+const toPromotionValue = (type, value) => type === 'fixed' ? toMinorUnits(value) : Number(value);
+
+const isWholeNumber = (value, min) => value !== '' && Number.isInteger(Number(value)) && Number(value) >= min;
+
+export const validatePromotion = (promotion, t = translateDefault) => {
+  const errors = {};
+  const name = (promotion.name || '').trim();
+  const code = (promotion.code || '').trim();
+
+  if (!name) {
+    errors.name = t('promotionForm.errors.nameRequired');
+  } else if (name.length > NAME_MAX_LENGTH) {
+    errors.name = t('promotionForm.errors.nameTooLong', { max: NAME_MAX_LENGTH });
+  }
+
+  if (code && !CODE_PATTERN.test(code)) {
+    errors.code = t('promotionForm.errors.codeInvalid');
+  }
+
+  if (!PROMOTION_TYPES.includes(promotion.type)) {
+    errors.type = t('promotionForm.errors.typeInvalid', { types: PROMOTION_TYPES.join(', ') });
+  } else if (promotion.type === 'buyXGetY') {
+    if (!isWholeNumber(promotion.buyQuantity, 1)) {
+      errors.buyQuantity = t('promotionForm.errors.buyQuantity');
+    }
+    if (!isWholeNumber(promotion.freeQuantity, 1)) {
+      errors.freeQuantity = t('promotionForm.errors.freeQuantity');
+    }
+  } else {
+    const value = Number(promotion.value);
+    if (promotion.value === '' || promotion.value === null || Number.isNaN(value)) {
+      errors.value = t('promotionForm.errors.valueRequired');
+    } else if (value < 0) {
+      errors.value = t('promotionForm.errors.valueNegative');
+    } else if (promotion.type === 'percentage' && value > 100) {
+      errors.value = t('promotionForm.errors.percentageTooHigh');
+    }
+  }
+
+  if (promotion.usageLimit !== '' && promotion.usageLimit !== null && !isWholeNumber(promotion.usageLimit, 1)) {
+    errors.usageLimit = t('promotionForm.errors.usageLimit');
+  }
+
+  return errors;
+};
+
+// The field `details` of a rejected promotion. The API describes them in
+// English, so each field gets this form's own message instead; 409 means the
+// code is taken.
+export const translateServerErrors = (status, details, t = translateDefault) => {
+  if (status === 409) {
+    return { code: t('promotionForm.errors.codeTaken') };
+  }
+  return Object.fromEntries(Object.keys(details).map(field => [field, t('promotionForm.errors.invalid')]));
+};
+
+function PromotionForm({ promotion, onSubmit, onCancel, serverErrors = {} }) {
+  const [values, setValues] = useState({
+    ...EMPTY_PROMOTION,
+    ...promotion,
+    code: promotion.code || '',
+    value: promotion.type === 'fixed' ? fromMinorUnits(promotion.value) : promotion.value ?? '',
+    category: promotion.category || '',
+    expiresAt: toDateInput(promotion.expiresAt),
+    usageLimit: promotion.usageLimit ?? ''
+  });
+  const [errors, setErrors] = useState({});
+  const { t } = useTranslation();
+  const isNew = !promotion?._id;
+  const isBuyXGetY = values.type === 'buyXGetY';
+
+  const handleChange = (field, value) => {
+    setValues({ ...values, [field]: value });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const validationErrors = validatePromotion(values, t);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) {
+      return;
+    }
+
+    // null clears optional fields on the server
+    onSubmit({
+      name: values.name.trim(),
+      code: values.code.trim().toUpperCase() || null,
+      type: values.type,
+      value: isBuyXGetY ? null : toPromotionValue(values.type, values.value),
+      buyQuantity: isBuyXGetY ? Number(values.buyQuantity) : null,
+      freeQuantity: isBuyXGetY ? Number(values.freeQuantity) : null,
+      category: values.category || null,
+      // Codes stay valid until the end of the expiry day
+      expiresAt: values.expiresAt ? new Date(`${values.expiresAt}T23:59:59.999`).toISOString() : null,
+      usageLimit: values.usageLimit === '' ? null : Number(values.usageLimit),
+      active: values.active
+    });
+  };
+
+  const fieldErrors = { ...serverErrors, ...errors };
+
+  const renderError = (field) => fieldErrors[field] && (
+    <span className="field-error" id={`promotion-${field}-error`}>{fieldErrors[field]}</span>
+  );
+
+  const renderNumberField = (field, label, props) => (
+    <>
+      <label htmlFor={`promotion-${field}`}>{label}</label>
+      <input
+        id={`promotion-${field}`}
+        type="number"
+        value={values[field]}
+        onChange={(e) => handleChange(field, e.target.value)}
+        aria-invalid={!!fieldErrors[field]}
+        {...props}
+      />
+      {renderError(field)}
+    </>
+  );
+
+  return (
+    <form className="product-form promotion-form" onSubmit={handleSubmit} noValidate>
+      <h2>{isNew ? t('promotionForm.newTitle') : t('promotionForm.editTitle', { name: promotion.name })}</h2>
+
+      <label htmlFor="promotion-name">{t('promotionForm.name')}</label>
+      <input
+        id="promotion-name"
+        type="text"
+        value={values.name}
+        onChange={(e) => handleChange('name', e.target.value)}
+        aria-invalid={!!fieldErrors.name}
+      />
+      {renderError('name')}
+
+      <label htmlFor="promotion-code">{t('promotionForm.code')}</label>
+      <input
+        id="promotion-code"
+        type="text"
+        value={values.code}
+        onChange={(e) => handleChange('code', e.target.value)}
+        aria-invalid={!!fieldErrors.code}
+      />
+      {renderError('code')}
+
+      <label htmlFor="promotion-type">{t('promotionForm.type')}</label>
+      <select
+        id="promotion-type"
+        value={values.type}
+        onChange={(e) => handleChange('type', e.target.value)}
+        aria-invalid={!!fieldErrors.type}
+      >
+        {PROMOTION_TYPES.map(type => (
+          <option key={type} value={type}>{t(`promotionForm.types.${type}`)}</option>
+        ))}
+      </select>
+      {renderError('type')}
+
+      {isBuyXGetY ? (
+        <>
+          {renderNumberField('buyQuantity', t('promotionForm.buyQuantity'), { step: '1', min: '1' })}
+          {renderNumberField('freeQuantity', t('promotionForm.freeQuantity'), { step: '1', min: '1' })}
+        </>
+      ) : (
+        renderNumberField(
+          'value',
+          values.type === 'percentage' ? t('promotionForm.percentageValue') : t('promotionForm.fixedValue'),
+          { step: values.type === 'percentage' ? '1' : '0.01', min: '0' }
+        )
+      )}
+
+      <label htmlFor="promotion-category">{t('promotionForm.category')}</label>
+      <select
+        id="promotion-category"
+        value={values.category}
+        onChange={(e) => handleChange('category', e.target.value)}
+        aria-invalid={!!fieldErrors.category}
+      >
+        <option value="">{t('promotionForm.allCategories')}</option>
+        {CATEGORIES.map(category => (
+          <option key={category} value={category}>{t(`categories.${category}`)}</option>
+        ))}
+      </select>
+      {renderError('category')}
+
+      <label htmlFor="promotion-expiresAt">{t('promotionForm.expiresAt')}</label>
+      <input
+        id="promotion-expiresAt"
+        type="date"
+        value={values.expiresAt}
+        onChange={(e) => handleChange('expiresAt', e.target.value)}
+      />
+
+      {renderNumberField('usageLimit', t('promotionForm.usageLimit'), { step: '1', min: '1' })}
+
+      <label className="promotion-active-toggle">
+        <input
+          type="checkbox"
+          checked={values.active}
+          onChange={(e) => handleChange('active', e.target.checked)}
+        />
+        {t('promotionForm.active')}
+      </label>
+
+      <div className="action-buttons">
+        <button type="submit" className="btn btn-primary btn-sm">
+          {isNew ? t('promotionForm.create') : t('common.saveChanges')}
+        </button>
+        <button type="button" className="btn btn-secondary btn-sm" onClick={onCancel}>
+          {t('common.close')}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default PromotionForm;
@@ -0,0 +1,37 @@
+import React from 'react';
+import { Navigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { useTranslation } from '../context/LanguageContext';
+
+// Route guard: sends visitors to the login page and blocks users without `role`
+function RequireAuth({ role, children }) {
+  const { user, loading } = useAuth();
+  const location = useLocation();
+  const { t } = useTranslation();
+
+  if (loading) {
+    return (
+      <div className="container">
+        <p>{t('auth.checking')}</p>
+      </div>
+    );
+  }
+
+  if (!user) {
+    const redirect = encodeURIComponent(location.pathname + location.search);
+    return <Navigate to={`/login?redirect=${redirect}`} replace />;
+  }
+
+  if (role && user.role !== role) {
+    return (
+      <div className="container">
+        <h1 className="page-title">{t('auth.deniedTitle')}</h1>
+        <p>{t('auth.denied')}</p>
+      </div>
+    );
+  }
+
+  return children;
+}
+
+export default RequireAuth;
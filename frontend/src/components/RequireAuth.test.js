@@ -0,0 +1,78 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { MemoryRouter, Routes, Route, useLocation } from 'react-router-dom';
+import RequireAuth from './RequireAuth';
+import { AuthProvider } from '../context/AuthContext';
+import { LanguageProvider } from '../context/LanguageContext';
+import { jsonResponse } from '../testUtils';
+
+// Mock fetch
+global.fetch = jest.fn();
+
+function LoginLocation() {
+  const location = useLocation();
+  return <div data-testid="login">{location.pathname + location.search}</div>;
+}
+
+function renderGuardedRoute() {
+  return render(
+    <MemoryRouter initialEntries={['/admin/orders']}>
+      <LanguageProvider>
+        <AuthProvider>
+          <Routes>
+            <Route path="/login" element={<LoginLocation />} />
+            <Route
+              path="/admin/orders"
+              element={<RequireAuth role="admin"><h1>Orders Dashboard</h1></RequireAuth>}
+            />
+          </Routes>
+        </AuthProvider>
+      </LanguageProvider>
+    </MemoryRouter>
+  );
+}
+
+describe('RequireAuth', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+  });
+
+  test('redirects anonymous visitors to the login page', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse(401, { error: 'Authentication required' }));
+
+    renderGuardedRoute();
+
+    expect(screen.getByText('Checking access...')).toBeInTheDocument();
+    expect(await screen.findByTestId('login')).toHaveTextContent('/login?redirect=%2Fadmin%2Forders');
+    expect(fetch).toHaveBeenCalledWith('/api/auth/me');
+  });
+
+  test('blocks users without the required role', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse(200, { name: 'Jane', role: 'customer' }));
+
+    renderGuardedRoute();
+
+    expect(await screen.findByText('Access denied')).toBeInTheDocument();
+    expect(screen.queryByText('Orders Dashboard')).not.toBeInTheDocument();
+  });
+
+  test('explains the denied access in the chosen language', async () => {
+    localStorage.setItem('language', 'de');
+    fetch.mockResolvedValueOnce(jsonResponse(200, { name: 'Jane', role: 'customer' }));
+
+    renderGuardedRoute();
+
+    expect(await screen.findByText('Zugriff verweigert')).toBeInTheDocument();
+    expect(screen.getByText('Sie haben keine Berechtigung, diese Seite anzusehen.')).toBeInTheDocument();
+
+    localStorage.removeItem('language');
+  });
+
+  test('renders the page for admins', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse(200, { name: 'Admin', role: 'admin' }));
+
+    renderGuardedRoute();
+
+    expect(await screen.findByText('Orders Dashboard')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,30 @@
+import React from 'react';
+import { useWishlist } from '../context/WishlistContext';
+import { useTranslation } from '../context/LanguageContext';
+import './WishlistButton.css';
+
+// Heart that adds a product to the wishlist or takes it off again. Products
+// built in a configurator (Custom Coffee) are saved from the cart with their
+// options instead, so they get no heart.
+function WishlistButton({ product, showLabel = false }) {
+  const { isInWishlist, toggleWishlist } = useWishlist();
+  const { t } = useTranslation();
+
+  if (product.configurator) return null;
+
+  const saved = isInWishlist(product._id);
+  return (
+    <button
+      type="button"
+      className={`wishlist-button${saved ? ' saved' : ''}`}
+      aria-pressed={saved}
+      aria-label={showLabel ? undefined : t('wishlist.toggle', { name: product.name })}
+      onClick={() => toggleWishlist(product)}
+    >
+      <span className="wishlist-heart" aria-hidden="true">{saved ? '♥' : '♡'}</span>
+      {showLabel && (saved ? t('wishlist.saved') : t('wishlist.save'))}
+    </button>
+  );
+}
+
+export default WishlistButton;
@@ -0,0 +1,97 @@
+import React, { createContext, useState, useEffect, useContext } from 'react';
+
+const AuthContext = createContext();
+
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+};
+
+// For providers that also work without an AuthProvider (e.g. in isolated tests); null there
+export const useOptionalAuth = () => useContext(AuthContext) || null;
+
+// Throws an Error carrying the HTTP `status` and the server's field `details`
+// (if any), so forms can show them in their own words
+const submitCredentials = async (url, body) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json();
+
+  if (!response.ok) {
+    const error = new Error(data.error || data.message || 'Request failed');
+    error.status = response.status;
+    error.details = data.details || {};
+    throw error;
+  }
+  return data;
+};
+
+export const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  // Restore the session from the auth cookie on mount
+  useEffect(() => {
+    let ignore = false;
+
+    const fetchCurrentUser = async () => {
+      try {
+        const response = await fetch('/api/auth/me');
+        if (!ignore && response.ok) {
+          setUser(await response.json());
+        }
+      } catch (error) {
+        console.error('Error fetching current user:', error);
+      } finally {
+        if (!ignore) {
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchCurrentUser();
+    return () => {
+      ignore = true;
+    };
+  }, []);
+
+  const login = async (email, password) => {
+    const loggedInUser = await submitCredentials('/api/auth/login', { email, password });
+    setUser(loggedInUser);
+    return loggedInUser;
+  };
+
+  const register = async (name, email, password) => {
+    const newUser = await submitCredentials('/api/auth/register', { name, email, password });
+    setUser(newUser);
+    return newUser;
+  };
+
+  const logout = async () => {
+    try {
+      await fetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+      console.error('Error logging out:', error);
+    }
+    setUser(null);
+  };
+
+  return (
+    <AuthContext.Provider value={{
+      user,
+      loading,
+      isAdmin: user?.role === 'admin',
+      login,
+      register,
+      logout
+    }}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
@@ -1,7 +1,49 @@
-import React, { createContext, useState, useEffect, useContext } from 'react';
+import React, { createContext, useState, useEffect, useContext, useRef } from 'react';
+import { useOptionalAuth } from './AuthContext';
+import { useTranslation } from './LanguageContext';
+import { cartReducer, initialCartState, lineKey, maxQuantity, productIdOf } from './cartReducer';
+import { DEFAULT_LANGUAGE } from '../i18n';
+import useServerSync from '../hooks/useServerSync';
+import { CART_STORAGE_KEY, loadSavedCart, parseSavedCart, saveCart } from '../utils/cartStorage';
+import { sum } from '../utils/money';
 
 const CartContext = createContext();
 
+// A cart line as PUT /api/cart takes it: the server keeps no names or prices
+export const toServerItem = (item) => ({
+  _id: item.lineId,
+  productId: productIdOf(item),
+  customCoffee: item.customCoffee || undefined,
+  quantity: item.quantity
+});
+
+// A line returned by /api/cart in the shape the storefront uses. Custom
+// coffees are named after their base drink and priced by their options.
+export const fromServerItem = (line) => (
+  line.customCoffee
+    ? {
+      ...line.product,
+      name: line.name,
+      price: line.price,
+      lineId: line._id,
+      quantity: line.quantity,
+      customCoffee: line.customCoffee
+    }
+    : { ...line.product, lineId: line._id, quantity: line.quantity }
+);
+
+// The server cart plus the lines added before logging in; the same product
+// (or identical custom coffee) in both carts is combined into one line, up to
+// the most that line may hold
+export const mergeCarts = (serverItems, localItems) => localItems.reduce((merged, item) => {
+  const match = merged.find(line => lineKey(line) === lineKey(item));
+  if (!match) return [...merged, item];
+  const quantity = Math.min(match.quantity + item.quantity, maxQuantity(match));
+  return merged.map(line => (line === match ? { ...line, quantity } : line));
+}, serverItems);
+
+const countItems = (items) => items.reduce((count, item) => count + item.quantity, 0);
+
 export const useCart = () => {
   const context = useContext(CartContext);
   if (!context) {
@@ -10,73 +52,118 @@ export const useCart = () => {
   return context;
 };
 
+/**
+ * Cart lines are addressed by their `lineId` and changed through cartReducer.
+ * The cart is kept in localStorage and, inside an AuthProvider, on the server
+ * (/api/cart) so it follows the shopper across devices: the customer's cart
+ * when logged in, otherwise the visitor cart of this browser. Changes show
+ * immediately and are then saved; the server's answer (current prices, lines
+ * it can no longer sell dropped) replaces the cart unless it has changed again
+ * since. Loading the cart checks it against the catalogue the same way. Other
+ * tabs pick up changes through localStorage, and the cart is reloaded from the
+ * server whenever the tab becomes visible again.
+ */
 export const CartProvider = ({ children }) => {
-  const [cart, setCart] = useState([]);
+  const [state, setState] = useState(() => initialCartState(loadSavedCart()));
+  const cart = state.items;
+  const auth = useOptionalAuth();
+  const { language } = useTranslation();
 
-  // Load cart from localStorage on mount
-  useEffect(() => {
-    const savedCart = localStorage.getItem('cart');
-    if (savedCart) {
-      setCart(JSON.parse(savedCart));
-    }
-  }, []);
+  // undefined until the session is known (or without an AuthProvider), null for visitors
+  const userId = auth && !auth.loading ? auth.user?._id || null : undefined;
+  const cartUrl = language === DEFAULT_LANGUAGE ? '/api/cart' : `/api/cart?lang=${language}`;
+
+  // The latest state, for saving without waiting for a re-render
+  const stateRef = useRef(state);
 
   // Save cart to localStorage whenever it changes
   useEffect(() => {
-    localStorage.setItem('cart', JSON.stringify(cart));
+    saveCart(cart);
   }, [cart]);
 
+  const applyState = (next) => {
+    stateRef.current = next;
+    setState(next);
+  };
+
+  const { saveItems } = useServerSync({
+    url: cartUrl,
+    userId,
+    syncVisitors: true,
+    storageKey: CART_STORAGE_KEY,
+    parseSaved: parseSavedCart,
+    getItems: () => stateRef.current.items,
+    // Takes over a cart saved elsewhere, without saving it again
+    replaceItems: (items) => applyState(cartReducer(stateRef.current, { type: 'REPLACE', items })),
+    resetItems: () => applyState(initialCartState()),
+    toServerItem,
+    fromServerItem,
+    mergeItems: mergeCarts,
+    name: 'cart'
+  });
+
+  // Applies a change made in this tab and saves the result
+  const dispatch = (action) => {
+    const previous = stateRef.current;
+    const next = cartReducer(previous, action);
+    applyState(next);
+    if (next.items !== previous.items) {
+      saveItems(next.items);
+    }
+    return next;
+  };
+
+  // Returns how many were added, which the product's stock can make fewer than asked for
   const addToCart = (product, quantity = 1, customCoffee = null) => {
-    setCart(prevCart => {
-      const existingItemIndex = prevCart.findIndex(
-        item => item._id === product._id && !item.customCoffee
-      );
-
-      if (existingItemIndex > -1 && !customCoffee) {
-        const newCart = [...prevCart];
-        newCart[existingItemIndex].quantity += quantity;
-        return newCart;
-      } else {
-        return [...prevCart, { ...product, quantity, customCoffee }];
-      }
-    });
+    const previous = stateRef.current.items;
+    const { items } = dispatch({ type: 'ADD_ITEM', product, quantity, customCoffee });
+    return countItems(items) - countItems(previous);
   };
 
-  const removeFromCart = (index) => {
-    setCart(prevCart => prevCart.filter((_, i) => i !== index));
+  // Lines moved out of the cart (`undoable: false`) don't offer an undo
+  const removeFromCart = (lineId, { undoable = true } = {}) => {
+    dispatch({ type: 'REMOVE_LINE', lineId, undoable });
   };
 
-  const updateQuantity = (index, quantity) => {
-    if (quantity <= 0) {
-      removeFromCart(index);
-      return;
-    }
-    setCart(prevCart => {
-      const newCart = [...prevCart];
-      newCart[index].quantity = quantity;
-      return newCart;
-    });
+  // Quantities of 0 or less remove the line; more than it may hold are capped
+  const updateQuantity = (lineId, quantity) => {
+    dispatch({ type: 'UPDATE_QUANTITY', lineId, quantity });
+  };
+
+  // Changes a custom coffee's options; `product` is the Custom Coffee named and
+  // priced for them
+  const reconfigureLine = (lineId, product, customCoffee) => {
+    dispatch({ type: 'RECONFIGURE_LINE', lineId, product, customCoffee });
+  };
+
+  // Puts the last removed line back, when nothing else has changed since
+  const undoRemove = () => {
+    dispatch({ type: 'UNDO_REMOVE' });
   };
 
   const clearCart = () => {
-    setCart([]);
+    dispatch({ type: 'CLEAR' });
   };
 
   const getCartTotal = () => {
-    return cart.reduce((total, item) => total + (item.price * item.quantity), 0);
+    return sum(cart.map(item => item.price * item.quantity));
   };
 
   const getCartCount = () => {
-    return cart.reduce((count, item) => count + item.quantity, 0);
+    return countItems(cart);
   };
 
   return (
     <CartContext.Provider value={{
       cart,
+      lastRemoved: state.lastRemoved?.line || null,
       addToCart,
       removeFromCart,
       updateQuantity,
+      reconfigureLine,
+      undoRemove,
       clearCart,
+      getMaxQuantity: maxQuantity,
       getCartTotal,
       getCartCount
     }}>
@@ -1,6 +1,53 @@
 import React from 'react';
 import { render, screen, act, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { AuthProvider } from './AuthContext';
 import { CartProvider, useCart } from './CartContext';
+import { SessionButtons, beans, customer, jsonResponse, mockApi, mug, products } from '../testUtils';
+
+global.fetch = jest.fn();
+
+const emptyCart = { currency: 'USD', items: [] };
+
+// The carts kept on the "server" for the visitor and the customer, which PUT /api/cart replaces
+const mockCartApi = ({ user = null, visitorCart = emptyCart, customerCart = emptyCart } = {}) => {
+  const carts = { visitor: visitorCart, customer: customerCart };
+
+  mockApi({
+    user,
+    handleRequest: (url, options, currentUser) => {
+      const session = currentUser ? 'customer' : 'visitor';
+      if (url === '/api/cart' && !options.method) return jsonResponse(200, carts[session]);
+      if (url === '/api/cart') {
+        carts[session] = {
+          _id: `${session}-cart`,
+          currency: 'USD',
+          // Lines of products no longer in the catalogue are dropped
+          items: JSON.parse(options.body).items
+            .filter(line => products[line.productId])
+            .map((line, index) => ({ _id: line._id || `line-${index}`, product: products[line.productId], quantity: line.quantity }))
+        };
+        return jsonResponse(200, carts[session]);
+      }
+      return undefined;
+    }
+  });
+};
+
+const cartPuts = () => fetch.mock.calls
+  .filter(([url, options]) => url === '/api/cart' && options?.method === 'PUT')
+  .map(([, options]) => JSON.parse(options.body));
+
+function renderWithAuth() {
+  return render(
+    <AuthProvider>
+      <CartProvider>
+        <SessionButtons />
+        <TestComponent />
+      </CartProvider>
+    </AuthProvider>
+  );
+}
 
 // Test component to access cart context
 function TestComponent() {
@@ -19,14 +66,14 @@ function TestComponent() {
       <div data-testid="cart-count">{getCartCount()}</div>
       <div data-testid="cart-total">{getCartTotal()}</div>
       <div data-testid="cart-items">{JSON.stringify(cart)}</div>
-      <button onClick={() => addToCart({ _id: '1', name: 'Test Product', price: 10 }, 1)}>
+      <button onClick={() => addToCart({ _id: '1', name: 'Test Product', price: 1000 }, 1)}>
         Add Product
       </button>
-      <button onClick={() => addToCart({ _id: '2', name: 'Coffee', price: 15 }, 1, { size: 'large' })}>
+      <button onClick={() => addToCart({ _id: '2', name: 'Coffee', price: 1500 }, 1, { size: 'large' })}>
         Add Custom Coffee
       </button>
-      <button onClick={() => removeFromCart(0)}>Remove First Item</button>
-      <button onClick={() => updateQuantity(0, 3)}>Update Quantity</button>
+      <button onClick={() => removeFromCart(cart[0].lineId)}>Remove First Item</button>
+      <button onClick={() => updateQuantity(cart[0].lineId, 3)}>Update Quantity</button>
       <button onClick={clearCart}>Clear Cart</button>
     </div>
   );
@@ -60,7 +107,7 @@ describe('CartContext', () => {
     });
 
     expect(screen.getByTestId('cart-count')).toHaveTextContent('1');
-    expect(screen.getByTestId('cart-total')).toHaveTextContent('10');
+    expect(screen.getByTestId('cart-total')).toHaveTextContent('1000');
   });
 
   test('increases quantity when adding same product', () => {
@@ -76,7 +123,7 @@ describe('CartContext', () => {
     });
 
     expect(screen.getByTestId('cart-count')).toHaveTextContent('2');
-    expect(screen.getByTestId('cart-total')).toHaveTextContent('20');
+    expect(screen.getByTestId('cart-total')).toHaveTextContent('2000');
   });
 
   test('adds custom coffee as separate item', () => {
@@ -92,7 +139,7 @@ describe('CartContext', () => {
     });
 
     expect(screen.getByTestId('cart-count')).toHaveTextContent('2');
-    expect(screen.getByTestId('cart-total')).toHaveTextContent('30');
+    expect(screen.getByTestId('cart-total')).toHaveTextContent('3000');
   });
 
   test('removes item from cart', () => {
@@ -133,7 +180,7 @@ describe('CartContext', () => {
     });
 
     expect(screen.getByTestId('cart-count')).toHaveTextContent('3');
-    expect(screen.getByTestId('cart-total')).toHaveTextContent('30');
+    expect(screen.getByTestId('cart-total')).toHaveTextContent('3000');
   });
 
   test('removes item when quantity updated to 0', () => {
@@ -179,11 +226,11 @@ describe('CartContext', () => {
     );
 
     act(() => {
-      screen.getByText('Add Product').click(); // $10
-      screen.getByText('Add Custom Coffee').click(); // $15
+      screen.getByText('Add Product').click(); // $10.00
+      screen.getByText('Add Custom Coffee').click(); // $15.00
     });
 
-    expect(screen.getByTestId('cart-total')).toHaveTextContent('25');
+    expect(screen.getByTestId('cart-total')).toHaveTextContent('2500');
   });
 
   test('persists cart to localStorage', async () => {
@@ -198,15 +245,18 @@ describe('CartContext', () => {
     });
 
     await waitFor(() => {
-      const savedCart = localStorage.getItem('cart');
-      expect(savedCart).toContain('Test Product');
+      const savedCart = JSON.parse(localStorage.getItem('cart'));
+      expect(savedCart.version).toBe(2);
+      expect(savedCart.currency).toBe('USD');
+      expect(savedCart.items[0]).toMatchObject({ name: 'Test Product', price: 1000, quantity: 1 });
     });
   });
 
   test('loads cart from localStorage on mount', () => {
-    const savedCart = JSON.stringify([
-      { _id: '1', name: 'Saved Product', price: 20, quantity: 2 }
-    ]);
+    const savedCart = JSON.stringify({
+      currency: 'USD',
+      items: [{ _id: '1', name: 'Saved Product', price: 2000, quantity: 2 }]
+    });
     
     localStorage.setItem('cart', savedCart);
 
@@ -217,7 +267,201 @@ describe('CartContext', () => {
     );
 
     expect(screen.getByTestId('cart-count')).toHaveTextContent('2');
-    expect(screen.getByTestId('cart-total')).toHaveTextContent('40');
+    expect(screen.getByTestId('cart-total')).toHaveTextContent('4000');
+  });
+
+  test('converts carts saved with dollar prices to cents', () => {
+    localStorage.setItem('cart', JSON.stringify([
+      { _id: '1', name: 'Saved Product', price: 19.99, quantity: 2 }
+    ]));
+
+    render(
+      <CartProvider>
+        <TestComponent />
+      </CartProvider>
+    );
+
+    expect(screen.getByTestId('cart-total')).toHaveTextContent('3998');
+  });
+
+  describe('with an AuthProvider', () => {
+    beforeEach(() => {
+      fetch.mockReset();
+    });
+
+    test('loads the server cart of a logged-in customer', async () => {
+      mockCartApi({
+        user: customer,
+        customerCart: { _id: 'customer-cart', currency: 'USD', items: [{ _id: 'line-0', product: mug, quantity: 2 }] }
+      });
+      localStorage.setItem('cart', JSON.stringify({ currency: 'USD', items: [{ ...beans, quantity: 1 }] }));
+
+      renderWithAuth();
+
+      await waitFor(() => expect(screen.getByTestId('cart-total')).toHaveTextContent('1600'));
+      expect(screen.getByTestId('cart-items')).toHaveTextContent('Mug');
+      expect(screen.getByTestId('cart-items')).not.toHaveTextContent('Test Product');
+      expect(cartPuts()).toHaveLength(0);
+    });
+
+    test('shows changes at once and saves them to the server', async () => {
+      const user = userEvent.setup();
+      mockCartApi();
+      renderWithAuth();
+      await waitFor(() => expect(fetch).toHaveBeenCalledWith('/api/cart'));
+
+      await user.click(screen.getByText('Add Product'));
+
+      expect(screen.getByTestId('cart-count')).toHaveTextContent('1');
+      await waitFor(() => expect(cartPuts()).toEqual([
+        { items: [{ _id: expect.stringMatching(/^line-/), productId: '1', quantity: 1 }] }
+      ]));
+    });
+
+    test('saves the browser cart of a visitor without a server cart yet', async () => {
+      mockCartApi();
+      localStorage.setItem('cart', JSON.stringify({ currency: 'USD', items: [{ ...beans, quantity: 2 }] }));
+
+      renderWithAuth();
+
+      await waitFor(() => expect(cartPuts()).toEqual([
+        { items: [{ _id: expect.stringMatching(/^line-/), productId: '1', quantity: 2 }] }
+      ]));
+      expect(screen.getByTestId('cart-count')).toHaveTextContent('2');
+    });
+
+    test('checks the saved cart against the catalogue on load', async () => {
+      mockCartApi();
+      localStorage.setItem('cart', JSON.stringify({
+        version: 1,
+        currency: 'USD',
+        items: [
+          { ...beans, price: 900, quantity: 1 },
+          { _id: '99', name: 'Discontinued', price: 500, quantity: 4 }
+        ]
+      }));
+
+      renderWithAuth();
+
+      await waitFor(() => expect(screen.getByTestId('cart-count')).toHaveTextContent('1'));
+      expect(screen.getByTestId('cart-total')).toHaveTextContent('1000');
+      expect(screen.getByTestId('cart-items')).not.toHaveTextContent('Discontinued');
+    });
+
+    test('merges the visitor cart into the customer cart on login', async () => {
+      const user = userEvent.setup();
+      mockCartApi({
+        customerCart: {
+          _id: 'customer-cart',
+          currency: 'USD',
+          items: [{ _id: 'line-0', product: beans, quantity: 1 }, { _id: 'line-1', product: mug, quantity: 1 }]
+        }
+      });
+      renderWithAuth();
+      await waitFor(() => expect(fetch).toHaveBeenCalledWith('/api/cart'));
+      await user.click(screen.getByText('Add Product'));
+      await waitFor(() => expect(cartPuts()).toHaveLength(1));
+
+      await user.click(screen.getByText('Log In'));
+
+      await waitFor(() => expect(cartPuts()).toHaveLength(2));
+      expect(cartPuts()[1]).toEqual({
+        items: [{ _id: 'line-0', productId: '1', quantity: 2 }, { _id: 'line-1', productId: '3', quantity: 1 }]
+      });
+      await waitFor(() => expect(screen.getByTestId('cart-count')).toHaveTextContent('3'));
+    });
+
+    test('starts an empty cart on logout', async () => {
+      const user = userEvent.setup();
+      mockCartApi({
+        user: customer,
+        customerCart: { _id: 'customer-cart', currency: 'USD', items: [{ _id: 'line-0', product: mug, quantity: 2 }] }
+      });
+      renderWithAuth();
+      await waitFor(() => expect(screen.getByTestId('cart-count')).toHaveTextContent('2'));
+
+      await user.click(screen.getByText('Log Out'));
+
+      await waitFor(() => expect(screen.getByTestId('cart-count')).toHaveTextContent('0'));
+      expect(cartPuts()).toHaveLength(0);
+    });
+
+    test('keeps the cart when it cannot be saved', async () => {
+      const user = userEvent.setup();
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+      mockCartApi();
+      const apiResponses = fetch.getMockImplementation();
+      fetch.mockImplementation((url, options = {}) => (
+        url === '/api/cart' && options.method === 'PUT'
+          ? Promise.resolve(jsonResponse(500, { message: 'Failed to save cart' }))
+          : apiResponses(url, options)
+      ));
+      renderWithAuth();
+      await waitFor(() => expect(fetch).toHaveBeenCalledWith('/api/cart'));
+
+      await user.click(screen.getByText('Add Product'));
+
+      await waitFor(() => expect(consoleSpy).toHaveBeenCalledWith('Error saving cart:', expect.any(Error)));
+      expect(screen.getByTestId('cart-count')).toHaveTextContent('1');
+      consoleSpy.mockRestore();
+    });
+  });
+
+  test('starts an empty cart when the saved cart is corrupted', () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+    localStorage.setItem('cart', '{"items": [');
+
+    render(
+      <CartProvider>
+        <TestComponent />
+      </CartProvider>
+    );
+
+    expect(screen.getByTestId('cart-count')).toHaveTextContent('0');
+    expect(warnSpy).toHaveBeenCalledWith('Discarding a saved cart that is not valid JSON');
+    warnSpy.mockRestore();
+  });
+
+  test('takes over the cart saved in another tab', () => {
+    render(
+      <CartProvider>
+        <TestComponent />
+      </CartProvider>
+    );
+
+    act(() => {
+      window.dispatchEvent(new StorageEvent('storage', {
+        key: 'cart',
+        newValue: JSON.stringify({ version: 1, currency: 'USD', items: [{ ...mug, quantity: 3 }] })
+      }));
+    });
+
+    expect(screen.getByTestId('cart-count')).toHaveTextContent('3');
+    expect(screen.getByTestId('cart-total')).toHaveTextContent('2400');
+
+    // Another tab clearing localStorage empties the cart here too
+    act(() => {
+      window.dispatchEvent(new StorageEvent('storage', { key: null, newValue: null }));
+    });
+
+    expect(screen.getByTestId('cart-count')).toHaveTextContent('0');
+  });
+
+  test('ignores changes to other localStorage keys', () => {
+    render(
+      <CartProvider>
+        <TestComponent />
+      </CartProvider>
+    );
+    act(() => {
+      screen.getByText('Add Product').click();
+    });
+
+    act(() => {
+      window.dispatchEvent(new StorageEvent('storage', { key: 'language', newValue: 'de' }));
+    });
+
+    expect(screen.getByTestId('cart-count')).toHaveTextContent('1');
   });
 
   test('throws error when useCart is used outside CartProvider', () => {
@@ -0,0 +1,80 @@
+import React, { createContext, useState, useEffect, useContext } from 'react';
+import { DEFAULT_CURRENCY, DEFAULT_LOCALE, convert, formatMoney } from '../utils/money';
+import { useTranslation } from './LanguageContext';
+
+const STORE_CONVERSION = { currency: DEFAULT_CURRENCY, rate: 1 };
+
+// Converts an amount in the store currency and formats it for the shopper's language
+const formatConverted = (amount, { currency, rate }, locale = DEFAULT_LOCALE) =>
+  formatMoney(convert(amount, rate, DEFAULT_CURRENCY, currency), currency, locale);
+
+// Outside a CurrencyProvider prices are shown in the store currency
+const CurrencyContext = createContext({
+  currency: DEFAULT_CURRENCY,
+  currencies: [],
+  rate: 1,
+  setCurrency: () => {},
+  formatPrice: (amount, conversion = STORE_CONVERSION) => formatConverted(amount, conversion)
+});
+
+export const useCurrency = () => useContext(CurrencyContext);
+
+// Orders are shown in the currency and at the rate they were placed with
+export const orderConversion = (order) => ({
+  currency: order.displayCurrency || DEFAULT_CURRENCY,
+  rate: order.exchangeRate || 1
+});
+
+export const CurrencyProvider = ({ children }) => {
+  const { locale } = useTranslation();
+  const [currencies, setCurrencies] = useState([]);
+  const [selectedCurrency, setSelectedCurrency] = useState(
+    () => localStorage.getItem('currency') || DEFAULT_CURRENCY
+  );
+
+  // Load the exchange rate table once; prices stay in the store currency until it arrives
+  useEffect(() => {
+    let ignore = false;
+
+    const fetchCurrencies = async () => {
+      try {
+        const response = await fetch('/api/currencies');
+        if (!response.ok) {
+          throw new Error(`Failed to load currencies (${response.status})`);
+        }
+        const data = await response.json();
+        if (!ignore) {
+          setCurrencies(data.currencies);
+        }
+      } catch (error) {
+        console.error('Error fetching currencies:', error);
+      }
+    };
+
+    fetchCurrencies();
+    return () => {
+      ignore = true;
+    };
+  }, []);
+
+  const setCurrency = (currency) => {
+    localStorage.setItem('currency', currency);
+    setSelectedCurrency(currency);
+  };
+
+  // Fall back to the store currency if the saved choice is no longer offered
+  const selected = currencies.find(entry => entry.code === selectedCurrency);
+  const conversion = selected ? { currency: selected.code, rate: selected.rate } : STORE_CONVERSION;
+
+  return (
+    <CurrencyContext.Provider value={{
+      currency: conversion.currency,
+      currencies,
+      rate: conversion.rate,
+      setCurrency,
+      formatPrice: (amount, displayConversion = conversion) => formatConverted(amount, displayConversion, locale)
+    }}>
+      {children}
+    </CurrencyContext.Provider>
+  );
+};
@@ -0,0 +1,98 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { CurrencyProvider, useCurrency } from './CurrencyContext';
+
+// Mock fetch
+global.fetch = jest.fn();
+
+const mockCurrencies = {
+  base: 'USD',
+  updatedAt: '2026-10-01',
+  currencies: [
+    { code: 'USD', rate: 1 },
+    { code: 'EUR', rate: 0.92 },
+    { code: 'GBP', rate: 0.79 }
+  ]
+};
+
+function TestComponent() {
+  const { currency, currencies, setCurrency, formatPrice } = useCurrency();
+
+  return (
+    <div>
+      <div data-testid="currency">{currency}</div>
+      <div data-testid="price">{formatPrice(1999)}</div>
+      <div data-testid="order-price">{formatPrice(1999, { currency: 'GBP', rate: 0.8 })}</div>
+      {currencies.map(({ code }) => (
+        <button key={code} onClick={() => setCurrency(code)}>{code}</button>
+      ))}
+    </div>
+  );
+}
+
+function renderWithProvider() {
+  return render(
+    <CurrencyProvider>
+      <TestComponent />
+    </CurrencyProvider>
+  );
+}
+
+describe('CurrencyContext', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    fetch.mockReset();
+    fetch.mockResolvedValue({ ok: true, json: () => Promise.resolve(mockCurrencies) });
+  });
+
+  test('shows prices in the store currency outside a provider', () => {
+    render(<TestComponent />);
+
+    expect(screen.getByTestId('currency')).toHaveTextContent('USD');
+    expect(screen.getByTestId('price')).toHaveTextContent('$19.99');
+  });
+
+  test('converts prices to the chosen currency and remembers it', async () => {
+    const user = userEvent.setup();
+    renderWithProvider();
+
+    expect(fetch).toHaveBeenCalledWith('/api/currencies');
+    await user.click(await screen.findByText('EUR'));
+
+    expect(screen.getByTestId('currency')).toHaveTextContent('EUR');
+    expect(screen.getByTestId('price')).toHaveTextContent('€18.39');
+    expect(localStorage.getItem('currency')).toBe('EUR');
+  });
+
+  test('formats amounts at a given rate, e.g. the one an order was placed with', async () => {
+    renderWithProvider();
+
+    await screen.findByText('EUR');
+    expect(screen.getByTestId('order-price')).toHaveTextContent('£15.99');
+  });
+
+  test('falls back to the store currency when the saved one is not offered', async () => {
+    localStorage.setItem('currency', 'JPY');
+    renderWithProvider();
+
+    await screen.findByText('EUR');
+    expect(screen.getByTestId('currency')).toHaveTextContent('USD');
+    expect(screen.getByTestId('price')).toHaveTextContent('$19.99');
+  });
+
+  test('keeps the store currency when the rates fail to load', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation();
+    localStorage.setItem('currency', 'EUR');
+    fetch.mockResolvedValue({ ok: false, status: 500, json: () => Promise.resolve({}) });
+
+    renderWithProvider();
+
+    await waitFor(() => {
+      expect(consoleError).toHaveBeenCalled();
+    });
+    expect(screen.getByTestId('currency')).toHaveTextContent('USD');
+    expect(screen.getByTestId('price')).toHaveTextContent('$19.99');
+    consoleError.mockRestore();
+  });
+});
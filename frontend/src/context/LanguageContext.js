@@ -0,0 +1,46 @@
+import React, { createContext, useState, useEffect, useContext } from 'react';
+import { DEFAULT_LANGUAGE, LANGUAGES, translate, translateDefault } from '../i18n';
+
+// The saved choice, else the browser's language when we have it, else English
+const initialLanguage = () => {
+  const saved = localStorage.getItem('language');
+  if (LANGUAGES[saved]) {
+    return saved;
+  }
+  const browserLanguage = (navigator.language || '').split('-')[0];
+  return LANGUAGES[browserLanguage] ? browserLanguage : DEFAULT_LANGUAGE;
+};
+
+// Outside a LanguageProvider the UI is in English
+const LanguageContext = createContext({
+  language: DEFAULT_LANGUAGE,
+  locale: LANGUAGES[DEFAULT_LANGUAGE].locale,
+  setLanguage: () => {},
+  t: translateDefault
+});
+
+export const useTranslation = () => useContext(LanguageContext);
+
+export const LanguageProvider = ({ children }) => {
+  const [language, setSelectedLanguage] = useState(initialLanguage);
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  const setLanguage = (nextLanguage) => {
+    localStorage.setItem('language', nextLanguage);
+    setSelectedLanguage(nextLanguage);
+  };
+
+  return (
+    <LanguageContext.Provider value={{
+      language,
+      locale: LANGUAGES[language].locale,
+      setLanguage,
+      t: (key, params) => translate(language, key, params)
+    }}>
+      {children}
+    </LanguageContext.Provider>
+  );
+};
@@ -0,0 +1,57 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { LanguageProvider, useTranslation } from './LanguageContext';
+
+function TestComponent() {
+  const { language, locale, setLanguage, t } = useTranslation();
+
+  return (
+    <div>
+      <div data-testid="language">{language}</div>
+      <div data-testid="locale">{locale}</div>
+      <div data-testid="title">{t('cart.title')}</div>
+      <button onClick={() => setLanguage('de')}>Deutsch</button>
+    </div>
+  );
+}
+
+function renderWithProvider() {
+  return render(
+    <LanguageProvider>
+      <TestComponent />
+    </LanguageProvider>
+  );
+}
+
+describe('LanguageContext', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('uses English outside a provider', () => {
+    render(<TestComponent />);
+
+    expect(screen.getByTestId('language')).toHaveTextContent('en');
+    expect(screen.getByTestId('title')).toHaveTextContent('Shopping Cart');
+  });
+
+  test('switches language and remembers the choice', async () => {
+    const user = userEvent.setup();
+    renderWithProvider();
+
+    await user.click(screen.getByText('Deutsch'));
+
+    expect(screen.getByTestId('title')).toHaveTextContent('Warenkorb');
+    expect(screen.getByTestId('locale')).toHaveTextContent('de-DE');
+    expect(localStorage.getItem('language')).toBe('de');
+    expect(document.documentElement.lang).toBe('de');
+  });
+
+  test('ignores a saved language that is not supported', () => {
+    localStorage.setItem('language', 'xx');
+    renderWithProvider();
+
+    expect(screen.getByTestId('language')).toHaveTextContent('en');
+  });
+});
@@ -0,0 +1,136 @@
+import React, { createContext, useState, useEffect, useContext, useRef } from 'react';
+import { useOptionalAuth } from './AuthContext';
+import { useTranslation } from './LanguageContext';
+import { fromServerItem, toServerItem } from './CartContext';
+import { createLineId, lineKey, MAX_LINE_QUANTITY } from './cartReducer';
+import { DEFAULT_LANGUAGE } from '../i18n';
+import useServerSync from '../hooks/useServerSync';
+import { WISHLIST_STORAGE_KEY, loadSavedWishlist, parseSavedWishlist, saveWishlist } from '../utils/wishlistStorage';
+
+const WishlistContext = createContext();
+
+// Wishlist lines are stored on the server like cart lines, with when they were added
+const toServerLine = (item) => ({ ...toServerItem(item), addedAt: item.addedAt });
+const fromServerLine = (line) => ({ ...fromServerItem(line), addedAt: line.addedAt });
+
+// Products are on the wishlist by themselves; custom coffees only with their options
+const hasProduct = (items, productId) => items.some(item => !item.customCoffee && item._id === productId);
+
+// The server wishlist plus the items saved before logging in; items in both
+// are kept once, with the larger quantity
+export const mergeWishlists = (serverItems, localItems) => localItems.reduce((merged, item) => {
+  const match = merged.find(line => lineKey(line) === lineKey(item));
+  if (!match) return [...merged, item];
+  const quantity = Math.max(match.quantity, item.quantity);
+  return merged.map(line => (line === match ? { ...line, quantity } : line));
+}, serverItems);
+
+export const useWishlist = () => {
+  const context = useContext(WishlistContext);
+  if (!context) {
+    throw new Error('useWishlist must be used within a WishlistProvider');
+  }
+  return context;
+};
+
+/**
+ * Products and custom coffees kept to buy later, saved like cart lines (with
+ * an `addedAt` time). The wishlist is kept in localStorage and shared with
+ * other tabs; a logged-in customer's is also kept on the server
+ * (/api/wishlist) and reloaded whenever the tab becomes visible again. The
+ * items a visitor saved are added to it on login; logging out leaves an empty
+ * wishlist.
+ */
+export const WishlistProvider = ({ children }) => {
+  const [items, setItems] = useState(loadSavedWishlist);
+  const auth = useOptionalAuth();
+  const { language } = useTranslation();
+
+  // undefined until the session is known (or without an AuthProvider), null for visitors
+  const userId = auth && !auth.loading ? auth.user?._id || null : undefined;
+  const wishlistUrl = language === DEFAULT_LANGUAGE ? '/api/wishlist' : `/api/wishlist?lang=${language}`;
+
+  // The latest items, for saving without waiting for a re-render
+  const itemsRef = useRef(items);
+
+  useEffect(() => {
+    saveWishlist(items);
+  }, [items]);
+
+  const applyItems = (next) => {
+    itemsRef.current = next;
+    setItems(next);
+  };
+
+  const { saveItems } = useServerSync({
+    url: wishlistUrl,
+    userId,
+    syncVisitors: false,
+    storageKey: WISHLIST_STORAGE_KEY,
+    parseSaved: parseSavedWishlist,
+    getItems: () => itemsRef.current,
+    replaceItems: applyItems,
+    resetItems: () => applyItems([]),
+    toServerItem: toServerLine,
+    fromServerItem: fromServerLine,
+    mergeItems: mergeWishlists,
+    name: 'wishlist'
+  });
+
+  // Applies a change made in this tab and saves it for logged-in customers
+  const update = (next) => {
+    applyItems(next);
+    saveItems(next);
+  };
+
+  const isInWishlist = (productId) => hasProduct(items, productId);
+
+  // Adds the product, or removes it when it is already on the wishlist
+  const toggleWishlist = (product) => {
+    const current = itemsRef.current;
+    if (hasProduct(current, product._id)) {
+      update(current.filter(item => item.customCoffee || item._id !== product._id));
+    } else {
+      update([...current, { ...product, lineId: createLineId(), quantity: 1, addedAt: new Date().toISOString() }]);
+    }
+  };
+
+  // Keeps a cart line to buy later; the same item already on the wishlist gets
+  // its quantity added. Unlike the cart, the wishlist isn't limited by stock.
+  const saveForLater = (line) => {
+    const current = itemsRef.current;
+    const match = current.find(item => lineKey(item) === lineKey(line));
+    if (match) {
+      const quantity = Math.min(match.quantity + line.quantity, MAX_LINE_QUANTITY);
+      update(current.map(item => (item === match ? { ...item, quantity } : item)));
+    } else {
+      update([...current, { ...line, lineId: createLineId(), addedAt: new Date().toISOString() }]);
+    }
+  };
+
+  const removeFromWishlist = (lineId) => {
+    update(itemsRef.current.filter(item => item.lineId !== lineId));
+  };
+
+  // Quantities of 0 or less remove the item
+  const updateWishlistQuantity = (lineId, quantity) => {
+    if (quantity <= 0) {
+      removeFromWishlist(lineId);
+      return;
+    }
+    update(itemsRef.current.map(item => (item.lineId === lineId ? { ...item, quantity } : item)));
+  };
+
+  return (
+    <WishlistContext.Provider value={{
+      wishlist: items,
+      isInWishlist,
+      toggleWishlist,
+      saveForLater,
+      removeFromWishlist,
+      updateWishlistQuantity
+    }}>
+      {children}
+    </WishlistContext.Provider>
+  );
+};
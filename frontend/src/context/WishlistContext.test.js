@@ -0,0 +1,234 @@
+import React from 'react';
+import { render, screen, act, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { AuthProvider } from './AuthContext';
+import { WishlistProvider, useWishlist, mergeWishlists } from './WishlistContext';
+import { SessionButtons, beans, customer, jsonResponse, mockApi, mug, products } from '../testUtils';
+
+global.fetch = jest.fn();
+
+// The customer's wishlist, which PUT /api/wishlist replaces; visitors have none on the server
+const mockWishlistApi = ({ user = null, customerWishlist = { items: [] } } = {}) => {
+  let wishlist = customerWishlist;
+
+  mockApi({
+    user,
+    handleRequest: (url, options, currentUser) => {
+      if (url !== '/api/wishlist') return undefined;
+      if (!currentUser) return jsonResponse(401, { error: 'Authentication required' });
+      if (!options.method) return jsonResponse(200, wishlist);
+      wishlist = {
+        _id: 'customer-wishlist',
+        items: JSON.parse(options.body).items.map(line => ({
+          _id: line._id,
+          product: products[line.productId],
+          quantity: line.quantity,
+          addedAt: line.addedAt
+        }))
+      };
+      return jsonResponse(200, wishlist);
+    }
+  });
+};
+
+const wishlistPuts = () => fetch.mock.calls
+  .filter(([url, options]) => url === '/api/wishlist' && options?.method === 'PUT')
+  .map(([, options]) => JSON.parse(options.body));
+
+const savedWishlist = (items) => JSON.stringify({ version: 1, items });
+
+// Test component to access wishlist context
+function TestComponent() {
+  const { wishlist, isInWishlist, toggleWishlist, saveForLater, removeFromWishlist } = useWishlist();
+
+  return (
+    <div>
+      <div data-testid="wishlist-items">{wishlist.map(item => `${item.name} x${item.quantity}`).join(', ')}</div>
+      <div data-testid="beans-saved">{String(isInWishlist(beans._id))}</div>
+      <button onClick={() => toggleWishlist(beans)}>Toggle Beans</button>
+      <button onClick={() => saveForLater({ ...mug, lineId: 'line-cart', quantity: 2 })}>Save Mugs</button>
+      <button onClick={() => removeFromWishlist(wishlist[0].lineId)}>Remove First Item</button>
+    </div>
+  );
+}
+
+function renderWishlist() {
+  return render(
+    <WishlistProvider>
+      <TestComponent />
+    </WishlistProvider>
+  );
+}
+
+function renderWithAuth() {
+  return render(
+    <AuthProvider>
+      <WishlistProvider>
+        <SessionButtons />
+        <TestComponent />
+      </WishlistProvider>
+    </AuthProvider>
+  );
+}
+
+describe('WishlistContext', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('adds a product and takes it off again', async () => {
+    const user = userEvent.setup();
+    renderWishlist();
+
+    await user.click(screen.getByText('Toggle Beans'));
+    expect(screen.getByTestId('wishlist-items')).toHaveTextContent('Test Product x1');
+    expect(screen.getByTestId('beans-saved')).toHaveTextContent('true');
+
+    await user.click(screen.getByText('Toggle Beans'));
+    expect(screen.getByTestId('wishlist-items')).toBeEmptyDOMElement();
+    expect(screen.getByTestId('beans-saved')).toHaveTextContent('false');
+  });
+
+  test('saves cart lines for later, adding to the same item', async () => {
+    const user = userEvent.setup();
+    renderWishlist();
+
+    await user.click(screen.getByText('Save Mugs'));
+    await user.click(screen.getByText('Save Mugs'));
+
+    expect(screen.getByTestId('wishlist-items')).toHaveTextContent('Mug x4');
+    const [item] = JSON.parse(localStorage.getItem('wishlist')).items;
+    expect(item.lineId).not.toBe('line-cart');
+    expect(item.addedAt).toEqual(expect.any(String));
+  });
+
+  test('removes an item', async () => {
+    const user = userEvent.setup();
+    renderWishlist();
+    await user.click(screen.getByText('Save Mugs'));
+
+    await user.click(screen.getByText('Remove First Item'));
+
+    expect(screen.getByTestId('wishlist-items')).toBeEmptyDOMElement();
+    expect(JSON.parse(localStorage.getItem('wishlist')).items).toEqual([]);
+  });
+
+  test('loads the wishlist from localStorage on mount', () => {
+    localStorage.setItem('wishlist', savedWishlist([{ ...beans, lineId: 'line-1', quantity: 1 }]));
+
+    renderWishlist();
+
+    expect(screen.getByTestId('wishlist-items')).toHaveTextContent('Test Product x1');
+    expect(screen.getByTestId('beans-saved')).toHaveTextContent('true');
+  });
+
+  test('takes over the wishlist saved in another tab', () => {
+    renderWishlist();
+
+    act(() => {
+      window.dispatchEvent(new StorageEvent('storage', {
+        key: 'wishlist',
+        newValue: savedWishlist([{ ...mug, lineId: 'line-1', quantity: 1 }])
+      }));
+    });
+
+    expect(screen.getByTestId('wishlist-items')).toHaveTextContent('Mug x1');
+  });
+
+  test('keeps the larger quantity of items in both wishlists when merging', () => {
+    const merged = mergeWishlists(
+      [{ ...beans, lineId: 'line-0', quantity: 3 }, { ...mug, lineId: 'line-1', quantity: 1 }],
+      [{ ...mug, lineId: 'line-2', quantity: 2 }, { ...beans, lineId: 'line-3', quantity: 1, customCoffee: { sugar: 1 } }]
+    );
+
+    expect(merged.map(item => [item.lineId, item.quantity])).toEqual([
+      ['line-0', 3],
+      ['line-1', 2],
+      ['line-3', 1]
+    ]);
+  });
+
+  describe('with an AuthProvider', () => {
+    beforeEach(() => {
+      fetch.mockReset();
+    });
+
+    test('keeps the wishlist of a visitor in the browser only', async () => {
+      const user = userEvent.setup();
+      mockWishlistApi();
+      renderWithAuth();
+      await waitFor(() => expect(fetch).toHaveBeenCalledWith('/api/auth/me'));
+
+      await user.click(screen.getByText('Toggle Beans'));
+
+      expect(screen.getByTestId('wishlist-items')).toHaveTextContent('Test Product x1');
+      expect(fetch).not.toHaveBeenCalledWith('/api/wishlist');
+      expect(wishlistPuts()).toHaveLength(0);
+    });
+
+    test('loads the wishlist of a logged-in customer and saves changes to the server', async () => {
+      const user = userEvent.setup();
+      mockWishlistApi({
+        user: customer,
+        customerWishlist: {
+          _id: 'customer-wishlist',
+          items: [{ _id: 'line-0', product: mug, quantity: 1, addedAt: '2026-01-05T10:00:00.000Z' }]
+        }
+      });
+      renderWithAuth();
+      await waitFor(() => expect(screen.getByTestId('wishlist-items')).toHaveTextContent('Mug x1'));
+
+      await user.click(screen.getByText('Toggle Beans'));
+
+      await waitFor(() => expect(wishlistPuts()).toEqual([{
+        items: [
+          { _id: 'line-0', productId: '3', quantity: 1, addedAt: '2026-01-05T10:00:00.000Z' },
+          { _id: expect.stringMatching(/^line-/), productId: '1', quantity: 1, addedAt: expect.any(String) }
+        ]
+      }]));
+      expect(screen.getByTestId('wishlist-items')).toHaveTextContent('Mug x1, Test Product x1');
+    });
+
+    test('adds the items saved as a visitor to the wishlist on login', async () => {
+      const user = userEvent.setup();
+      mockWishlistApi({
+        customerWishlist: { _id: 'customer-wishlist', items: [{ _id: 'line-0', product: mug, quantity: 1 }] }
+      });
+      renderWithAuth();
+      await waitFor(() => expect(fetch).toHaveBeenCalledWith('/api/auth/me'));
+      await user.click(screen.getByText('Toggle Beans'));
+
+      await user.click(screen.getByText('Log In'));
+
+      await waitFor(() => expect(wishlistPuts()).toHaveLength(1));
+      expect(wishlistPuts()[0].items.map(line => line.productId)).toEqual(['3', '1']);
+      await waitFor(() => expect(screen.getByTestId('wishlist-items')).toHaveTextContent('Mug x1, Test Product x1'));
+    });
+
+    test('starts an empty wishlist on logout', async () => {
+      const user = userEvent.setup();
+      mockWishlistApi({
+        user: customer,
+        customerWishlist: { _id: 'customer-wishlist', items: [{ _id: 'line-0', product: mug, quantity: 1 }] }
+      });
+      renderWithAuth();
+      await waitFor(() => expect(screen.getByTestId('wishlist-items')).toHaveTextContent('Mug x1'));
+
+      await user.click(screen.getByText('Log Out'));
+
+      await waitFor(() => expect(screen.getByTestId('wishlist-items')).toBeEmptyDOMElement());
+      expect(wishlistPuts()).toHaveLength(0);
+    });
+  });
+
+  test('throws error when useWishlist is used outside WishlistProvider', () => {
+    // Suppress console.error for this test
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+
+    expect(() => {
+      render(<TestComponent />);
+    }).toThrow('useWishlist must be used within a WishlistProvider');
+
+    consoleSpy.mockRestore();
+  });
+});
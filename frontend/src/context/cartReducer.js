@@ -0,0 +1,138 @@
+// The most of one line a cart can hold.
+// Mirrors MAX_LINE_QUANTITY in backend/models/Cart.js - keep the two in sync.
+export const MAX_LINE_QUANTITY = 99;
+
+// Cart lines are addressed by a `lineId` that stays the same for as long as the
+// line is in the cart (and on the server), unlike its position in the list
+export const createLineId = () =>
+  `line-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// How many of a line the cart may hold: products are limited by their stock
+export const maxQuantity = (line) => (
+  !line.customCoffee && Number.isInteger(line.stock)
+    ? Math.min(line.stock, MAX_LINE_QUANTITY)
+    : MAX_LINE_QUANTITY
+);
+
+const clampQuantity = (line, quantity) => Math.min(quantity, maxQuantity(line));
+
+// Custom coffee options in a fixed order, so equal options give equal keys
+const configurationKey = (customCoffee) => (
+  customCoffee
+    ? JSON.stringify(Object.keys(customCoffee).sort().map(key => [key, customCoffee[key]]))
+    : ''
+);
+
+// Lines with the same key hold the same product, configured the same way, and
+// are combined into one line
+export const lineKey = (line) => `${line._id}:${configurationKey(line.customCoffee)}`;
+
+// The catalogue product a line is of, as PUT /api/cart and orders take it.
+// Custom coffees added before they were a catalogue product have none.
+export const productIdOf = (line) => (
+  line.customCoffee && !line.configurator ? undefined : line._id
+);
+
+// Adds `quantity` to `existing` in place of another line
+const addToLine = (items, existing, quantity) => items.map(item => (
+  item === existing ? { ...item, quantity: clampQuantity(existing, existing.quantity + quantity) } : item
+));
+
+export const initialCartState = (items = []) => ({ items, lastRemoved: null });
+
+/**
+ * The cart's state transitions. The state is `{ items, lastRemoved }`, where
+ * `lastRemoved` ({ line, index }) is the line `UNDO_REMOVE` can bring back.
+ * Adding what the cart already holds (see lineKey) adds to that line.
+ * Never mutates the state it is given.
+ */
+export const cartReducer = (state, action) => {
+  switch (action.type) {
+    case 'ADD_ITEM': {
+      const { product, quantity, customCoffee } = action;
+      const line = { ...product, lineId: createLineId(), quantity, customCoffee };
+      const existing = state.items.find(item => lineKey(item) === lineKey(line));
+
+      if (existing) {
+        if (clampQuantity(existing, existing.quantity + quantity) === existing.quantity) return state;
+        return { items: addToLine(state.items, existing, quantity), lastRemoved: null };
+      }
+
+      const allowed = clampQuantity(line, quantity);
+      if (allowed <= 0) return state;
+      return { items: [...state.items, { ...line, quantity: allowed }], lastRemoved: null };
+    }
+
+    case 'UPDATE_QUANTITY': {
+      const line = state.items.find(item => item.lineId === action.lineId);
+      if (!line) return state;
+      if (action.quantity <= 0) {
+        return cartReducer(state, { type: 'REMOVE_LINE', lineId: action.lineId });
+      }
+      const quantity = clampQuantity(line, action.quantity);
+      if (quantity === line.quantity) return state;
+      return {
+        items: state.items.map(item => (item === line ? { ...item, quantity } : item)),
+        lastRemoved: null
+      };
+    }
+
+    case 'REMOVE_LINE': {
+      const index = state.items.findIndex(item => item.lineId === action.lineId);
+      if (index === -1) return state;
+      // Lines moved elsewhere (e.g. saved for later) can't be undone here
+      return {
+        items: state.items.filter((_, i) => i !== index),
+        lastRemoved: action.undoable === false ? null : { line: state.items[index], index }
+      };
+    }
+
+    case 'UNDO_REMOVE': {
+      if (!state.lastRemoved) return state;
+      const { line, index } = state.lastRemoved;
+      if (state.items.some(item => item.lineId === line.lineId)) {
+        return { ...state, lastRemoved: null };
+      }
+
+      // The product may have been added again since; add the quantity back to that line
+      const existing = state.items.find(item => lineKey(item) === lineKey(line));
+      if (existing) {
+        return { items: addToLine(state.items, existing, line.quantity), lastRemoved: null };
+      }
+
+      const items = [...state.items];
+      items.splice(Math.min(index, items.length), 0, line);
+      return { items, lastRemoved: null };
+    }
+
+    // New options for a custom coffee: the line keeps its place and id, unless
+    // the cart already holds that coffee, which the line is then combined into
+    case 'RECONFIGURE_LINE': {
+      const line = state.items.find(item => item.lineId === action.lineId);
+      if (!line) return state;
+      const updated = { ...action.product, lineId: line.lineId, quantity: line.quantity, customCoffee: action.customCoffee };
+      const existing = state.items.find(item => item !== line && lineKey(item) === lineKey(updated));
+
+      if (existing) {
+        return {
+          items: addToLine(state.items, existing, line.quantity).filter(item => item !== line),
+          lastRemoved: null
+        };
+      }
+      return {
+        items: state.items.map(item => (item === line ? updated : item)),
+        lastRemoved: null
+      };
+    }
+
+    case 'CLEAR':
+      return initialCartState();
+
+    // The cart as saved by the server or another tab; an undo stays available
+    case 'REPLACE':
+      return { ...state, items: action.items };
+
+    default:
+      throw new Error(`Unknown cart action: ${action.type}`);
+  }
+};
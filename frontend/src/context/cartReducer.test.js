@@ -0,0 +1,196 @@
+import { cartReducer, initialCartState, maxQuantity, productIdOf, MAX_LINE_QUANTITY } from './cartReducer';
+
+const beans = { _id: '1', name: 'Coffee Beans', price: 1299, stock: 3 };
+const mug = { _id: '2', name: 'Mug', price: 800, stock: 10 };
+const coffee = { _id: '25', name: 'Custom Coffee', price: 425, stock: 0, configurator: 'coffee' };
+
+const add = (state, product, quantity = 1, customCoffee = null) =>
+  cartReducer(state, { type: 'ADD_ITEM', product, quantity, customCoffee });
+
+// A cart holding 1 beans, 2 mugs and a custom coffee
+const filledCart = () => {
+  let state = initialCartState();
+  state = add(state, beans);
+  state = add(state, mug, 2);
+  state = add(state, coffee, 1, { base: 'hot', sugar: 1 });
+  return state;
+};
+
+describe('cartReducer', () => {
+  test('adds lines with their own stable line ids', () => {
+    const state = filledCart();
+
+    expect(state.items.map(line => line.name)).toEqual(['Coffee Beans', 'Mug', 'Custom Coffee']);
+    expect(new Set(state.items.map(line => line.lineId)).size).toBe(3);
+
+    const next = cartReducer(state, { type: 'UPDATE_QUANTITY', lineId: state.items[1].lineId, quantity: 5 });
+    expect(next.items.map(line => line.lineId)).toEqual(state.items.map(line => line.lineId));
+  });
+
+  test('never changes the state it is given', () => {
+    const state = filledCart();
+    const snapshot = JSON.parse(JSON.stringify(state));
+
+    add(state, beans);
+    cartReducer(state, { type: 'UPDATE_QUANTITY', lineId: state.items[1].lineId, quantity: 4 });
+    cartReducer(state, { type: 'REMOVE_LINE', lineId: state.items[0].lineId });
+    cartReducer(state, { type: 'CLEAR' });
+
+    expect(state).toEqual(snapshot);
+  });
+
+  test('adds to the line of the same product and the same custom coffee', () => {
+    let state = filledCart();
+    state = add(state, mug);
+    state = add(state, coffee, 1, { sugar: 1, base: 'hot' });
+    state = add(state, coffee, 1, { base: 'hot', sugar: 2 });
+
+    expect(state.items.map(line => [line.name, line.quantity, line.customCoffee])).toEqual([
+      ['Coffee Beans', 1, null],
+      ['Mug', 3, null],
+      ['Custom Coffee', 2, { base: 'hot', sugar: 1 }],
+      ['Custom Coffee', 1, { base: 'hot', sugar: 2 }]
+    ]);
+  });
+
+  test('knows the catalogue product of each line', () => {
+    const state = filledCart();
+    expect(state.items.map(productIdOf)).toEqual(['1', '2', '25']);
+
+    // Custom coffees saved before they were a catalogue product
+    expect(productIdOf({ _id: 'custom-coffee-1', customCoffee: { base: 'hot' } })).toBeUndefined();
+  });
+
+  test('changes the options of a custom coffee in place', () => {
+    const state = filledCart();
+    const coffeeLine = state.items[2];
+    const removed = cartReducer(state, { type: 'REMOVE_LINE', lineId: state.items[0].lineId });
+
+    const next = cartReducer(removed, {
+      type: 'RECONFIGURE_LINE',
+      lineId: coffeeLine.lineId,
+      product: { ...coffee, name: 'Custom Iced Coffee', price: 500 },
+      customCoffee: { base: 'iced', sugar: 0 }
+    });
+
+    expect(next.items[1]).toEqual({
+      ...coffee,
+      name: 'Custom Iced Coffee',
+      price: 500,
+      lineId: coffeeLine.lineId,
+      quantity: 1,
+      customCoffee: { base: 'iced', sugar: 0 }
+    });
+    expect(next.lastRemoved).toBeNull();
+  });
+
+  test('combines a custom coffee changed to one the cart already holds', () => {
+    let state = filledCart();
+    state = add(state, coffee, 3, { base: 'iced', sugar: 0 });
+    const [, , hotLine, icedLine] = state.items;
+
+    const next = cartReducer(state, {
+      type: 'RECONFIGURE_LINE',
+      lineId: icedLine.lineId,
+      product: coffee,
+      customCoffee: { base: 'hot', sugar: 1 }
+    });
+
+    expect(next.items.map(line => [line.lineId, line.quantity])).toEqual([
+      [state.items[0].lineId, 1],
+      [state.items[1].lineId, 2],
+      [hotLine.lineId, 4]
+    ]);
+    expect(cartReducer(next, { type: 'RECONFIGURE_LINE', lineId: icedLine.lineId, product: coffee, customCoffee: {} })).toBe(next);
+  });
+
+  test('caps product lines at their stock', () => {
+    let state = add(initialCartState(), beans, 5);
+    expect(state.items[0].quantity).toBe(3);
+
+    const full = add(state, beans);
+    expect(full).toBe(state);
+
+    state = cartReducer(state, { type: 'UPDATE_QUANTITY', lineId: state.items[0].lineId, quantity: 10 });
+    expect(state.items[0].quantity).toBe(3);
+
+    expect(add(initialCartState(), { ...mug, stock: 0 }).items).toEqual([]);
+  });
+
+  test('caps lines without stock at the most one line may hold', () => {
+    expect(maxQuantity({ ...coffee, customCoffee: { base: 'hot' } })).toBe(MAX_LINE_QUANTITY);
+    expect(maxQuantity({ _id: '3', name: 'Gift card', price: 2500 })).toBe(MAX_LINE_QUANTITY);
+    expect(maxQuantity({ ...mug, stock: 500 })).toBe(MAX_LINE_QUANTITY);
+  });
+
+  test('removes lines by line id, also when the quantity drops to 0', () => {
+    const state = filledCart();
+    const [beansLine, mugLine] = state.items;
+
+    const removed = cartReducer(state, { type: 'REMOVE_LINE', lineId: mugLine.lineId });
+    expect(removed.items.map(line => line.name)).toEqual(['Coffee Beans', 'Custom Coffee']);
+
+    // A second click on the line that is already gone changes nothing
+    expect(cartReducer(removed, { type: 'REMOVE_LINE', lineId: mugLine.lineId })).toBe(removed);
+
+    const emptied = cartReducer(removed, { type: 'UPDATE_QUANTITY', lineId: beansLine.lineId, quantity: 0 });
+    expect(emptied.items.map(line => line.name)).toEqual(['Custom Coffee']);
+    expect(emptied.lastRemoved).toEqual({ line: beansLine, index: 0 });
+  });
+
+  test('undoes the last removal in its old place', () => {
+    const state = filledCart();
+    const mugLine = state.items[1];
+
+    const removed = cartReducer(state, { type: 'REMOVE_LINE', lineId: mugLine.lineId });
+    const restored = cartReducer(removed, { type: 'UNDO_REMOVE' });
+
+    expect(restored.items).toEqual(state.items);
+    expect(restored.lastRemoved).toBeNull();
+    expect(cartReducer(restored, { type: 'UNDO_REMOVE' })).toBe(restored);
+  });
+
+  test('offers no undo for lines moved out of the cart', () => {
+    const state = filledCart();
+    const moved = cartReducer(state, { type: 'REMOVE_LINE', lineId: state.items[1].lineId, undoable: false });
+
+    expect(moved.items.map(line => line.name)).toEqual(['Coffee Beans', 'Custom Coffee']);
+    expect(moved.lastRemoved).toBeNull();
+    expect(cartReducer(moved, { type: 'UNDO_REMOVE' })).toBe(moved);
+  });
+
+  test('only undoes a removal until the cart is changed again', () => {
+    const state = filledCart();
+    const removed = cartReducer(state, { type: 'REMOVE_LINE', lineId: state.items[1].lineId });
+
+    const changed = add(removed, beans);
+    expect(changed.lastRemoved).toBeNull();
+
+    // Saving to the server or another tab is not a change of the shopper's
+    const replaced = cartReducer(removed, { type: 'REPLACE', items: removed.items });
+    expect(replaced.lastRemoved).toEqual(removed.lastRemoved);
+    expect(cartReducer(state, { type: 'CLEAR' })).toEqual(initialCartState());
+  });
+
+  test('adds an undone line to the same product added back meanwhile', () => {
+    const state = filledCart();
+    const removed = cartReducer(state, { type: 'REMOVE_LINE', lineId: state.items[1].lineId });
+    // Another tab added a mug again
+    const readded = cartReducer(removed, {
+      type: 'REPLACE',
+      items: [...removed.items, { ...mug, lineId: 'line-other-tab', quantity: 1 }]
+    });
+
+    const restored = cartReducer(readded, { type: 'UNDO_REMOVE' });
+
+    expect(restored.items.map(line => [line.name, line.quantity])).toEqual([
+      ['Coffee Beans', 1],
+      ['Custom Coffee', 1],
+      ['Mug', 3]
+    ]);
+  });
+
+  test('rejects unknown actions', () => {
+    expect(() => cartReducer(initialCartState(), { type: 'EMPTY' })).toThrow('Unknown cart action: EMPTY');
+  });
+});
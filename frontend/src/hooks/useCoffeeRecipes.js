@@ -0,0 +1,142 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+
+// Recipes of visitors who aren't logged in stay in this browser only
+const STORAGE_KEY = 'coffeeRecipes';
+
+const loadLocalRecipes = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const saveLocalRecipes = (recipes) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(recipes));
+};
+
+// An Error carrying the HTTP `status` and field `details`, like the ones the API returns
+const requestError = (status, message, details = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+};
+
+const sendRecipe = async (url, method, body) => {
+  const response = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body)
+  });
+  if (response.status === 204) return null;
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw requestError(response.status, data.error || data.message || 'Request failed', data.details);
+  }
+  return data;
+};
+
+/**
+ * Saved custom coffee recipes (`{ _id, name, customCoffee }`, newest first):
+ * the customer's own when logged in, otherwise the ones kept in localStorage
+ * (`isLocal`).
+ * Saving, updating and deleting throw an Error with the HTTP `status` and
+ * field `details` when the recipe is rejected, e.g. 409 for a name that is
+ * already taken (also for the recipes kept in localStorage).
+ */
+function useCoffeeRecipes() {
+  const { user, loading: authLoading } = useAuth();
+  const [recipes, setRecipes] = useState([]);
+  const [status, setStatus] = useState('loading');
+
+  useEffect(() => {
+    if (authLoading) return undefined;
+    if (!user) {
+      setRecipes(loadLocalRecipes());
+      setStatus('loaded');
+      return undefined;
+    }
+
+    let ignore = false;
+
+    const fetchRecipes = async () => {
+      setStatus('loading');
+      try {
+        const response = await fetch('/api/coffee-recipes');
+        if (!response.ok) {
+          throw new Error(`Failed to load recipes (${response.status})`);
+        }
+        const data = await response.json();
+        if (!ignore) {
+          setRecipes(data);
+          setStatus('loaded');
+        }
+      } catch (error) {
+        console.error('Error fetching coffee recipes:', error);
+        if (!ignore) {
+          setStatus('error');
+        }
+      }
+    };
+
+    fetchRecipes();
+    return () => {
+      ignore = true;
+    };
+  }, [user, authLoading]);
+
+  const updateLocal = (updatedRecipes) => {
+    saveLocalRecipes(updatedRecipes);
+    setRecipes(updatedRecipes);
+  };
+
+  const checkLocalName = (name, id) => {
+    if (recipes.some(recipe => recipe._id !== id && recipe.name === name)) {
+      throw requestError(409, 'Validation failed', { name: 'You already have a recipe with this name' });
+    }
+  };
+
+  const saveRecipe = async ({ name, customCoffee }) => {
+    if (user) {
+      const saved = await sendRecipe('/api/coffee-recipes', 'POST', { name, customCoffee });
+      setRecipes(prev => [saved, ...prev]);
+      return saved;
+    }
+
+    checkLocalName(name);
+    const saved = { _id: 'local-' + Date.now(), name, customCoffee, createdAt: new Date().toISOString() };
+    updateLocal([saved, ...recipes]);
+    return saved;
+  };
+
+  const updateRecipe = async (id, { name, customCoffee }) => {
+    if (user) {
+      const updated = await sendRecipe(`/api/coffee-recipes/${id}`, 'PUT', { name, customCoffee });
+      setRecipes(prev => prev.map(recipe => recipe._id === id ? updated : recipe));
+      return updated;
+    }
+
+    checkLocalName(name, id);
+    const updated = { ...recipes.find(recipe => recipe._id === id), name, customCoffee };
+    updateLocal(recipes.map(recipe => recipe._id === id ? updated : recipe));
+    return updated;
+  };
+
+  const deleteRecipe = async (id) => {
+    if (user) {
+      await sendRecipe(`/api/coffee-recipes/${id}`, 'DELETE');
+      setRecipes(prev => prev.filter(recipe => recipe._id !== id));
+      return;
+    }
+
+    updateLocal(recipes.filter(recipe => recipe._id !== id));
+  };
+
+  return { recipes, status, isLocal: !user, saveRecipe, updateRecipe, deleteRecipe };
+}
+
+export default useCoffeeRecipes;
@@ -0,0 +1,165 @@
+import { useCallback, useEffect, useRef } from 'react';
+
+/**
+ * Keeps a list of lines saved in localStorage (the cart, the wishlist) in step
+ * with its copy on the server and in other tabs. The provider owns the items
+ * and passes:
+ * - `url`: the API endpoint, which GET loads and PUT replaces
+ * - `userId`: the logged-in user, null for visitors and undefined until the
+ *   session is known (or without an AuthProvider, when nothing is synced)
+ * - `syncVisitors`: whether visitors have a list on the server too
+ * - `storageKey`, `parseSaved`: the localStorage key and how to read its value
+ * - `getItems`, `replaceItems`, `resetItems`: read the latest items, take over
+ *   items saved elsewhere (without saving them again) and empty the list
+ * - `toServerItem`, `fromServerItem`: convert lines to and from the API shape
+ * - `mergeItems(serverItems, localItems)`: combine the lists on login
+ * - `name`: what the list is called in error messages
+ *
+ * The server list is loaded once the session is known and whenever the tab
+ * becomes visible again; on login the items kept so far are merged into the
+ * customer's list, and logging out empties it. Returns `saveItems(items)`,
+ * which saves a change made in this tab while the list is synced. The
+ * server's answer replaces the items unless they have changed again since.
+ */
+function useServerSync(options) {
+  const { url, userId, syncVisitors, storageKey, parseSaved } = options;
+  const syncing = userId !== undefined && (userId !== null || syncVisitors);
+
+  // The latest options, so requests still on the way use the current callbacks
+  const optionsRef = useRef(options);
+  optionsRef.current = options;
+  // Counts server requests, so only the answer to the latest one is applied
+  const requestRef = useRef(0);
+  // The logged-in user when the list was last loaded; undefined before the first load
+  const loadedForRef = useRef(undefined);
+
+  const applyServerList = useCallback((serverList) => {
+    const { replaceItems, fromServerItem } = optionsRef.current;
+    replaceItems(serverList.items.map(fromServerItem));
+  }, []);
+
+  const saveToServer = useCallback(async (items) => {
+    const { url: saveUrl, toServerItem, name } = optionsRef.current;
+    const requestId = ++requestRef.current;
+    try {
+      const response = await fetch(saveUrl, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ items: items.map(toServerItem) })
+      });
+      if (!response.ok) {
+        throw new Error(`Failed to save ${name} (${response.status})`);
+      }
+      const serverList = await response.json();
+      if (requestId === requestRef.current) {
+        applyServerList(serverList);
+      }
+    } catch (error) {
+      // The list stays as it is locally and is saved again with the next change
+      console.error(`Error saving ${name}:`, error);
+    }
+  }, [applyServerList]);
+
+  // Returns the server list, or null when a newer request has been made meanwhile
+  const fetchServerList = useCallback(async () => {
+    const { url: loadUrl, name } = optionsRef.current;
+    const requestId = ++requestRef.current;
+    const response = await fetch(loadUrl);
+    if (!response.ok) {
+      throw new Error(`Failed to load ${name} (${response.status})`);
+    }
+    const serverList = await response.json();
+    return requestId === requestRef.current ? serverList : null;
+  }, []);
+
+  // Take over the list saved by another tab. That tab has already saved it to
+  // the server, so answers to this tab's own requests still on the way are ignored.
+  useEffect(() => {
+    const handleStorage = (event) => {
+      // A null key means the other tab cleared all of localStorage
+      if (event.key !== storageKey && event.key !== null) return;
+      requestRef.current++;
+      optionsRef.current.replaceItems(parseSaved(event.newValue));
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => {
+      window.removeEventListener('storage', handleStorage);
+    };
+  }, [storageKey, parseSaved]);
+
+  // Load the server list once the session is known, merge the items kept so
+  // far into the customer's on login, and start an empty list on logout
+  useEffect(() => {
+    if (userId === undefined) return undefined;
+
+    const previousUserId = loadedForRef.current;
+    loadedForRef.current = userId;
+
+    if (previousUserId && !userId) {
+      optionsRef.current.resetItems();
+      return undefined;
+    }
+    if (!syncing) return undefined;
+
+    const loggingIn = previousUserId === null && userId !== null;
+    let ignore = false;
+
+    const loadList = async () => {
+      try {
+        const serverList = await fetchServerList();
+        if (ignore || !serverList) return;
+
+        const { getItems, replaceItems, fromServerItem, mergeItems } = optionsRef.current;
+        // A list without an id hasn't been saved yet, e.g. one from before
+        // lists were kept on the server, so the local items are kept
+        if (loggingIn || (!serverList._id && getItems().length > 0)) {
+          const merged = mergeItems(serverList.items.map(fromServerItem), getItems());
+          replaceItems(merged);
+          saveToServer(merged);
+        } else {
+          applyServerList(serverList);
+        }
+      } catch (error) {
+        console.error(`Error loading ${optionsRef.current.name}:`, error);
+      }
+    };
+
+    loadList();
+    return () => {
+      ignore = true;
+    };
+  }, [userId, syncing, url, fetchServerList, saveToServer, applyServerList]);
+
+  // Pick up changes made on other devices or in other tabs
+  useEffect(() => {
+    if (!syncing) return undefined;
+
+    const handleVisibilityChange = async () => {
+      if (document.visibilityState !== 'visible') return;
+      try {
+        const serverList = await fetchServerList();
+        if (serverList && serverList._id) {
+          applyServerList(serverList);
+        }
+      } catch (error) {
+        console.error(`Error loading ${optionsRef.current.name}:`, error);
+      }
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [syncing, fetchServerList, applyServerList]);
+
+  const saveItems = (items) => {
+    if (syncing) {
+      saveToServer(items);
+    }
+  };
+
+  return { saveItems };
+}
+
+export default useServerSync;
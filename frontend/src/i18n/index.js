@@ -0,0 +1,49 @@
+import { cloneElement, isValidElement } from 'react';
+import en from './en.json';
+import de from './de.json';
+
+// Mirrors the languages of backend/utils/i18n.js - product translations are keyed by these codes
+export const DEFAULT_LANGUAGE = 'en';
+
+// Supported languages, named in their own language, and the locale used to format prices and dates
+export const LANGUAGES = {
+  en: { name: 'English', locale: 'en-US', messages: en },
+  de: { name: 'Deutsch', locale: 'de-DE', messages: de }
+};
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages);
+
+// "Added {name}" + { name: 'Tea' } -> "Added Tea". Returns an array of parts
+// when a value is a React element, e.g. { code: <strong>SAVE10</strong> }.
+const interpolate = (message, params) => {
+  const parts = message.split(/\{(\w+)\}/).map((part, index) => {
+    if (index % 2 === 0) return part;
+    return part in params ? params[part] : `{${part}}`;
+  });
+  if (!parts.some(isValidElement)) {
+    return parts.join('');
+  }
+  return parts.map((part, index) => isValidElement(part) ? cloneElement(part, { key: index }) : part);
+};
+
+/**
+ * Looks up a message by its dotted key ("cart.title") in the language's
+ * catalog, falling back to English, then to `params.defaultValue`, then to
+ * the key itself. Messages with plural forms are objects keyed by
+ * Intl.PluralRules category ("one", "few", "other", ...) and picked by `params.count`.
+ */
+export const translate = (language, key, params = {}) => {
+  const { locale, messages } = LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE];
+  let message = lookup(messages, key) ?? lookup(LANGUAGES[DEFAULT_LANGUAGE].messages, key);
+
+  if (message !== null && typeof message === 'object') {
+    message = message[new Intl.PluralRules(locale).select(params.count)] ?? message.other;
+  }
+  if (typeof message !== 'string') {
+    return params.defaultValue ?? key;
+  }
+  return interpolate(message, params);
+};
+
+// English messages, for code that runs outside a LanguageProvider
+export const translateDefault = (key, params) => translate(DEFAULT_LANGUAGE, key, params);
@@ -0,0 +1,50 @@
+import React from 'react';
+import { LANGUAGES, translate, translateDefault } from './index';
+
+// Dotted keys of every message, with plural forms counted as one message
+const messageKeys = (messages, prefix = '') => Object.entries(messages).flatMap(([key, value]) => {
+  const path = prefix ? `${prefix}.${key}` : key;
+  if (typeof value === 'string' || 'other' in value) {
+    return [path];
+  }
+  return messageKeys(value, path);
+});
+
+describe('i18n', () => {
+  test('looks messages up by dotted key and fills in parameters', () => {
+    expect(translate('en', 'cart.title')).toBe('Shopping Cart');
+    expect(translate('de', 'cart.title')).toBe('Warenkorb');
+    expect(translate('en', 'pagination.status', { page: 2, totalPages: 5 })).toBe('Page 2 of 5');
+  });
+
+  test('picks the plural form for the count', () => {
+    expect(translate('en', 'shop.results', { count: 1 })).toBe('1 product found');
+    expect(translate('en', 'shop.results', { count: 0 })).toBe('0 products found');
+    expect(translate('de', 'shop.results', { count: 1 })).toBe('1 Produkt gefunden');
+    expect(translate('de', 'shop.results', { count: 12 })).toBe('12 Produkte gefunden');
+  });
+
+  test('falls back to English, then to the default value, then to the key', () => {
+    expect(translate('fr', 'cart.title')).toBe('Shopping Cart');
+    expect(translate('de', 'categories.Toys', { defaultValue: 'Toys' })).toBe('Toys');
+    expect(translateDefault('no.such.key')).toBe('no.such.key');
+  });
+
+  test('returns React parts when a parameter is an element', () => {
+    const parts = translate('en', 'cart.codeApplied', { code: <strong>SAVE10</strong> });
+
+    expect(parts).toHaveLength(3);
+    expect(parts[0]).toBe('Code ');
+    expect(parts[1].type).toBe('strong');
+    expect(parts[1].key).toBe('1');
+    expect(parts[2]).toBe(' applied');
+  });
+
+  test('translates every English message into each language', () => {
+    const englishKeys = messageKeys(LANGUAGES.en.messages);
+
+    Object.values(LANGUAGES).forEach(({ messages }) => {
+      expect(messageKeys(messages)).toEqual(englishKeys);
+    });
+  });
+});
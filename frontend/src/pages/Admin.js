@@ -1,32 +1,65 @@
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import Toast from '../components/Toast';
+import ProductForm, { translateServerErrors } from '../components/ProductForm';
+import Pagination from '../components/Pagination';
+import { useTranslation } from '../context/LanguageContext';
+import { formatMoney, fromMinorUnits, toMinorUnits } from '../utils/money';
 import './Admin.css';
 
+const PAGE_SIZE = 20;
+
+const stockBadgeClass = (product) => {
+  if (product.lowStock) return 'low-stock';
+  return product.inStock ? 'in-stock' : 'out-of-stock';
+};
+
 function Admin() {
   const [products, setProducts] = useState([]);
   const [editingProduct, setEditingProduct] = useState(null);
   const [toast, setToast] = useState(null);
-  const [loading, setLoading] = useState(true);
+  const [loadStatus, setLoadStatus] = useState('loading');
+  const [formProduct, setFormProduct] = useState(null);
+  const [formErrors, setFormErrors] = useState({});
+  const { t } = useTranslation();
+
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
 
   useEffect(() => {
-    fetchProducts();
-  }, []);
+    let ignore = false;
 
-  const fetchProducts = async () => {
-    try {
-      const response = await fetch('/api/products');
-      const data = await response.json();
-      setProducts(data);
-      setLoading(false);
-    } catch (error) {
-      console.error('Error fetching products:', error);
-      setToast('Failed to load products');
-      setLoading(false);
-    }
-  };
+    const fetchProducts = async () => {
+      try {
+        // Archived products are listed too, so they can be restored
+        const response = await fetch(`/api/products?page=${page}&limit=${PAGE_SIZE}&includeArchived=true`);
+        // An expired session (401/403) or a server error has no products to list
+        if (!response.ok) {
+          throw new Error(`Failed to load products (${response.status})`);
+        }
+        const data = await response.json();
+        if (!ignore) {
+          setProducts(data.products);
+          setTotalPages(data.totalPages);
+          setLoadStatus('loaded');
+        }
+      } catch (error) {
+        console.error('Error fetching products:', error);
+        if (!ignore) {
+          setLoadStatus('error');
+        }
+      }
+    };
+
+    fetchProducts();
+    return () => {
+      ignore = true;
+    };
+  }, [page]);
 
+  // Prices are edited in dollars and saved in cents
   const handleEdit = (product) => {
-    setEditingProduct({ ...product });
+    setEditingProduct({ ...product, price: fromMinorUnits(product.price) });
   };
 
   const handleCancel = () => {
@@ -41,8 +74,8 @@ function Admin() {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          price: editingProduct.price,
-          inStock: editingProduct.inStock
+          price: toMinorUnits(editingProduct.price),
+          stock: editingProduct.stock
         })
       });
 
@@ -51,14 +84,136 @@ function Admin() {
         setProducts(products.map(p => 
           p._id === updatedProduct._id ? updatedProduct : p
         ));
-        setToast(`Updated "${editingProduct.name}" successfully!`);
+        setToast(t('admin.updated', { name: editingProduct.name }));
         setEditingProduct(null);
       } else {
-        setToast('Failed to update product');
+        setToast(t('admin.updateFailed'));
       }
     } catch (error) {
       console.error('Error updating product:', error);
-      setToast('Error updating product');
+      setToast(t('admin.updateError'));
+    }
+  };
+
+  const openForm = (product) => {
+    setFormProduct(product);
+    setFormErrors({});
+  };
+
+  const closeForm = () => {
+    setFormProduct(null);
+    setFormErrors({});
+  };
+
+  const handleFormSubmit = async (values) => {
+    const isNew = !formProduct._id;
+    try {
+      const response = await fetch(isNew ? '/api/products' : `/api/products/${formProduct._id}`, {
+        method: isNew ? 'POST' : 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(values)
+      });
+
+      if (response.ok) {
+        const savedProduct = await response.json();
+        setProducts(isNew
+          ? [...products, savedProduct]
+          : products.map(p => p._id === savedProduct._id ? savedProduct : p));
+        setToast(t(isNew ? 'admin.created' : 'admin.updated', { name: savedProduct.name }));
+        closeForm();
+      } else {
+        const data = await response.json().catch(() => ({}));
+        setFormErrors(translateServerErrors(data.details || {}, t));
+        setToast(t(isNew ? 'admin.createFailed' : 'admin.updateFailed'));
+      }
+    } catch (error) {
+      console.error('Error saving product:', error);
+      setToast(t('admin.saveError'));
+    }
+  };
+
+  const handleRestock = async (product) => {
+    const input = window.prompt(t('admin.restockPrompt', { name: product.name }));
+    if (input === null) {
+      return;
+    }
+
+    const quantity = Number(input);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      setToast(t('admin.restockInvalid'));
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/products/${product._id}/restock`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ quantity })
+      });
+
+      if (response.ok) {
+        const updatedProduct = await response.json();
+        setProducts(products.map(p =>
+          p._id === updatedProduct._id ? updatedProduct : p
+        ));
+        setToast(t('admin.restocked', { name: product.name, stock: updatedProduct.stock }));
+      } else {
+        setToast(t('admin.restockFailed'));
+      }
+    } catch (error) {
+      console.error('Error restocking product:', error);
+      setToast(t('admin.restockError'));
+    }
+  };
+
+  const handleArchive = async (product) => {
+    if (!window.confirm(t('admin.archiveConfirm', { name: product.name }))) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/products/${product._id}`, {
+        method: 'DELETE'
+      });
+
+      if (response.ok) {
+        const archivedProduct = await response.json();
+        setProducts(products.map(p => p._id === archivedProduct._id ? archivedProduct : p));
+        setToast(t('admin.archived', { name: product.name }));
+      } else {
+        setToast(t('admin.archiveFailed'));
+      }
+    } catch (error) {
+      console.error('Error archiving product:', error);
+      setToast(t('admin.archiveError'));
+    }
+  };
+
+  // Puts an archived product back in the shop
+  const handleRestore = async (product) => {
+    try {
+      const response = await fetch(`/api/products/${product._id}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ archived: false })
+      });
+
+      if (response.ok) {
+        const restoredProduct = await response.json();
+        setProducts(products.map(p => p._id === restoredProduct._id ? restoredProduct : p));
+        setToast(t('admin.restored', { name: product.name }));
+      } else {
+        setToast(t('admin.restoreFailed'));
+      }
+    } catch (error) {
+      console.error('Error restoring product:', error);
+      setToast(t('admin.restoreError'));
     }
   };
 
@@ -69,11 +224,11 @@ function Admin() {
     });
   };
 
-  if (loading) {
+  if (loadStatus === 'loading') {
     return (
       <div className="admin container">
-        <h1 className="page-title">Admin Panel</h1>
-        <p>Loading products...</p>
+        <h1 className="page-title">{t('admin.title')}</h1>
+        <p>{t('admin.loading')}</p>
       </div>
     );
   }
@@ -81,30 +236,54 @@ function Admin() {
   return (
     <div className="admin container">
       {toast && <Toast message={toast} onClose={() => setToast(null)} />}
-      <h1 className="page-title">Admin Panel</h1>
-      <p className="admin-subtitle">Manage product prices and inventory</p>
+      {loadStatus === 'error' && <Toast message={t('admin.loadFailed')} onClose={() => setLoadStatus('loaded')} />}
+      <h1 className="page-title">{t('admin.title')}</h1>
+      <p className="admin-subtitle">{t('admin.subtitle')}</p>
+      <p className="admin-links">
+        <Link to="/admin/orders">{t('admin.viewOrders')}</Link>
+        {' · '}
+        <Link to="/admin/promotions">{t('admin.managePromotions')}</Link>
+      </p>
+
+      {formProduct ? (
+        <ProductForm
+          key={formProduct._id || 'new'}
+          product={formProduct}
+          serverErrors={formErrors}
+          onSubmit={handleFormSubmit}
+          onCancel={closeForm}
+        />
+      ) : (
+        <button className="btn btn-primary new-product-btn" onClick={() => openForm({})}>
+          {t('admin.newProduct')}
+        </button>
+      )}
 
       <div className="admin-table-container">
         <table className="admin-table">
           <thead>
             <tr>
-              <th>Product</th>
-              <th>Category</th>
-              <th>Price</th>
-              <th>In Stock</th>
-              <th>Actions</th>
+              <th>{t('admin.columns.product')}</th>
+              <th>{t('admin.columns.category')}</th>
+              <th>{t('admin.columns.price')}</th>
+              <th>{t('admin.columns.stock')}</th>
+              <th>{t('admin.columns.actions')}</th>
             </tr>
           </thead>
           <tbody>
             {products.map(product => (
-              <tr key={product._id} className={editingProduct?._id === product._id ? 'editing' : ''}>
+              <tr
+                key={product._id}
+                className={editingProduct?._id === product._id ? 'editing' : product.archived ? 'archived' : ''}
+              >
                 <td>
                   <div className="product-cell">
                     <img src={product.image} alt={product.name} className="product-thumbnail" />
                     <span>{product.name}</span>
+                    {product.archived && <span className="archived-badge">{t('admin.archivedBadge')}</span>}
                   </div>
                 </td>
-                <td>{product.category}</td>
+                <td>{t(`categories.${product.category}`, { defaultValue: product.category })}</td>
                 <td>
                   {editingProduct?._id === product._id ? (
                     <input
@@ -116,39 +295,62 @@ function Admin() {
                       className="price-input"
                     />
                   ) : (
-                    `$${product.price.toFixed(2)}`
+                    formatMoney(product.price)
                   )}
                 </td>
                 <td>
                   {editingProduct?._id === product._id ? (
-                    <label className="stock-toggle">
-                      <input
-                        type="checkbox"
-                        checked={editingProduct.inStock}
-                        onChange={(e) => handleChange('inStock', e.target.checked)}
-                      />
-                      <span className="toggle-slider"></span>
-                    </label>
+                    <input
+                      type="number"
+                      step="1"
+                      min="0"
+                      value={editingProduct.stock}
+                      onChange={(e) => handleChange('stock', parseInt(e.target.value, 10))}
+                      className="stock-input"
+                      aria-label={t('admin.stockQuantity')}
+                    />
                   ) : (
-                    <span className={`stock-badge ${product.inStock ? 'in-stock' : 'out-of-stock'}`}>
-                      {product.inStock ? '✓ In Stock' : '✗ Out of Stock'}
-                    </span>
+                    <div className="stock-cell">
+                      <span className={`stock-badge ${stockBadgeClass(product)}`}>
+                        {product.lowStock ? t('admin.lowStock') : product.inStock ? t('admin.inStock') : t('admin.outOfStock')}
+                      </span>
+                      {product.stock !== undefined && (
+                        <span className="stock-count">{t('admin.stockLeft', { count: product.stock })}</span>
+                      )}
+                    </div>
                   )}
                 </td>
                 <td>
                   {editingProduct?._id === product._id ? (
                     <div className="action-buttons">
                       <button className="btn btn-primary btn-sm" onClick={handleSave}>
-                        Save
+                        {t('common.save')}
                       </button>
                       <button className="btn btn-secondary btn-sm" onClick={handleCancel}>
-                        Cancel
+                        {t('common.cancel')}
                       </button>
                     </div>
                   ) : (
-                    <button className="btn btn-primary btn-sm" onClick={() => handleEdit(product)}>
-                      Edit
-                    </button>
+                    <div className="action-buttons">
+                      <button className="btn btn-primary btn-sm" onClick={() => handleEdit(product)}>
+                        {t('admin.edit')}
+                      </button>
+                      <button className="btn btn-primary btn-sm" onClick={() => openForm(product)}>
+                        {t('admin.details')}
+                      </button>
+                      <button className="btn btn-primary btn-sm" onClick={() => handleRestock(product)}>
+                        {t('admin.restock')}
+                      </button>
+                      {product.archived ? (
+                        <button className="btn btn-secondary btn-sm" onClick={() => handleRestore(product)}>
+                          {t('admin.restore')}
+                        </button>
+                      ) : (
+                        <button className="btn btn-secondary btn-sm" onClick={() => handleArchive(product)}>
+                          {t('admin.archive')}
+                        </button>
+                      )}
+                    </div>
                   )}
                 </td>
               </tr>
@@ -156,6 +358,8 @@ function Admin() {
           </tbody>
         </table>
       </div>
+
+      <Pagination page={page} totalPages={totalPages} onPageChange={setPage} />
     </div>
   );
 }
@@ -1,5 +1,5 @@
 import React from 'react';
-import { render, screen, waitFor } from '@testing-library/react';
+import { render, screen, waitFor, within } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import { BrowserRouter } from 'react-router-dom';
 import Admin from './Admin';
@@ -12,18 +12,32 @@ const mockProducts = [
     _id: '1',
     name: 'Espresso',
     category: 'Coffee',
-    price: 3.99,
-    inStock: true
+    price: 399,
+    stock: 12,
+    lowStockThreshold: 5,
+    inStock: true,
+    lowStock: false
   },
   {
     _id: '2',
     name: 'Croissant',
     category: 'Pastries',
-    price: 2.99,
-    inStock: false
+    price: 299,
+    stock: 0,
+    lowStockThreshold: 5,
+    inStock: false,
+    lowStock: false
   }
 ];
 
+const mockProductsPage = {
+  products: mockProducts,
+  total: mockProducts.length,
+  page: 1,
+  limit: 20,
+  totalPages: 1
+};
+
 function renderAdmin() {
   return render(
     <BrowserRouter>
@@ -39,7 +53,8 @@ describe('Admin Page', () => {
 
   test('renders admin page title', async () => {
     fetch.mockResolvedValueOnce({
-      json: () => Promise.resolve(mockProducts)
+      ok: true,
+      json: () => Promise.resolve(mockProductsPage)
     });
 
     renderAdmin();
@@ -61,7 +76,8 @@ describe('Admin Page', () => {
 
   test('fetches and displays products', async () => {
     fetch.mockResolvedValueOnce({
-      json: () => Promise.resolve(mockProducts)
+      ok: true,
+      json: () => Promise.resolve(mockProductsPage)
     });
 
     renderAdmin();
@@ -77,7 +93,8 @@ describe('Admin Page', () => {
 
   test('displays product prices correctly', async () => {
     fetch.mockResolvedValueOnce({
-      json: () => Promise.resolve(mockProducts)
+      ok: true,
+      json: () => Promise.resolve(mockProductsPage)
     });
 
     renderAdmin();
@@ -95,7 +112,8 @@ describe('Admin Page', () => {
 
   test('displays stock status correctly', async () => {
     fetch.mockResolvedValueOnce({
-      json: () => Promise.resolve(mockProducts)
+      ok: true,
+      json: () => Promise.resolve(mockProductsPage)
     });
 
     renderAdmin();
@@ -117,7 +135,8 @@ describe('Admin Page', () => {
     const user = userEvent.setup();
     
     fetch.mockResolvedValueOnce({
-      json: () => Promise.resolve(mockProducts)
+      ok: true,
+      json: () => Promise.resolve(mockProductsPage)
     });
 
     renderAdmin();
@@ -139,7 +158,8 @@ describe('Admin Page', () => {
     const user = userEvent.setup();
     
     fetch.mockResolvedValueOnce({
-      json: () => Promise.resolve(mockProducts)
+      ok: true,
+      json: () => Promise.resolve(mockProductsPage)
     });
 
     renderAdmin();
@@ -167,7 +187,8 @@ describe('Admin Page', () => {
     const user = userEvent.setup();
     
     fetch.mockResolvedValueOnce({
-      json: () => Promise.resolve(mockProducts)
+      ok: true,
+      json: () => Promise.resolve(mockProductsPage)
     });
 
     renderAdmin();
@@ -186,11 +207,12 @@ describe('Admin Page', () => {
     expect(screen.getByDisplayValue('4.99')).toBeInTheDocument();
   });
 
-  test('toggles stock status', async () => {
+  test('updates stock quantity', async () => {
     const user = userEvent.setup();
     
     fetch.mockResolvedValueOnce({
-      json: () => Promise.resolve(mockProducts)
+      ok: true,
+      json: () => Promise.resolve(mockProductsPage)
     });
 
     renderAdmin();
@@ -206,22 +228,20 @@ describe('Admin Page', () => {
       expect(screen.getByText('Save')).toBeInTheDocument();
     });
 
-    // Find the toggle switch for the product being edited
-    const toggles = screen.getAllByRole('checkbox');
-    const inStockToggle = toggles[0];
-    
-    await user.click(inStockToggle);
+    const stockInput = screen.getByLabelText('Stock quantity');
+    await user.clear(stockInput);
+    await user.type(stockInput, '30');
 
-    expect(inStockToggle).not.toBeChecked();
+    expect(stockInput).toHaveValue(30);
   });
 
   test('saves product changes successfully', async () => {
     const user = userEvent.setup();
     
-    const updatedProduct = { ...mockProducts[0], price: 4.99 };
+    const updatedProduct = { ...mockProducts[0], price: 499 };
     
     fetch
-      .mockResolvedValueOnce({ json: () => Promise.resolve(mockProducts) })
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(mockProductsPage) })
       .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(updatedProduct) });
 
     renderAdmin();
@@ -252,8 +272,8 @@ describe('Admin Page', () => {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({
-          price: 4.99,
-          inStock: true
+          price: 499,
+          stock: 12
         })
       })
     );
@@ -263,7 +283,7 @@ describe('Admin Page', () => {
     const user = userEvent.setup();
     
     fetch
-      .mockResolvedValueOnce({ json: () => Promise.resolve(mockProducts) })
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(mockProductsPage) })
       .mockResolvedValueOnce({ ok: false });
 
     renderAdmin();
@@ -292,7 +312,7 @@ describe('Admin Page', () => {
     const consoleError = jest.spyOn(console, 'error').mockImplementation();
     
     fetch
-      .mockResolvedValueOnce({ json: () => Promise.resolve(mockProducts) })
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(mockProductsPage) })
       .mockRejectedValueOnce(new Error('Network error'));
 
     renderAdmin();
@@ -332,9 +352,22 @@ describe('Admin Page', () => {
     consoleError.mockRestore();
   });
 
+  test('shows an error toast when the products request fails', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation();
+    fetch.mockResolvedValueOnce({ ok: false, status: 403, json: () => Promise.resolve({ error: 'Forbidden' }) });
+
+    renderAdmin();
+
+    expect(await screen.findByText('Failed to load products')).toBeInTheDocument();
+    expect(screen.getByText('Product')).toBeInTheDocument();
+
+    consoleError.mockRestore();
+  });
+
   test('displays table headers correctly', async () => {
     fetch.mockResolvedValueOnce({
-      json: () => Promise.resolve(mockProducts)
+      ok: true,
+      json: () => Promise.resolve(mockProductsPage)
     });
 
     renderAdmin();
@@ -353,7 +386,8 @@ describe('Admin Page', () => {
     const user = userEvent.setup();
     
     fetch.mockResolvedValueOnce({
-      json: () => Promise.resolve(mockProducts)
+      ok: true,
+      json: () => Promise.resolve(mockProductsPage)
     });
 
     renderAdmin();
@@ -373,4 +407,285 @@ describe('Admin Page', () => {
     const remainingEditButtons = screen.queryAllByText('Edit');
     expect(remainingEditButtons.length).toBe(mockProducts.length - 1);
   });
+
+  test('creates a new product', async () => {
+    const user = userEvent.setup();
+    const createdProduct = {
+      _id: '3',
+      name: 'Cold Brew',
+      category: 'Coffee',
+      price: 550,
+      description: 'Slow steeped coffee',
+      stock: 0,
+      inStock: false
+    };
+
+    fetch
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(mockProductsPage) })
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(createdProduct) });
+
+    renderAdmin();
+
+    await waitFor(() => {
+      expect(screen.getByText('Espresso')).toBeInTheDocument();
+    });
+
+    await user.click(screen.getByText('+ New Product'));
+    await user.type(screen.getByLabelText('Name'), 'Cold Brew');
+    await user.selectOptions(screen.getByLabelText('Category'), 'Coffee');
+    await user.type(screen.getByLabelText('Price'), '5.5');
+    await user.type(screen.getByLabelText('Description'), 'Slow steeped coffee');
+    await user.click(screen.getByText('Create Product'));
+
+    await waitFor(() => {
+      expect(screen.getByText(/Created "Cold Brew" successfully!/)).toBeInTheDocument();
+    });
+
+    expect(screen.getByText('Cold Brew')).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith(
+      '/api/products',
+      expect.objectContaining({
+        method: 'POST',
+        body: JSON.stringify({
+          name: 'Cold Brew',
+          category: 'Coffee',
+          price: 550,
+          description: 'Slow steeped coffee',
+          stock: 0,
+          lowStockThreshold: 5,
+          translations: {}
+        })
+      })
+    );
+  });
+
+  test('validates the new product form before submitting', async () => {
+    const user = userEvent.setup();
+
+    fetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(mockProductsPage) });
+
+    renderAdmin();
+
+    await waitFor(() => {
+      expect(screen.getByText('Espresso')).toBeInTheDocument();
+    });
+
+    await user.click(screen.getByText('+ New Product'));
+    await user.click(screen.getByText('Create Product'));
+
+    expect(screen.getByText('Name is required')).toBeInTheDocument();
+    expect(screen.getByText('Price is required')).toBeInTheDocument();
+    expect(screen.getByText('Description is required')).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('shows server validation errors on the product form', async () => {
+    const user = userEvent.setup();
+
+    fetch
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(mockProductsPage) })
+      .mockResolvedValueOnce({
+        ok: false,
+        json: () => Promise.resolve({
+          error: 'Validation failed',
+          details: { name: 'Name must be unique' }
+        })
+      });
+
+    renderAdmin();
+
+    await waitFor(() => {
+      expect(screen.getByText('Espresso')).toBeInTheDocument();
+    });
+
+    await user.click(screen.getAllByText('Details')[0]);
+    await user.type(screen.getByLabelText('Description'), 'Strong coffee');
+    await user.click(screen.getByText('Save Changes'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Please check this value')).toBeInTheDocument();
+    });
+    expect(screen.getByText('Failed to update product')).toBeInTheDocument();
+    expect(fetch).toHaveBeenLastCalledWith('/api/products/1', expect.objectContaining({ method: 'PUT' }));
+  });
+
+  test('saves translated names and descriptions with a product', async () => {
+    const user = userEvent.setup();
+    const translatedProduct = {
+      ...mockProducts[0],
+      description: 'Strong coffee',
+      translations: { de: { name: 'Espresso', description: 'Kräftiger Kaffee' } }
+    };
+
+    fetch
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(mockProductsPage) })
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(translatedProduct) });
+
+    renderAdmin();
+
+    await waitFor(() => {
+      expect(screen.getByText('Espresso')).toBeInTheDocument();
+    });
+
+    await user.click(screen.getAllByText('Details')[0]);
+    await user.type(screen.getByLabelText('Description'), 'Strong coffee');
+    await user.type(screen.getByLabelText('Name (Deutsch)'), ' Espresso ');
+    await user.type(screen.getByLabelText('Description (Deutsch)'), 'Kräftiger Kaffee');
+    await user.click(screen.getByText('Save Changes'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Updated "Espresso" successfully!')).toBeInTheDocument();
+    });
+    const body = JSON.parse(fetch.mock.calls[1][1].body);
+    expect(body.translations).toEqual({ de: { name: 'Espresso', description: 'Kräftiger Kaffee' } });
+  });
+
+  test('displays stock counts and low stock badge', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: () => Promise.resolve({
+        ...mockProductsPage,
+        products: [
+          ...mockProducts,
+          { _id: '3', name: 'Bagel', category: 'Pastries', price: 199, stock: 2, lowStockThreshold: 5, inStock: true, lowStock: true }
+        ]
+      })
+    });
+
+    renderAdmin();
+
+    await waitFor(() => {
+      expect(screen.getByText('Bagel')).toBeInTheDocument();
+    });
+
+    expect(screen.getByText('12 left')).toBeInTheDocument();
+    expect(screen.getByText('0 left')).toBeInTheDocument();
+    expect(screen.getByText('⚠ Low Stock')).toBeInTheDocument();
+  });
+
+  test('restocks a product', async () => {
+    const user = userEvent.setup();
+    const promptSpy = jest.spyOn(window, 'prompt').mockReturnValue('10');
+
+    fetch
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(mockProductsPage) })
+      .mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ ...mockProducts[1], stock: 10, inStock: true })
+      });
+
+    renderAdmin();
+
+    await waitFor(() => {
+      expect(screen.getByText('Croissant')).toBeInTheDocument();
+    });
+
+    await user.click(screen.getAllByText('Restock')[1]);
+
+    await waitFor(() => {
+      expect(screen.getByText('Restocked "Croissant" (10 in stock)')).toBeInTheDocument();
+    });
+
+    expect(screen.getByText('10 left')).toBeInTheDocument();
+    expect(fetch).toHaveBeenLastCalledWith(
+      '/api/products/2/restock',
+      expect.objectContaining({
+        method: 'POST',
+        body: JSON.stringify({ quantity: 10 })
+      })
+    );
+
+    promptSpy.mockRestore();
+  });
+
+  test('requests products one page at a time', async () => {
+    const user = userEvent.setup();
+
+    fetch
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ ...mockProductsPage, total: 25, totalPages: 2 }) })
+      .mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({
+          products: [{ ...mockProducts[0], _id: '21', name: 'Mocha' }],
+          total: 25,
+          page: 2,
+          limit: 20,
+          totalPages: 2
+        })
+      });
+
+    renderAdmin();
+
+    await waitFor(() => {
+      expect(screen.getByText('Page 1 of 2')).toBeInTheDocument();
+    });
+    expect(fetch).toHaveBeenCalledWith('/api/products?page=1&limit=20&includeArchived=true');
+
+    await user.click(screen.getByText('Next →'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Mocha')).toBeInTheDocument();
+    });
+    expect(screen.getByText('Page 2 of 2')).toBeInTheDocument();
+    expect(fetch).toHaveBeenLastCalledWith('/api/products?page=2&limit=20&includeArchived=true');
+  });
+
+  test('archives a product after confirmation', async () => {
+    const user = userEvent.setup();
+    const confirmSpy = jest.spyOn(window, 'confirm').mockReturnValue(true);
+
+    fetch
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(mockProductsPage) })
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ ...mockProducts[1], archived: true }) });
+
+    renderAdmin();
+
+    await waitFor(() => {
+      expect(screen.getByText('Croissant')).toBeInTheDocument();
+    });
+
+    await user.click(screen.getAllByText('Archive')[1]);
+
+    await waitFor(() => {
+      expect(screen.getByText('Archived "Croissant"')).toBeInTheDocument();
+    });
+
+    // Archived products stay listed so they can be restored
+    const row = screen.getByText('Croissant').closest('tr');
+    expect(row).toHaveClass('archived');
+    expect(within(row).getByText('Restore')).toBeInTheDocument();
+    expect(fetch).toHaveBeenLastCalledWith('/api/products/2', { method: 'DELETE' });
+
+    confirmSpy.mockRestore();
+  });
+
+  test('restores an archived product', async () => {
+    const user = userEvent.setup();
+    const archivedPage = {
+      ...mockProductsPage,
+      products: [mockProducts[0], { ...mockProducts[1], archived: true }]
+    };
+
+    fetch
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(archivedPage) })
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ ...mockProducts[1], archived: false }) });
+
+    renderAdmin();
+
+    const row = (await screen.findByText('Croissant')).closest('tr');
+    expect(within(row).getByText('Archived')).toBeInTheDocument();
+
+    await user.click(within(row).getByText('Restore'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Restored "Croissant"')).toBeInTheDocument();
+    });
+    expect(row).not.toHaveClass('archived');
+    expect(within(row).getByText('Archive')).toBeInTheDocument();
+    expect(fetch).toHaveBeenLastCalledWith('/api/products/2', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ archived: false })
+    });
+  });
 });
@@ -0,0 +1,372 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import Toast from '../components/Toast';
+import CustomCoffeeDetails from '../components/CustomCoffeeDetails';
+import { useTranslation } from '../context/LanguageContext';
+import { formatMoney } from '../utils/money';
+import { describeTaxLine } from '../utils/tax';
+import './Admin.css';
+import './AdminOrders.css';
+
+const STATUSES = ['pending', 'completed', 'cancelled'];
+
+const SORT_VALUES = {
+  id: order => order._id,
+  createdAt: order => new Date(order.createdAt).getTime(),
+  items: order => order.items.reduce((sum, item) => sum + item.quantity, 0),
+  totalAmount: order => order.totalAmount,
+  status: order => order.status
+};
+
+function AdminOrders() {
+  const [orders, setOrders] = useState([]);
+  const [loadStatus, setLoadStatus] = useState('loading');
+  const [toast, setToast] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [dateFrom, setDateFrom] = useState('');
+  const [dateTo, setDateTo] = useState('');
+  const [sort, setSort] = useState({ field: 'createdAt', direction: 'desc' });
+  const [selectedOrder, setSelectedOrder] = useState(null);
+  const [reason, setReason] = useState('');
+  const { t, locale } = useTranslation();
+
+  useEffect(() => {
+    let ignore = false;
+
+    const fetchOrders = async () => {
+      try {
+        const response = await fetch('/api/orders');
+        // An expired session (401/403) or a server error has no orders to list
+        if (!response.ok) {
+          throw new Error(`Failed to load orders (${response.status})`);
+        }
+        const data = await response.json();
+        if (!ignore) {
+          setOrders(data);
+          setLoadStatus('loaded');
+        }
+      } catch (error) {
+        console.error('Error fetching orders:', error);
+        if (!ignore) {
+          setLoadStatus('error');
+        }
+      }
+    };
+
+    fetchOrders();
+    return () => {
+      ignore = true;
+    };
+  }, []);
+
+  const handleSort = (field) => {
+    setSort(prevSort => ({
+      field,
+      direction: prevSort.field === field && prevSort.direction === 'asc' ? 'desc' : 'asc'
+    }));
+  };
+
+  const handleSelect = (order) => {
+    setSelectedOrder(order);
+    setReason('');
+  };
+
+  const handleStatusChange = async (status) => {
+    try {
+      const response = await fetch(`/api/orders/${selectedOrder._id}/status`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          status,
+          reason: reason || undefined
+        })
+      });
+
+      if (response.ok) {
+        const updatedOrder = await response.json();
+        // Keep the populated items and customer from the list response
+        const mergedOrder = {
+          ...selectedOrder,
+          ...updatedOrder,
+          items: selectedOrder.items,
+          customer: selectedOrder.customer
+        };
+        setOrders(orders.map(o => o._id === mergedOrder._id ? mergedOrder : o));
+        setSelectedOrder(mergedOrder);
+        setReason('');
+        setToast(t('adminOrders.statusChanged', { status: t(`orders.status.${status}`) }));
+      } else if (response.status === 402) {
+        const { message } = await response.json();
+        setToast(t('adminOrders.paymentFailed', { message }));
+      } else {
+        setToast(t('adminOrders.updateFailed'));
+      }
+    } catch (error) {
+      console.error('Error updating order status:', error);
+      setToast(t('adminOrders.updateError'));
+    }
+  };
+
+  const filteredOrders = orders.filter(order => {
+    if (statusFilter !== 'all' && order.status !== statusFilter) {
+      return false;
+    }
+    const createdAt = new Date(order.createdAt);
+    if (dateFrom && createdAt < new Date(`${dateFrom}T00:00:00`)) {
+      return false;
+    }
+    if (dateTo && createdAt > new Date(`${dateTo}T23:59:59.999`)) {
+      return false;
+    }
+    return true;
+  });
+
+  const sortedOrders = [...filteredOrders].sort((a, b) => {
+    const getValue = SORT_VALUES[sort.field];
+    const valueA = getValue(a);
+    const valueB = getValue(b);
+    const result = valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
+    return sort.direction === 'asc' ? result : -result;
+  });
+
+  const sortIndicator = (field) => {
+    if (sort.field !== field) return '';
+    return sort.direction === 'asc' ? ' ▲' : ' ▼';
+  };
+
+  if (loadStatus === 'loading') {
+    return (
+      <div className="admin container">
+        <h1 className="page-title">{t('adminOrders.title')}</h1>
+        <p>{t('adminOrders.loading')}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="admin admin-orders container">
+      {toast && <Toast message={toast} onClose={() => setToast(null)} />}
+      {loadStatus === 'error' && <Toast message={t('adminOrders.loadFailed')} onClose={() => setLoadStatus('loaded')} />}
+      <h1 className="page-title">{t('adminOrders.title')}</h1>
+      <p className="admin-subtitle">
+        {t('adminOrders.subtitle', { link: <Link to="/admin">{t('admin.manageProducts')}</Link> })}
+      </p>
+
+      <div className="orders-filters">
+        <label>
+          {t('adminOrders.filters.status')}
+          <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+            <option value="all">{t('adminOrders.filters.all')}</option>
+            {STATUSES.map(status => (
+              <option key={status} value={status}>{t(`orders.status.${status}`)}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          {t('adminOrders.filters.from')}
+          <input type="date" value={dateFrom} onChange={(e) => setDateFrom(e.target.value)} />
+        </label>
+        <label>
+          {t('adminOrders.filters.to')}
+          <input type="date" value={dateTo} onChange={(e) => setDateTo(e.target.value)} />
+        </label>
+      </div>
+
+      <div className="admin-table-container">
+        <table className="admin-table orders-table">
+          <thead>
+            <tr>
+              <th onClick={() => handleSort('id')}>{t('adminOrders.columns.order')}{sortIndicator('id')}</th>
+              <th onClick={() => handleSort('createdAt')}>{t('adminOrders.columns.date')}{sortIndicator('createdAt')}</th>
+              <th onClick={() => handleSort('items')}>{t('adminOrders.columns.items')}{sortIndicator('items')}</th>
+              <th onClick={() => handleSort('totalAmount')}>{t('adminOrders.columns.total')}{sortIndicator('totalAmount')}</th>
+              <th onClick={() => handleSort('status')}>{t('adminOrders.columns.status')}{sortIndicator('status')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sortedOrders.length === 0 && (
+              <tr>
+                <td colSpan="5" className="orders-empty">{t('adminOrders.empty')}</td>
+              </tr>
+            )}
+            {sortedOrders.map(order => (
+              <tr
+                key={order._id}
+                className={selectedOrder?._id === order._id ? 'editing' : ''}
+                onClick={() => handleSelect(order)}
+              >
+                <td className="order-id">#{order._id.slice(-6)}</td>
+                <td>{new Date(order.createdAt).toLocaleString(locale)}</td>
+                <td>{order.items.reduce((sum, item) => sum + item.quantity, 0)}</td>
+                <td>{formatMoney(order.totalAmount)}</td>
+                <td>
+                  <span className={`status-badge status-${order.status}`}>{t(`orders.status.${order.status}`)}</span>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {selectedOrder && (
+        <aside className="order-drawer" aria-label={t('adminOrders.details')}>
+          <div className="order-drawer-header">
+            <h2>{t('orders.order', { id: selectedOrder._id.slice(-6) })}</h2>
+            <button className="order-drawer-close" onClick={() => setSelectedOrder(null)}>×</button>
+          </div>
+          <p>
+            <span className={`status-badge status-${selectedOrder.status}`}>
+              {t(`orders.status.${selectedOrder.status}`)}
+            </span>
+          </p>
+          <p className="order-date">
+            {t('orders.placed', { date: new Date(selectedOrder.createdAt).toLocaleString(locale) })}
+          </p>
+          <p className="order-customer">
+            {t('adminOrders.customer', {
+              customer: selectedOrder.customer
+                ? `${selectedOrder.customer.name} (${selectedOrder.customer.email})`
+                : t('adminOrders.guest')
+            })}
+          </p>
+
+          {selectedOrder.shipping && (
+            <p className="order-shipping">
+              {t('adminOrders.delivery', {
+                method: <strong>{t(`shipping.methods.${selectedOrder.shipping.method}.label`, { defaultValue: selectedOrder.shipping.label })}</strong>,
+                cost: selectedOrder.shipping.cost === 0 ? t('common.free') : formatMoney(selectedOrder.shipping.cost)
+              })}
+            </p>
+          )}
+
+          {selectedOrder.shippingAddress && (
+            <>
+              <h3>{t('adminOrders.shipTo')}</h3>
+              <address className="order-address">
+                {selectedOrder.contact?.name}<br />
+                {selectedOrder.shippingAddress.line1}<br />
+                {selectedOrder.shippingAddress.line2 && <>{selectedOrder.shippingAddress.line2}<br /></>}
+                {selectedOrder.shippingAddress.city}
+                {selectedOrder.shippingAddress.region && `, ${selectedOrder.shippingAddress.region}`}
+                {' '}{selectedOrder.shippingAddress.postalCode}<br />
+                {selectedOrder.shippingAddress.country}
+              </address>
+              <p className="order-contact">
+                {selectedOrder.contact?.email}
+                {selectedOrder.contact?.phone && <> · {selectedOrder.contact.phone}</>}
+              </p>
+            </>
+          )}
+
+          {selectedOrder.payment && (
+            <p className="order-payment">
+              {t('adminOrders.payment', {
+                status: (
+                  <strong>
+                    {t(`adminOrders.paymentStatus.${selectedOrder.payment.status}`, {
+                      defaultValue: selectedOrder.payment.status
+                    })}
+                  </strong>
+                )
+              })}
+              {selectedOrder.payment.cardLast4 && (
+                <> · {t('adminOrders.cardEnding', { last4: selectedOrder.payment.cardLast4 })}</>
+              )}
+            </p>
+          )}
+
+          {selectedOrder.displayCurrency && selectedOrder.displayCurrency !== selectedOrder.currency && (
+            <p className="order-currency">
+              {t('adminOrders.displayCurrency', {
+                currency: selectedOrder.displayCurrency,
+                baseCurrency: selectedOrder.currency,
+                rate: selectedOrder.exchangeRate
+              })}
+            </p>
+          )}
+
+          <h3>{t('adminOrders.items')}</h3>
+          <ul className="order-items">
+            {selectedOrder.items.map((item, index) => (
+              <li key={index}>
+                <div className="order-item-row">
+                  <span>{item.quantity} × {item.name}</span>
+                  <span>{formatMoney(item.price * item.quantity)}</span>
+                </div>
+                {item.customCoffee && <CustomCoffeeDetails options={item.customCoffee} />}
+              </li>
+            ))}
+          </ul>
+          {selectedOrder.subtotal !== undefined && (
+            <div className="order-breakdown">
+              <div className="order-item-row">
+                <span>{t('adminOrders.subtotal')}</span>
+                <span>{formatMoney(selectedOrder.subtotal)}</span>
+              </div>
+              {selectedOrder.discounts?.map(discount => (
+                <div key={discount.code || discount.name} className="order-item-row order-discount">
+                  <span>{discount.name}{discount.code ? ` (${discount.code})` : ''}</span>
+                  <span>{formatMoney(-discount.amount)}</span>
+                </div>
+              ))}
+              {selectedOrder.shipping && (
+                <div className="order-item-row">
+                  <span>{t('adminOrders.shipping')}</span>
+                  <span>{formatMoney(selectedOrder.shipping.cost)}</span>
+                </div>
+              )}
+              {selectedOrder.tax?.lines.map(line => (
+                <div key={line.type} className="order-item-row">
+                  <span>{describeTaxLine(line, t, locale)}</span>
+                  <span>{formatMoney(line.amount)}</span>
+                </div>
+              ))}
+            </div>
+          )}
+          <p className="order-total">{t('orders.total', { amount: formatMoney(selectedOrder.totalAmount) })}</p>
+
+          {selectedOrder.statusHistory?.length > 0 && (
+            <>
+              <h3>{t('adminOrders.history')}</h3>
+              <ul className="order-history">
+                {selectedOrder.statusHistory.map((entry, index) => (
+                  <li key={index}>
+                    {t('adminOrders.historyEntry', {
+                      date: new Date(entry.changedAt).toLocaleString(locale),
+                      status: <strong>{t(`orders.status.${entry.status}`)}</strong>,
+                      changedBy: entry.changedBy
+                    })}
+                    {entry.reason && <> ({entry.reason})</>}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          {selectedOrder.status === 'pending' && (
+            <div className="order-actions">
+              <input
+                type="text"
+                placeholder={t('adminOrders.reason')}
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+              />
+              <div className="action-buttons">
+                <button className="btn btn-primary btn-sm" onClick={() => handleStatusChange('completed')}>
+                  {t('adminOrders.markCompleted')}
+                </button>
+                <button className="btn btn-secondary btn-sm" onClick={() => handleStatusChange('cancelled')}>
+                  {t('adminOrders.cancel')}
+                </button>
+              </div>
+            </div>
+          )}
+        </aside>
+      )}
+    </div>
+  );
+}
+
+export default AdminOrders;
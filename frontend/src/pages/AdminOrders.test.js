@@ -0,0 +1,305 @@
+import React from 'react';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { BrowserRouter } from 'react-router-dom';
+import AdminOrders from './AdminOrders';
+import { LanguageProvider } from '../context/LanguageContext';
+
+// Mock fetch
+global.fetch = jest.fn();
+
+const mockOrders = [
+  {
+    _id: '674a9999567890abcdef0001',
+    items: [
+      { productId: { _id: 'p1', name: 'Espresso Beans' }, name: 'Espresso Beans', price: 1499, quantity: 2 }
+    ],
+    totalAmount: 2998,
+    status: 'pending',
+    statusHistory: [
+      { status: 'pending', changedBy: 'customer', changedAt: '2024-11-01T10:00:00.000Z' }
+    ],
+    createdAt: '2024-11-01T10:00:00.000Z'
+  },
+  {
+    _id: '674a9999567890abcdef0002',
+    items: [
+      {
+        name: 'Custom Coffee',
+        price: 525,
+        quantity: 1,
+        customCoffee: { sugar: 2, milk: 'oat', coffee: 2, chocolate: 1 }
+      }
+    ],
+    subtotal: 525,
+    shipping: { method: 'pickup', label: 'In-store pickup', cost: 0 },
+    tax: {
+      country: 'US',
+      region: 'IL',
+      lines: [{ type: 'reduced', name: 'salesTax', label: 'Sales tax 1%', rate: 0.01, taxableAmount: 525, amount: 5 }],
+      total: 5
+    },
+    totalAmount: 530,
+    customer: { _id: '674b000000000000000c0001', name: 'Jane Doe', email: 'jane@example.com' },
+    contact: { name: 'Jane Doe', email: 'jane@example.com', phone: '+1 555 0100' },
+    shippingAddress: { line1: '1 Main Street', city: 'Springfield', postalCode: '12345', country: 'US' },
+    status: 'completed',
+    statusHistory: [],
+    createdAt: '2024-11-15T10:00:00.000Z'
+  }
+];
+
+function renderAdminOrders() {
+  return render(
+    <BrowserRouter>
+      <AdminOrders />
+    </BrowserRouter>
+  );
+}
+
+function getOrderRows() {
+  return screen.getAllByRole('row').slice(1);
+}
+
+describe('Admin Orders Page', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+  });
+
+  test('shows loading state initially', () => {
+    fetch.mockImplementation(() => new Promise(() => {})); // Never resolves
+
+    renderAdminOrders();
+
+    expect(screen.getByText('Loading orders...')).toBeInTheDocument();
+  });
+
+  test('fetches and displays orders', async () => {
+    fetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(mockOrders) });
+
+    renderAdminOrders();
+
+    await waitFor(() => {
+      expect(screen.getByText('#ef0001')).toBeInTheDocument();
+    });
+
+    expect(screen.getByText('#ef0002')).toBeInTheDocument();
+    expect(screen.getByText('$29.98')).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith('/api/orders');
+  });
+
+  test('shows an error toast when the orders cannot be loaded', async () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+    fetch.mockResolvedValueOnce({ ok: false, status: 401, json: () => Promise.resolve({ error: 'Authentication required' }) });
+
+    renderAdminOrders();
+
+    expect(await screen.findByText('Failed to load orders')).toBeInTheDocument();
+    expect(screen.getByText('No orders found')).toBeInTheDocument();
+    consoleSpy.mockRestore();
+  });
+
+  test('filters orders by status', async () => {
+    const user = userEvent.setup();
+    fetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(mockOrders) });
+
+    renderAdminOrders();
+
+    await waitFor(() => {
+      expect(screen.getByText('#ef0001')).toBeInTheDocument();
+    });
+
+    await user.selectOptions(screen.getByLabelText('Status'), 'completed');
+
+    expect(screen.queryByText('#ef0001')).not.toBeInTheDocument();
+    expect(screen.getByText('#ef0002')).toBeInTheDocument();
+  });
+
+  test('filters orders by date range', async () => {
+    const user = userEvent.setup();
+    fetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(mockOrders) });
+
+    renderAdminOrders();
+
+    await waitFor(() => {
+      expect(screen.getByText('#ef0001')).toBeInTheDocument();
+    });
+
+    await user.type(screen.getByLabelText('From'), '2024-11-10');
+
+    expect(screen.queryByText('#ef0001')).not.toBeInTheDocument();
+    expect(screen.getByText('#ef0002')).toBeInTheDocument();
+  });
+
+  test('sorts orders when a column header is clicked', async () => {
+    const user = userEvent.setup();
+    fetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(mockOrders) });
+
+    renderAdminOrders();
+
+    await waitFor(() => {
+      expect(screen.getByText('#ef0001')).toBeInTheDocument();
+    });
+
+    // Newest first by default
+    expect(getOrderRows()[0]).toHaveTextContent('#ef0002');
+
+    await user.click(screen.getByText('Total'));
+
+    expect(getOrderRows()[0]).toHaveTextContent('#ef0002');
+
+    await user.click(screen.getByText(/Total/));
+
+    expect(getOrderRows()[0]).toHaveTextContent('#ef0001');
+  });
+
+  test('shows custom coffee configuration in the order drawer', async () => {
+    const user = userEvent.setup();
+    fetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(mockOrders) });
+
+    renderAdminOrders();
+
+    await waitFor(() => {
+      expect(screen.getByText('#ef0002')).toBeInTheDocument();
+    });
+
+    await user.click(screen.getByText('#ef0002'));
+
+    const drawer = screen.getByRole('complementary', { name: 'Order details' });
+    expect(within(drawer).getByText('Milk: oat')).toBeInTheDocument();
+    expect(within(drawer).getByText('Coffee: 2 shots')).toBeInTheDocument();
+    expect(within(drawer).getByText('Customer: Jane Doe (jane@example.com)')).toBeInTheDocument();
+    expect(within(drawer).getByText('In-store pickup')).toBeInTheDocument();
+    expect(within(drawer).getByText('Subtotal')).toBeInTheDocument();
+    expect(within(drawer).getByText('Sales tax 1%')).toBeInTheDocument();
+    expect(within(drawer).getByText('$0.05')).toBeInTheDocument();
+    expect(within(drawer).getByText('Total: $5.30')).toBeInTheDocument();
+    expect(within(drawer).getByText(/1 Main Street/)).toBeInTheDocument();
+    expect(within(drawer).getByText(/\+1 555 0100/)).toBeInTheDocument();
+    expect(within(drawer).queryByText('Mark Completed')).not.toBeInTheDocument();
+  });
+
+  test('changes order status from the drawer', async () => {
+    const user = userEvent.setup();
+    const cancelledOrder = {
+      ...mockOrders[0],
+      status: 'cancelled',
+      statusHistory: [
+        ...mockOrders[0].statusHistory,
+        { status: 'cancelled', changedBy: 'admin@demoshop.com', reason: 'Customer request', changedAt: '2024-11-02T10:00:00.000Z' }
+      ]
+    };
+
+    fetch
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(mockOrders) })
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(cancelledOrder) });
+
+    renderAdminOrders();
+
+    await waitFor(() => {
+      expect(screen.getByText('#ef0001')).toBeInTheDocument();
+    });
+
+    await user.click(screen.getByText('#ef0001'));
+    await user.type(screen.getByPlaceholderText('Reason (optional)'), 'Customer request');
+    await user.click(screen.getByText('Cancel Order'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Order marked as cancelled')).toBeInTheDocument();
+    });
+
+    expect(fetch).toHaveBeenCalledWith(
+      '/api/orders/674a9999567890abcdef0001/status',
+      expect.objectContaining({
+        method: 'PATCH',
+        body: JSON.stringify({ status: 'cancelled', reason: 'Customer request' })
+      })
+    );
+    expect(screen.getByText(/\(Customer request\)/)).toBeInTheDocument();
+  });
+
+  test('reports payment failures when completing an order', async () => {
+    const user = userEvent.setup();
+    const paidOrders = [
+      {
+        ...mockOrders[0],
+        payment: { provider: 'fake', reference: 'fake_1', status: 'authorized', amount: 2998, cardLast4: '4242' }
+      }
+    ];
+
+    fetch
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(paidOrders) })
+      .mockResolvedValueOnce({
+        ok: false,
+        status: 402,
+        json: () => Promise.resolve({
+          error: 'Payment processing failed',
+          reason: 'timeout',
+          message: 'The payment provider did not respond in time'
+        })
+      });
+
+    renderAdminOrders();
+
+    await waitFor(() => {
+      expect(screen.getByText('#ef0001')).toBeInTheDocument();
+    });
+
+    await user.click(screen.getByText('#ef0001'));
+    expect(screen.getByText(/card ending 4242/)).toBeInTheDocument();
+
+    await user.click(screen.getByText('Mark Completed'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Payment failed: The payment provider did not respond in time')).toBeInTheDocument();
+    });
+  });
+
+  test('shows error toast when status change fails', async () => {
+    const user = userEvent.setup();
+
+    fetch
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(mockOrders) })
+      .mockResolvedValueOnce({ ok: false, json: () => Promise.resolve({ message: 'Cannot change' }) });
+
+    renderAdminOrders();
+
+    await waitFor(() => {
+      expect(screen.getByText('#ef0001')).toBeInTheDocument();
+    });
+
+    await user.click(screen.getByText('#ef0001'));
+    await user.click(screen.getByText('Mark Completed'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Failed to update order status')).toBeInTheDocument();
+    });
+  });
+
+  test('shows the orders in the chosen language', async () => {
+    const user = userEvent.setup();
+    localStorage.setItem('language', 'de');
+    fetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(mockOrders) });
+
+    render(
+      <BrowserRouter>
+        <LanguageProvider>
+          <AdminOrders />
+        </LanguageProvider>
+      </BrowserRouter>
+    );
+
+    await user.click(await screen.findByText('#ef0002'));
+
+    expect(screen.getByRole('heading', { name: 'Bestellungen' })).toBeInTheDocument();
+    const drawer = screen.getByRole('complementary', { name: 'Bestelldetails' });
+    expect(within(drawer).getByText('Kunde: Jane Doe (jane@example.com)')).toBeInTheDocument();
+    expect(within(drawer).getByText('Kaffee: 2 Shots')).toBeInTheDocument();
+    expect(within(drawer).getByText('Abholung im Geschäft')).toBeInTheDocument();
+    expect(within(drawer).getByText('Verkaufssteuer 1 %')).toBeInTheDocument();
+    expect(within(drawer).getByText('Gesamt: $5.30')).toBeInTheDocument();
+    expect(within(drawer).getByText('abgeschlossen')).toBeInTheDocument();
+
+    localStorage.removeItem('language');
+  });
+});
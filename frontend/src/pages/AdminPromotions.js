@@ -0,0 +1,241 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import Toast from '../components/Toast';
+import PromotionForm, { translateServerErrors } from '../components/PromotionForm';
+import { useTranslation } from '../context/LanguageContext';
+import { translateDefault } from '../i18n';
+import { formatMoney } from '../utils/money';
+import './Admin.css';
+import './AdminPromotions.css';
+
+export const describeDiscount = (promotion, t = translateDefault) => {
+  const category = promotion.category && t(`categories.${promotion.category}`, { defaultValue: promotion.category });
+  if (promotion.type === 'buyXGetY') {
+    return t(category ? 'adminPromotions.discount.buyXGetYIn' : 'adminPromotions.discount.buyXGetY', {
+      buy: promotion.buyQuantity,
+      free: promotion.freeQuantity,
+      category
+    });
+  }
+  const amount = promotion.type === 'percentage'
+    ? `${promotion.value}%`
+    : formatMoney(promotion.value);
+  return t(category ? 'adminPromotions.discount.off' : 'adminPromotions.discount.offOrder', { amount, category });
+};
+
+const promotionStatus = (promotion, now = new Date()) => {
+  if (!promotion.active) return 'paused';
+  if (promotion.expiresAt && new Date(promotion.expiresAt) <= now) return 'expired';
+  if (promotion.usageLimit && promotion.usageCount >= promotion.usageLimit) return 'used-up';
+  return 'active';
+};
+
+function AdminPromotions() {
+  const [promotions, setPromotions] = useState([]);
+  const [loadStatus, setLoadStatus] = useState('loading');
+  const [toast, setToast] = useState(null);
+  const [formPromotion, setFormPromotion] = useState(null);
+  const [formErrors, setFormErrors] = useState({});
+  const { t, locale } = useTranslation();
+
+  useEffect(() => {
+    let ignore = false;
+
+    const fetchPromotions = async () => {
+      try {
+        const response = await fetch('/api/promotions');
+        if (!response.ok) {
+          throw new Error(`Failed to load promotions (${response.status})`);
+        }
+        const data = await response.json();
+        if (!ignore) {
+          setPromotions(data);
+          setLoadStatus('loaded');
+        }
+      } catch (error) {
+        console.error('Error fetching promotions:', error);
+        if (!ignore) {
+          setLoadStatus('error');
+        }
+      }
+    };
+
+    fetchPromotions();
+    return () => {
+      ignore = true;
+    };
+  }, []);
+
+  const openForm = (promotion) => {
+    setFormPromotion(promotion);
+    setFormErrors({});
+  };
+
+  const closeForm = () => {
+    setFormPromotion(null);
+    setFormErrors({});
+  };
+
+  const savePromotion = async (promotion, values) => {
+    const isNew = !promotion._id;
+    const response = await fetch(isNew ? '/api/promotions' : `/api/promotions/${promotion._id}`, {
+      method: isNew ? 'POST' : 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(values)
+    });
+
+    if (response.ok) {
+      const savedPromotion = await response.json();
+      setPromotions(isNew
+        ? [savedPromotion, ...promotions]
+        : promotions.map(p => p._id === savedPromotion._id ? savedPromotion : p));
+      return { savedPromotion };
+    }
+    const data = await response.json().catch(() => ({}));
+    return { errors: translateServerErrors(response.status, data.details || {}, t) };
+  };
+
+  const handleFormSubmit = async (values) => {
+    const isNew = !formPromotion._id;
+    try {
+      const { savedPromotion, errors } = await savePromotion(formPromotion, values);
+      if (savedPromotion) {
+        setToast(t(isNew ? 'adminPromotions.created' : 'adminPromotions.updated', { name: savedPromotion.name }));
+        closeForm();
+      } else {
+        setFormErrors(errors);
+        setToast(t(isNew ? 'adminPromotions.createFailed' : 'adminPromotions.updateFailed'));
+      }
+    } catch (error) {
+      console.error('Error saving promotion:', error);
+      setToast(t('adminPromotions.saveError'));
+    }
+  };
+
+  const handleToggleActive = async (promotion) => {
+    try {
+      const { savedPromotion } = await savePromotion(promotion, { active: !promotion.active });
+      setToast(savedPromotion
+        ? t(savedPromotion.active ? 'adminPromotions.activated' : 'adminPromotions.paused', { name: promotion.name })
+        : t('adminPromotions.updateFailed'));
+    } catch (error) {
+      console.error('Error updating promotion:', error);
+      setToast(t('adminPromotions.updateError'));
+    }
+  };
+
+  const handleDelete = async (promotion) => {
+    if (!window.confirm(t('adminPromotions.deleteConfirm', { name: promotion.name }))) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/promotions/${promotion._id}`, {
+        method: 'DELETE'
+      });
+
+      if (response.ok) {
+        setPromotions(promotions.filter(p => p._id !== promotion._id));
+        setToast(t('adminPromotions.deleted', { name: promotion.name }));
+      } else {
+        setToast(t('adminPromotions.deleteFailed'));
+      }
+    } catch (error) {
+      console.error('Error deleting promotion:', error);
+      setToast(t('adminPromotions.deleteError'));
+    }
+  };
+
+  if (loadStatus === 'loading') {
+    return (
+      <div className="admin container">
+        <h1 className="page-title">{t('adminPromotions.title')}</h1>
+        <p>{t('adminPromotions.loading')}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="admin admin-promotions container">
+      {toast && <Toast message={toast} onClose={() => setToast(null)} />}
+      {loadStatus === 'error' && <Toast message={t('adminPromotions.loadFailed')} onClose={() => setLoadStatus('loaded')} />}
+      <h1 className="page-title">{t('adminPromotions.title')}</h1>
+      <p className="admin-subtitle">
+        {t('adminPromotions.subtitle', { link: <Link to="/admin">{t('admin.manageProducts')}</Link> })}
+      </p>
+
+      {formPromotion ? (
+        <PromotionForm
+          key={formPromotion._id || 'new'}
+          promotion={formPromotion}
+          serverErrors={formErrors}
+          onSubmit={handleFormSubmit}
+          onCancel={closeForm}
+        />
+      ) : (
+        <button className="btn btn-primary new-product-btn" onClick={() => openForm({})}>
+          {t('adminPromotions.newPromotion')}
+        </button>
+      )}
+
+      <div className="admin-table-container">
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>{t('adminPromotions.columns.promotion')}</th>
+              <th>{t('adminPromotions.columns.code')}</th>
+              <th>{t('adminPromotions.columns.discount')}</th>
+              <th>{t('adminPromotions.columns.expires')}</th>
+              <th>{t('adminPromotions.columns.used')}</th>
+              <th>{t('adminPromotions.columns.status')}</th>
+              <th>{t('adminPromotions.columns.actions')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {promotions.length === 0 && (
+              <tr>
+                <td colSpan="7" className="promotions-empty">{t('adminPromotions.empty')}</td>
+              </tr>
+            )}
+            {promotions.map(promotion => {
+              const status = promotionStatus(promotion);
+              return (
+                <tr key={promotion._id} className={formPromotion?._id === promotion._id ? 'editing' : ''}>
+                  <td>{promotion.name}</td>
+                  <td>{promotion.code ? <code>{promotion.code}</code> : <em>{t('adminPromotions.automatic')}</em>}</td>
+                  <td>{describeDiscount(promotion, t)}</td>
+                  <td>
+                    {promotion.expiresAt
+                      ? new Date(promotion.expiresAt).toLocaleDateString(locale)
+                      : t('adminPromotions.never')}
+                  </td>
+                  <td>{promotion.usageCount}{promotion.usageLimit ? ` / ${promotion.usageLimit}` : ''}</td>
+                  <td>
+                    <span className={`promotion-status promotion-${status}`}>{t(`adminPromotions.status.${status}`)}</span>
+                  </td>
+                  <td>
+                    <div className="action-buttons">
+                      <button className="btn btn-primary btn-sm" onClick={() => openForm(promotion)}>
+                        {t('adminPromotions.edit')}
+                      </button>
+                      <button className="btn btn-primary btn-sm" onClick={() => handleToggleActive(promotion)}>
+                        {promotion.active ? t('adminPromotions.pause') : t('adminPromotions.activate')}
+                      </button>
+                      <button className="btn btn-secondary btn-sm" onClick={() => handleDelete(promotion)}>
+                        {t('adminPromotions.delete')}
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default AdminPromotions;
@@ -0,0 +1,282 @@
+import React from 'react';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { BrowserRouter } from 'react-router-dom';
+import AdminPromotions, { describeDiscount } from './AdminPromotions';
+import { validatePromotion } from '../components/PromotionForm';
+import { LanguageProvider } from '../context/LanguageContext';
+
+// Mock fetch
+global.fetch = jest.fn();
+
+const mockPromotions = [
+  {
+    _id: 'p1',
+    name: 'Buy 2 coffees, get 1 free',
+    type: 'buyXGetY',
+    buyQuantity: 2,
+    freeQuantity: 1,
+    category: 'Coffee',
+    usageCount: 12,
+    active: true
+  },
+  {
+    _id: 'p2',
+    name: 'Welcome discount',
+    code: 'WELCOME5',
+    type: 'fixed',
+    value: 500,
+    usageLimit: 100,
+    usageCount: 100,
+    active: true
+  },
+  {
+    _id: 'p3',
+    name: 'Bookworm club',
+    code: 'BOOKWORM',
+    type: 'percentage',
+    value: 10,
+    category: 'Books',
+    expiresAt: '2020-01-31T23:59:59.999Z',
+    usageCount: 3,
+    active: false
+  }
+];
+
+function renderAdminPromotions() {
+  return render(
+    <BrowserRouter>
+      <AdminPromotions />
+    </BrowserRouter>
+  );
+}
+
+async function findPromotionRow(name) {
+  return (await screen.findByText(name)).closest('tr');
+}
+
+describe('Admin Promotions Page', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+  });
+
+  test('lists promotions with their discount, usage and status', async () => {
+    fetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(mockPromotions) });
+
+    renderAdminPromotions();
+
+    const coffeeDeal = await findPromotionRow('Buy 2 coffees, get 1 free');
+    expect(fetch).toHaveBeenCalledWith('/api/promotions');
+    expect(within(coffeeDeal).getByText('Automatic')).toBeInTheDocument();
+    expect(within(coffeeDeal).getByText('Buy 2, get 1 free (Coffee)')).toBeInTheDocument();
+    expect(within(coffeeDeal).getByText('active')).toBeInTheDocument();
+
+    const welcome = await findPromotionRow('Welcome discount');
+    expect(within(welcome).getByText('WELCOME5')).toBeInTheDocument();
+    expect(within(welcome).getByText('100 / 100')).toBeInTheDocument();
+    expect(within(welcome).getByText('used up')).toBeInTheDocument();
+
+    const books = await findPromotionRow('Bookworm club');
+    expect(within(books).getByText('paused')).toBeInTheDocument();
+    expect(within(books).getByText('Activate')).toBeInTheDocument();
+  });
+
+  test('creates a code promotion', async () => {
+    const user = userEvent.setup();
+    const createdPromotion = {
+      _id: 'p4',
+      name: 'Spring sale',
+      code: 'SPRING20',
+      type: 'percentage',
+      value: 20,
+      usageLimit: 50,
+      usageCount: 0,
+      active: true
+    };
+
+    fetch
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(mockPromotions) })
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(createdPromotion) });
+
+    renderAdminPromotions();
+
+    await user.click(await screen.findByText('+ New Promotion'));
+    await user.type(screen.getByLabelText('Name'), 'Spring sale');
+    await user.type(screen.getByLabelText('Code (leave empty to apply automatically)'), 'spring20');
+    await user.type(screen.getByLabelText('Percentage off'), '20');
+    await user.type(screen.getByLabelText('Usage limit (optional)'), '50');
+    await user.click(screen.getByText('Create Promotion'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Created "Spring sale" successfully!')).toBeInTheDocument();
+    });
+    expect(screen.getByText('20% off the order')).toBeInTheDocument();
+    expect(fetch).toHaveBeenLastCalledWith('/api/promotions', expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify({
+        name: 'Spring sale',
+        code: 'SPRING20',
+        type: 'percentage',
+        value: 20,
+        buyQuantity: null,
+        freeQuantity: null,
+        category: null,
+        expiresAt: null,
+        usageLimit: 50,
+        active: true
+      })
+    }));
+  });
+
+  test('shows buy X get Y quantities instead of a value', async () => {
+    const user = userEvent.setup();
+    fetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve([]) });
+
+    renderAdminPromotions();
+
+    expect(await screen.findByText('No promotions yet')).toBeInTheDocument();
+    await user.click(screen.getByText('+ New Promotion'));
+    await user.selectOptions(screen.getByLabelText('Type'), 'buyXGetY');
+
+    expect(screen.getByLabelText('Buy quantity')).toHaveValue(2);
+    expect(screen.getByLabelText('Free quantity')).toHaveValue(1);
+    expect(screen.queryByLabelText('Percentage off')).not.toBeInTheDocument();
+  });
+
+  test('shows server validation errors on the promotion form', async () => {
+    const user = userEvent.setup();
+
+    fetch
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(mockPromotions) })
+      .mockResolvedValueOnce({
+        ok: false,
+        status: 409,
+        json: () => Promise.resolve({
+          error: 'Validation failed',
+          details: { code: 'A promotion with this code already exists' }
+        })
+      });
+
+    renderAdminPromotions();
+
+    const welcome = await findPromotionRow('Welcome discount');
+    await user.click(within(welcome).getByText('Edit'));
+    expect(screen.getByLabelText('Amount off ($)')).toHaveValue(5);
+    await user.click(screen.getByText('Save Changes'));
+
+    await waitFor(() => {
+      expect(screen.getByText('A promotion with this code already exists')).toBeInTheDocument();
+    });
+    expect(screen.getByText('Failed to update promotion')).toBeInTheDocument();
+    expect(fetch).toHaveBeenLastCalledWith('/api/promotions/p2', expect.objectContaining({ method: 'PUT' }));
+  });
+
+  test('pauses an active promotion', async () => {
+    const user = userEvent.setup();
+
+    fetch
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(mockPromotions) })
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ ...mockPromotions[0], active: false }) });
+
+    renderAdminPromotions();
+
+    const coffeeDeal = await findPromotionRow('Buy 2 coffees, get 1 free');
+    await user.click(within(coffeeDeal).getByText('Pause'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Paused "Buy 2 coffees, get 1 free"')).toBeInTheDocument();
+    });
+    expect(within(coffeeDeal).getByText('paused')).toBeInTheDocument();
+    expect(fetch).toHaveBeenLastCalledWith('/api/promotions/p1', expect.objectContaining({
+      method: 'PUT',
+      body: JSON.stringify({ active: false })
+    }));
+  });
+
+  test('deletes a promotion after confirmation', async () => {
+    const user = userEvent.setup();
+    const confirmSpy = jest.spyOn(window, 'confirm').mockReturnValue(true);
+
+    fetch
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(mockPromotions) })
+      .mockResolvedValueOnce({ ok: true, status: 204 });
+
+    renderAdminPromotions();
+
+    const books = await findPromotionRow('Bookworm club');
+    await user.click(within(books).getByText('Delete'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Deleted "Bookworm club"')).toBeInTheDocument();
+    });
+    expect(screen.queryByText('BOOKWORM')).not.toBeInTheDocument();
+    expect(fetch).toHaveBeenLastCalledWith('/api/promotions/p3', { method: 'DELETE' });
+
+    confirmSpy.mockRestore();
+  });
+
+  test('shows an error when promotions fail to load', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation();
+    fetch.mockResolvedValueOnce({ ok: false, status: 500, json: () => Promise.resolve({}) });
+
+    renderAdminPromotions();
+
+    expect(await screen.findByText('Failed to load promotions')).toBeInTheDocument();
+    consoleError.mockRestore();
+  });
+
+  test('shows the promotions in the chosen language', async () => {
+    localStorage.setItem('language', 'de');
+    fetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(mockPromotions) });
+
+    render(
+      <BrowserRouter>
+        <LanguageProvider>
+          <AdminPromotions />
+        </LanguageProvider>
+      </BrowserRouter>
+    );
+
+    const coffeeDeal = await findPromotionRow('Buy 2 coffees, get 1 free');
+    expect(screen.getByRole('heading', { name: 'Aktionen' })).toBeInTheDocument();
+    expect(within(coffeeDeal).getByText('Automatisch')).toBeInTheDocument();
+    expect(within(coffeeDeal).getByText('Kaufe 2, erhalte 1 gratis (Kaffee)')).toBeInTheDocument();
+    expect(within(await findPromotionRow('Welcome discount')).getByText('aufgebraucht')).toBeInTheDocument();
+
+    localStorage.removeItem('language');
+  });
+});
+
+describe('validatePromotion', () => {
+  test('requires a name and a value for percentage and fixed promotions', () => {
+    expect(validatePromotion({ name: '', type: 'fixed', value: '', usageLimit: '' })).toEqual({
+      name: 'Name is required',
+      value: 'Value is required'
+    });
+  });
+
+  test('rejects percentages over 100, malformed codes and bad usage limits', () => {
+    expect(validatePromotion({ name: 'Too good', code: 'no spaces', type: 'percentage', value: 150, usageLimit: '0' }))
+      .toEqual({
+        code: 'Code must be 3-20 letters, digits, dashes or underscores',
+        value: 'Percentage must be at most 100',
+        usageLimit: 'Usage limit must be a whole number of at least 1'
+      });
+  });
+
+  test('requires whole buy and free quantities for buy X get Y', () => {
+    expect(validatePromotion({ name: 'Deal', type: 'buyXGetY', buyQuantity: '1.5', freeQuantity: '', usageLimit: '' }))
+      .toEqual({
+        buyQuantity: 'Buy quantity must be a whole number of at least 1',
+        freeQuantity: 'Free quantity must be a whole number of at least 1'
+      });
+  });
+});
+
+describe('describeDiscount', () => {
+  test('summarises each promotion type', () => {
+    expect(describeDiscount({ type: 'percentage', value: 10, category: 'Books' })).toBe('10% off Books');
+    expect(describeDiscount({ type: 'fixed', value: 500 })).toBe('$5.00 off the order');
+    expect(describeDiscount({ type: 'buyXGetY', buyQuantity: 2, freeQuantity: 1 })).toBe('Buy 2, get 1 free');
+  });
+});
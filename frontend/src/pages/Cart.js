@@ -1,24 +1,234 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { useCart } from '../context/CartContext';
+import { useWishlist } from '../context/WishlistContext';
+import { productIdOf } from '../context/cartReducer';
+import { useCurrency } from '../context/CurrencyContext';
+import { useTranslation } from '../context/LanguageContext';
 import Toast from '../components/Toast';
+import CheckoutForm, { translateServerErrors } from '../components/CheckoutForm';
+import CustomCoffeeDetails from '../components/CustomCoffeeDetails';
+import { DEFAULT_CURRENCY, formatMoney } from '../utils/money';
+import { describeTaxLine } from '../utils/tax';
 import './Cart.css';
 
+const DEFAULT_SHIPPING_METHOD = 'standard';
+
+// Line items in the shape expected by the orders and shipping APIs
+const toOrderItems = (cart) => cart.map(item => ({
+  productId: productIdOf(item),
+  name: item.name,
+  price: item.price,
+  quantity: item.quantity,
+  customCoffee: item.customCoffee || undefined
+}));
+
 function Cart() {
-  const { cart, removeFromCart, updateQuantity, clearCart, getCartTotal } = useCart();
+  const {
+    cart,
+    lastRemoved,
+    removeFromCart,
+    updateQuantity,
+    undoRemove,
+    clearCart,
+    getMaxQuantity,
+    getCartTotal,
+    getCartCount
+  } = useCart();
+  const { saveForLater } = useWishlist();
+  const { currency, rate, formatPrice } = useCurrency();
+  const { t, locale } = useTranslation();
   const [showCheckout, setShowCheckout] = useState(false);
   const [toast, setToast] = useState(null);
+  const [checkoutErrors, setCheckoutErrors] = useState({});
+  const [shippingQuote, setShippingQuote] = useState(null);
+  const [shippingMethod, setShippingMethod] = useState(DEFAULT_SHIPPING_METHOD);
+  const [taxQuote, setTaxQuote] = useState(null);
+  const [taxAddress, setTaxAddress] = useState(null);
+  const [promoInput, setPromoInput] = useState('');
+  const [promoCode, setPromoCode] = useState('');
+  const [promoError, setPromoError] = useState(null);
+  // The last code the server would not take, shown until another one is applied
+  const [rejectedCode, setRejectedCode] = useState(null);
+  const [promotionQuote, setPromotionQuote] = useState(null);
+
+  // Re-quote shipping whenever the cart changes
+  useEffect(() => {
+    if (cart.length === 0) {
+      setShippingQuote(null);
+      return;
+    }
+    let ignore = false;
+
+    const fetchShippingQuote = async () => {
+      try {
+        const response = await fetch('/api/shipping/quote', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ items: toOrderItems(cart) })
+        });
+        if (!response.ok) {
+          throw new Error(`Failed to quote shipping (${response.status})`);
+        }
+        const quote = await response.json();
+        if (!ignore) {
+          setShippingQuote(quote);
+        }
+      } catch (error) {
+        console.error('Error quoting shipping:', error);
+        if (!ignore) {
+          setShippingQuote(null);
+        }
+      }
+    };
+
+    fetchShippingQuote();
+    return () => {
+      ignore = true;
+    };
+  }, [cart]);
+
+  // Re-apply promotions when the cart or the promo code changes; automatic
+  // promotions show up even without a code
+  useEffect(() => {
+    if (cart.length === 0) {
+      setPromotionQuote(null);
+      return;
+    }
+    let ignore = false;
+
+    const fetchPromotions = async () => {
+      try {
+        const response = await fetch('/api/promotions/apply', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ items: toOrderItems(cart), promoCode: promoCode || undefined })
+        });
+        if (response.status === 400) {
+          const { details = {} } = await response.json();
+          if (details.promoCode) {
+            if (!ignore) {
+              setRejectedCode(promoCode);
+              setPromoCode('');
+            }
+            return;
+          }
+        }
+        if (!response.ok) {
+          throw new Error(`Failed to apply promotions (${response.status})`);
+        }
+        const quote = await response.json();
+        if (!ignore) {
+          setPromotionQuote(quote);
+        }
+      } catch (error) {
+        console.error('Error applying promotions:', error);
+        if (!ignore) {
+          setPromotionQuote(null);
+        }
+      }
+    };
+
+    fetchPromotions();
+    return () => {
+      ignore = true;
+    };
+  }, [cart, promoCode]);
+
+  const shippingMethods = shippingQuote?.methods || [];
+  const selectedShipping = shippingMethods.find(m => m.method === shippingMethod)
+    || shippingMethods.find(m => m.method === DEFAULT_SHIPPING_METHOD)
+    || shippingMethods[0];
+  // Pickup orders are taxed at the store, so the delivery address doesn't apply
+  const quoteAddress = selectedShipping?.requiresAddress === false ? null : taxAddress;
+
+  // Re-quote tax when the cart or the delivery address changes
+  useEffect(() => {
+    if (cart.length === 0) {
+      setTaxQuote(null);
+      return;
+    }
+    let ignore = false;
+
+    const fetchTaxQuote = async () => {
+      try {
+        const response = await fetch('/api/tax/quote', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            items: toOrderItems(cart),
+            shippingAddress: quoteAddress || undefined,
+            promoCode: promoCode || undefined
+          })
+        });
+        if (!response.ok) {
+          throw new Error(`Failed to quote tax (${response.status})`);
+        }
+        const quote = await response.json();
+        if (!ignore) {
+          setTaxQuote(quote);
+        }
+      } catch (error) {
+        console.error('Error quoting tax:', error);
+        if (!ignore) {
+          setTaxQuote(null);
+        }
+      }
+    };
+
+    fetchTaxQuote();
+    return () => {
+      ignore = true;
+    };
+  }, [cart, quoteAddress, promoCode]);
+
+  const subtotal = getCartTotal();
+  const discounts = promotionQuote?.discounts || [];
+  const discountTotal = promotionQuote?.discountTotal || 0;
+  const taxTotal = taxQuote?.tax.total || 0;
+  const orderTotal = subtotal - discountTotal + (selectedShipping?.cost || 0) + taxTotal;
+  const promoCodeError = promoError || (rejectedCode && t('cart.promoCodeInvalid', { code: rejectedCode }));
 
-  const handleCheckout = async () => {
+  const handleApplyPromoCode = (e) => {
+    e.preventDefault();
+    const code = promoInput.trim().toUpperCase();
+    setRejectedCode(null);
+    if (!code) {
+      setPromoError(t('cart.enterPromoCode'));
+      return;
+    }
+    setPromoError(null);
+    setPromoCode(code);
+    setPromoInput('');
+  };
+
+  const handleRemovePromoCode = () => {
+    setPromoCode('');
+    setPromoError(null);
+  };
+
+  const handleCancelCheckout = () => {
+    setShowCheckout(false);
+    setTaxAddress(null);
+  };
+
+  const handleCheckout = async ({ contact, shippingAddress, payment }) => {
     // Prepare order data
     const orderData = {
-      items: cart.map(item => ({
-        productId: item._id,
-        name: item.name,
-        price: item.price,
-        quantity: item.quantity,
-        customCoffee: item.customCoffee || undefined
-      })),
-      totalAmount: getCartTotal()
+      items: toOrderItems(cart),
+      totalAmount: orderTotal,
+      shippingMethod: selectedShipping?.method,
+      promoCode: promoCode || undefined,
+      displayCurrency: currency,
+      contact,
+      shippingAddress,
+      payment
     };
 
     try {
@@ -31,25 +241,70 @@ function Cart() {
       });
 
       if (response.ok) {
-        setToast('Order placed successfully! 🎉');
+        setCheckoutErrors({});
+        setToast(t('cart.orderPlaced'));
         setTimeout(() => {
           clearCart();
-          setShowCheckout(false);
+          handleCancelCheckout();
         }, 2000);
+      } else if (response.status === 409) {
+        const { outOfStockItems = [] } = await response.json();
+        const names = cart
+          .filter(item => outOfStockItems.includes(item._id))
+          .map(item => item.name);
+        setToast(t('cart.outOfStock', { names: names.join(', ') }));
+      } else if (response.status === 402) {
+        const { reason } = await response.json();
+        setCheckoutErrors({
+          'payment.cardNumber': t(`cart.paymentErrors.${reason}`, { defaultValue: t('cart.paymentFailed') })
+        });
+        setToast(t('cart.paymentFailedToast'));
+      } else if (response.status === 400) {
+        const { details } = await response.json();
+        if (details?.promoCode) {
+          // e.g. the code ran out while checking out; drop it so the totals are re-quoted
+          const fieldErrors = { ...details };
+          delete fieldErrors.promoCode;
+          setRejectedCode(promoCode);
+          setPromoCode('');
+          setCheckoutErrors(translateServerErrors(fieldErrors, t));
+          setToast(t('cart.promoCodeInvalid', { code: promoCode }));
+        } else if (details) {
+          setCheckoutErrors(translateServerErrors(details, t));
+          setToast(t('cart.correctFields'));
+        } else {
+          setToast(t('cart.orderFailed'));
+        }
       } else {
-        setToast('Failed to place order. Please try again.');
+        setToast(t('cart.orderFailed'));
       }
     } catch (error) {
       console.error('Error placing order:', error);
-      setToast('Error placing order. Please try again.');
+      setToast(t('cart.orderError'));
     }
   };
 
+  const undoNotice = lastRemoved && (
+    <div className="cart-undo" role="status">
+      <span>{t('cart.removed', { name: lastRemoved.name })}</span>
+      <button className="btn btn-primary" onClick={undoRemove}>{t('cart.undo')}</button>
+    </div>
+  );
+
+  // Moves the line to the wishlist; it can be moved back from there
+  const handleSaveForLater = (item) => {
+    saveForLater(item);
+    removeFromCart(item.lineId, { undoable: false });
+    setToast(t('wishlist.savedForLater', { name: item.name }));
+  };
+
   if (cart.length === 0) {
     return (
       <div className="cart container">
-        <h1 className="page-title">Shopping Cart</h1>
-        <p className="empty-cart">Your cart is empty</p>
+        {toast && <Toast message={toast} onClose={() => setToast(null)} />}
+        <h1 className="page-title">{t('cart.title')}</h1>
+        {undoNotice}
+        <p className="empty-cart">{t('cart.empty')}</p>
       </div>
     );
   }
@@ -57,79 +312,173 @@ function Cart() {
   return (
     <div className="cart container">
       {toast && <Toast message={toast} onClose={() => setToast(null)} />}
-      <h1 className="page-title">Shopping Cart</h1>
-      
+      <h1 className="page-title">{t('cart.title')}</h1>
+      {undoNotice}
+
       <div className="cart-items">
-        {cart.map((item, index) => (
-          <div key={index} className="cart-item">
+        {cart.map(item => (
+          <div key={item.lineId} className="cart-item">
             <img src={item.image} alt={item.name} className="cart-item-image" />
             <div className="cart-item-details">
               <h3>{item.name}</h3>
               {item.customCoffee && (
-                <div className="custom-coffee-details">
-                  <p><strong>Custom Coffee:</strong></p>
-                  <p>Sugar: {item.customCoffee.sugar} tsp</p>
-                  <p>Milk: {item.customCoffee.milk}</p>
-                  <p>Coffee: {item.customCoffee.coffee} shot(s)</p>
-                  <p>Chocolate: {item.customCoffee.chocolate} pump(s)</p>
-                </div>
+                <>
+                  <CustomCoffeeDetails options={item.customCoffee} showTitle />
+                  <Link to={`/coffee-builder?line=${item.lineId}`} className="edit-coffee-link">
+                    {t('cart.editCoffee')}
+                  </Link>
+                </>
               )}
-              <p className="cart-item-price">${item.price.toFixed(2)}</p>
+              <p className="cart-item-price">{formatPrice(item.price)}</p>
             </div>
             <div className="cart-item-quantity">
-              <button onClick={() => updateQuantity(index, item.quantity - 1)}>-</button>
+              <button onClick={() => updateQuantity(item.lineId, item.quantity - 1)}>-</button>
               <span>{item.quantity}</span>
-              <button onClick={() => updateQuantity(index, item.quantity + 1)}>+</button>
+              <button
+                onClick={() => updateQuantity(item.lineId, item.quantity + 1)}
+                disabled={item.quantity >= getMaxQuantity(item)}
+                title={item.quantity >= getMaxQuantity(item) ? t('cart.maxQuantity', { count: getMaxQuantity(item) }) : undefined}
+              >
+                +
+              </button>
             </div>
             <div className="cart-item-total">
-              ${(item.price * item.quantity).toFixed(2)}
+              {formatPrice(item.price * item.quantity)}
+            </div>
+            <div className="cart-item-actions">
+              <button className="btn btn-secondary" onClick={() => handleSaveForLater(item)}>
+                {t('wishlist.saveForLater')}
+              </button>
+              <button 
+                className="btn btn-secondary remove-btn"
+                onClick={() => removeFromCart(item.lineId)}
+              >
+                {t('cart.remove')}
+              </button>
             </div>
-            <button 
-              className="btn btn-secondary remove-btn"
-              onClick={() => removeFromCart(index)}
-            >
-              Remove
-            </button>
           </div>
         ))}
       </div>
 
       <div className="cart-summary">
-        <h2>Order Summary</h2>
+        <h2>{t('cart.summaryTitle')}</h2>
         <div className="summary-details">
           <div className="summary-row">
-            <span>Items ({cart.reduce((sum, item) => sum + item.quantity, 0)}):</span>
-            <span>${getCartTotal().toFixed(2)}</span>
+            <span>{t('cart.items', { count: getCartCount() })}</span>
+            <span>{formatPrice(subtotal)}</span>
           </div>
+
+          {discounts.map(discount => (
+            <div key={discount.promotion} className="summary-row discount-row">
+              <span>{discount.name}{discount.code && ` (${discount.code})`}:</span>
+              <span>{formatPrice(-discount.amount)}</span>
+            </div>
+          ))}
+
+          <form className="promo-code-form" onSubmit={handleApplyPromoCode} noValidate>
+            <label htmlFor="promo-code">{t('cart.promoCode')}</label>
+            {promoCode ? (
+              <div className="promo-code-applied">
+                <span>{t('cart.codeApplied', { code: <strong>{promoCode}</strong> })}</span>
+                <button type="button" className="btn btn-secondary btn-sm" onClick={handleRemovePromoCode}>
+                  {t('cart.removeCode')}
+                </button>
+              </div>
+            ) : (
+              <div className="promo-code-input">
+                <input
+                  id="promo-code"
+                  type="text"
+                  value={promoInput}
+                  onChange={(e) => setPromoInput(e.target.value)}
+                  aria-invalid={!!promoCodeError}
+                  disabled={showCheckout}
+                />
+                <button type="submit" className="btn btn-primary btn-sm" disabled={showCheckout}>
+                  {t('cart.apply')}
+                </button>
+              </div>
+            )}
+            {promoCodeError && <span className="field-error">{promoCodeError}</span>}
+          </form>
+
+          {shippingMethods.length > 0 && (
+            <fieldset className="shipping-methods">
+              <legend>{t('cart.shippingMethod')}</legend>
+              {shippingMethods.map(method => (
+                <label key={method.method} className="shipping-method">
+                  <input
+                    type="radio"
+                    name="shipping-method"
+                    value={method.method}
+                    checked={selectedShipping?.method === method.method}
+                    onChange={() => setShippingMethod(method.method)}
+                    disabled={showCheckout}
+                  />
+                  <span className="shipping-method-label">
+                    {t(`shipping.methods.${method.method}.label`, { defaultValue: method.label })}
+                    <small>{t(`shipping.methods.${method.method}.estimatedDays`, { defaultValue: method.estimatedDays })}</small>
+                  </span>
+                  <span>{method.cost === 0 ? t('common.free') : formatPrice(method.cost)}</span>
+                </label>
+              ))}
+            </fieldset>
+          )}
+
           <div className="summary-row">
-            <span>Shipping:</span>
-            <span>Free</span>
+            <span>{t('cart.shipping')}</span>
+            <span>
+              {!selectedShipping && t('cart.calculatedAtCheckout')}
+              {selectedShipping && (selectedShipping.cost === 0 ? t('common.free') : formatPrice(selectedShipping.cost))}
+            </span>
           </div>
+          {shippingQuote && subtotal < shippingQuote.freeShippingThreshold && (
+            <p className="free-shipping-hint">
+              {t('cart.freeShippingHint', { amount: formatPrice(shippingQuote.freeShippingThreshold - subtotal) })}
+            </p>
+          )}
+          {!taxQuote && (
+            <div className="summary-row">
+              <span>{t('cart.tax')}</span>
+              <span>{t('cart.calculatedAtCheckout')}</span>
+            </div>
+          )}
+          {taxQuote && taxQuote.tax.lines.map(line => (
+            <div key={line.type} className="summary-row tax-row">
+              <span>{t(taxQuote.estimated ? 'cart.estimatedTaxLine' : 'cart.taxLine', { label: describeTaxLine(line, t, locale) })}</span>
+              <span>{formatPrice(line.amount)}</span>
+            </div>
+          ))}
           <div className="summary-row total-row">
-            <span>Total:</span>
-            <span className="total-amount">${getCartTotal().toFixed(2)}</span>
+            <span>{t('cart.total')}</span>
+            <span className="total-amount">{formatPrice(orderTotal)}</span>
           </div>
+          {currency !== DEFAULT_CURRENCY && (
+            <p className="currency-note">
+              {t('cart.currencyNote', { base: DEFAULT_CURRENCY, rate, currency, amount: formatMoney(orderTotal) })}
+            </p>
+          )}
         </div>
         
         {!showCheckout ? (
           <>
             <button className="btn btn-primary checkout-btn" onClick={() => setShowCheckout(true)}>
-              Proceed to Checkout
+              {t('cart.proceedToCheckout')}
             </button>
-            <button className="btn btn-secondary" onClick={clearCart}>Clear Cart</button>
+            <button className="btn btn-secondary" onClick={clearCart}>{t('cart.clearCart')}</button>
           </>
         ) : (
-          <div className="checkout-confirmation">
-            <h3>Confirm Your Order</h3>
-            <p>You are about to place an order for {cart.length} item{cart.length > 1 ? 's' : ''}</p>
-            <p className="checkout-total">Total: ${getCartTotal().toFixed(2)}</p>
-            <button className="btn btn-primary" onClick={handleCheckout}>
-              Place Order
-            </button>
-            <button className="btn btn-secondary" onClick={() => setShowCheckout(false)}>
-              Cancel
-            </button>
-          </div>
+          <CheckoutForm
+            itemCount={getCartCount()}
+            total={orderTotal}
+            shipping={selectedShipping}
+            tax={taxQuote?.tax}
+            discounts={discounts}
+            onShippingAddressChange={setTaxAddress}
+            onSubmit={handleCheckout}
+            onCancel={handleCancelCheckout}
+            serverErrors={checkoutErrors}
+          />
         )}
       </div>
     </div>
@@ -4,6 +4,9 @@ import userEvent from '@testing-library/user-event';
 import { BrowserRouter } from 'react-router-dom';
 import Cart from './Cart';
 import { CartProvider } from '../context/CartContext';
+import { CurrencyProvider } from '../context/CurrencyContext';
+import { LanguageProvider } from '../context/LanguageContext';
+import { WishlistProvider } from '../context/WishlistContext';
 
 // Mock fetch
 global.fetch = jest.fn();
@@ -12,16 +15,17 @@ const mockCartItems = [
   {
     _id: '1',
     name: 'Espresso',
-    price: 3.99,
+    price: 399,
     quantity: 2,
     image: 'data:image/svg+xml;base64,test'
   },
   {
     _id: '2',
     name: 'Custom Coffee',
-    price: 5.99,
+    price: 599,
     quantity: 1,
     image: 'data:image/svg+xml;base64,test',
+    configurator: 'coffee',
     customCoffee: {
       sugar: 2,
       milk: 'Oat',
@@ -31,24 +35,125 @@ const mockCartItems = [
   }
 ];
 
+const mockShippingQuote = {
+  subtotal: 1397,
+  freeShippingThreshold: 5000,
+  methods: [
+    { method: 'pickup', label: 'In-store pickup', estimatedDays: 'Ready in 1 hour', requiresAddress: false, cost: 0 },
+    { method: 'standard', label: 'Standard shipping', estimatedDays: '3-5 business days', requiresAddress: true, cost: 619 },
+    { method: 'express', label: 'Express shipping', estimatedDays: '1-2 business days', requiresAddress: true, cost: 1599 }
+  ]
+};
+
+// Estimated at the store until the checkout has a shipping address
+const mockTaxQuote = (shippingAddress) => ({
+  subtotal: 1397,
+  estimated: !shippingAddress,
+  tax: shippingAddress
+    ? {
+      country: 'DE',
+      lines: [{ type: 'reduced', name: 'vat', label: 'VAT 7%', rate: 0.07, taxableAmount: 1397, amount: 98 }],
+      total: 98
+    }
+    : {
+      country: 'US',
+      region: 'IL',
+      lines: [{ type: 'reduced', name: 'salesTax', label: 'Sales tax 1%', rate: 0.01, taxableAmount: 1397, amount: 14 }],
+      total: 14
+    }
+});
+
+const mockCurrencies = {
+  base: 'USD',
+  updatedAt: '2026-10-01',
+  currencies: [{ code: 'USD', rate: 1 }, { code: 'EUR', rate: 0.92 }]
+};
+
+const mockPromotionQuote = (promoCode) => {
+  if (promoCode && promoCode !== 'SAVE10') {
+    return {
+      status: 400,
+      body: { error: 'Validation failed', details: { promoCode: `Code "${promoCode}" is not valid` } }
+    };
+  }
+  return {
+    status: 200,
+    body: {
+      subtotal: 1397,
+      discounts: promoCode
+        ? [{ promotion: 'promo-1', code: 'SAVE10', name: '10% off everything', amount: 140 }]
+        : [],
+      discountTotal: promoCode ? 140 : 0
+    }
+  };
+};
+
+// Quotes and promotions always succeed; `orderResponse` is returned for POST /api/orders
+function mockApi(orderResponse = { ok: true, status: 201, json: () => Promise.resolve({}) }) {
+  fetch.mockImplementation((url, options) => {
+    if (url === '/api/currencies') {
+      return Promise.resolve({ ok: true, json: () => Promise.resolve(mockCurrencies) });
+    }
+    if (url === '/api/shipping/quote') {
+      return Promise.resolve({ ok: true, json: () => Promise.resolve(mockShippingQuote) });
+    }
+    if (url === '/api/promotions/apply') {
+      const { status, body } = mockPromotionQuote(JSON.parse(options.body).promoCode);
+      return Promise.resolve({ ok: status === 200, status, json: () => Promise.resolve(body) });
+    }
+    if (url === '/api/tax/quote') {
+      const { shippingAddress } = JSON.parse(options.body);
+      return Promise.resolve({ ok: true, json: () => Promise.resolve(mockTaxQuote(shippingAddress)) });
+    }
+    return orderResponse instanceof Error ? Promise.reject(orderResponse) : Promise.resolve(orderResponse);
+  });
+}
+
+const orderRequestBody = () => JSON.parse(
+  fetch.mock.calls.find(([url]) => url === '/api/orders')[1].body
+);
+
 function renderCart(items = null) {
   if (items) {
-    localStorage.setItem('cart', JSON.stringify(items));
+    localStorage.setItem('cart', JSON.stringify({ currency: 'USD', items }));
   }
   
   return render(
     <BrowserRouter>
-      <CartProvider>
-        <Cart />
-      </CartProvider>
+      <LanguageProvider>
+        <CurrencyProvider>
+          <CartProvider>
+            <WishlistProvider>
+              <Cart />
+            </WishlistProvider>
+          </CartProvider>
+        </CurrencyProvider>
+      </LanguageProvider>
     </BrowserRouter>
   );
 }
 
+async function completeCheckoutSteps(user) {
+  await user.type(screen.getByLabelText('Full name'), 'Jane Doe');
+  await user.type(screen.getByLabelText('Email'), 'jane@example.com');
+  await user.click(screen.getByText('Continue'));
+
+  await user.type(screen.getByLabelText('Address'), '1 Main Street');
+  await user.type(screen.getByLabelText('City'), 'Springfield');
+  await user.type(screen.getByLabelText('Postal code'), '12345');
+  await user.click(screen.getByText('Continue'));
+
+  await user.type(screen.getByLabelText('Card number'), '4242 4242 4242 4242');
+  await user.type(screen.getByLabelText('Expiry (MM/YY)'), '12/99');
+  await user.type(screen.getByLabelText('CVC'), '123');
+  await user.click(screen.getByText('Continue'));
+}
+
 describe('Cart Page', () => {
   beforeEach(() => {
     localStorage.clear();
-    fetch.mockClear();
+    fetch.mockReset();
+    mockApi();
   });
 
   test('displays empty cart message when cart is empty', () => {
@@ -89,8 +194,16 @@ describe('Cart Page', () => {
     expect(screen.getByText('Custom Coffee:')).toBeInTheDocument();
     expect(screen.getByText('Sugar: 2 tsp')).toBeInTheDocument();
     expect(screen.getByText('Milk: Oat')).toBeInTheDocument();
-    expect(screen.getByText('Coffee: 2 shot(s)')).toBeInTheDocument();
-    expect(screen.getByText('Chocolate: 1 pump(s)')).toBeInTheDocument();
+    expect(screen.getByText('Coffee: 2 shots')).toBeInTheDocument();
+    expect(screen.getByText('Chocolate: 1 pump')).toBeInTheDocument();
+  });
+
+  test('links custom coffees to the builder to change their options', () => {
+    renderCart(mockCartItems);
+
+    const links = screen.getAllByRole('link', { name: 'Change options' });
+    expect(links).toHaveLength(1);
+    expect(links[0]).toHaveAttribute('href', expect.stringMatching(/^\/coffee-builder\?line=line-/));
   });
 
   test('calculates item totals correctly', () => {
@@ -163,6 +276,57 @@ describe('Cart Page', () => {
     });
   });
 
+  test('undoes removing an item', async () => {
+    const user = userEvent.setup();
+    renderCart(mockCartItems);
+
+    await user.click(screen.getAllByText('Remove')[0]);
+    expect(screen.getByText('Removed "Espresso" from your cart.')).toBeInTheDocument();
+
+    await user.click(screen.getByText('Undo'));
+
+    const names = screen.getAllByRole('heading', { level: 3 }).map(heading => heading.textContent);
+    expect(names).toEqual(['Espresso', 'Custom Coffee']);
+    expect(screen.queryByRole('status')).not.toBeInTheDocument();
+  });
+
+  test('offers undo after the last item is removed', async () => {
+    const user = userEvent.setup();
+    renderCart([mockCartItems[0]]);
+
+    await user.click(screen.getByText('Remove'));
+    expect(screen.getByText('Your cart is empty')).toBeInTheDocument();
+
+    await user.click(screen.getByText('Undo'));
+    expect(screen.getByText('Espresso')).toBeInTheDocument();
+  });
+
+  test('moves an item to the wishlist to buy later', async () => {
+    const user = userEvent.setup();
+    renderCart(mockCartItems);
+
+    await user.click(screen.getAllByText('Save for later')[1]);
+
+    expect(screen.getByText('Moved "Custom Coffee" to your wishlist.')).toBeInTheDocument();
+    expect(screen.queryByText('Custom Coffee')).not.toBeInTheDocument();
+    expect(screen.queryByText('Undo')).not.toBeInTheDocument();
+
+    const [saved] = JSON.parse(localStorage.getItem('wishlist')).items;
+    expect(saved).toMatchObject({ name: 'Custom Coffee', quantity: 1, customCoffee: mockCartItems[1].customCoffee });
+  });
+
+  test('does not raise a quantity above the stock', async () => {
+    const user = userEvent.setup();
+    renderCart([{ ...mockCartItems[0], stock: 3 }]);
+
+    const increment = screen.getByText('+');
+    await user.click(increment);
+
+    expect(screen.getByText('3')).toBeInTheDocument();
+    expect(increment).toBeDisabled();
+    expect(increment).toHaveAttribute('title', 'You can have at most 3 of this item');
+  });
+
   test('clears entire cart', async () => {
     const user = userEvent.setup();
     renderCart(mockCartItems);
@@ -190,7 +354,7 @@ describe('Cart Page', () => {
   test('places order successfully', async () => {
     const user = userEvent.setup();
     
-    fetch.mockResolvedValueOnce({
+    mockApi({
       ok: true,
       json: () => Promise.resolve({ success: true })
     });
@@ -206,6 +370,8 @@ describe('Cart Page', () => {
       expect(screen.getByText('Confirm Your Order')).toBeInTheDocument();
     });
 
+    await completeCheckoutSteps(user);
+
     const placeOrderButton = screen.getByText('Place Order');
     await user.click(placeOrderButton);
 
@@ -223,7 +389,7 @@ describe('Cart Page', () => {
   test('handles order placement failure', async () => {
     const user = userEvent.setup();
     
-    fetch.mockResolvedValueOnce({
+    mockApi({
       ok: false,
       json: () => Promise.resolve({ error: 'Failed' })
     });
@@ -237,6 +403,8 @@ describe('Cart Page', () => {
       expect(screen.getByText('Confirm Your Order')).toBeInTheDocument();
     });
 
+    await completeCheckoutSteps(user);
+
     const placeOrderButton = screen.getByText('Place Order');
     await user.click(placeOrderButton);
 
@@ -245,11 +413,39 @@ describe('Cart Page', () => {
     });
   });
 
+  test('reports out of stock items returned by the server', async () => {
+    const user = userEvent.setup();
+
+    mockApi({
+      ok: false,
+      status: 409,
+      json: () => Promise.resolve({
+        error: 'One or more items are out of stock',
+        outOfStockItems: ['1']
+      })
+    });
+
+    renderCart(mockCartItems);
+
+    await user.click(screen.getByText('Proceed to Checkout'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Confirm Your Order')).toBeInTheDocument();
+    });
+
+    await completeCheckoutSteps(user);
+    await user.click(screen.getByText('Place Order'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Sorry, these items are out of stock: Espresso')).toBeInTheDocument();
+    });
+  });
+
   test('handles network errors during checkout', async () => {
     const user = userEvent.setup();
     const consoleError = jest.spyOn(console, 'error').mockImplementation();
     
-    fetch.mockRejectedValueOnce(new Error('Network error'));
+    mockApi(new Error('Network error'));
 
     renderCart(mockCartItems);
 
@@ -260,6 +456,8 @@ describe('Cart Page', () => {
       expect(screen.getByText('Confirm Your Order')).toBeInTheDocument();
     });
 
+    await completeCheckoutSteps(user);
+
     const placeOrderButton = screen.getByText('Place Order');
     await user.click(placeOrderButton);
 
@@ -270,6 +468,133 @@ describe('Cart Page', () => {
     consoleError.mockRestore();
   });
 
+  test('validates contact details and shipping address step by step', async () => {
+    const user = userEvent.setup();
+    renderCart(mockCartItems);
+
+    await user.click(screen.getByText('Proceed to Checkout'));
+    await user.type(screen.getByLabelText('Email'), 'not-an-email');
+    await user.click(screen.getByText('Continue'));
+
+    expect(screen.getByText('Name is required')).toBeInTheDocument();
+    expect(screen.getByText('Email must be a valid email address')).toBeInTheDocument();
+
+    await user.type(screen.getByLabelText('Full name'), 'Jane Doe');
+    await user.clear(screen.getByLabelText('Email'));
+    await user.type(screen.getByLabelText('Email'), 'jane@example.com');
+    await user.click(screen.getByText('Continue'));
+
+    await user.type(screen.getByLabelText('Postal code'), '#');
+    await user.click(screen.getByText('Continue'));
+
+    expect(screen.getByText('Address is required')).toBeInTheDocument();
+    expect(screen.getByText('City is required')).toBeInTheDocument();
+    expect(screen.getByText('Postal code must be a valid postal code')).toBeInTheDocument();
+    expect(screen.queryByText('Place Order')).not.toBeInTheDocument();
+  });
+
+  test('sends contact details and shipping address with the order', async () => {
+    const user = userEvent.setup();
+    mockApi({ ok: true, status: 201, json: () => Promise.resolve({}) });
+
+    renderCart(mockCartItems);
+
+    await user.click(screen.getByText('Proceed to Checkout'));
+    await completeCheckoutSteps(user);
+
+    expect(screen.getByText('1 Main Street')).toBeInTheDocument();
+    expect(screen.getByText('United States')).toBeInTheDocument();
+
+    await user.click(screen.getByText('Place Order'));
+
+    const body = orderRequestBody();
+    expect(body.contact).toEqual({ name: 'Jane Doe', email: 'jane@example.com' });
+    expect(body.shippingAddress).toEqual({
+      line1: '1 Main Street',
+      city: 'Springfield',
+      postalCode: '12345',
+      country: 'US'
+    });
+    expect(body.payment).toEqual({ cardNumber: '4242 4242 4242 4242', expiry: '12/99', cvc: '123' });
+  });
+
+  test('validates card details before the review step', async () => {
+    const user = userEvent.setup();
+    renderCart(mockCartItems);
+
+    await user.click(screen.getByText('Proceed to Checkout'));
+    await user.type(screen.getByLabelText('Full name'), 'Jane Doe');
+    await user.type(screen.getByLabelText('Email'), 'jane@example.com');
+    await user.click(screen.getByText('Continue'));
+    await user.type(screen.getByLabelText('Address'), '1 Main Street');
+    await user.type(screen.getByLabelText('City'), 'Springfield');
+    await user.type(screen.getByLabelText('Postal code'), '12345');
+    await user.click(screen.getByText('Continue'));
+
+    await user.type(screen.getByLabelText('Card number'), '4242 4242 4242 4241');
+    await user.type(screen.getByLabelText('Expiry (MM/YY)'), '01/20');
+    await user.click(screen.getByText('Continue'));
+
+    expect(screen.getByText('Card number is invalid')).toBeInTheDocument();
+    expect(screen.getByText('Card has expired')).toBeInTheDocument();
+    expect(screen.getByText('CVC must be 3 or 4 digits')).toBeInTheDocument();
+    expect(screen.queryByText('Place Order')).not.toBeInTheDocument();
+  });
+
+  test('returns to the payment step when the card is declined', async () => {
+    const user = userEvent.setup();
+    mockApi({
+      ok: false,
+      status: 402,
+      json: () => Promise.resolve({
+        error: 'Payment processing failed',
+        reason: 'declined',
+        message: 'Your card was declined'
+      })
+    });
+
+    renderCart(mockCartItems);
+
+    await user.click(screen.getByText('Proceed to Checkout'));
+    await completeCheckoutSteps(user);
+    expect(screen.getByText('Card ending 4242')).toBeInTheDocument();
+    await user.click(screen.getByText('Place Order'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Your card was declined')).toBeInTheDocument();
+    });
+    expect(screen.getByLabelText('Card number')).toHaveAttribute('aria-invalid', 'true');
+    expect(screen.getByText('Payment failed. Please check your card details or use another card.')).toBeInTheDocument();
+    expect(screen.queryByText('Your cart is empty')).not.toBeInTheDocument();
+  });
+
+  test('maps server validation errors back to the form fields', async () => {
+    const user = userEvent.setup();
+    mockApi({
+      ok: false,
+      status: 400,
+      json: () => Promise.resolve({
+        error: 'Validation failed',
+        details: { 'shippingAddress.postalCode': 'Postal code must be a valid postal code' }
+      })
+    });
+
+    renderCart(mockCartItems);
+
+    await user.click(screen.getByText('Proceed to Checkout'));
+    await completeCheckoutSteps(user);
+    await user.click(screen.getByText('Place Order'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Postal code must be a valid postal code')).toBeInTheDocument();
+    });
+    expect(screen.getByLabelText('Postal code')).toHaveAttribute('aria-invalid', 'true');
+    expect(screen.getByText('Please correct the highlighted fields.')).toBeInTheDocument();
+
+    await user.type(screen.getByLabelText('Postal code'), '6');
+    expect(screen.queryByText('Postal code must be a valid postal code')).not.toBeInTheDocument();
+  });
+
   test('can go back from checkout', async () => {
     const user = userEvent.setup();
     renderCart(mockCartItems);
@@ -289,10 +614,246 @@ describe('Cart Page', () => {
     });
   });
 
-  test('displays shipping as free', () => {
+  test('quotes shipping for the cart and defaults to standard shipping', async () => {
+    renderCart(mockCartItems);
+
+    // Shipping and tax until the quotes arrive
+    expect(screen.getAllByText('Calculated at checkout')).toHaveLength(2);
+
+    expect(await screen.findByRole('radio', { name: /Standard shipping/ })).toBeChecked();
+    const quoteCall = fetch.mock.calls.find(([url]) => url === '/api/shipping/quote');
+    expect(JSON.parse(quoteCall[1].body).items).toEqual([
+      expect.objectContaining({ productId: '1', quantity: 2 }),
+      expect.objectContaining({ productId: '2', quantity: 1 })
+    ]);
+    // $13.97 + $6.19 standard shipping + $0.14 estimated tax
+    expect(await screen.findByText('$20.30')).toBeInTheDocument();
+    expect(screen.getByText('Add $36.03 more for free standard shipping')).toBeInTheDocument();
+  });
+
+  test('updates the total when another shipping method is chosen', async () => {
+    const user = userEvent.setup();
+    renderCart(mockCartItems);
+
+    await user.click(await screen.findByRole('radio', { name: /Express shipping/ }));
+
+    // $13.97 + $15.99 express shipping + $0.14 estimated tax
+    expect(await screen.findByText('$30.10')).toBeInTheDocument();
+  });
+
+  test('skips the shipping address step for in-store pickup', async () => {
+    const user = userEvent.setup();
+    renderCart(mockCartItems);
+
+    await user.click(await screen.findByRole('radio', { name: /In-store pickup/ }));
+    await user.click(screen.getByText('Proceed to Checkout'));
+
+    expect(screen.queryByText('Shipping address')).not.toBeInTheDocument();
+    await user.type(screen.getByLabelText('Full name'), 'Jane Doe');
+    await user.type(screen.getByLabelText('Email'), 'jane@example.com');
+    await user.click(screen.getByText('Continue'));
+    await user.type(screen.getByLabelText('Card number'), '4242 4242 4242 4242');
+    await user.type(screen.getByLabelText('Expiry (MM/YY)'), '12/99');
+    await user.type(screen.getByLabelText('CVC'), '123');
+    await user.click(screen.getByText('Continue'));
+
+    expect(screen.getByText('In-store pickup (Free)')).toBeInTheDocument();
+    expect(screen.queryByText('Ship to')).not.toBeInTheDocument();
+    await user.click(screen.getByText('Place Order'));
+
+    const body = orderRequestBody();
+    expect(body.shippingMethod).toBe('pickup');
+    expect(body.shippingAddress).toBeUndefined();
+  });
+
+  test('sends the chosen shipping method with the order', async () => {
+    const user = userEvent.setup();
+    renderCart(mockCartItems);
+
+    await screen.findByRole('radio', { name: /Standard shipping/ });
+    await user.click(screen.getByText('Proceed to Checkout'));
+    await completeCheckoutSteps(user);
+
+    expect(screen.getByText('Standard shipping ($6.19)')).toBeInTheDocument();
+    expect(await screen.findByText('VAT 7%: $0.98')).toBeInTheDocument();
+    await user.click(screen.getByText('Place Order'));
+
+    const body = orderRequestBody();
+    expect(body.shippingMethod).toBe('standard');
+    // Tax re-quoted for the shipping address: $13.97 + $6.19 + $0.98
+    expect(body.totalAmount).toBe(2114);
+  });
+
+  test('shows prices in the chosen currency and records it on the order', async () => {
+    const user = userEvent.setup();
+    localStorage.setItem('currency', 'EUR');
+    renderCart(mockCartItems);
+
+    // $3.99 and $13.97 at 0.92 EUR per USD
+    expect(await screen.findByText('€3.67')).toBeInTheDocument();
+    expect(screen.getByText('Items (3):').nextSibling).toHaveTextContent('€12.85');
+    expect(screen.getByText(/Prices converted at 1 USD = 0.92 EUR/)).toHaveTextContent(
+      'You will be charged $20.30.'
+    );
+
+    await screen.findByRole('radio', { name: /Standard shipping/ });
+    await user.click(screen.getByText('Proceed to Checkout'));
+    await completeCheckoutSteps(user);
+    await user.click(screen.getByText('Place Order'));
+
+    // Totals are still charged in the store currency
+    const body = orderRequestBody();
+    expect(body.displayCurrency).toBe('EUR');
+    expect(body.totalAmount).toBe(2114);
+  });
+
+  test('pluralises the item count in the checkout confirmation', async () => {
+    const user = userEvent.setup();
+    renderCart(mockCartItems.slice(1));
+
+    await screen.findByRole('radio', { name: /Standard shipping/ });
+    await user.click(screen.getByText('Proceed to Checkout'));
+    await completeCheckoutSteps(user);
+
+    expect(screen.getByText('You are about to place an order for 1 item')).toBeInTheDocument();
+  });
+
+  test('counts every unit in the checkout confirmation', async () => {
+    const user = userEvent.setup();
+    renderCart(mockCartItems);
+
+    await screen.findByRole('radio', { name: /Standard shipping/ });
+    await user.click(screen.getByText('Proceed to Checkout'));
+    await completeCheckoutSteps(user);
+
+    expect(screen.getByText('You are about to place an order for 3 items')).toBeInTheDocument();
+  });
+
+  test('shows the cart in the chosen language', async () => {
+    localStorage.setItem('language', 'de');
+    renderCart(mockCartItems);
+
+    expect(screen.getByText('Warenkorb')).toBeInTheDocument();
+    expect(screen.getByText('Kaffee: 2 Shots')).toBeInTheDocument();
+    expect(screen.getByText('Schokolade: 1 Pumpstoß')).toBeInTheDocument();
+    expect(screen.getByText('Artikel (3):').nextSibling).toHaveTextContent('13,97 $');
+    expect(await screen.findByRole('radio', { name: /Standardversand/ })).toBeInTheDocument();
+    expect(screen.getByText('3–5 Werktage')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Zur Kasse' })).toBeInTheDocument();
+  });
+
+  test('falls back to calculating shipping and tax at checkout when quoting fails', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation();
+    fetch.mockResolvedValue({ ok: false, status: 500, json: () => Promise.resolve({}) });
+
+    renderCart(mockCartItems);
+
+    await waitFor(() => {
+      expect(consoleError).toHaveBeenCalledWith('Error quoting shipping:', expect.any(Error));
+    });
+    await waitFor(() => {
+      expect(consoleError).toHaveBeenCalledWith('Error quoting tax:', expect.any(Error));
+    });
+    expect(screen.getAllByText('Calculated at checkout')).toHaveLength(2);
+    expect(screen.queryByRole('radio')).not.toBeInTheDocument();
+    consoleError.mockRestore();
+  });
+
+  test('shows an estimated tax breakdown and re-quotes it for the shipping address', async () => {
+    const user = userEvent.setup();
     renderCart(mockCartItems);
 
-    expect(screen.getByText('Shipping:')).toBeInTheDocument();
-    expect(screen.getByText('Free')).toBeInTheDocument();
+    expect(await screen.findByText('Sales tax 1% (estimated):')).toBeInTheDocument();
+    expect(screen.getByText('$0.14')).toBeInTheDocument();
+
+    await user.click(screen.getByText('Proceed to Checkout'));
+    await completeCheckoutSteps(user);
+
+    expect(await screen.findByText('VAT 7%:')).toBeInTheDocument();
+    const taxCall = fetch.mock.calls.filter(([url]) => url === '/api/tax/quote').pop();
+    expect(JSON.parse(taxCall[1].body).shippingAddress).toEqual({
+      line1: '1 Main Street',
+      city: 'Springfield',
+      postalCode: '12345',
+      country: 'US'
+    });
+    // $13.97 + $6.19 standard shipping + $0.98 tax
+    expect(screen.getByText('Total: $21.14')).toBeInTheDocument();
+  });
+
+  test('applies a promo code and sends it with the order', async () => {
+    const user = userEvent.setup();
+    renderCart(mockCartItems);
+
+    await screen.findByRole('radio', { name: /Standard shipping/ });
+    await user.type(screen.getByLabelText('Promo code'), 'save10');
+    await user.click(screen.getByText('Apply'));
+
+    expect(await screen.findByText('10% off everything (SAVE10):')).toBeInTheDocument();
+    expect(screen.getByText('-$1.40')).toBeInTheDocument();
+    expect(screen.getByText('SAVE10')).toBeInTheDocument();
+    // $13.97 - $1.40 + $6.19 standard shipping + $0.14 estimated tax
+    expect(screen.getByText('$18.90')).toBeInTheDocument();
+    const taxCall = fetch.mock.calls.filter(([url]) => url === '/api/tax/quote').pop();
+    expect(JSON.parse(taxCall[1].body).promoCode).toBe('SAVE10');
+
+    await user.click(screen.getByText('Proceed to Checkout'));
+    await completeCheckoutSteps(user);
+    expect(screen.getByText('10% off everything: -$1.40')).toBeInTheDocument();
+    await user.click(screen.getByText('Place Order'));
+
+    expect(orderRequestBody().promoCode).toBe('SAVE10');
+  });
+
+  test('shows an error for an invalid promo code', async () => {
+    const user = userEvent.setup();
+    renderCart(mockCartItems);
+
+    await user.type(screen.getByLabelText('Promo code'), 'NOPE');
+    await user.click(screen.getByText('Apply'));
+
+    expect(await screen.findByText('Code "NOPE" is not valid for this order')).toBeInTheDocument();
+    expect(screen.getByLabelText('Promo code')).toHaveAttribute('aria-invalid', 'true');
+    expect(screen.queryByText('-$1.40')).not.toBeInTheDocument();
+  });
+
+  test('removes an applied promo code', async () => {
+    const user = userEvent.setup();
+    renderCart(mockCartItems);
+
+    await user.type(screen.getByLabelText('Promo code'), 'SAVE10');
+    await user.click(screen.getByText('Apply'));
+    await user.click(await screen.findByText('Remove code'));
+
+    await waitFor(() => {
+      expect(screen.queryByText('-$1.40')).not.toBeInTheDocument();
+    });
+    expect(screen.getByLabelText('Promo code')).toHaveValue('');
+  });
+
+  test('drops a promo code the server rejects at checkout', async () => {
+    const user = userEvent.setup();
+    renderCart(mockCartItems);
+
+    await user.type(screen.getByLabelText('Promo code'), 'SAVE10');
+    await user.click(screen.getByText('Apply'));
+    await screen.findByText('-$1.40');
+
+    mockApi({
+      ok: false,
+      status: 400,
+      json: () => Promise.resolve({
+        error: 'Validation failed',
+        details: { promoCode: 'Promotion has reached its usage limit: SAVE10' }
+      })
+    });
+    await user.click(screen.getByText('Proceed to Checkout'));
+    await completeCheckoutSteps(user);
+    await user.click(screen.getByText('Place Order'));
+
+    expect(await screen.findAllByText('Code "SAVE10" is not valid for this order')).toHaveLength(2);
+    await waitFor(() => {
+      expect(screen.queryByText('-$1.40')).not.toBeInTheDocument();
+    });
   });
 });
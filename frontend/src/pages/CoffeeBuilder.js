@@ -1,142 +1,323 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useCart } from '../context/CartContext';
-import { useNavigate } from 'react-router-dom';
+import { useCurrency } from '../context/CurrencyContext';
+import { useTranslation } from '../context/LanguageContext';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import useCoffeeRecipes from '../hooks/useCoffeeRecipes';
+import CoffeeRecipes from '../components/CoffeeRecipes';
+import Toast from '../components/Toast';
+import {
+  calculateCoffeePrice,
+  coffeeCartProduct,
+  defaultSelections,
+  optionPrice,
+  resolveSelections
+} from '../utils/coffeeMenu';
 import './CoffeeBuilder.css';
 
+// Base drinks, options and prices all come from the menu (GET /api/coffee-menu);
+// messages are looked up by id, falling back to the names given in the menu.
+// `?line=<cart line id>` opens a custom coffee from the cart to change its options.
 function CoffeeBuilder() {
-  const [sugar, setSugar] = useState(0);
-  const [milk, setMilk] = useState('none');
-  const [coffee, setCoffee] = useState(1);
-  const [chocolate, setChocolate] = useState(0);
-  const { addToCart } = useCart();
+  const [menu, setMenu] = useState(null);
+  const [status, setStatus] = useState('loading');
+  const [selections, setSelections] = useState({});
+  const [recipeName, setRecipeName] = useState('');
+  const [editingRecipe, setEditingRecipe] = useState(null);
+  const [recipeError, setRecipeError] = useState('');
+  const [toast, setToast] = useState(null);
+  const { recipes, status: recipesStatus, isLocal, saveRecipe, updateRecipe, deleteRecipe } = useCoffeeRecipes();
+  const { cart, addToCart, reconfigureLine } = useCart();
+  const { formatPrice } = useCurrency();
+  const { t } = useTranslation();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const editingLine = cart.find(item => item.lineId === searchParams.get('line') && item.customCoffee);
+  // The menu starts from the line's options once it has loaded
+  const editingLineRef = useRef(editingLine);
+  editingLineRef.current = editingLine;
 
-  const basePrice = 3.50;
-  const addOns = {
-    sugar: 0.25,
-    milk: { regular: 0.50, oat: 0.75 },
-    coffee: 0.75,
-    chocolate: 0.50
+  useEffect(() => {
+    let ignore = false;
+
+    const fetchMenu = async () => {
+      try {
+        const response = await fetch('/api/coffee-menu');
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        const data = await response.json();
+        if (!data.product) {
+          throw new Error('The menu has no Custom Coffee product');
+        }
+        if (!ignore) {
+          setMenu(data);
+          setSelections(editingLineRef.current
+            ? resolveSelections(data, editingLineRef.current.customCoffee).selections
+            : defaultSelections(data));
+          setStatus('loaded');
+        }
+      } catch (error) {
+        console.error('Error fetching coffee menu:', error);
+        if (!ignore) {
+          setStatus('error');
+        }
+      }
+    };
+
+    fetchMenu();
+    return () => {
+      ignore = true;
+    };
+  }, []);
+
+  if (status !== 'loaded') {
+    return (
+      <div className="coffee-builder container">
+        <h1 className="page-title">{t('coffee.title')}</h1>
+        <p>{status === 'error' ? t('coffee.loadError') : t('coffee.loading')}</p>
+      </div>
+    );
+  }
+
+  const baseDrink = menu.baseDrinks.find(drink => drink.id === selections.base);
+  const price = calculateCoffeePrice(menu, selections);
+
+  const select = (optionId, value) => {
+    setSelections(prev => ({ ...prev, [optionId]: value }));
   };
 
-  const calculatePrice = () => {
-    let price = basePrice;
-    price += sugar * addOns.sugar;
-    if (milk === 'regular') price += addOns.milk.regular;
-    if (milk === 'oat') price += addOns.milk.oat;
-    price += (coffee - 1) * addOns.coffee;
-    price += chocolate * addOns.chocolate;
-    return price;
+  const baseName = (drink) => t(`coffee.base.${drink.id}`, { defaultValue: drink.name });
+  const optionLabel = (option) => t(`coffee.options.${option.id}`, { defaultValue: option.label });
+  const choiceLabel = (option, choice) => t(`coffee.choices.${option.id}.${choice.id}`, { defaultValue: choice.label });
+
+  const optionValue = (option) => {
+    const value = selections[option.id];
+    if (option.type === 'quantity') {
+      return t(`coffee.values.${option.id}`, { count: value, defaultValue: String(value) });
+    }
+    const choice = option.choices.find(c => c.id === value);
+    return t(`coffee.values.${option.id}.${value}`, { defaultValue: choice.label });
   };
 
   const handleAddToCart = () => {
-    const customCoffee = {
-      name: 'Custom Coffee',
-      price: calculatePrice(),
-      category: 'Coffee',
-      description: 'Your custom coffee creation',
-      image: 'data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHdpZHRoPSIzMDAiIGhlaWdodD0iMjAwIj48cmVjdCB3aWR0aD0iMzAwIiBoZWlnaHQ9IjIwMCIgZmlsbD0iIzhCNDUxMyIvPjx0ZXh0IHg9IjUwJSIgeT0iNTAlIiBmb250LWZhbWlseT0iQXJpYWwiIGZvbnQtc2l6ZT0iMzAiIGZpbGw9IndoaXRlIiB0ZXh0LWFuY2hvcj0ibWlkZGxlIiBkb21pbmFudC1iYXNlbGluZT0ibWlkZGxlIj7imJUgQ3VzdG9tPC90ZXh0Pjwvc3ZnPg==',
-      _id: 'custom-coffee-' + Date.now()
-    };
-
-    const coffeeConfig = {
-      sugar,
-      milk,
-      coffee,
-      chocolate
-    };
+    addToCart(coffeeCartProduct(menu, selections), 1, selections);
+    navigate('/cart');
+  };
 
-    addToCart(customCoffee, 1, coffeeConfig);
+  const handleUpdateCartItem = () => {
+    reconfigureLine(editingLine.lineId, coffeeCartProduct(menu, selections), selections);
     navigate('/cart');
   };
 
+  const stopEditing = () => {
+    setEditingRecipe(null);
+    setRecipeName('');
+    setRecipeError('');
+  };
+
+  const handleSaveRecipe = async (e) => {
+    e.preventDefault();
+    const name = recipeName.trim();
+    if (!name) {
+      setRecipeError(t('coffee.recipes.errors.nameRequired'));
+      return;
+    }
+
+    try {
+      if (editingRecipe) {
+        await updateRecipe(editingRecipe._id, { name, customCoffee: selections });
+        setToast(t('coffee.recipes.updatedToast', { name }));
+      } else {
+        await saveRecipe({ name, customCoffee: selections });
+        setToast(t('coffee.recipes.savedToast', { name }));
+      }
+      stopEditing();
+    } catch (error) {
+      setRecipeError(t(error.status === 409 ? 'coffee.recipes.errors.nameTaken' : 'coffee.recipes.errors.saveFailed'));
+    }
+  };
+
+  // Recipes go to the cart as they are, without leaving the builder
+  const handleAddRecipe = (recipe, recipeSelections) => {
+    addToCart(coffeeCartProduct(menu, recipeSelections), 1, recipeSelections);
+    setToast(t('coffee.recipes.addedToast', { name: recipe.name }));
+  };
+
+  const handleEditRecipe = (recipe, recipeSelections) => {
+    setSelections(recipeSelections);
+    setEditingRecipe(recipe);
+    setRecipeName(recipe.name);
+    setRecipeError('');
+  };
+
+  const handleDeleteRecipe = async (recipe) => {
+    if (!window.confirm(t('coffee.recipes.confirmDelete', { name: recipe.name }))) return;
+    try {
+      await deleteRecipe(recipe._id);
+      if (editingRecipe?._id === recipe._id) {
+        stopEditing();
+      }
+    } catch (error) {
+      setToast(t('coffee.recipes.errors.deleteFailed'));
+    }
+  };
+
+  const renderQuantity = (option) => {
+    const value = selections[option.id];
+    const label = optionLabel(option);
+    return (
+      <div className="option-group" key={option.id}>
+        <label>{label}</label>
+        <div className="control-group">
+          <button
+            aria-label={t('coffee.decrease', { option: label })}
+            onClick={() => select(option.id, Math.max(option.min, value - 1))}
+          >
+            -
+          </button>
+          <span className="value">{value}</span>
+          <button
+            aria-label={t('coffee.increase', { option: label })}
+            onClick={() => select(option.id, Math.min(option.max, value + 1))}
+          >
+            +
+          </button>
+        </div>
+        <span className="price-addition">+{formatPrice(optionPrice(option, value))}</span>
+      </div>
+    );
+  };
+
+  const renderChoice = (option) => (
+    <div className="option-group" key={option.id}>
+      <label>{optionLabel(option)}</label>
+      <div className="radio-group">
+        {option.choices.map(choice => (
+          <label key={choice.id}>
+            <input
+              type="radio"
+              name={option.id}
+              value={choice.id}
+              checked={selections[option.id] === choice.id}
+              onChange={(e) => select(option.id, e.target.value)}
+            />
+            {choice.price > 0
+              ? t('coffee.choicePrice', { label: choiceLabel(option, choice), price: formatPrice(choice.price) })
+              : choiceLabel(option, choice)}
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+
   return (
     <div className="coffee-builder container">
-      <h1 className="page-title">Build Your Coffee</h1>
+      <h1 className="page-title">{t('coffee.title')}</h1>
       
       <div className="builder-container">
         <div className="builder-options">
-          <div className="option-group">
-            <label>Sugar (teaspoons)</label>
-            <div className="control-group">
-              <button onClick={() => setSugar(Math.max(0, sugar - 1))}>-</button>
-              <span className="value">{sugar}</span>
-              <button onClick={() => setSugar(Math.min(5, sugar + 1))}>+</button>
-            </div>
-            <span className="price-addition">+${(sugar * addOns.sugar).toFixed(2)}</span>
-          </div>
-
-          <div className="option-group">
-            <label>Milk Type</label>
-            <div className="radio-group">
-              <label>
-                <input
-                  type="radio"
-                  value="none"
-                  checked={milk === 'none'}
-                  onChange={(e) => setMilk(e.target.value)}
-                />
-                None
-              </label>
-              <label>
-                <input
-                  type="radio"
-                  value="regular"
-                  checked={milk === 'regular'}
-                  onChange={(e) => setMilk(e.target.value)}
-                />
-                Regular (+${addOns.milk.regular.toFixed(2)})
-              </label>
-              <label>
-                <input
-                  type="radio"
-                  value="oat"
-                  checked={milk === 'oat'}
-                  onChange={(e) => setMilk(e.target.value)}
-                />
-                Oat (+${addOns.milk.oat.toFixed(2)})
-              </label>
-            </div>
-          </div>
-
-          <div className="option-group">
-            <label>Coffee Shots</label>
-            <div className="control-group">
-              <button onClick={() => setCoffee(Math.max(1, coffee - 1))}>-</button>
-              <span className="value">{coffee}</span>
-              <button onClick={() => setCoffee(Math.min(4, coffee + 1))}>+</button>
+          {menu.baseDrinks.length > 1 && (
+            <div className="option-group">
+              <label>{t('coffee.baseLabel')}</label>
+              <div className="radio-group">
+                {menu.baseDrinks.map(drink => (
+                  <label key={drink.id}>
+                    <input
+                      type="radio"
+                      name="base"
+                      value={drink.id}
+                      checked={selections.base === drink.id}
+                      onChange={(e) => select('base', e.target.value)}
+                    />
+                    {t('coffee.basePrice', { name: baseName(drink), price: formatPrice(drink.price) })}
+                  </label>
+                ))}
+              </div>
             </div>
-            <span className="price-addition">+${((coffee - 1) * addOns.coffee).toFixed(2)}</span>
-          </div>
+          )}
 
-          <div className="option-group">
-            <label>Chocolate Pumps</label>
-            <div className="control-group">
-              <button onClick={() => setChocolate(Math.max(0, chocolate - 1))}>-</button>
-              <span className="value">{chocolate}</span>
-              <button onClick={() => setChocolate(Math.min(5, chocolate + 1))}>+</button>
-            </div>
-            <span className="price-addition">+${(chocolate * addOns.chocolate).toFixed(2)}</span>
-          </div>
+          {menu.options.map(option => (
+            option.type === 'quantity' ? renderQuantity(option) : renderChoice(option)
+          ))}
         </div>
 
         <div className="builder-summary">
-          <h2>Your Coffee</h2>
+          <h2>{t('coffee.summaryTitle')}</h2>
           <div className="summary-details">
-            <p><strong>Sugar:</strong> {sugar} tsp</p>
-            <p><strong>Milk:</strong> {milk}</p>
-            <p><strong>Coffee Shots:</strong> {coffee}</p>
-            <p><strong>Chocolate:</strong> {chocolate} pump(s)</p>
+            <p><strong>{t('coffee.summary.base')}</strong> {baseName(baseDrink)}</p>
+            {menu.options.map(option => (
+              <p key={option.id}>
+                <strong>{t(`coffee.summary.${option.id}`, { defaultValue: `${option.label}:` })}</strong>
+                {' '}{optionValue(option)}
+              </p>
+            ))}
           </div>
           <div className="price-summary">
-            <span>Total Price:</span>
-            <span className="final-price">${calculatePrice().toFixed(2)}</span>
+            <span>{t('coffee.totalPrice')}</span>
+            <span className="final-price">{formatPrice(price)}</span>
           </div>
-          <button className="btn btn-primary add-to-cart-btn" onClick={handleAddToCart}>
-            Add to Cart
-          </button>
+          {editingLine ? (
+            <>
+              <button className="btn btn-primary add-to-cart-btn" onClick={handleUpdateCartItem}>
+                {t('coffee.updateCartItem')}
+              </button>
+              <Link to="/cart" className="back-to-cart">{t('coffee.backToCart')}</Link>
+            </>
+          ) : (
+            <button className="btn btn-primary add-to-cart-btn" onClick={handleAddToCart}>
+              {t('common.addToCart')}
+            </button>
+          )}
+
+          <form className="save-recipe" onSubmit={handleSaveRecipe} noValidate>
+            <label htmlFor="recipe-name">
+              {editingRecipe ? t('coffee.recipes.editing', { name: editingRecipe.name }) : t('coffee.recipes.nameLabel')}
+            </label>
+            <div className="save-recipe-row">
+              <input
+                id="recipe-name"
+                type="text"
+                value={recipeName}
+                maxLength={50}
+                placeholder={t('coffee.recipes.namePlaceholder')}
+                onChange={(e) => {
+                  setRecipeName(e.target.value);
+                  setRecipeError('');
+                }}
+              />
+              <button type="submit" className="btn btn-primary">
+                {editingRecipe ? t('coffee.recipes.update') : t('coffee.recipes.save')}
+              </button>
+            </div>
+            {recipeError && <span className="field-error">{recipeError}</span>}
+            {editingRecipe && (
+              <button type="button" className="nav-button cancel-edit" onClick={stopEditing}>
+                {t('coffee.recipes.cancelEdit')}
+              </button>
+            )}
+            {isLocal && (
+              <p className="save-recipe-hint">
+                {t('coffee.recipes.localHint', {
+                  login: <Link to="/login?redirect=%2Fcoffee-builder">{t('coffee.recipes.logIn')}</Link>
+                })}
+              </p>
+            )}
+          </form>
         </div>
       </div>
+
+      <CoffeeRecipes
+        recipes={recipes}
+        status={recipesStatus}
+        menu={menu}
+        editingId={editingRecipe?._id}
+        onAddToCart={handleAddRecipe}
+        onEdit={handleEditRecipe}
+        onDelete={handleDeleteRecipe}
+      />
+
+      {toast && <Toast message={toast} onClose={() => setToast(null)} />}
     </div>
   );
 }
@@ -0,0 +1,355 @@
+import React from 'react';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import CoffeeBuilder from './CoffeeBuilder';
+import { AuthProvider } from '../context/AuthContext';
+import { CartProvider, useCart } from '../context/CartContext';
+import { calculateCoffeePrice, resolveSelections } from '../utils/coffeeMenu';
+import { customer, jsonResponse, mockApi } from '../testUtils';
+
+// Mock fetch
+global.fetch = jest.fn();
+
+const mockMenu = {
+  baseDrinks: [
+    { id: 'hot', name: 'Custom Coffee', price: 350 },
+    { id: 'iced', name: 'Custom Iced Coffee', price: 400 }
+  ],
+  options: [
+    { id: 'sugar', label: 'Sugar', type: 'quantity', min: 0, max: 2, default: 0, unitPrice: 25 },
+    {
+      id: 'milk',
+      label: 'Milk',
+      type: 'choice',
+      default: 'none',
+      choices: [
+        { id: 'none', label: 'No Milk', price: 0 },
+        { id: 'oat', label: 'Oat Milk', price: 75 },
+        { id: 'almond', label: 'Almond Milk', price: 80 }
+      ]
+    },
+    {
+      id: 'syrup',
+      label: 'Syrup',
+      type: 'choice',
+      default: 'none',
+      choices: [
+        { id: 'none', label: 'No Syrup', price: 0 },
+        { id: 'vanilla', label: 'Vanilla', price: 60 }
+      ]
+    }
+  ],
+  product: {
+    _id: '674a1234567890abcdef0025',
+    name: 'Custom Coffee',
+    category: 'Coffee',
+    price: 350,
+    image: 'data:image/svg+xml;base64,test',
+    configurator: 'coffee'
+  }
+};
+
+const savedRecipe = {
+  _id: '674a7777567890abcdef0001',
+  name: 'Morning oat',
+  customCoffee: { base: 'hot', sugar: 1, milk: 'oat', syrup: 'none' },
+  createdAt: '2026-10-01T08:00:00.000Z'
+};
+
+// The server's answer to PUT /api/cart: coffee lines priced from the menu
+const savedCart = (menu, body) => ({
+  _id: '674a9999567890abcdef0001',
+  currency: 'USD',
+  items: JSON.parse(body).items.map((line, index) => {
+    const { selections } = resolveSelections(menu, line.customCoffee);
+    const base = menu.baseDrinks.find(drink => drink.id === selections.base);
+    return {
+      _id: line._id || `line-${index}`,
+      product: menu.product,
+      name: base.name,
+      price: calculateCoffeePrice(menu, selections),
+      quantity: line.quantity,
+      customCoffee: selections
+    };
+  })
+});
+
+// Responds like the API: the menu, the session (anonymous unless `user` is given), the cart and recipe routes
+const mockBuilderApi = ({ menu = mockMenu, user = null, recipes = [], onRecipeRequest } = {}) => {
+  mockApi({
+    user,
+    handleRequest: (url, options) => {
+      if (url === '/api/cart' && !options.method) return jsonResponse(200, { currency: 'USD', items: [] });
+      if (url === '/api/cart') return jsonResponse(200, savedCart(menu, options.body));
+      if (url === '/api/coffee-menu') return jsonResponse(200, menu);
+      if (url === '/api/coffee-recipes' && !options.method) return jsonResponse(200, recipes);
+      if (url.startsWith('/api/coffee-recipes')) return onRecipeRequest(url, options);
+      return undefined;
+    }
+  });
+};
+
+function CartContents() {
+  const { cart } = useCart();
+  return <div data-testid="cart">{JSON.stringify(cart)}</div>;
+}
+
+function renderBuilder(entry = '/coffee-builder') {
+  return render(
+    <MemoryRouter initialEntries={[entry]}>
+      <AuthProvider>
+        <CartProvider>
+          <Routes>
+            <Route path="/coffee-builder" element={<><CoffeeBuilder /><CartContents /></>} />
+            <Route path="/cart" element={<CartContents />} />
+          </Routes>
+        </CartProvider>
+      </AuthProvider>
+    </MemoryRouter>
+  );
+}
+
+describe('Coffee Builder Page', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    fetch.mockReset();
+  });
+
+  test('shows an error when the menu cannot be loaded', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    fetch.mockImplementation(() => Promise.resolve(jsonResponse(500, { message: 'Failed to fetch coffee menu' })));
+
+    renderBuilder();
+
+    expect(screen.getByText('Loading the menu...')).toBeInTheDocument();
+    expect(await screen.findByText(/coffee menu could not be loaded/)).toBeInTheDocument();
+    console.error.mockRestore();
+  });
+
+  test('shows an error when the menu has no product to sell coffees as', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { product, ...menuWithoutProduct } = mockMenu;
+    mockBuilderApi({ menu: menuWithoutProduct });
+
+    renderBuilder();
+
+    expect(await screen.findByText(/coffee menu could not be loaded/)).toBeInTheDocument();
+    console.error.mockRestore();
+  });
+
+  test('renders the options of the menu, including ones without messages', async () => {
+    mockBuilderApi();
+
+    renderBuilder();
+
+    expect(await screen.findByText('Sugar (teaspoons)')).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith('/api/coffee-menu');
+    expect(screen.getByLabelText('Almond Milk (+$0.80)')).toBeInTheDocument();
+    expect(screen.getByLabelText('Vanilla (+$0.60)')).toBeInTheDocument();
+    expect(screen.getByLabelText('Custom Iced Coffee ($4.00)')).toBeInTheDocument();
+    expect(screen.queryByText('Coffee Shots')).not.toBeInTheDocument();
+  });
+
+  test('prices the selection and keeps quantities within the limits', async () => {
+    const user = userEvent.setup();
+    mockBuilderApi();
+
+    renderBuilder();
+
+    await screen.findByText('$3.50');
+    const moreSugar = screen.getByRole('button', { name: 'More Sugar (teaspoons)' });
+    await user.click(moreSugar);
+    await user.click(moreSugar);
+    await user.click(moreSugar);
+    await user.click(screen.getByLabelText('Custom Iced Coffee ($4.00)'));
+    await user.click(screen.getByLabelText('Vanilla (+$0.60)'));
+
+    expect(screen.getByText('2 tsp')).toBeInTheDocument();
+    // 4.00 + 2 x 0.25 + 0.60
+    expect(screen.getByText('$5.10')).toBeInTheDocument();
+  });
+
+  test('adds the coffee with its options to the cart', async () => {
+    const user = userEvent.setup();
+    mockBuilderApi();
+
+    renderBuilder();
+
+    await user.click(await screen.findByLabelText('Almond Milk (+$0.80)'));
+    await user.click(screen.getByText('Add to Cart'));
+
+    const [line] = JSON.parse(screen.getByTestId('cart').textContent);
+    expect(line._id).toBe(mockMenu.product._id);
+    expect(line.name).toBe('Custom Coffee');
+    expect(line.price).toBe(430);
+    expect(line.customCoffee).toEqual({ base: 'hot', sugar: 0, milk: 'almond', syrup: 'none' });
+  });
+
+  test('adds identical coffees to one cart line', async () => {
+    const user = userEvent.setup();
+    localStorage.setItem('coffeeRecipes', JSON.stringify([savedRecipe]));
+    mockBuilderApi();
+
+    renderBuilder();
+
+    const card = (await screen.findByRole('heading', { name: 'Morning oat' })).closest('li');
+    await user.click(within(card).getByRole('button', { name: 'Add to Cart' }));
+    await user.click(within(card).getByRole('button', { name: 'Add to Cart' }));
+
+    await waitFor(() => {
+      const cart = JSON.parse(screen.getByTestId('cart').textContent);
+      expect(cart.map(line => [line.name, line.quantity])).toEqual([['Custom Coffee', 2]]);
+    });
+    const [, { body }] = fetch.mock.calls.filter(([url, options]) => url === '/api/cart' && options?.method === 'PUT').pop();
+    expect(JSON.parse(body).items).toEqual([{
+      _id: expect.stringMatching(/^line-/),
+      productId: mockMenu.product._id,
+      customCoffee: savedRecipe.customCoffee,
+      quantity: 2
+    }]);
+  });
+
+  test('changes the options of a coffee in the cart in place', async () => {
+    const user = userEvent.setup();
+    const coffeeLine = (lineId, customCoffee, price) => ({
+      ...mockMenu.product, lineId, name: 'Custom Coffee', price, quantity: 2, customCoffee
+    });
+    localStorage.setItem('cart', JSON.stringify({
+      version: 2,
+      currency: 'USD',
+      items: [
+        coffeeLine('line-a', savedRecipe.customCoffee, 450),
+        coffeeLine('line-b', { base: 'hot', sugar: 0, milk: 'none', syrup: 'none' }, 350)
+      ]
+    }));
+    mockBuilderApi();
+
+    renderBuilder('/coffee-builder?line=line-a');
+
+    expect(await screen.findByLabelText('Oat (+$0.75)')).toBeChecked();
+    expect(screen.queryByRole('button', { name: 'Add to Cart' })).not.toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Back to cart without changes' })).toHaveAttribute('href', '/cart');
+
+    await user.click(screen.getByLabelText('Almond Milk (+$0.80)'));
+    await user.click(screen.getByRole('button', { name: 'Update Cart Item' }));
+
+    const cart = JSON.parse(screen.getByTestId('cart').textContent);
+    expect(cart.map(line => [line.lineId, line.quantity, line.price])).toEqual([
+      ['line-a', 2, 455],
+      ['line-b', 2, 350]
+    ]);
+    expect(cart[0].customCoffee).toEqual({ base: 'hot', sugar: 1, milk: 'almond', syrup: 'none' });
+  });
+
+  test('saves recipes in the browser for visitors who are not logged in', async () => {
+    const user = userEvent.setup();
+    mockBuilderApi();
+
+    renderBuilder();
+
+    await user.click(await screen.findByLabelText('Oat (+$0.75)'));
+    await user.click(screen.getByRole('button', { name: 'Save Recipe' }));
+    expect(screen.getByText('Give your recipe a name')).toBeInTheDocument();
+
+    await user.type(screen.getByLabelText('Save as a recipe'), '  Morning oat ');
+    await user.click(screen.getByRole('button', { name: 'Save Recipe' }));
+
+    const recipe = await screen.findByRole('heading', { name: 'Morning oat' });
+    expect(within(recipe.closest('li')).getByText('$4.25')).toBeInTheDocument();
+    expect(screen.getByText(/Recipes are saved in this browser/)).toBeInTheDocument();
+
+    const [saved] = JSON.parse(localStorage.getItem('coffeeRecipes'));
+    expect(saved.name).toBe('Morning oat');
+    expect(saved.customCoffee).toEqual({ base: 'hot', sugar: 0, milk: 'oat', syrup: 'none' });
+    expect(fetch).not.toHaveBeenCalledWith('/api/coffee-recipes', expect.anything());
+  });
+
+  test('adds a saved recipe to the cart in one click', async () => {
+    const user = userEvent.setup();
+    localStorage.setItem('coffeeRecipes', JSON.stringify([savedRecipe]));
+    mockBuilderApi();
+
+    renderBuilder();
+
+    const card = (await screen.findByRole('heading', { name: 'Morning oat' })).closest('li');
+    await user.click(within(card).getByRole('button', { name: 'Add to Cart' }));
+
+    expect(await screen.findByText('Added "Morning oat" to cart!')).toBeInTheDocument();
+    const [line] = JSON.parse(screen.getByTestId('cart').textContent);
+    expect(line.price).toBe(450);
+    expect(line.customCoffee).toEqual(savedRecipe.customCoffee);
+  });
+
+  test('disables recipes whose options are no longer on the menu', async () => {
+    localStorage.setItem('coffeeRecipes', JSON.stringify([
+      { ...savedRecipe, customCoffee: { ...savedRecipe.customCoffee, milk: 'soy' } }
+    ]));
+    mockBuilderApi();
+
+    renderBuilder();
+
+    const card = (await screen.findByRole('heading', { name: 'Morning oat' })).closest('li');
+    expect(within(card).getByText(/no longer on the menu/)).toBeInTheDocument();
+    expect(within(card).getByRole('button', { name: 'Add to Cart' })).toBeDisabled();
+  });
+
+  test('loads, updates and deletes the recipes of a logged-in customer', async () => {
+    const user = userEvent.setup();
+    jest.spyOn(window, 'confirm').mockReturnValue(true);
+    const onRecipeRequest = jest.fn((url, options) => {
+      if (options.method === 'PUT') {
+        return jsonResponse(200, { ...savedRecipe, ...JSON.parse(options.body) });
+      }
+      return { ok: true, status: 204 };
+    });
+    mockBuilderApi({ user: customer, recipes: [savedRecipe], onRecipeRequest });
+
+    renderBuilder();
+
+    const card = (await screen.findByRole('heading', { name: 'Morning oat' })).closest('li');
+    expect(screen.queryByText(/Recipes are saved in this browser/)).not.toBeInTheDocument();
+
+    await user.click(within(card).getByRole('button', { name: 'Edit' }));
+    expect(screen.getByLabelText('Editing "Morning oat"')).toHaveValue('Morning oat');
+    expect(screen.getByLabelText('Oat (+$0.75)')).toBeChecked();
+
+    await user.click(screen.getByLabelText('Vanilla (+$0.60)'));
+    await user.click(screen.getByRole('button', { name: 'Update Recipe' }));
+
+    await waitFor(() => {
+      expect(onRecipeRequest).toHaveBeenCalledWith(`/api/coffee-recipes/${savedRecipe._id}`, expect.objectContaining({ method: 'PUT' }));
+    });
+    const [, { body }] = onRecipeRequest.mock.calls[0];
+    expect(JSON.parse(body)).toEqual({
+      name: 'Morning oat',
+      customCoffee: { base: 'hot', sugar: 1, milk: 'oat', syrup: 'vanilla' }
+    });
+    expect(await screen.findByText('Updated "Morning oat"')).toBeInTheDocument();
+    expect(within(card).getByText('$5.10')).toBeInTheDocument();
+
+    await user.click(within(card).getByRole('button', { name: 'Delete' }));
+
+    await waitFor(() => {
+      expect(screen.queryByRole('heading', { name: 'Morning oat' })).not.toBeInTheDocument();
+    });
+    expect(onRecipeRequest).toHaveBeenLastCalledWith(`/api/coffee-recipes/${savedRecipe._id}`, expect.objectContaining({ method: 'DELETE' }));
+    window.confirm.mockRestore();
+  });
+
+  test('shows the error when the name is already taken', async () => {
+    const user = userEvent.setup();
+    const onRecipeRequest = () => jsonResponse(409, {
+      error: 'Validation failed',
+      details: { name: 'You already have a recipe with this name' }
+    });
+    mockBuilderApi({ user: customer, recipes: [savedRecipe], onRecipeRequest });
+
+    renderBuilder();
+
+    await user.type(await screen.findByLabelText('Save as a recipe'), 'Morning oat');
+    await user.click(screen.getByRole('button', { name: 'Save Recipe' }));
+
+    expect(await screen.findByText('You already have a recipe with this name')).toBeInTheDocument();
+  });
+});
@@ -1,31 +1,34 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
+import { useTranslation } from '../context/LanguageContext';
 import './Home.css';
 
 function Home() {
+  const { t } = useTranslation();
+
   return (
     <div className="home">
       <div className="hero">
-        <h1>Welcome to Demo Shop</h1>
-        <p>Your one-stop shop for everything you need</p>
+        <h1>{t('home.title')}</h1>
+        <p>{t('home.tagline')}</p>
         <div className="hero-buttons">
-          <Link to="/shop" className="btn btn-primary">Start Shopping</Link>
-          <Link to="/coffee-builder" className="btn btn-secondary">Build Your Coffee</Link>
+          <Link to="/shop" className="btn btn-primary">{t('home.startShopping')}</Link>
+          <Link to="/coffee-builder" className="btn btn-secondary">{t('home.buildCoffee')}</Link>
         </div>
       </div>
       
       <div className="features">
         <div className="feature">
-          <h3>4 Categories</h3>
-          <p>Electronics, Clothing, Books, and Coffee</p>
+          <h3>{t('home.categoriesTitle')}</h3>
+          <p>{t('home.categoriesText')}</p>
         </div>
         <div className="feature">
-          <h3>Custom Coffee</h3>
-          <p>Build your perfect cup with custom options</p>
+          <h3>{t('home.customCoffeeTitle')}</h3>
+          <p>{t('home.customCoffeeText')}</p>
         </div>
         <div className="feature">
-          <h3>Easy Shopping</h3>
-          <p>Simple cart management with local storage</p>
+          <h3>{t('home.easyShoppingTitle')}</h3>
+          <p>{t('home.easyShoppingText')}</p>
         </div>
       </div>
     </div>
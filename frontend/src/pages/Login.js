@@ -0,0 +1,175 @@
+import React, { useState } from 'react';
+import { Navigate, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { useTranslation } from '../context/LanguageContext';
+import { translateDefault } from '../i18n';
+import './Login.css';
+
+const PASSWORD_MIN_LENGTH = 8;
+
+export const validateCredentials = ({ name, email, password }, isRegister, t = translateDefault) => {
+  const errors = {};
+
+  if (isRegister && !(name || '').trim()) {
+    errors.name = t('login.errors.nameRequired');
+  }
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test((email || '').trim())) {
+    errors.email = t('login.errors.emailInvalid');
+  }
+  if (!password) {
+    errors.password = t('login.errors.passwordRequired');
+  } else if (isRegister && password.length < PASSWORD_MIN_LENGTH) {
+    errors.password = t('login.errors.passwordTooShort', { min: PASSWORD_MIN_LENGTH });
+  }
+
+  return errors;
+};
+
+/**
+ * Turns an error from logging in or registering into a form message and field
+ * messages of the active language, by its HTTP status and the fields the
+ * server rejected. The server's text is only shown for fields this form has
+ * no message for.
+ */
+export const describeAuthError = (error, t = translateDefault) => {
+  if (error.status === 401) {
+    return { formError: t('login.errors.invalidCredentials'), fieldErrors: {} };
+  }
+  if (error.status === 409) {
+    return { formError: null, fieldErrors: { email: t('login.errors.emailTaken') } };
+  }
+
+  const messages = {
+    name: t('login.errors.nameRequired'),
+    email: t('login.errors.emailInvalid'),
+    password: t('login.errors.passwordTooShort', { min: PASSWORD_MIN_LENGTH })
+  };
+  const fieldErrors = Object.fromEntries(Object.entries(error.details || {})
+    .map(([field, message]) => [field, messages[field] || message]));
+  return {
+    formError: Object.keys(fieldErrors).length > 0 ? null : t('login.errors.failed'),
+    fieldErrors
+  };
+};
+
+function Login() {
+  const [mode, setMode] = useState('login');
+  const [values, setValues] = useState({ name: '', email: '', password: '' });
+  const [errors, setErrors] = useState({});
+  const [formError, setFormError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const { user, login, register } = useAuth();
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+
+  // Only same-site paths are followed after logging in
+  const redirectParam = searchParams.get('redirect') || '';
+  const redirectTo = redirectParam.startsWith('/') && !redirectParam.startsWith('//')
+    ? redirectParam
+    : '/';
+  const isRegister = mode === 'register';
+
+  if (user && !submitting) {
+    return <Navigate to={redirectTo} replace />;
+  }
+
+  const handleChange = (field, value) => {
+    setValues({ ...values, [field]: value });
+  };
+
+  const switchMode = () => {
+    setMode(isRegister ? 'login' : 'register');
+    setErrors({});
+    setFormError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const validationErrors = validateCredentials(values, isRegister, t);
+    setErrors(validationErrors);
+    setFormError(null);
+    if (Object.keys(validationErrors).length > 0) {
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      if (isRegister) {
+        await register(values.name.trim(), values.email.trim(), values.password);
+      } else {
+        await login(values.email.trim(), values.password);
+      }
+      navigate(redirectTo, { replace: true });
+    } catch (error) {
+      const { formError: message, fieldErrors } = describeAuthError(error, t);
+      setErrors(fieldErrors);
+      setFormError(message);
+      setSubmitting(false);
+    }
+  };
+
+  const renderError = (field) => errors[field] && (
+    <span className="field-error" id={`auth-${field}-error`}>{errors[field]}</span>
+  );
+
+  return (
+    <div className="login container">
+      <form className="login-form" onSubmit={handleSubmit} noValidate>
+        <h1 className="page-title">{isRegister ? t('login.createAccount') : t('login.logIn')}</h1>
+
+        {formError && <p className="form-error" role="alert">{formError}</p>}
+
+        {isRegister && (
+          <>
+            <label htmlFor="auth-name">{t('login.name')}</label>
+            <input
+              id="auth-name"
+              type="text"
+              autoComplete="name"
+              value={values.name}
+              onChange={(e) => handleChange('name', e.target.value)}
+              aria-invalid={!!errors.name}
+            />
+            {renderError('name')}
+          </>
+        )}
+
+        <label htmlFor="auth-email">{t('login.email')}</label>
+        <input
+          id="auth-email"
+          type="email"
+          autoComplete="email"
+          value={values.email}
+          onChange={(e) => handleChange('email', e.target.value)}
+          aria-invalid={!!errors.email}
+        />
+        {renderError('email')}
+
+        <label htmlFor="auth-password">{t('login.password')}</label>
+        <input
+          id="auth-password"
+          type="password"
+          autoComplete={isRegister ? 'new-password' : 'current-password'}
+          value={values.password}
+          onChange={(e) => handleChange('password', e.target.value)}
+          aria-invalid={!!errors.password}
+        />
+        {renderError('password')}
+
+        <button type="submit" className="btn btn-primary" disabled={submitting}>
+          {isRegister ? t('login.createAccount') : t('login.logIn')}
+        </button>
+
+        <p className="login-switch">
+          {isRegister ? t('login.haveAccount') : t('login.newHere')}{' '}
+          <button type="button" className="link-button" onClick={switchMode}>
+            {isRegister ? t('login.switchToLogIn') : t('login.switchToRegister')}
+          </button>
+        </p>
+      </form>
+    </div>
+  );
+}
+
+export default Login;
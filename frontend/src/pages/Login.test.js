@@ -0,0 +1,160 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, Routes, Route, useLocation } from 'react-router-dom';
+import Login from './Login';
+import { AuthProvider } from '../context/AuthContext';
+import { LanguageProvider } from '../context/LanguageContext';
+import { jsonResponse } from '../testUtils';
+
+// Mock fetch
+global.fetch = jest.fn();
+
+const mockCustomer = {
+  _id: '674b0000000000000000c001',
+  name: 'Jane Doe',
+  email: 'jane@example.com',
+  role: 'customer'
+};
+
+function LocationDisplay() {
+  const location = useLocation();
+  return <div data-testid="location">{location.pathname}</div>;
+}
+
+function renderLogin(path = '/login') {
+  return render(
+    <MemoryRouter initialEntries={[path]}>
+      <AuthProvider>
+        <Routes>
+          <Route path="/login" element={<Login />} />
+          <Route path="*" element={<LocationDisplay />} />
+        </Routes>
+      </AuthProvider>
+    </MemoryRouter>
+  );
+}
+
+describe('Login Page', () => {
+  beforeEach(() => {
+    fetch.mockReset();
+  });
+
+  test('logs in and redirects to the requested page', async () => {
+    const user = userEvent.setup();
+    fetch
+      .mockResolvedValueOnce(jsonResponse(401, { error: 'Authentication required' }))
+      .mockResolvedValueOnce(jsonResponse(200, mockCustomer));
+
+    renderLogin('/login?redirect=%2Fadmin%2Forders');
+
+    await user.type(screen.getByLabelText('Email'), 'jane@example.com');
+    await user.type(screen.getByLabelText('Password'), 'secret123');
+    await user.click(screen.getByRole('button', { name: 'Log In' }));
+
+    await waitFor(() => {
+      expect(screen.getByTestId('location')).toHaveTextContent('/admin/orders');
+    });
+
+    expect(fetch).toHaveBeenCalledWith('/api/auth/login', expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify({ email: 'jane@example.com', password: 'secret123' })
+    }));
+  });
+
+  test('shows an error for invalid credentials', async () => {
+    const user = userEvent.setup();
+    fetch
+      .mockResolvedValueOnce(jsonResponse(401, { error: 'Authentication required' }))
+      .mockResolvedValueOnce(jsonResponse(401, { error: 'Invalid email or password' }));
+
+    renderLogin();
+
+    await user.type(screen.getByLabelText('Email'), 'jane@example.com');
+    await user.type(screen.getByLabelText('Password'), 'wrong-password');
+    await user.click(screen.getByRole('button', { name: 'Log In' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Invalid email or password');
+    expect(screen.queryByTestId('location')).not.toBeInTheDocument();
+  });
+
+  test('shows server errors in the chosen language', async () => {
+    const user = userEvent.setup();
+    localStorage.setItem('language', 'de');
+    fetch
+      .mockResolvedValueOnce(jsonResponse(401, { error: 'Authentication required' }))
+      .mockResolvedValueOnce(jsonResponse(401, { error: 'Invalid email or password' }))
+      .mockResolvedValueOnce(jsonResponse(500, { message: 'Internal error' }));
+
+    render(
+      <LanguageProvider>
+        <MemoryRouter initialEntries={['/login']}>
+          <AuthProvider>
+            <Login />
+          </AuthProvider>
+        </MemoryRouter>
+      </LanguageProvider>
+    );
+
+    await user.type(screen.getByLabelText('E-Mail'), 'jane@example.com');
+    await user.type(screen.getByLabelText('Passwort'), 'wrong-password');
+    await user.click(screen.getByRole('button', { name: 'Anmelden' }));
+    expect(await screen.findByRole('alert')).toHaveTextContent('E-Mail-Adresse oder Passwort ist falsch');
+
+    await user.click(screen.getByRole('button', { name: 'Anmelden' }));
+    await waitFor(() => {
+      expect(screen.getByRole('alert')).toHaveTextContent('Etwas ist schiefgelaufen. Bitte versuchen Sie es erneut.');
+    });
+    localStorage.removeItem('language');
+  });
+
+  test('validates the registration form before submitting', async () => {
+    const user = userEvent.setup();
+    fetch.mockResolvedValueOnce(jsonResponse(401, { error: 'Authentication required' }));
+
+    renderLogin();
+
+    await user.click(screen.getByText('Create an account'));
+    await user.type(screen.getByLabelText('Email'), 'not-an-email');
+    await user.type(screen.getByLabelText('Password'), 'short');
+    await user.click(screen.getByRole('button', { name: 'Create Account' }));
+
+    expect(screen.getByText('Name is required')).toBeInTheDocument();
+    expect(screen.getByText('Email must be a valid email address')).toBeInTheDocument();
+    expect(screen.getByText('Password must be at least 8 characters')).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('registers a customer and shows server field errors', async () => {
+    const user = userEvent.setup();
+    fetch
+      .mockResolvedValueOnce(jsonResponse(401, { error: 'Authentication required' }))
+      .mockResolvedValueOnce(jsonResponse(409, {
+        error: 'Validation failed',
+        details: { email: 'An account with this email already exists' }
+      }));
+
+    renderLogin();
+
+    await user.click(screen.getByText('Create an account'));
+    await user.type(screen.getByLabelText('Name'), 'Jane Doe');
+    await user.type(screen.getByLabelText('Email'), 'jane@example.com');
+    await user.type(screen.getByLabelText('Password'), 'secret123');
+    await user.click(screen.getByRole('button', { name: 'Create Account' }));
+
+    expect(await screen.findByText('An account with this email already exists')).toBeInTheDocument();
+    expect(fetch).toHaveBeenLastCalledWith('/api/auth/register', expect.objectContaining({
+      body: JSON.stringify({ name: 'Jane Doe', email: 'jane@example.com', password: 'secret123' })
+    }));
+  });
+
+  test('ignores redirects to other sites', async () => {
+    fetch.mockResolvedValueOnce(jsonResponse(200, mockCustomer));
+
+    renderLogin('/login?redirect=%2F%2Fevil.example.com');
+
+    await waitFor(() => {
+      expect(screen.getByTestId('location')).toHaveTextContent(/^\/$/);
+    });
+  });
+});
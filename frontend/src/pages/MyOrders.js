@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useCart } from '../context/CartContext';
+import { useCurrency, orderConversion } from '../context/CurrencyContext';
+import { useTranslation } from '../context/LanguageContext';
+import Toast from '../components/Toast';
+import CustomCoffeeDetails from '../components/CustomCoffeeDetails';
+import './AdminOrders.css';
+import './MyOrders.css';
+
+// `productId` is populated with the current product, so stock reflects today's
+// catalogue. Custom coffees are made to order.
+const isReorderable = (item) => {
+  const product = item.productId;
+  if (!product || product.archived) return false;
+  return Boolean(item.customCoffee) || product.stock > 0;
+};
+
+function MyOrders() {
+  const [orders, setOrders] = useState([]);
+  const [status, setStatus] = useState('loading');
+  const [toast, setToast] = useState(null);
+  const { addToCart } = useCart();
+  const { formatPrice } = useCurrency();
+  const { t, locale } = useTranslation();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    let ignore = false;
+
+    const fetchOrders = async () => {
+      try {
+        const response = await fetch('/api/orders/mine');
+        if (!response.ok) {
+          throw new Error(`Failed to load orders (${response.status})`);
+        }
+        const data = await response.json();
+        if (!ignore) {
+          setOrders(data);
+          setStatus('loaded');
+        }
+      } catch (error) {
+        console.error('Error fetching orders:', error);
+        if (!ignore) {
+          setStatus('error');
+        }
+      }
+    };
+
+    fetchOrders();
+    return () => {
+      ignore = true;
+    };
+  }, []);
+
+  const handleReorder = (order) => {
+    const skipped = [];
+    let added = 0;
+
+    order.items.forEach(item => {
+      if (!isReorderable(item)) {
+        skipped.push(item.name);
+        return;
+      }
+      if (item.customCoffee) {
+        addToCart({ ...item.productId, name: item.name, price: item.price }, item.quantity, item.customCoffee);
+      } else {
+        // The cart caps the quantity at what is in stock
+        addToCart(item.productId, item.quantity);
+      }
+      added++;
+    });
+
+    if (added === 0) {
+      setToast(t('orders.noneAvailable'));
+      return;
+    }
+    if (skipped.length > 0) {
+      setToast(t('orders.skipped', { names: skipped.join(', ') }));
+      return;
+    }
+    navigate('/cart');
+  };
+
+  if (status === 'loading') {
+    return (
+      <div className="my-orders container">
+        <p>{t('orders.loading')}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="my-orders container">
+      {toast && <Toast message={toast} onClose={() => setToast(null)} />}
+      <h1 className="page-title">{t('orders.title')}</h1>
+
+      {status === 'error' && (
+        <p className="my-orders-message">{t('orders.loadFailed')}</p>
+      )}
+
+      {status === 'loaded' && orders.length === 0 && (
+        <p className="my-orders-message">
+          {t('orders.empty', { link: <Link to="/shop">{t('orders.startShopping')}</Link> })}
+        </p>
+      )}
+
+      {orders.map(order => (
+        <section key={order._id} className="my-order" aria-label={t('orders.order', { id: order._id.slice(-6) })}>
+          <div className="my-order-header">
+            <div>
+              <h2>{t('orders.order', { id: order._id.slice(-6) })}</h2>
+              <p className="order-date">
+                {t('orders.placed', { date: new Date(order.createdAt).toLocaleString(locale) })}
+              </p>
+            </div>
+            <span className={`status-badge status-${order.status}`}>
+              {t(`orders.status.${order.status}`, { defaultValue: order.status })}
+            </span>
+          </div>
+
+          <ul className="order-items">
+            {order.items.map((item, index) => (
+              <li key={index}>
+                <div className="order-item-row">
+                  <span>
+                    {item.quantity} × {item.name}
+                    {!isReorderable(item) && <span className="item-unavailable">{t('orders.unavailable')}</span>}
+                  </span>
+                  <span>{formatPrice(item.price * item.quantity, orderConversion(order))}</span>
+                </div>
+                {item.customCoffee && <CustomCoffeeDetails options={item.customCoffee} />}
+              </li>
+            ))}
+          </ul>
+
+          <div className="my-order-footer">
+            <p className="order-total">
+              {t('orders.total', { amount: formatPrice(order.totalAmount, orderConversion(order)) })}
+            </p>
+            <button className="btn btn-primary" onClick={() => handleReorder(order)}>
+              {t('orders.reorder')}
+            </button>
+          </div>
+        </section>
+      ))}
+    </div>
+  );
+}
+
+export default MyOrders;
@@ -0,0 +1,168 @@
+import React from 'react';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import MyOrders from './MyOrders';
+import { CartProvider, useCart } from '../context/CartContext';
+
+// Mock fetch
+global.fetch = jest.fn();
+
+const espresso = {
+  _id: '674a1234567890abcdef0007',
+  name: 'Espresso Beans',
+  price: 1499,
+  image: 'data:image/svg+xml;base64,test',
+  stock: 10,
+  archived: false
+};
+
+const customCoffee = {
+  _id: '674a1234567890abcdef0025',
+  name: 'Custom Coffee',
+  price: 350,
+  image: 'data:image/svg+xml;base64,test',
+  stock: 0,
+  archived: false,
+  configurator: 'coffee'
+};
+
+const mockOrders = [
+  {
+    _id: '674a9999567890abcdef0002',
+    items: [
+      { productId: espresso, name: 'Espresso Beans', price: 1499, quantity: 2 },
+      { productId: { ...espresso, _id: '674a1234567890abcdef0008', name: 'Smart Watch', stock: 0 }, name: 'Smart Watch', price: 24999, quantity: 1 },
+      {
+        productId: customCoffee,
+        name: 'Custom Coffee',
+        price: 525,
+        quantity: 1,
+        customCoffee: { sugar: 2, milk: 'oat', coffee: 2, chocolate: 1 }
+      }
+    ],
+    totalAmount: 28522,
+    status: 'pending',
+    createdAt: '2024-11-15T10:00:00.000Z'
+  },
+  {
+    _id: '674a9999567890abcdef0001',
+    items: [
+      { productId: espresso, name: 'Espresso Beans', price: 1499, quantity: 1 }
+    ],
+    totalAmount: 1499,
+    status: 'completed',
+    createdAt: '2024-11-01T10:00:00.000Z'
+  }
+];
+
+function CartContents() {
+  const { cart } = useCart();
+  return (
+    <ul data-testid="cart">
+      {cart.map((item, index) => <li key={index}>{item.quantity} × {item.name}</li>)}
+    </ul>
+  );
+}
+
+function renderMyOrders() {
+  return render(
+    <MemoryRouter initialEntries={['/orders']}>
+      <CartProvider>
+        <Routes>
+          <Route path="/orders" element={<MyOrders />} />
+          <Route path="/cart" element={<CartContents />} />
+        </Routes>
+      </CartProvider>
+    </MemoryRouter>
+  );
+}
+
+describe('My Orders Page', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    fetch.mockReset();
+  });
+
+  test('lists past orders with status, items and custom coffee details', async () => {
+    fetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(mockOrders) });
+
+    renderMyOrders();
+
+    const latest = await screen.findByRole('region', { name: 'Order #ef0002' });
+    expect(fetch).toHaveBeenCalledWith('/api/orders/mine');
+
+    expect(within(latest).getByText('pending')).toBeInTheDocument();
+    expect(within(latest).getByText('2 × Espresso Beans')).toBeInTheDocument();
+    expect(within(latest).getByText('(out of stock)')).toBeInTheDocument();
+    expect(within(latest).getByText('Milk: oat')).toBeInTheDocument();
+    expect(within(latest).getByText('Total: $285.22')).toBeInTheDocument();
+
+    const older = screen.getByRole('region', { name: 'Order #ef0001' });
+    expect(within(older).getByText('completed')).toBeInTheDocument();
+  });
+
+  test('shows totals in the currency the order was placed in', async () => {
+    const euroOrder = { ...mockOrders[1], currency: 'USD', displayCurrency: 'EUR', exchangeRate: 0.92 };
+    fetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve([euroOrder]) });
+
+    renderMyOrders();
+
+    const order = await screen.findByRole('region', { name: 'Order #ef0001' });
+    expect(within(order).getByText('Total: €13.79')).toBeInTheDocument();
+  });
+
+  test('shows an empty state when there are no orders', async () => {
+    fetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve([]) });
+
+    renderMyOrders();
+
+    expect(await screen.findByText(/You haven't placed any orders yet/)).toBeInTheDocument();
+  });
+
+  test('reorders available items and skips out of stock ones', async () => {
+    const user = userEvent.setup();
+    fetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(mockOrders) });
+
+    renderMyOrders();
+
+    const latest = await screen.findByRole('region', { name: 'Order #ef0002' });
+    await user.click(within(latest).getByText('Reorder'));
+
+    expect(screen.getByText('Skipped out of stock items: Smart Watch')).toBeInTheDocument();
+    const savedCart = JSON.parse(localStorage.getItem('cart')).items;
+    expect(savedCart.map(item => [item.name, item.quantity])).toEqual([
+      ['Espresso Beans', 2],
+      ['Custom Coffee', 1]
+    ]);
+    expect(savedCart[1]).toMatchObject({
+      _id: customCoffee._id,
+      price: 525,
+      customCoffee: { sugar: 2, milk: 'oat', coffee: 2, chocolate: 1 }
+    });
+  });
+
+  test('goes to the cart when every item could be reordered', async () => {
+    const user = userEvent.setup();
+    fetch.mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(mockOrders) });
+
+    renderMyOrders();
+
+    const older = await screen.findByRole('region', { name: 'Order #ef0001' });
+    await user.click(within(older).getByText('Reorder'));
+
+    await waitFor(() => {
+      expect(screen.getByTestId('cart')).toHaveTextContent('1 × Espresso Beans');
+    });
+  });
+
+  test('shows an error message when orders fail to load', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation();
+    fetch.mockResolvedValueOnce({ ok: false, status: 500, json: () => Promise.resolve({}) });
+
+    renderMyOrders();
+
+    expect(await screen.findByText('Failed to load your orders. Please try again.')).toBeInTheDocument();
+    consoleError.mockRestore();
+  });
+});
@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useCart } from '../context/CartContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { useTranslation } from '../context/LanguageContext';
+import { DEFAULT_LANGUAGE } from '../i18n';
+import Toast from '../components/Toast';
+import WishlistButton from '../components/WishlistButton';
+import './ProductDetail.css';
+
+const stockLabel = (product, t) => {
+  if (product.archived) return t('product.noLongerAvailable');
+  if (!product.inStock) return t('product.outOfStock');
+  if (product.lowStock) return t('product.lowStock', { count: product.stock });
+  return t('product.inStock');
+};
+
+function ProductDetail() {
+  const { id } = useParams();
+  const [product, setProduct] = useState(null);
+  const [status, setStatus] = useState('loading');
+  const [quantity, setQuantity] = useState(1);
+  const [toast, setToast] = useState(null);
+  const { addToCart } = useCart();
+  const { formatPrice } = useCurrency();
+  const { t, language } = useTranslation();
+
+  useEffect(() => {
+    let ignore = false;
+
+    const fetchProduct = async () => {
+      setStatus('loading');
+      try {
+        const langQuery = language !== DEFAULT_LANGUAGE ? `?lang=${language}` : '';
+        const response = await fetch(`/api/products/${id}${langQuery}`);
+        if (ignore) return;
+
+        // Malformed ids (400) are reported the same way as unknown ones
+        if (response.status === 404 || response.status === 400) {
+          setStatus('notFound');
+          return;
+        }
+        if (!response.ok) {
+          setStatus('error');
+          return;
+        }
+
+        const data = await response.json();
+        if (!ignore) {
+          setProduct(data);
+          setQuantity(1);
+          setStatus('loaded');
+        }
+      } catch (error) {
+        console.error('Error fetching product:', error);
+        if (!ignore) {
+          setStatus('error');
+        }
+      }
+    };
+
+    fetchProduct();
+    return () => {
+      ignore = true;
+    };
+  }, [id, language]);
+
+  if (status === 'loading') {
+    return (
+      <div className="product-detail container">
+        <p>{t('product.loading')}</p>
+      </div>
+    );
+  }
+
+  if (status === 'notFound' || status === 'error') {
+    return (
+      <div className="product-detail container">
+        <h1 className="page-title">
+          {status === 'notFound' ? t('product.notFoundTitle') : t('product.errorTitle')}
+        </h1>
+        <p className="product-detail-message">
+          {status === 'notFound' ? t('product.notFoundMessage') : t('product.errorMessage')}
+        </p>
+        <Link to="/shop" className="btn btn-primary">{t('product.backToShop')}</Link>
+      </div>
+    );
+  }
+
+  const available = product.inStock && !product.archived;
+  const maxQuantity = product.stock ?? Infinity;
+
+  const handleAddToCart = () => {
+    // Fewer than chosen are added when the cart already holds some of the stock
+    const added = addToCart(product, quantity);
+    setToast(added > 0
+      ? t('product.addedToast', { quantity: added, name: product.name })
+      : t('cart.stockLimit', { count: product.stock, name: product.name }));
+  };
+
+  return (
+    <div className="product-detail container">
+      {toast && <Toast message={toast} onClose={() => setToast(null)} />}
+      <Link to="/shop" className="back-link">{t('product.backLink')}</Link>
+
+      <div className="product-detail-layout">
+        <img src={product.image} alt={product.name} className="product-detail-image" />
+
+        <div className="product-detail-info">
+          <p className="product-detail-category">
+            {t(`categories.${product.category}`, { defaultValue: product.category })}
+          </p>
+          <h1 className="product-detail-name">{product.name}</h1>
+          <p className="product-detail-price">{formatPrice(product.price)}</p>
+          <p className="product-detail-description">{product.description}</p>
+
+          <p className={`product-detail-stock ${available ? 'in-stock' : 'out-of-stock'}`}>
+            {stockLabel(product, t)}
+          </p>
+
+          {!product.archived && (
+            <div className="product-detail-wishlist">
+              <WishlistButton product={product} showLabel />
+            </div>
+          )}
+
+          {available && product.configurator && (
+            <div className="product-detail-actions">
+              <Link to="/coffee-builder" className="btn btn-primary">{t('common.customize')}</Link>
+            </div>
+          )}
+
+          {available && !product.configurator && (
+            <div className="product-detail-actions">
+              <div className="quantity-selector">
+                <button
+                  onClick={() => setQuantity(Math.max(1, quantity - 1))}
+                  disabled={quantity <= 1}
+                  aria-label={t('product.decreaseQuantity')}
+                >
+                  -
+                </button>
+                <span className="value" aria-label={t('product.quantity')}>{quantity}</span>
+                <button
+                  onClick={() => setQuantity(Math.min(maxQuantity, quantity + 1))}
+                  disabled={quantity >= maxQuantity}
+                  aria-label={t('product.increaseQuantity')}
+                >
+                  +
+                </button>
+              </div>
+              <button className="btn btn-primary" onClick={handleAddToCart}>
+                {t('common.addToCart')}
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ProductDetail;
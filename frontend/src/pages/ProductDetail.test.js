@@ -0,0 +1,211 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import ProductDetail from './ProductDetail';
+import { CartProvider, useCart } from '../context/CartContext';
+import { WishlistProvider } from '../context/WishlistContext';
+
+// Mock fetch
+global.fetch = jest.fn();
+
+const mockProduct = {
+  _id: '674a1234567890abcdef0007',
+  name: 'Espresso Beans',
+  category: 'Coffee',
+  price: 1499,
+  description: 'Dark roast espresso beans with notes of chocolate',
+  image: 'data:image/svg+xml;base64,test',
+  stock: 3,
+  lowStockThreshold: 5,
+  inStock: true,
+  lowStock: true
+};
+
+function CartCount() {
+  const { getCartCount } = useCart();
+  return <div data-testid="cart-count">{getCartCount()}</div>;
+}
+
+function renderProductDetail(id = mockProduct._id) {
+  return render(
+    <MemoryRouter initialEntries={[`/product/${id}`]}>
+      <CartProvider>
+        <WishlistProvider>
+          <Routes>
+            <Route path="/product/:id" element={<ProductDetail />} />
+          </Routes>
+          <CartCount />
+        </WishlistProvider>
+      </CartProvider>
+    </MemoryRouter>
+  );
+}
+
+describe('Product Detail Page', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    fetch.mockReset();
+  });
+
+  test('shows loading state initially', () => {
+    fetch.mockImplementation(() => new Promise(() => {})); // Never resolves
+
+    renderProductDetail();
+
+    expect(screen.getByText('Loading product...')).toBeInTheDocument();
+  });
+
+  test('fetches and displays the product', async () => {
+    fetch.mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve(mockProduct) });
+
+    renderProductDetail();
+
+    await waitFor(() => {
+      expect(screen.getByText('Espresso Beans')).toBeInTheDocument();
+    });
+
+    expect(fetch).toHaveBeenCalledWith('/api/products/674a1234567890abcdef0007');
+    expect(screen.getByText('$14.99')).toBeInTheDocument();
+    expect(screen.getByText('Dark roast espresso beans with notes of chocolate')).toBeInTheDocument();
+    expect(screen.getByText('Only 3 left in stock')).toBeInTheDocument();
+    expect(screen.getByAltText('Espresso Beans')).toBeInTheDocument();
+  });
+
+  test('adds the selected quantity to the cart', async () => {
+    const user = userEvent.setup();
+    fetch.mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve(mockProduct) });
+
+    renderProductDetail();
+
+    await waitFor(() => {
+      expect(screen.getByText('Espresso Beans')).toBeInTheDocument();
+    });
+
+    await user.click(screen.getByLabelText('Increase quantity'));
+    await user.click(screen.getByText('Add to Cart'));
+
+    expect(screen.getByTestId('cart-count')).toHaveTextContent('2');
+    expect(screen.getByText('Added 2 × "Espresso Beans" to cart!')).toBeInTheDocument();
+  });
+
+  test('limits the quantity to the available stock', async () => {
+    const user = userEvent.setup();
+    fetch.mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve(mockProduct) });
+
+    renderProductDetail();
+
+    await waitFor(() => {
+      expect(screen.getByText('Espresso Beans')).toBeInTheDocument();
+    });
+
+    const increase = screen.getByLabelText('Increase quantity');
+    await user.click(increase);
+    await user.click(increase);
+
+    expect(screen.getByLabelText('Quantity')).toHaveTextContent('3');
+    expect(increase).toBeDisabled();
+    expect(screen.getByLabelText('Decrease quantity')).not.toBeDisabled();
+  });
+
+  test('adds no more than the stock, counting what is already in the cart', async () => {
+    const user = userEvent.setup();
+    fetch.mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve(mockProduct) });
+
+    renderProductDetail();
+
+    await waitFor(() => {
+      expect(screen.getByText('Espresso Beans')).toBeInTheDocument();
+    });
+
+    await user.click(screen.getByLabelText('Increase quantity'));
+    await user.click(screen.getByText('Add to Cart'));
+    await user.click(screen.getByText('Add to Cart'));
+
+    expect(screen.getByTestId('cart-count')).toHaveTextContent('3');
+    expect(screen.getByText('Added 1 × "Espresso Beans" to cart!')).toBeInTheDocument();
+
+    await user.click(screen.getByText('Add to Cart'));
+
+    expect(screen.getByTestId('cart-count')).toHaveTextContent('3');
+    expect(screen.getByText('All 3 "Espresso Beans" in stock are already in your cart')).toBeInTheDocument();
+  });
+
+  test('hides the add to cart controls for out of stock products', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve({ ...mockProduct, stock: 0, inStock: false, lowStock: false })
+    });
+
+    renderProductDetail();
+
+    await waitFor(() => {
+      expect(screen.getByText('Out of stock')).toBeInTheDocument();
+    });
+
+    expect(screen.queryByText('Add to Cart')).not.toBeInTheDocument();
+  });
+
+  test('saves the product to the wishlist and takes it off again', async () => {
+    const user = userEvent.setup();
+    fetch.mockResolvedValueOnce({ ok: true, status: 200, json: () => Promise.resolve(mockProduct) });
+
+    renderProductDetail();
+
+    await user.click(await screen.findByRole('button', { name: /Save to Wishlist/ }));
+    expect(screen.getByRole('button', { name: /On your Wishlist/ })).toHaveAttribute('aria-pressed', 'true');
+    expect(JSON.parse(localStorage.getItem('wishlist')).items).toHaveLength(1);
+
+    await user.click(screen.getByRole('button', { name: /On your Wishlist/ }));
+    expect(JSON.parse(localStorage.getItem('wishlist')).items).toHaveLength(0);
+  });
+
+  test('sends products with options to their builder instead of the cart', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve({ ...mockProduct, name: 'Custom Coffee', stock: 0, inStock: true, configurator: 'coffee' })
+    });
+
+    renderProductDetail();
+
+    expect(await screen.findByRole('link', { name: 'Build Yours' })).toHaveAttribute('href', '/coffee-builder');
+    expect(screen.queryByText('Add to Cart')).not.toBeInTheDocument();
+  });
+
+  test('shows not found message for unknown products', async () => {
+    fetch.mockResolvedValueOnce({ ok: false, status: 404, json: () => Promise.resolve({ message: 'Product not found' }) });
+
+    renderProductDetail('674a1234567890abcdef9999');
+
+    await waitFor(() => {
+      expect(screen.getByText('Product not found')).toBeInTheDocument();
+    });
+
+    expect(screen.getByText('Back to Shop')).toHaveAttribute('href', '/shop');
+  });
+
+  test('treats malformed ids as not found', async () => {
+    fetch.mockResolvedValueOnce({ ok: false, status: 400, json: () => Promise.resolve({ error: 'Invalid product ID format' }) });
+
+    renderProductDetail('not-an-id');
+
+    await waitFor(() => {
+      expect(screen.getByText('Product not found')).toBeInTheDocument();
+    });
+  });
+
+  test('shows an error message when the request fails', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation();
+    fetch.mockRejectedValueOnce(new Error('Network error'));
+
+    renderProductDetail();
+
+    await waitFor(() => {
+      expect(screen.getByText('Something went wrong')).toBeInTheDocument();
+    });
+
+    consoleError.mockRestore();
+  });
+});
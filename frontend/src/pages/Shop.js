@@ -1,90 +1,316 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams, Link } from 'react-router-dom';
 import { useCart } from '../context/CartContext';
+import { useCurrency } from '../context/CurrencyContext';
+import { useTranslation } from '../context/LanguageContext';
+import { DEFAULT_LANGUAGE } from '../i18n';
+import { toMinorUnits } from '../utils/money';
 import Toast from '../components/Toast';
+import Pagination from '../components/Pagination';
+import WishlistButton from '../components/WishlistButton';
 import './Shop.css';
 
+const PAGE_SIZE = 12;
+// The price filter works in whole dollars, like the minPrice/maxPrice API
+// parameters; its bounds are shown converted to the shopper's currency
+const PRICE_RANGE_MAX = 300;
+const PRICE_STEP = 5;
+
+const SORT_OPTIONS = [
+  { value: '', label: 'shop.sort.featured' },
+  { value: 'price', label: 'shop.sort.priceAsc' },
+  { value: '-price', label: 'shop.sort.priceDesc' },
+  { value: 'name', label: 'shop.sort.nameAsc' },
+  { value: '-name', label: 'shop.sort.nameDesc' },
+  { value: '-createdAt', label: 'shop.sort.newest' }
+];
+
+// Query string parameters that are forwarded to GET /api/products
+const API_PARAMS = ['category', 'q', 'sort', 'minPrice', 'maxPrice', 'inStock', 'page'];
+
+const toPriceRange = (minPrice, maxPrice) => ({
+  min: Number(minPrice) || 0,
+  max: Number(maxPrice) || PRICE_RANGE_MAX
+});
+
 function Shop() {
+  const [searchParams, setSearchParams] = useSearchParams();
   const [products, setProducts] = useState([]);
-  const [selectedCategory, setSelectedCategory] = useState('All');
+  const [total, setTotal] = useState(0);
+  const [totalPages, setTotalPages] = useState(1);
   const [categories, setCategories] = useState(['All']);
   const [addedToCart, setAddedToCart] = useState(null);
   const [toast, setToast] = useState(null);
+  const [loadFailed, setLoadFailed] = useState(false);
   const { addToCart } = useCart();
+  const { formatPrice } = useCurrency();
+  const { t, language } = useTranslation();
+
+  const selectedCategory = searchParams.get('category') || 'All';
+  const query = searchParams.get('q') || '';
+  const sort = searchParams.get('sort') || '';
+  const hideOutOfStock = searchParams.get('inStock') === 'true';
+  const page = Number(searchParams.get('page')) || 1;
+  const minPriceParam = searchParams.get('minPrice');
+  const maxPriceParam = searchParams.get('maxPrice');
+
+  const [searchInput, setSearchInput] = useState(query);
+  const [priceRange, setPriceRange] = useState(() => toPriceRange(minPriceParam, maxPriceParam));
+
+  const apiParams = new URLSearchParams({ limit: PAGE_SIZE });
+  API_PARAMS.forEach(param => {
+    if (searchParams.get(param)) {
+      apiParams.set(param, searchParams.get(param));
+    }
+  });
+  if (language !== DEFAULT_LANGUAGE) {
+    apiParams.set('lang', language);
+  }
+  const apiQuery = apiParams.toString();
 
   useEffect(() => {
-    fetchProducts();
+    let ignore = false;
+
+    const fetchCategories = async () => {
+      try {
+        const response = await fetch('/api/products/categories/all');
+        if (!response.ok) {
+          throw new Error(`Failed to load categories (${response.status})`);
+        }
+        const data = await response.json();
+        if (!ignore) {
+          setCategories(['All', ...data]);
+        }
+      } catch (error) {
+        console.error('Error fetching categories:', error);
+        if (!ignore) {
+          setLoadFailed(true);
+        }
+      }
+    };
+
     fetchCategories();
+    return () => {
+      ignore = true;
+    };
   }, []);
 
-  const fetchProducts = async () => {
-    try {
-      const response = await fetch('/api/products');
-      const data = await response.json();
-      setProducts(data);
-    } catch (error) {
-      console.error('Error fetching products:', error);
-    }
-  };
+  useEffect(() => {
+    let ignore = false;
+
+    const fetchProducts = async () => {
+      try {
+        const response = await fetch(`/api/products?${apiQuery}`);
+        if (!response.ok) {
+          throw new Error(`Failed to load products (${response.status})`);
+        }
+        const data = await response.json();
+        if (!ignore) {
+          setProducts(data.products);
+          setTotal(data.total);
+          setTotalPages(data.totalPages);
+        }
+      } catch (error) {
+        console.error('Error fetching products:', error);
+        if (!ignore) {
+          setLoadFailed(true);
+        }
+      }
+    };
+
+    fetchProducts();
+    return () => {
+      ignore = true;
+    };
+  }, [apiQuery]);
+
+  // Keep the inputs in sync when the URL changes (e.g. back/forward navigation)
+  useEffect(() => {
+    setSearchInput(query);
+  }, [query]);
+
+  useEffect(() => {
+    setPriceRange(toPriceRange(minPriceParam, maxPriceParam));
+  }, [minPriceParam, maxPriceParam]);
 
-  const fetchCategories = async () => {
-    try {
-      const response = await fetch('/api/products/categories/all');
-      const data = await response.json();
-      setCategories(['All', ...data]);
-    } catch (error) {
-      console.error('Error fetching categories:', error);
+  // Sets (or clears, for empty values) query string parameters. Any change
+  // other than the page itself takes the shopper back to the first page.
+  const updateParams = useCallback((updates, options) => {
+    setSearchParams(prevParams => {
+      const nextParams = new URLSearchParams(prevParams);
+      Object.entries(updates).forEach(([key, value]) => {
+        if (value === '' || value === null || value === undefined) {
+          nextParams.delete(key);
+        } else {
+          nextParams.set(key, value);
+        }
+      });
+      if (!('page' in updates)) {
+        nextParams.delete('page');
+      }
+      return nextParams;
+    }, options);
+  }, [setSearchParams]);
+
+  // Debounce slider changes before they hit the URL and trigger a fetch
+  useEffect(() => {
+    const minPrice = priceRange.min > 0 ? String(priceRange.min) : null;
+    const maxPrice = priceRange.max < PRICE_RANGE_MAX ? String(priceRange.max) : null;
+    if (minPrice === minPriceParam && maxPrice === maxPriceParam) {
+      return;
     }
-  };
+
+    const timer = setTimeout(() => {
+      updateParams({ minPrice, maxPrice }, { replace: true });
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [priceRange, minPriceParam, maxPriceParam, updateParams]);
 
   const handleAddToCart = (product) => {
-    addToCart(product);
+    if (addToCart(product) === 0) {
+      setToast(t('cart.stockLimit', { count: product.stock, name: product.name }));
+      return;
+    }
     setAddedToCart(product._id);
-    setToast(`Added "${product.name}" to cart!`);
+    setToast(t('shop.addedToast', { name: product.name }));
     setTimeout(() => setAddedToCart(null), 1000);
   };
 
-  const filteredProducts = selectedCategory === 'All'
-    ? products
-    : products.filter(p => p.category === selectedCategory);
+  const handleSearch = (e) => {
+    e.preventDefault();
+    updateParams({ q: searchInput.trim() });
+  };
+
+  const handleMinPrice = (value) => {
+    setPriceRange(range => ({ ...range, min: Math.min(Number(value), range.max) }));
+  };
+
+  const handleMaxPrice = (value) => {
+    setPriceRange(range => ({ ...range, max: Math.max(Number(value), range.min) }));
+  };
 
   return (
     <div className="shop container">
       {toast && <Toast message={toast} onClose={() => setToast(null)} />}
-      <h1 className="page-title">Shop</h1>
-      
+      {loadFailed && <Toast message={t('shop.loadFailed')} onClose={() => setLoadFailed(false)} />}
+      <h1 className="page-title">{t('shop.title')}</h1>
+
+      <div className="shop-toolbar">
+        <form className="search-form" role="search" onSubmit={handleSearch}>
+          <input
+            type="search"
+            placeholder={t('shop.searchPlaceholder')}
+            aria-label={t('shop.searchLabel')}
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+          />
+          <button type="submit" className="btn btn-primary">{t('shop.search')}</button>
+        </form>
+
+        <label className="sort-select">
+          {t('shop.sortBy')}
+          <select value={sort} onChange={(e) => updateParams({ sort: e.target.value })}>
+            {SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{t(option.label)}</option>
+            ))}
+          </select>
+        </label>
+
+        <fieldset className="price-filter">
+          <legend>
+            {t('shop.priceRange', {
+              min: formatPrice(toMinorUnits(priceRange.min)),
+              max: `${formatPrice(toMinorUnits(priceRange.max))}${priceRange.max === PRICE_RANGE_MAX ? '+' : ''}`
+            })}
+          </legend>
+          <input
+            type="range"
+            min="0"
+            max={PRICE_RANGE_MAX}
+            step={PRICE_STEP}
+            value={priceRange.min}
+            onChange={(e) => handleMinPrice(e.target.value)}
+            aria-label={t('shop.minPrice')}
+          />
+          <input
+            type="range"
+            min="0"
+            max={PRICE_RANGE_MAX}
+            step={PRICE_STEP}
+            value={priceRange.max}
+            onChange={(e) => handleMaxPrice(e.target.value)}
+            aria-label={t('shop.maxPrice')}
+          />
+        </fieldset>
+
+        <label className="stock-filter">
+          <input
+            type="checkbox"
+            checked={hideOutOfStock}
+            onChange={(e) => updateParams({ inStock: e.target.checked ? 'true' : null })}
+          />
+          {t('shop.hideOutOfStock')}
+        </label>
+      </div>
+
       <div className="category-filter">
         {categories.map(category => (
           <button
             key={category}
             className={`category-btn ${selectedCategory === category ? 'active' : ''}`}
-            onClick={() => setSelectedCategory(category)}
+            onClick={() => updateParams({ category: category === 'All' ? null : category })}
           >
-            {category}
+            {t(`categories.${category}`, { defaultValue: category })}
           </button>
         ))}
       </div>
 
-      <div className="products-grid">
-        {filteredProducts.map(product => (
-          <div key={product._id} className="product-card">
-            <img src={product.image} alt={product.name} className="product-image" />
-            <div className="product-info">
-              <h3 className="product-name">{product.name}</h3>
-              <p className="product-description">{product.description}</p>
-              <div className="product-footer">
-                <span className="product-price">${product.price.toFixed(2)}</span>
-                <button 
-                  className="btn btn-primary"
-                  onClick={() => handleAddToCart(product)}
-                  disabled={!product.inStock}
-                >
-                  {addedToCart === product._id ? '✓ Added!' : product.inStock ? 'Add to Cart' : 'Out of Stock'}
-                </button>
+      <p className="results-count">{t('shop.results', { count: total })}</p>
+
+      {products.length === 0 ? (
+        <p className="no-results">{t('shop.noResults')}</p>
+      ) : (
+        <div className="products-grid">
+          {products.map(product => (
+            <div key={product._id} className="product-card">
+              <Link to={`/product/${product._id}`} className="product-link">
+                <img src={product.image} alt={product.name} className="product-image" />
+                <div className="product-info">
+                  <h3 className="product-name">{product.name}</h3>
+                  <p className="product-description">{product.description}</p>
+                </div>
+              </Link>
+              <div className="product-info product-info-footer">
+                <div className="product-footer">
+                  <span className="product-price">{formatPrice(product.price)}</span>
+                  <div className="product-actions">
+                    <WishlistButton product={product} />
+                    {product.configurator ? (
+                      <Link to="/coffee-builder" className="btn btn-primary">{t('common.customize')}</Link>
+                    ) : (
+                      <button
+                        className="btn btn-primary"
+                        onClick={() => handleAddToCart(product)}
+                        disabled={!product.inStock}
+                      >
+                        {addedToCart === product._id
+                          ? t('shop.added')
+                          : product.inStock ? t('common.addToCart') : t('shop.outOfStock')}
+                      </button>
+                    )}
+                  </div>
+                </div>
               </div>
             </div>
-          </div>
-        ))}
-      </div>
+          ))}
+        </div>
+      )}
+
+      <Pagination
+        page={page}
+        totalPages={totalPages}
+        onPageChange={(nextPage) => updateParams({ page: nextPage > 1 ? nextPage : null })}
+      />
     </div>
   );
 }
@@ -1,9 +1,12 @@
 import React from 'react';
-import { render, screen, waitFor } from '@testing-library/react';
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
-import { BrowserRouter } from 'react-router-dom';
+import { MemoryRouter, useLocation } from 'react-router-dom';
 import Shop from './Shop';
 import { CartProvider } from '../context/CartContext';
+import { CurrencyProvider } from '../context/CurrencyContext';
+import { LanguageProvider } from '../context/LanguageContext';
+import { WishlistProvider } from '../context/WishlistContext';
 
 // Mock fetch
 global.fetch = jest.fn();
@@ -13,7 +16,7 @@ const mockProducts = [
     _id: '1',
     name: 'Espresso',
     category: 'Coffee',
-    price: 3.99,
+    price: 399,
     description: 'Strong coffee',
     image: 'data:image/svg+xml;base64,test',
     inStock: true
@@ -22,7 +25,7 @@ const mockProducts = [
     _id: '2',
     name: 'Latte',
     category: 'Coffee',
-    price: 4.99,
+    price: 499,
     description: 'Smooth coffee',
     image: 'data:image/svg+xml;base64,test',
     inStock: true
@@ -31,41 +34,82 @@ const mockProducts = [
     _id: '3',
     name: 'Croissant',
     category: 'Pastries',
-    price: 2.99,
+    price: 299,
     description: 'Flaky pastry',
     image: 'data:image/svg+xml;base64,test',
     inStock: false
   }
 ];
 
+const mockProductsPage = {
+  products: mockProducts,
+  total: mockProducts.length,
+  page: 1,
+  limit: 24,
+  totalPages: 1
+};
+
 const mockCategories = ['Coffee', 'Pastries'];
 
-function renderShop() {
+// Fake GET /api/products that applies the category, search and stock filters
+function mockShopApi() {
+  fetch.mockImplementation((url) => {
+    if (url === '/api/currencies') {
+      return Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({ base: 'USD', currencies: [{ code: 'USD', rate: 1 }, { code: 'EUR', rate: 0.92 }] })
+      });
+    }
+    if (url.includes('/categories/all')) {
+      return Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve(mockCategories)
+      });
+    }
+
+    const params = new URL(url, 'http://localhost').searchParams;
+    const products = mockProducts.filter(product =>
+      (!params.get('category') || product.category === params.get('category')) &&
+      (!params.get('q') || product.name.toLowerCase().includes(params.get('q').toLowerCase())) &&
+      (params.get('inStock') !== 'true' || product.inStock)
+    );
+    return Promise.resolve({
+      ok: true,
+      json: () => Promise.resolve({ ...mockProductsPage, products, total: products.length })
+    });
+  });
+}
+
+function LocationDisplay() {
+  const location = useLocation();
+  return <div data-testid="location">{location.search}</div>;
+}
+
+function renderShop(initialEntry = '/shop') {
   return render(
-    <BrowserRouter>
+    <MemoryRouter initialEntries={[initialEntry]}>
       <CartProvider>
-        <Shop />
+        <WishlistProvider>
+          <Shop />
+          <LocationDisplay />
+        </WishlistProvider>
       </CartProvider>
-    </BrowserRouter>
+    </MemoryRouter>
   );
 }
 
+function lastProductsRequest() {
+  const productCalls = fetch.mock.calls.filter(([url]) => !url.includes('/categories/all'));
+  return new URL(productCalls[productCalls.length - 1][0], 'http://localhost').searchParams;
+}
+
 describe('Shop Page', () => {
   beforeEach(() => {
     fetch.mockClear();
   });
 
   test('renders shop page title', async () => {
-    fetch.mockImplementation((url) => {
-      if (url.includes('/categories/all')) {
-        return Promise.resolve({
-          json: () => Promise.resolve(mockCategories)
-        });
-      }
-      return Promise.resolve({
-        json: () => Promise.resolve(mockProducts)
-      });
-    });
+    mockShopApi();
 
     renderShop();
 
@@ -73,16 +117,7 @@ describe('Shop Page', () => {
   });
 
   test('fetches and displays products', async () => {
-    fetch.mockImplementation((url) => {
-      if (url.includes('/categories/all')) {
-        return Promise.resolve({
-          json: () => Promise.resolve(mockCategories)
-        });
-      }
-      return Promise.resolve({
-        json: () => Promise.resolve(mockProducts)
-      });
-    });
+    mockShopApi();
 
     renderShop();
 
@@ -95,16 +130,7 @@ describe('Shop Page', () => {
   });
 
   test('fetches and displays categories', async () => {
-    fetch.mockImplementation((url) => {
-      if (url.includes('/categories/all')) {
-        return Promise.resolve({
-          json: () => Promise.resolve(mockCategories)
-        });
-      }
-      return Promise.resolve({
-        json: () => Promise.resolve(mockProducts)
-      });
-    });
+    mockShopApi();
 
     renderShop();
 
@@ -122,16 +148,7 @@ describe('Shop Page', () => {
   test('filters products by category', async () => {
     const user = userEvent.setup();
     
-    fetch.mockImplementation((url) => {
-      if (url.includes('/categories/all')) {
-        return Promise.resolve({
-          json: () => Promise.resolve(mockCategories)
-        });
-      }
-      return Promise.resolve({
-        json: () => Promise.resolve(mockProducts)
-      });
-    });
+    mockShopApi();
 
     renderShop();
 
@@ -143,24 +160,19 @@ describe('Shop Page', () => {
     const coffeeButton = screen.getByRole('button', { name: 'Coffee' });
     await user.click(coffeeButton);
 
+    await waitFor(() => {
+      expect(screen.queryByText('Croissant')).not.toBeInTheDocument();
+    });
     expect(screen.getByText('Espresso')).toBeInTheDocument();
     expect(screen.getByText('Latte')).toBeInTheDocument();
-    expect(screen.queryByText('Croissant')).not.toBeInTheDocument();
+    expect(lastProductsRequest().get('category')).toBe('Coffee');
+    expect(screen.getByTestId('location')).toHaveTextContent('?category=Coffee');
   });
 
   test('shows all products when "All" category is selected', async () => {
     const user = userEvent.setup();
     
-    fetch.mockImplementation((url) => {
-      if (url.includes('/categories/all')) {
-        return Promise.resolve({
-          json: () => Promise.resolve(mockCategories)
-        });
-      }
-      return Promise.resolve({
-        json: () => Promise.resolve(mockProducts)
-      });
-    });
+    mockShopApi();
 
     renderShop();
 
@@ -172,26 +184,24 @@ describe('Shop Page', () => {
     const coffeeButton = screen.getByRole('button', { name: 'Coffee' });
     await user.click(coffeeButton);
 
+    await waitFor(() => {
+      expect(screen.queryByText('Croissant')).not.toBeInTheDocument();
+    });
+
     // Then click All
     const allButton = screen.getByRole('button', { name: 'All' });
     await user.click(allButton);
 
+    await waitFor(() => {
+      expect(screen.getByText('Croissant')).toBeInTheDocument();
+    });
     expect(screen.getByText('Espresso')).toBeInTheDocument();
     expect(screen.getByText('Latte')).toBeInTheDocument();
     expect(screen.getByText('Croissant')).toBeInTheDocument();
   });
 
   test('displays product prices correctly', async () => {
-    fetch.mockImplementation((url) => {
-      if (url.includes('/categories/all')) {
-        return Promise.resolve({
-          json: () => Promise.resolve(mockCategories)
-        });
-      }
-      return Promise.resolve({
-        json: () => Promise.resolve(mockProducts)
-      });
-    });
+    mockShopApi();
 
     renderShop();
 
@@ -204,16 +214,7 @@ describe('Shop Page', () => {
   });
 
   test('disables add to cart button for out of stock items', async () => {
-    fetch.mockImplementation((url) => {
-      if (url.includes('/categories/all')) {
-        return Promise.resolve({
-          json: () => Promise.resolve(mockCategories)
-        });
-      }
-      return Promise.resolve({
-        json: () => Promise.resolve(mockProducts)
-      });
-    });
+    mockShopApi();
 
     renderShop();
 
@@ -231,16 +232,7 @@ describe('Shop Page', () => {
   test('shows toast when item is added to cart', async () => {
     const user = userEvent.setup();
     
-    fetch.mockImplementation((url) => {
-      if (url.includes('/categories/all')) {
-        return Promise.resolve({
-          json: () => Promise.resolve(mockCategories)
-        });
-      }
-      return Promise.resolve({
-        json: () => Promise.resolve(mockProducts)
-      });
-    });
+    mockShopApi();
 
     renderShop();
 
@@ -275,19 +267,39 @@ describe('Shop Page', () => {
     consoleError.mockRestore();
   });
 
+  test('shows a load error when the server cannot list the products', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation();
+    fetch.mockImplementation((url) => Promise.resolve(url.includes('/categories/all')
+      ? { ok: true, json: () => Promise.resolve(mockCategories) }
+      : { ok: false, status: 500, json: () => Promise.resolve({ message: 'Server error' }) }));
+
+    renderShop();
+
+    expect(await screen.findByText('Failed to load products. Please try again.')).toBeInTheDocument();
+    expect(screen.getByText('No products match your filters.')).toBeInTheDocument();
+    consoleError.mockRestore();
+  });
+
+  test('shows a load error when the server cannot list the categories', async () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation();
+    mockShopApi();
+    const listProducts = fetch.getMockImplementation();
+    fetch.mockImplementation((url) => (url.includes('/categories/all')
+      ? Promise.resolve({ ok: false, status: 500, json: () => Promise.resolve({ message: 'Server error' }) })
+      : listProducts(url)));
+
+    renderShop();
+
+    expect(await screen.findByText('Failed to load products. Please try again.')).toBeInTheDocument();
+    expect(await screen.findByText('Espresso')).toBeInTheDocument();
+    expect(screen.getAllByRole('button', { name: /All|Coffee|Pastries/ })).toHaveLength(1);
+    consoleError.mockRestore();
+  });
+
   test('highlights active category', async () => {
     const user = userEvent.setup();
     
-    fetch.mockImplementation((url) => {
-      if (url.includes('/categories/all')) {
-        return Promise.resolve({
-          json: () => Promise.resolve(mockCategories)
-        });
-      }
-      return Promise.resolve({
-        json: () => Promise.resolve(mockProducts)
-      });
-    });
+    mockShopApi();
 
     renderShop();
 
@@ -300,4 +312,193 @@ describe('Shop Page', () => {
 
     expect(coffeeButton).toHaveClass('active');
   });
+
+  test('searches products through the API and the URL', async () => {
+    const user = userEvent.setup();
+    mockShopApi();
+
+    renderShop();
+
+    await waitFor(() => {
+      expect(screen.getByText('Croissant')).toBeInTheDocument();
+    });
+
+    await user.type(screen.getByLabelText('Search products'), 'latte');
+    await user.click(screen.getByRole('button', { name: 'Search' }));
+
+    await waitFor(() => {
+      expect(screen.queryByText('Espresso')).not.toBeInTheDocument();
+    });
+    expect(screen.getByText('Latte')).toBeInTheDocument();
+    expect(screen.getByText('1 product found')).toBeInTheDocument();
+    expect(lastProductsRequest().get('q')).toBe('latte');
+    expect(screen.getByTestId('location')).toHaveTextContent('?q=latte');
+  });
+
+  test('sorts products through the API', async () => {
+    const user = userEvent.setup();
+    mockShopApi();
+
+    renderShop();
+
+    await waitFor(() => {
+      expect(screen.getByText('Espresso')).toBeInTheDocument();
+    });
+
+    await user.selectOptions(screen.getByLabelText('Sort by'), 'Price: High to Low');
+
+    await waitFor(() => {
+      expect(lastProductsRequest().get('sort')).toBe('-price');
+    });
+    expect(screen.getByTestId('location')).toHaveTextContent('?sort=-price');
+  });
+
+  test('hides out of stock products when toggled', async () => {
+    const user = userEvent.setup();
+    mockShopApi();
+
+    renderShop();
+
+    await waitFor(() => {
+      expect(screen.getByText('Croissant')).toBeInTheDocument();
+    });
+
+    await user.click(screen.getByLabelText('Hide out of stock'));
+
+    await waitFor(() => {
+      expect(screen.queryByText('Croissant')).not.toBeInTheDocument();
+    });
+    expect(lastProductsRequest().get('inStock')).toBe('true');
+  });
+
+  test('filters by price range after the slider settles', async () => {
+    mockShopApi();
+
+    renderShop();
+
+    await waitFor(() => {
+      expect(screen.getByText('Espresso')).toBeInTheDocument();
+    });
+
+    fireEvent.change(screen.getByLabelText('Maximum price'), { target: { value: '50' } });
+
+    expect(screen.getByText('Price: $0.00 – $50.00')).toBeInTheDocument();
+
+    await waitFor(() => {
+      expect(lastProductsRequest().get('maxPrice')).toBe('50');
+    });
+    expect(lastProductsRequest().get('minPrice')).toBeNull();
+    expect(screen.getByTestId('location')).toHaveTextContent('?maxPrice=50');
+  });
+
+  test('restores filters from a deep link', async () => {
+    mockShopApi();
+
+    renderShop('/shop?category=Coffee&q=latte&sort=price&minPrice=5&inStock=true&page=2');
+
+    await waitFor(() => {
+      expect(screen.getByText('Latte')).toBeInTheDocument();
+    });
+
+    const params = lastProductsRequest();
+    expect(params.get('category')).toBe('Coffee');
+    expect(params.get('q')).toBe('latte');
+    expect(params.get('sort')).toBe('price');
+    expect(params.get('minPrice')).toBe('5');
+    expect(params.get('inStock')).toBe('true');
+    expect(params.get('page')).toBe('2');
+    expect(params.get('limit')).toBe('12');
+
+    expect(screen.getByLabelText('Search products')).toHaveValue('latte');
+    expect(screen.getByLabelText('Sort by')).toHaveValue('price');
+    expect(screen.getByLabelText('Hide out of stock')).toBeChecked();
+    expect(screen.getByText('Price: $5.00 – $300.00+')).toBeInTheDocument();
+  });
+
+  test('shows a message when no products match', async () => {
+    mockShopApi();
+
+    renderShop('/shop?q=nothing');
+
+    await waitFor(() => {
+      expect(screen.getByText('No products match your filters.')).toBeInTheDocument();
+    });
+  });
+
+  test('links product cards to their detail page', async () => {
+    mockShopApi();
+
+    renderShop();
+
+    await waitFor(() => {
+      expect(screen.getByText('Espresso')).toBeInTheDocument();
+    });
+
+    expect(screen.getByText('Espresso').closest('a')).toHaveAttribute('href', '/product/1');
+  });
+
+  test('adds products to the wishlist with the heart on their card', async () => {
+    const user = userEvent.setup();
+    mockShopApi();
+
+    renderShop();
+
+    const heart = await screen.findByRole('button', { name: 'Save "Latte" to your wishlist' });
+    expect(heart).toHaveAttribute('aria-pressed', 'false');
+
+    await user.click(heart);
+
+    expect(heart).toHaveAttribute('aria-pressed', 'true');
+    expect(JSON.parse(localStorage.getItem('wishlist')).items.map(item => item.name)).toEqual(['Latte']);
+  });
+
+  test('shows the price filter bounds in the chosen currency and language', async () => {
+    mockShopApi();
+    localStorage.setItem('language', 'de');
+    localStorage.setItem('currency', 'EUR');
+
+    render(
+      <MemoryRouter initialEntries={['/shop?minPrice=5']}>
+        <LanguageProvider>
+          <CurrencyProvider>
+            <CartProvider>
+              <WishlistProvider>
+                <Shop />
+              </WishlistProvider>
+            </CartProvider>
+          </CurrencyProvider>
+        </LanguageProvider>
+      </MemoryRouter>
+    );
+
+    // $5 and $300 at 0.92 EUR per USD
+    expect(await screen.findByText(/^Preis: 4,60\s€ – 276,00\s€\+$/)).toBeInTheDocument();
+
+    localStorage.removeItem('language');
+    localStorage.removeItem('currency');
+  });
+
+  test('requests translated products and labels in the chosen language', async () => {
+    mockShopApi();
+    localStorage.setItem('language', 'de');
+
+    render(
+      <MemoryRouter initialEntries={['/shop']}>
+        <LanguageProvider>
+          <CartProvider>
+            <WishlistProvider>
+              <Shop />
+            </WishlistProvider>
+          </CartProvider>
+        </LanguageProvider>
+      </MemoryRouter>
+    );
+
+    expect(await screen.findByText('3 Produkte gefunden')).toBeInTheDocument();
+    expect(lastProductsRequest().get('lang')).toBe('de');
+    expect(screen.getByRole('button', { name: 'Kaffee' })).toBeInTheDocument();
+    // Categories without a translation keep their name
+    expect(screen.getByRole('button', { name: 'Pastries' })).toBeInTheDocument();
+    localStorage.removeItem('language');
+  });
 });
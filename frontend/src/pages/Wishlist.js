@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useCart } from '../context/CartContext';
+import { maxQuantity } from '../context/cartReducer';
+import { useCurrency } from '../context/CurrencyContext';
+import { useTranslation } from '../context/LanguageContext';
+import { useWishlist } from '../context/WishlistContext';
+import Toast from '../components/Toast';
+import CustomCoffeeDetails from '../components/CustomCoffeeDetails';
+import './Wishlist.css';
+
+// Items the shopper hearted in the Shop or saved for later from the cart
+function Wishlist() {
+  const { wishlist, removeFromWishlist, updateWishlistQuantity } = useWishlist();
+  const { addToCart } = useCart();
+  const { formatPrice } = useCurrency();
+  const { t } = useTranslation();
+  const [toast, setToast] = useState(null);
+
+  const isAvailable = (item) => !item.archived && maxQuantity(item) > 0;
+
+  // The cart takes as many as the stock allows; the rest stay on the wishlist
+  const handleMoveToCart = (item) => {
+    const { lineId, quantity, customCoffee, addedAt, ...product } = item;
+    const added = addToCart(product, quantity, customCoffee);
+    if (added === 0) {
+      setToast(t('cart.stockLimit', { count: product.stock, name: product.name }));
+      return;
+    }
+    updateWishlistQuantity(lineId, quantity - added);
+    setToast(added < quantity
+      ? t('wishlist.movedSomeToCart', { count: added, name: product.name })
+      : t('wishlist.movedToCart', { name: product.name }));
+  };
+
+  return (
+    <div className="wishlist container">
+      {toast && <Toast message={toast} onClose={() => setToast(null)} />}
+      <h1 className="page-title">{t('wishlist.title')}</h1>
+
+      {wishlist.length === 0 ? (
+        <p className="wishlist-empty">
+          {t('wishlist.empty', { link: <Link to="/shop">{t('wishlist.browse')}</Link> })}
+        </p>
+      ) : (
+        <ul className="wishlist-items">
+          {wishlist.map(item => (
+            <li key={item.lineId} className="wishlist-item">
+              <img src={item.image} alt={item.name} className="wishlist-item-image" />
+              <div className="wishlist-item-details">
+                <h3>
+                  {item.customCoffee ? item.name : <Link to={`/product/${item._id}`}>{item.name}</Link>}
+                </h3>
+                {item.customCoffee && <CustomCoffeeDetails options={item.customCoffee} />}
+                <p className="wishlist-item-price">{formatPrice(item.price)}</p>
+                {item.quantity > 1 && <p>{t('wishlist.quantity', { count: item.quantity })}</p>}
+                {!isAvailable(item) && <p className="wishlist-item-unavailable">{t('wishlist.unavailable')}</p>}
+              </div>
+              <div className="wishlist-item-actions">
+                <button
+                  className="btn btn-primary"
+                  onClick={() => handleMoveToCart(item)}
+                  disabled={!isAvailable(item)}
+                >
+                  {t('wishlist.moveToCart')}
+                </button>
+                <button className="btn btn-secondary" onClick={() => removeFromWishlist(item.lineId)}>
+                  {t('wishlist.remove')}
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default Wishlist;
@@ -0,0 +1,141 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
+import Wishlist from './Wishlist';
+import { CartProvider, useCart } from '../context/CartContext';
+import { WishlistProvider } from '../context/WishlistContext';
+
+const beans = {
+  _id: '674a1234567890abcdef0007',
+  name: 'Espresso Beans',
+  category: 'Coffee',
+  price: 1499,
+  image: 'data:image/svg+xml;base64,test',
+  stock: 3,
+  lineId: 'line-beans',
+  quantity: 2,
+  addedAt: '2026-01-05T10:00:00.000Z'
+};
+
+const coffee = {
+  _id: '674a1234567890abcdef0099',
+  name: 'Custom Coffee',
+  category: 'Coffee',
+  price: 599,
+  image: 'data:image/svg+xml;base64,test',
+  configurator: 'coffee',
+  lineId: 'line-coffee',
+  quantity: 1,
+  customCoffee: { sugar: 2, milk: 'Oat', coffee: 2, chocolate: 1 }
+};
+
+function CartCount() {
+  const { getCartCount } = useCart();
+  return <div data-testid="cart-count">{getCartCount()}</div>;
+}
+
+function renderWishlist(items = []) {
+  localStorage.setItem('wishlist', JSON.stringify({ version: 1, items }));
+
+  return render(
+    <MemoryRouter>
+      <CartProvider>
+        <WishlistProvider>
+          <Wishlist />
+          <CartCount />
+        </WishlistProvider>
+      </CartProvider>
+    </MemoryRouter>
+  );
+}
+
+const savedItems = () => JSON.parse(localStorage.getItem('wishlist')).items;
+
+describe('Wishlist Page', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('shows an empty state with a link to the shop', () => {
+    renderWishlist();
+
+    expect(screen.getByText(/Your wishlist is empty/)).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'Browse the shop' })).toHaveAttribute('href', '/shop');
+  });
+
+  test('lists saved products and custom coffees', () => {
+    renderWishlist([beans, coffee]);
+
+    expect(screen.getByRole('link', { name: 'Espresso Beans' })).toHaveAttribute('href', `/product/${beans._id}`);
+    expect(screen.getByText('Quantity: 2')).toBeInTheDocument();
+    expect(screen.getByText('$14.99')).toBeInTheDocument();
+    expect(screen.getByText('Custom Coffee')).toBeInTheDocument();
+    expect(screen.getByText('Milk: Oat')).toBeInTheDocument();
+  });
+
+  test('moves an item to the cart', async () => {
+    const user = userEvent.setup();
+    renderWishlist([beans, coffee]);
+
+    await user.click(screen.getAllByText('Move to Cart')[0]);
+
+    expect(screen.getByTestId('cart-count')).toHaveTextContent('2');
+    expect(screen.getByText('Moved "Espresso Beans" to your cart.')).toBeInTheDocument();
+    expect(screen.queryByText('Espresso Beans')).not.toBeInTheDocument();
+    expect(savedItems().map(item => item.name)).toEqual(['Custom Coffee']);
+
+    const [line] = JSON.parse(localStorage.getItem('cart')).items;
+    expect(line).not.toHaveProperty('addedAt');
+  });
+
+  test('keeps items that are already in the cart as often as the stock allows', async () => {
+    const user = userEvent.setup();
+    localStorage.setItem('cart', JSON.stringify({
+      version: 2,
+      currency: 'USD',
+      items: [{ ...beans, lineId: 'line-cart', quantity: 3, addedAt: undefined }]
+    }));
+    renderWishlist([beans]);
+
+    await user.click(screen.getByText('Move to Cart'));
+
+    expect(screen.getByText('All 3 "Espresso Beans" in stock are already in your cart')).toBeInTheDocument();
+    expect(screen.getByText('Espresso Beans')).toBeInTheDocument();
+    expect(savedItems()).toHaveLength(1);
+  });
+
+  test('moves as many as the stock allows and keeps the rest on the wishlist', async () => {
+    const user = userEvent.setup();
+    localStorage.setItem('cart', JSON.stringify({
+      version: 2,
+      currency: 'USD',
+      items: [{ ...beans, lineId: 'line-cart', quantity: 2, addedAt: undefined }]
+    }));
+    renderWishlist([beans]);
+
+    await user.click(screen.getByText('Move to Cart'));
+
+    expect(screen.getByTestId('cart-count')).toHaveTextContent('3');
+    expect(screen.getByText('Moved 1 "Espresso Beans" to your cart. The rest stay on your wishlist.')).toBeInTheDocument();
+    expect(screen.getByText('Espresso Beans')).toBeInTheDocument();
+    expect(savedItems().map(item => [item.name, item.quantity])).toEqual([['Espresso Beans', 1]]);
+  });
+
+  test('marks items that are out of stock as unavailable', () => {
+    renderWishlist([{ ...beans, stock: 0 }]);
+
+    expect(screen.getByText('Currently unavailable')).toBeInTheDocument();
+    expect(screen.getByText('Move to Cart')).toBeDisabled();
+  });
+
+  test('removes an item', async () => {
+    const user = userEvent.setup();
+    renderWishlist([beans]);
+
+    await user.click(screen.getByText('Remove'));
+
+    expect(screen.getByText(/Your wishlist is empty/)).toBeInTheDocument();
+    expect(savedItems()).toEqual([]);
+  });
+});
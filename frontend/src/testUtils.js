@@ -0,0 +1,57 @@
+import React from 'react';
+import { useAuth } from './context/AuthContext';
+
+// Helpers for tests that mock fetch (`global.fetch = jest.fn()`) to stand in for the API
+
+// A fetch response with `data` as its JSON body
+export const jsonResponse = (status, data) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(data)
+});
+
+export const customer = { _id: '674a5555567890abcdef0001', name: 'Jane Doe', email: 'jane@example.com', role: 'customer' };
+
+export const beans = { _id: '1', name: 'Test Product', price: 1000, category: 'Coffee', stock: 10 };
+export const mug = { _id: '3', name: 'Mug', price: 800, category: 'Accessories', stock: 5 };
+// The catalogue by id, for mocks that populate the lines they are sent
+export const products = { [beans._id]: beans, [mug._id]: mug };
+
+/**
+ * Responds like the API: the session (anonymous unless `user` is given; logging
+ * in logs in `customer`) and whatever `handleRequest(url, options, currentUser)`
+ * answers for other requests. Requests it returns nothing for are rejected.
+ */
+export const mockApi = ({ user = null, handleRequest = () => undefined } = {}) => {
+  let currentUser = user;
+
+  fetch.mockImplementation((url, options = {}) => {
+    if (url === '/api/auth/me') {
+      return Promise.resolve(currentUser ? jsonResponse(200, currentUser) : jsonResponse(401, { error: 'Authentication required' }));
+    }
+    if (url === '/api/auth/login') {
+      currentUser = customer;
+      return Promise.resolve(jsonResponse(200, customer));
+    }
+    if (url === '/api/auth/logout') {
+      currentUser = null;
+      return Promise.resolve(jsonResponse(200, { message: 'Logged out' }));
+    }
+    const response = handleRequest(url, options, currentUser);
+    return response === undefined
+      ? Promise.reject(new Error(`Unexpected request: ${url}`))
+      : Promise.resolve(response);
+  });
+};
+
+// Logs the customer in and out through the AuthProvider
+export function SessionButtons() {
+  const { user, login, logout } = useAuth();
+  return (
+    <div>
+      <div data-testid="user">{user ? user.name : 'anonymous'}</div>
+      <button onClick={() => login('jane@example.com', 'secret123')}>Log In</button>
+      <button onClick={logout}>Log Out</button>
+    </div>
+  );
+}
@@ -0,0 +1,92 @@
+import { createLineId } from '../context/cartReducer';
+import { DEFAULT_CURRENCY, isMinorUnits, toMinorUnits } from './money';
+
+// The localStorage key the cart is saved under. Other tabs watch it to stay in step.
+export const CART_STORAGE_KEY = 'cart';
+
+// Each migration upgrades a saved cart from the version at its index to the
+// next one; the current version is the number of migrations. Add one (never
+// edit an old one) whenever the saved shape changes.
+const migrations = [
+  // 0 -> 1: a bare array of items priced in dollars becomes { currency, items } in cents
+  (saved) => ({
+    currency: DEFAULT_CURRENCY,
+    items: saved.map(item => ({ ...item, price: toMinorUnits(item.price) }))
+  }),
+  // 1 -> 2: every line gets a lineId
+  (saved) => ({
+    ...saved,
+    items: Array.isArray(saved.items) ? saved.items.map(item => ({ ...item, lineId: createLineId() })) : saved.items
+  })
+];
+
+export const CART_VERSION = migrations.length;
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Carts saved before versioning: the bare array is version 0, { currency, items } version 1
+const savedVersion = (saved) => {
+  if (Array.isArray(saved)) return 0;
+  if (!isObject(saved)) return null;
+  if (saved.version === undefined) return 1;
+  return Number.isInteger(saved.version) && saved.version >= 0 ? saved.version : null;
+};
+
+// Whether a saved item is a cart line; also used for saved wishlist items
+export const isCartItem = (item) => (
+  isObject(item) &&
+  typeof item._id === 'string' &&
+  typeof item.lineId === 'string' &&
+  typeof item.name === 'string' &&
+  isMinorUnits(item.price) && item.price >= 0 &&
+  Number.isInteger(item.quantity) && item.quantity > 0 &&
+  (item.customCoffee === undefined || item.customCoffee === null || isObject(item.customCoffee))
+);
+
+/**
+ * Reads a saved cart (the raw localStorage value) and returns its items,
+ * migrated to the current version. Anything unreadable - invalid JSON, an
+ * unknown or newer version, items that are not cart lines - is dropped with a
+ * warning rather than breaking the storefront.
+ */
+export const parseSavedCart = (value) => {
+  if (value === null || value === undefined) return [];
+
+  let saved;
+  try {
+    saved = JSON.parse(value);
+  } catch (error) {
+    console.warn('Discarding a saved cart that is not valid JSON');
+    return [];
+  }
+
+  let version = savedVersion(saved);
+  if (version === null || version > CART_VERSION) {
+    console.warn('Discarding a saved cart of an unknown version');
+    return [];
+  }
+
+  for (; version < CART_VERSION; version++) {
+    saved = migrations[version](saved);
+  }
+
+  if (!Array.isArray(saved.items)) {
+    console.warn('Discarding a saved cart without items');
+    return [];
+  }
+  const items = saved.items.filter(isCartItem);
+  if (items.length < saved.items.length) {
+    console.warn(`Dropped ${saved.items.length - items.length} unreadable item(s) from the saved cart`);
+  }
+  return items;
+};
+
+export const loadSavedCart = () => parseSavedCart(localStorage.getItem(CART_STORAGE_KEY));
+
+export const saveCart = (items) => {
+  localStorage.setItem(CART_STORAGE_KEY, JSON.stringify({
+    version: CART_VERSION,
+    currency: DEFAULT_CURRENCY,
+    items
+  }));
+};
@@ -0,0 +1,77 @@
+import { CART_VERSION, loadSavedCart, parseSavedCart, saveCart } from './cartStorage';
+
+const beans = { _id: '1', lineId: 'line-a', name: 'Coffee Beans', price: 1299, quantity: 2 };
+const coffee = {
+  _id: 'custom-coffee-1',
+  lineId: 'line-b',
+  name: 'Custom Coffee',
+  price: 425,
+  quantity: 1,
+  customCoffee: { base: 'hot', sugar: 1, milk: 'regular', coffee: 1, chocolate: 0 }
+};
+
+describe('cartStorage', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('saves the cart with its version and reads it back', () => {
+    saveCart([beans, coffee]);
+
+    expect(JSON.parse(localStorage.getItem('cart'))).toEqual({
+      version: CART_VERSION,
+      currency: 'USD',
+      items: [beans, coffee]
+    });
+    expect(loadSavedCart()).toEqual([beans, coffee]);
+  });
+
+  test('migrates carts saved by earlier versions', () => {
+    const { lineId, ...unversioned } = beans;
+    const withNewLineId = { ...unversioned, lineId: expect.stringMatching(/^line-/) };
+
+    // Version 0: a bare array priced in dollars
+    expect(parseSavedCart(JSON.stringify([{ ...unversioned, price: 12.99 }]))).toEqual([withNewLineId]);
+    // Version 1: { currency, items } in cents
+    expect(parseSavedCart(JSON.stringify({ currency: 'USD', items: [unversioned] }))).toEqual([withNewLineId]);
+    expect(parseSavedCart(JSON.stringify({ version: 1, currency: 'USD', items: [unversioned] }))).toEqual([withNewLineId]);
+  });
+
+  test('starts an empty cart when nothing is saved', () => {
+    expect(loadSavedCart()).toEqual([]);
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  test('discards saved carts it cannot read', () => {
+    expect(parseSavedCart('{"items": [')).toEqual([]);
+    expect(parseSavedCart('"cart"')).toEqual([]);
+    expect(parseSavedCart(JSON.stringify({ version: CART_VERSION + 1, items: [beans] }))).toEqual([]);
+    expect(parseSavedCart(JSON.stringify({ version: CART_VERSION, items: 'none' }))).toEqual([]);
+    expect(console.warn).toHaveBeenCalledTimes(4);
+  });
+
+  test('drops items that are not cart lines and keeps the rest', () => {
+    const saved = JSON.stringify({
+      version: CART_VERSION,
+      currency: 'USD',
+      items: [
+        beans,
+        null,
+        { ...beans, _id: '2', quantity: 0 },
+        { ...beans, _id: '3', price: '12.99' },
+        { name: 'No id', lineId: 'line-c', price: 100, quantity: 1 },
+        { ...beans, lineId: undefined },
+        { ...coffee, customCoffee: 'large' },
+        coffee
+      ]
+    });
+
+    expect(parseSavedCart(saved)).toEqual([beans, coffee]);
+    expect(console.warn).toHaveBeenCalledWith('Dropped 6 unreadable item(s) from the saved cart');
+  });
+});
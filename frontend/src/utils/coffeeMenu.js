@@ -0,0 +1,75 @@
+// The Coffee Builder's menu as served by GET /api/coffee-menu: base drinks,
+// options that are either a quantity (with min, max and a price per unit
+// above the minimum) or a choice (with a price per entry), and the catalogue
+// `product` custom coffees are sold as.
+
+// Price in cents a single option adds to the base drink
+export const optionPrice = (option, value) => {
+  if (option.type === 'quantity') {
+    return (value - option.min) * option.unitPrice;
+  }
+  const choice = option.choices.find(c => c.id === value);
+  return choice ? choice.price : 0;
+};
+
+// A fresh coffee: the first base drink with every option at its default
+export const defaultSelections = (menu) => {
+  const selections = { base: menu.baseDrinks[0].id };
+  menu.options.forEach(option => {
+    selections[option.id] = option.default;
+  });
+  return selections;
+};
+
+const isOnMenu = (option, value) => (
+  option.type === 'quantity'
+    ? Number.isInteger(value) && value >= option.min && value <= option.max
+    : option.choices.some(choice => choice.id === value)
+);
+
+/**
+ * Fits saved options (e.g. a recipe saved before the menu changed) to the
+ * menu: options the menu no longer offers are dropped, and missing or
+ * unavailable values take their default. `valid` is false when anything had
+ * to be replaced.
+ */
+export const resolveSelections = (menu, options) => {
+  const selections = defaultSelections(menu);
+  let valid = true;
+
+  if (options.base !== undefined) {
+    if (menu.baseDrinks.some(drink => drink.id === options.base)) {
+      selections.base = options.base;
+    } else {
+      valid = false;
+    }
+  }
+  menu.options.forEach(option => {
+    const value = options[option.id];
+    if (value === undefined) return;
+    if (isOnMenu(option, value)) {
+      selections[option.id] = value;
+    } else {
+      valid = false;
+    }
+  });
+
+  return { selections, valid };
+};
+
+// Mirrors calculateCoffeePrice in backend/services/coffeeMenu.js - keep the two in sync.
+export const calculateCoffeePrice = (menu, selections) => {
+  const base = menu.baseDrinks.find(drink => drink.id === selections.base) || menu.baseDrinks[0];
+  return menu.options.reduce(
+    (price, option) => price + optionPrice(option, selections[option.id]),
+    base.price
+  );
+};
+
+// The menu's Custom Coffee product as the cart holds it for these options:
+// named after the base drink and priced by the options. The options travel
+// separately as `customCoffee`.
+export const coffeeCartProduct = (menu, selections) => {
+  const base = menu.baseDrinks.find(drink => drink.id === selections.base) || menu.baseDrinks[0];
+  return { ...menu.product, name: base.name, price: calculateCoffeePrice(menu, selections) };
+};
@@ -0,0 +1,50 @@
+import { calculateCoffeePrice, defaultSelections, optionPrice, resolveSelections } from './coffeeMenu';
+
+const menu = {
+  baseDrinks: [
+    { id: 'hot', name: 'Custom Coffee', price: 350 },
+    { id: 'iced', name: 'Custom Iced Coffee', price: 400 }
+  ],
+  options: [
+    { id: 'sugar', label: 'Sugar', type: 'quantity', min: 0, max: 5, default: 0, unitPrice: 25 },
+    {
+      id: 'milk',
+      label: 'Milk',
+      type: 'choice',
+      default: 'none',
+      choices: [
+        { id: 'none', label: 'No Milk', price: 0 },
+        { id: 'oat', label: 'Oat Milk', price: 75 }
+      ]
+    },
+    { id: 'coffee', label: 'Coffee Shots', type: 'quantity', min: 1, max: 4, default: 1, unitPrice: 75 }
+  ]
+};
+
+describe('coffee menu', () => {
+  test('starts from the first base drink and the option defaults', () => {
+    expect(defaultSelections(menu)).toEqual({ base: 'hot', sugar: 0, milk: 'none', coffee: 1 });
+  });
+
+  test('charges quantities above their minimum and the chosen entry', () => {
+    expect(optionPrice(menu.options[0], 2)).toBe(50);
+    expect(optionPrice(menu.options[1], 'oat')).toBe(75);
+    expect(optionPrice(menu.options[2], 1)).toBe(0);
+  });
+
+  test('adds the options to the base drink price', () => {
+    expect(calculateCoffeePrice(menu, defaultSelections(menu))).toBe(350);
+    expect(calculateCoffeePrice(menu, { base: 'iced', sugar: 2, milk: 'oat', coffee: 3 })).toBe(675);
+  });
+
+  test('fits saved options to the current menu', () => {
+    expect(resolveSelections(menu, { base: 'iced', sugar: 1, chocolate: 2 })).toEqual({
+      selections: { base: 'iced', sugar: 1, milk: 'none', coffee: 1 },
+      valid: true
+    });
+    expect(resolveSelections(menu, { sugar: 9, milk: 'regular', coffee: 2 })).toEqual({
+      selections: { base: 'hot', sugar: 0, milk: 'none', coffee: 2 },
+      valid: false
+    });
+  });
+});
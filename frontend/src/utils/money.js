@@ -0,0 +1,77 @@
+// Money is stored and calculated as integer minor units (cents) with an ISO
+// 4217 currency code, so totals never pick up floating point drift.
+// Mirrors backend/utils/money.js - keep the two in sync.
+
+export const DEFAULT_CURRENCY = 'USD';
+
+// Supported currencies and the number of decimal places of their minor unit
+export const CURRENCIES = {
+  USD: { decimals: 2 },
+  EUR: { decimals: 2 },
+  GBP: { decimals: 2 },
+  PLN: { decimals: 2 }
+};
+
+export const DEFAULT_LOCALE = 'en-US';
+
+const currencyInfo = (currency = DEFAULT_CURRENCY) => {
+  const info = CURRENCIES[currency];
+  if (!info) {
+    throw new Error(`Unsupported currency: ${currency}`);
+  }
+  return info;
+};
+
+const minorUnitFactor = (currency) => 10 ** currencyInfo(currency).decimals;
+
+export const isMinorUnits = (amount) => Number.isInteger(amount);
+
+// 19.99 -> 1999 (rounded to the nearest minor unit)
+export const toMinorUnits = (amount, currency = DEFAULT_CURRENCY) =>
+  // toPrecision drops float noise such as 1.005 * 100 = 100.49999999999999
+  Math.round(Number((Number(amount) * minorUnitFactor(currency)).toPrecision(15)));
+
+// 1999 -> 19.99
+export const fromMinorUnits = (amount, currency = DEFAULT_CURRENCY) => amount / minorUnitFactor(currency);
+
+// Scales an amount by a rate or ratio (tax rates, percentages), rounding half up
+export const multiply = (amount, factor) => Math.round(Number((amount * factor).toPrecision(15)));
+
+export const sum = (amounts) => amounts.reduce((total, amount) => total + amount, 0);
+
+/**
+ * Splits an amount into parts proportional to `weights`. The parts always add
+ * up to the amount: the rounding remainder goes to the last part.
+ */
+export const allocate = (amount, weights) => {
+  const totalWeight = sum(weights);
+  if (totalWeight === 0) {
+    return weights.map(() => 0);
+  }
+  let allocated = 0;
+  return weights.map((weight, index) => {
+    const part = index === weights.length - 1
+      ? amount - allocated
+      : multiply(amount, weight / totalWeight);
+    allocated += part;
+    return part;
+  });
+};
+
+/**
+ * Converts an amount between currencies at `rate` (units of `to` per unit of
+ * `from`), rounding to the nearest minor unit of `to`.
+ */
+export const convert = (amount, rate, from = DEFAULT_CURRENCY, to = DEFAULT_CURRENCY) =>
+  multiply(amount, rate * minorUnitFactor(to) / minorUnitFactor(from));
+
+// 1999 -> "$19.99", -500 -> "-$5.00"; in "de-DE" 1999 EUR -> "19,99 €"
+export const formatMoney = (amount, currency = DEFAULT_CURRENCY, locale = DEFAULT_LOCALE) => {
+  const { decimals } = currencyInfo(currency);
+  return new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals
+  }).format(fromMinorUnits(amount, currency));
+};
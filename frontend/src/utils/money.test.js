@@ -0,0 +1,38 @@
+import { allocate, convert, formatMoney, fromMinorUnits, multiply, toMinorUnits } from './money';
+
+describe('money', () => {
+  test('converts between dollars and cents without float drift', () => {
+    expect(toMinorUnits(19.99)).toBe(1999);
+    expect(toMinorUnits('4.5')).toBe(450);
+    expect(toMinorUnits(1.005)).toBe(101);
+    expect(fromMinorUnits(1999)).toBe(19.99);
+  });
+
+  test('formats amounts in cents', () => {
+    expect(formatMoney(1999)).toBe('$19.99');
+    expect(formatMoney(0)).toBe('$0.00');
+    expect(formatMoney(-500)).toBe('-$5.00');
+    expect(() => formatMoney(100, 'XYZ')).toThrow('Unsupported currency: XYZ');
+  });
+
+  test('formats amounts for the locale', () => {
+    expect(formatMoney(123456, 'EUR', 'de-DE')).toBe('1.234,56\u00a0€');
+    expect(formatMoney(1999, 'GBP', 'en-GB')).toBe('£19.99');
+  });
+
+  test('converts between currencies at a rate', () => {
+    expect(convert(1999, 0.92, 'USD', 'EUR')).toBe(1839);
+    expect(convert(1839, 1 / 0.92, 'EUR', 'USD')).toBe(1999);
+  });
+
+  test('multiplies by rates rounding to whole cents', () => {
+    expect(multiply(1397, 0.07)).toBe(98);
+    expect(multiply(525, 0.01)).toBe(5);
+  });
+
+  test('allocates an amount in parts that add up exactly', () => {
+    expect(allocate(1000, [1, 1, 1])).toEqual([333, 333, 334]);
+    expect(allocate(500, [2998, 0])).toEqual([500, 0]);
+    expect(allocate(500, [0, 0])).toEqual([0, 0]);
+  });
+});
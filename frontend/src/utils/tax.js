@@ -0,0 +1,21 @@
+import { translateDefault } from '../i18n';
+import { DEFAULT_LOCALE } from './money';
+
+// 0.0725 -> "7.25%" ("7,25 %" in German)
+export const formatRate = (rate, locale = DEFAULT_LOCALE) =>
+  new Intl.NumberFormat(locale, { style: 'percent', maximumFractionDigits: 2 }).format(rate);
+
+/**
+ * Names a line of a tax breakdown by its tax and rate, e.g. "VAT 19%". Lines
+ * of orders placed before they carried the id of their tax's name keep the
+ * label they were saved with.
+ */
+export const describeTaxLine = (line, t = translateDefault, locale = DEFAULT_LOCALE) => {
+  if (!line.name) {
+    return line.label;
+  }
+  return t('tax.line', {
+    name: t(`tax.names.${line.name}`, { defaultValue: line.name }),
+    rate: formatRate(line.rate, locale)
+  });
+};
@@ -0,0 +1,23 @@
+import { translate } from '../i18n';
+import { describeTaxLine, formatRate } from './tax';
+
+describe('tax', () => {
+  test('formats rates as percentages for the locale', () => {
+    expect(formatRate(0.19)).toBe('19%');
+    expect(formatRate(0.0725)).toBe('7.25%');
+    expect(formatRate(0.055, 'de-DE')).toBe('5,5\u00a0%');
+  });
+
+  test('names tax lines by their tax and rate', () => {
+    const line = { type: 'reduced', name: 'vat', label: 'VAT 7%', rate: 0.07 };
+    const tGerman = (key, params) => translate('de', key, params);
+
+    expect(describeTaxLine(line)).toBe('VAT 7%');
+    expect(describeTaxLine({ ...line, name: 'salesTax', rate: 0.0625 })).toBe('Sales tax 6.25%');
+    expect(describeTaxLine(line, tGerman, 'de-DE')).toBe('MwSt. 7\u00a0%');
+  });
+
+  test('keeps the saved label of lines without a tax name', () => {
+    expect(describeTaxLine({ type: 'standard', label: 'Sales tax 6%', rate: 0.06 })).toBe('Sales tax 6%');
+  });
+});
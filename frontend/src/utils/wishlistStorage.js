@@ -0,0 +1,40 @@
+import { isCartItem } from './cartStorage';
+
+// The localStorage key the wishlist is saved under. Other tabs watch it to stay in step.
+export const WISHLIST_STORAGE_KEY = 'wishlist';
+
+// Bump when the saved shape changes, and migrate older versions as cartStorage.js does
+export const WISHLIST_VERSION = 1;
+
+/**
+ * Reads a saved wishlist (the raw localStorage value) and returns its items,
+ * which are saved like cart lines. Anything unreadable is dropped with a
+ * warning rather than breaking the storefront.
+ */
+export const parseSavedWishlist = (value) => {
+  if (value === null || value === undefined) return [];
+
+  let saved;
+  try {
+    saved = JSON.parse(value);
+  } catch (error) {
+    console.warn('Discarding a saved wishlist that is not valid JSON');
+    return [];
+  }
+
+  if (saved?.version !== WISHLIST_VERSION || !Array.isArray(saved.items)) {
+    console.warn('Discarding a saved wishlist of an unknown version');
+    return [];
+  }
+  const items = saved.items.filter(isCartItem);
+  if (items.length < saved.items.length) {
+    console.warn(`Dropped ${saved.items.length - items.length} unreadable item(s) from the saved wishlist`);
+  }
+  return items;
+};
+
+export const loadSavedWishlist = () => parseSavedWishlist(localStorage.getItem(WISHLIST_STORAGE_KEY));
+
+export const saveWishlist = (items) => {
+  localStorage.setItem(WISHLIST_STORAGE_KEY, JSON.stringify({ version: WISHLIST_VERSION, items }));
+};
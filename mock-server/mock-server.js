@@ -34,5 +34,33 @@ app.listen(app.get('port'), () => {
   console.log(`  - GET    /api/products/:id`);
   console.log(`  - GET    /api/products/categories/all`);
   console.log(`  - PUT    /api/products/:id`);
-  console.log(`  - POST   /api/orders\n`);
+  console.log(`  - POST   /api/products`);
+  console.log(`  - DELETE /api/products/:id`);
+  console.log(`  - POST   /api/products/:id/restock`);
+  console.log(`  - POST   /api/orders`);
+  console.log(`  - GET    /api/orders`);
+  console.log(`  - GET    /api/orders/mine`);
+  console.log(`  - PATCH  /api/orders/:id/status`);
+  console.log(`  - POST   /api/shipping/quote`);
+  console.log(`  - POST   /api/tax/quote`);
+  console.log(`  - POST   /api/promotions/apply`);
+  console.log(`  - GET    /api/promotions`);
+  console.log(`  - POST   /api/promotions`);
+  console.log(`  - PUT    /api/promotions/:id`);
+  console.log(`  - DELETE /api/promotions/:id`);
+  console.log(`  - GET    /api/currencies`);
+  console.log(`  - GET    /api/coffee-menu`);
+  console.log(`  - PUT    /api/coffee-menu`);
+  console.log(`  - GET    /api/coffee-recipes`);
+  console.log(`  - POST   /api/coffee-recipes`);
+  console.log(`  - PUT    /api/coffee-recipes/:id`);
+  console.log(`  - DELETE /api/coffee-recipes/:id`);
+  console.log(`  - GET    /api/cart`);
+  console.log(`  - PUT    /api/cart`);
+  console.log(`  - GET    /api/wishlist`);
+  console.log(`  - PUT    /api/wishlist`);
+  console.log(`  - GET    /api/auth/me`);
+  console.log(`  - POST   /api/auth/login`);
+  console.log(`  - POST   /api/auth/register`);
+  console.log(`  - POST   /api/auth/logout\n`);
 });